@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title AccessRoles
+ * @dev 基于角色的访问控制，接口与 OpenZeppelin AccessControl 一致，错误使用 require 字符串
+ * @dev 每个角色有一个管理角色，管理角色的成员可以授予和撤销该角色；默认的管理角色为 DEFAULT_ADMIN_ROLE，
+ *      DEFAULT_ADMIN_ROLE 的成员可以通过 setRoleAdmin 把某个角色交给其他管理角色管理
+ * @dev 角色数据保存在 ERC-7201 命名空间槽位中，继承本合约不会改变实现合约的存储布局
+ */
+abstract contract AccessRoles {
+    /**
+     * @dev 角色数据的存储槽位
+     * 等于 keccak256(abi.encode(uint256(keccak256("delegatecall-demo.storage.AccessRoles")) - 1)) & ~bytes32(uint256(0xff))
+     */
+    bytes32 private constant ACCESS_ROLES_STORAGE = 0x3fe5694b18980513ce4c1b1d49c54d6ece797cc23d5699e262374170d3964300;
+
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00; // 默认管理角色，由所有者持有
+
+    /**
+     * @dev 单个角色的数据
+     */
+    struct RoleData {
+        mapping(address => bool) members; // 角色成员
+        bytes32 adminRole; // 管理角色
+    }
+
+    /// @custom:storage-location erc7201:delegatecall-demo.storage.AccessRoles
+    struct AccessRolesStorage {
+        mapping(bytes32 => RoleData) roles; // 角色 => 角色数据
+    }
+
+    // 事件（与 OpenZeppelin IAccessControl 一致）
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender); // 授予角色事件
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender); // 撤销角色事件
+    event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole); // 管理角色变更事件
+
+    /**
+     * @dev 要求调用者拥有角色
+     */
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, msg.sender), "Caller is missing role"); // 确保调用者拥有角色
+        _;
+    }
+
+    /**
+     * @dev 检查地址是否拥有角色
+     * @param role 角色
+     * @param account 要检查的地址
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _getAccessRolesStorage().roles[role].members[account]; // 返回是否为角色成员
+    }
+
+    /**
+     * @dev 返回角色的管理角色
+     * @param role 角色
+     */
+    function getRoleAdmin(bytes32 role) public view returns (bytes32) {
+        return _getAccessRolesStorage().roles[role].adminRole; // 未设置时为 DEFAULT_ADMIN_ROLE
+    }
+
+    /**
+     * @dev 授予角色（仅该角色的管理角色）
+     * @param role 角色
+     * @param account 被授予的地址
+     */
+    function grantRole(bytes32 role, address account) public virtual onlyRole(getRoleAdmin(role)) {
+        _grantRole(role, account); // 授予角色
+    }
+
+    /**
+     * @dev 撤销角色（仅该角色的管理角色）
+     * @param role 角色
+     * @param account 被撤销的地址
+     */
+    function revokeRole(bytes32 role, address account) public virtual onlyRole(getRoleAdmin(role)) {
+        _revokeRole(role, account); // 撤销角色
+    }
+
+    /**
+     * @dev 放弃调用者自己的角色，用于私钥泄露等情况
+     * @param role 角色
+     * @param callerConfirmation 必须等于调用者地址，防止误操作
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) public virtual {
+        require(callerConfirmation == msg.sender, "Can only renounce roles for self"); // 只能放弃自己的角色
+        _revokeRole(role, callerConfirmation); // 撤销角色
+    }
+
+    /**
+     * @dev 设置角色的管理角色（仅 DEFAULT_ADMIN_ROLE）
+     * @param role 角色
+     * @param adminRole 新的管理角色
+     */
+    function setRoleAdmin(bytes32 role, bytes32 adminRole) public virtual onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRoleAdmin(role, adminRole); // 设置管理角色
+    }
+
+    /**
+     * @dev 授予角色，已拥有时不做任何事
+     */
+    function _grantRole(bytes32 role, address account) internal {
+        RoleData storage data = _getAccessRolesStorage().roles[role];
+        if (!data.members[account]) {
+            data.members[account] = true; // 加入角色
+            emit RoleGranted(role, account, msg.sender); // 触发授予角色事件
+        }
+    }
+
+    /**
+     * @dev 撤销角色，未拥有时不做任何事
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        RoleData storage data = _getAccessRolesStorage().roles[role];
+        if (data.members[account]) {
+            data.members[account] = false; // 移出角色
+            emit RoleRevoked(role, account, msg.sender); // 触发撤销角色事件
+        }
+    }
+
+    /**
+     * @dev 设置角色的管理角色
+     */
+    function _setRoleAdmin(bytes32 role, bytes32 adminRole) internal {
+        RoleData storage data = _getAccessRolesStorage().roles[role];
+        emit RoleAdminChanged(role, data.adminRole, adminRole); // 触发管理角色变更事件
+        data.adminRole = adminRole; // 设置管理角色
+    }
+
+    function _getAccessRolesStorage() private pure returns (AccessRolesStorage storage $) {
+        assembly {
+            $.slot := ACCESS_ROLES_STORAGE
+        }
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC1967Storage.sol";
+import "./UpgradeableBeacon.sol";
+
+/**
+ * @title BeaconProxy
+ * @dev 信标代理：实现地址不保存在代理中，每次调用都向 EIP-1967 信标槽位中的信标查询
+ * @dev 没有任何管理函数，升级只能通过信标完成；代理本身的信标地址部署后不可更改
+ */
+contract BeaconProxy is ERC1967Storage {
+    /**
+     * @dev 构造函数，设置信标并可选地执行初始化调用
+     * @param beacon_ 信标合约的地址
+     * @param data_ 部署时通过 delegatecall 执行的调用数据（通常是 initialize），为空则不调用
+     */
+    constructor(address beacon_, bytes memory data_) payable {
+        _setBeacon(beacon_); // 设置信标地址
+        emit BeaconUpgraded(beacon_); // 触发 EIP-1967 信标事件
+
+        address implementation_ = IBeacon(beacon_).implementation(); // 查询当前实现
+        require(implementation_.code.length > 0, "Implementation is not a contract"); // 确保实现地址是合约
+
+        if (data_.length > 0) {
+            _functionDelegateCall(implementation_, data_); // 在同一笔交易中初始化，防止被抢先初始化
+        } else {
+            require(msg.value == 0, "Deployment does not accept value"); // 没有调用数据时不接受以太币
+        }
+    }
+
+    /**
+     * @dev 回退函数，将调用委托给信标的当前实现
+     */
+    fallback() external payable {
+        _delegate(IBeacon(_getBeacon()).implementation()); // 委托调用到实现合约
+    }
+
+    /**
+     * @dev 接收函数，将以太币转账委托给信标的当前实现
+     */
+    receive() external payable {
+        _delegate(IBeacon(_getBeacon()).implementation()); // 委托调用到实现合约
+    }
+}
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./Proxy.sol";
+import "./NFTCollectionV2.sol";
+import "./UpgradeManager.sol";
+
+/**
+ * @title CollectionFactory
+ * @dev 在一笔交易中完成 NFT 集合的部署：CREATE2 部署 Proxy、调用 initialize、移交权限、注册到 UpgradeManager
+ * @dev 部署和初始化之间没有间隙，其他人无法抢先调用 initialize；地址可以在部署前预测
+ * @dev 需要 UpgradeManager 的所有者先调用 setProxyRegistrar(factory, true)
+ * @dev 调用者立即获得集合的全部操作角色，所有权需要调用者在集合上调用 acceptOwnership 接受
+ */
+contract CollectionFactory {
+    address public immutable implementation; // 新集合使用的 NFTCollectionV2 实现地址
+    UpgradeManager public immutable upgradeManager; // 新集合注册到的升级管理器
+
+    address[] public collections; // 此工厂部署的所有集合地址数组
+
+    // 事件
+    event CollectionDeployed(address indexed collection, address indexed owner, bytes32 indexed salt, string name, string symbol); // 集合部署事件
+
+    /**
+     * @dev 构造函数
+     * @param implementation_ NFTCollectionV2 实现合约的地址
+     * @param upgradeManager_ UpgradeManager 合约的地址
+     */
+    constructor(address implementation_, address upgradeManager_) {
+        require(implementation_.code.length > 0, "Implementation is not a contract"); // 确保实现是合约
+        require(upgradeManager_.code.length > 0, "Upgrade manager is not a contract"); // 确保升级管理器是合约
+        implementation = implementation_; // 设置实现地址
+        upgradeManager = UpgradeManager(upgradeManager_); // 设置升级管理器
+    }
+
+    /**
+     * @dev 部署并初始化新的 NFT 集合，调用者获得全部操作角色，成为待接受的所有者、版税接收者和代理管理员
+     * @param salt 调用者选择的盐值
+     * @param name_ NFT 集合的名称
+     * @param symbol_ NFT 集合的符号
+     * @param baseTokenURI_ 所有代币的基础 URI
+     * @return collection 新集合（代理）的地址
+     */
+    function deployCollection(
+        bytes32 salt,
+        string calldata name_,
+        string calldata symbol_,
+        string calldata baseTokenURI_
+    ) external returns (address payable collection) {
+        bytes32 deploySalt = computeSalt(msg.sender, salt, name_, symbol_, baseTokenURI_); // 绑定调用者和参数
+        Proxy proxy = new Proxy{salt: deploySalt}(implementation); // CREATE2 部署代理，本合约为代理管理员
+        collection = payable(address(proxy));
+
+        NFTCollectionV2 nft = NFTCollectionV2(collection);
+        nft.initialize(name_, symbol_, baseTokenURI_); // 初始化，本合约暂时成为所有者
+        nft.setRoyalty(payable(msg.sender), nft.royaltyBps()); // 版税接收者改为调用者
+        _handOverRoles(nft); // 操作角色移交给调用者
+        nft.transferOwnership(msg.sender); // 提名调用者为所有者，接受后获得 DEFAULT_ADMIN_ROLE
+
+        proxy.transferAdmin(address(upgradeManager)); // 代理管理员移交给升级管理器
+        upgradeManager.acceptProxyAdmin(collection); // 升级管理器接受代理管理员
+        upgradeManager.registerProxy(collection, msg.sender); // 注册代理，调用者为管理器中的代理管理员
+
+        collections.push(collection); // 添加到集合数组
+
+        emit CollectionDeployed(collection, msg.sender, salt, name_, symbol_); // 触发集合部署事件
+    }
+
+    /**
+     * @dev 把初始化时获得的操作角色授予调用者，并放弃本合约的角色
+     */
+    function _handOverRoles(NFTCollectionV2 nft) private {
+        bytes32[5] memory roles = [
+            nft.MINTER_ROLE(),
+            nft.SALE_MANAGER_ROLE(),
+            nft.METADATA_EDITOR_ROLE(),
+            nft.TREASURER_ROLE(),
+            nft.UPGRADER_ROLE()
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            nft.grantRole(roles[i], msg.sender); // 授予调用者
+            nft.renounceRole(roles[i], address(this)); // 放弃本合约的角色
+        }
+    }
+
+    /**
+     * @dev 预测集合地址
+     * @param deployer 调用 deployCollection 的地址
+     * @param salt 调用者选择的盐值
+     * @param name_ NFT 集合的名称
+     * @param symbol_ NFT 集合的符号
+     * @param baseTokenURI_ 所有代币的基础 URI
+     * @return 部署后的集合地址
+     */
+    function predictCollectionAddress(
+        address deployer,
+        bytes32 salt,
+        string calldata name_,
+        string calldata symbol_,
+        string calldata baseTokenURI_
+    ) external view returns (address) {
+        bytes32 deploySalt = computeSalt(deployer, salt, name_, symbol_, baseTokenURI_); // 计算实际盐值
+        bytes32 initCodeHash = keccak256(abi.encodePacked(type(Proxy).creationCode, abi.encode(implementation))); // 代理的创建代码哈希
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), deploySalt, initCodeHash))))); // CREATE2 地址
+    }
+
+    /**
+     * @dev 计算 CREATE2 使用的实际盐值，绑定调用者和集合参数，其他人无法用相同盐值占用地址
+     */
+    function computeSalt(
+        address deployer,
+        bytes32 salt,
+        string calldata name_,
+        string calldata symbol_,
+        string calldata baseTokenURI_
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(deployer, salt, name_, symbol_, baseTokenURI_)); // 哈希所有参数
+    }
+
+    /**
+     * @dev 获取此工厂部署的集合数量
+     * @return 集合数量
+     */
+    function getCollectionCount() external view returns (uint256) {
+        return collections.length; // 返回集合数组长度
+    }
+}
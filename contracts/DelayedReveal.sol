@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title DelayedReveal
+ * @dev 延迟揭示：销售前提交全部元数据的来源证明（provenance hash），揭示前所有代币返回占位 URI，
+ *      揭示时随机生成起始偏移量，代币 tokenId 对应第 (tokenId - 1 + startingIndex) % 集合大小 个元数据文件
+ * @dev 来源证明 = keccak256(按原始顺序拼接每个元数据文件的 keccak256)，计算方法见 scripts/utils/provenance.js
+ * @dev 揭示分两步：请求揭示时承诺一个未来区块，该区块出块后任何人都可以完成揭示，偏移量来自该区块的哈希，
+ *      请求时无法预知结果，也不能反复尝试；承诺的区块超过 256 个区块后哈希不可读，需要重新请求
+ * @dev 承诺区块的出块者仍有一定影响能力，高价值集合应使用 VRF
+ */
+library DelayedReveal {
+    /**
+     * @dev 揭示配置，由使用方合约保存在自己的存储中
+     */
+    struct Config {
+        bytes32 provenanceHash; // 来源证明，非零表示启用延迟揭示
+        uint64 startingIndex; // 起始偏移量，揭示时生成
+        bool revealed; // 是否已揭示
+        bool frozen; // 元数据是否已永久冻结
+        uint64 revealBlock; // 承诺的揭示区块，请求揭示时设置
+        string placeholderURI; // 揭示前所有代币共用的 URI
+    }
+
+    /**
+     * @dev 提交来源证明，揭示后不能修改
+     */
+    function commit(Config storage config, bytes32 provenanceHash) internal {
+        require(provenanceHash != bytes32(0), "Invalid provenance hash"); // 来源证明不能为空
+        require(config.revealBlock == 0, "Reveal already requested"); // 请求揭示后不能修改
+        config.provenanceHash = provenanceHash; // 保存来源证明
+    }
+
+    /**
+     * @dev 是否启用了延迟揭示（已提交来源证明）
+     */
+    function isEnabled(Config storage config) internal view returns (bool) {
+        return config.provenanceHash != bytes32(0); // 提交来源证明后启用
+    }
+
+    /**
+     * @dev 请求揭示，承诺下一个区块的哈希作为随机源；承诺的区块过期后可以重新请求
+     * @param config 揭示配置
+     * @return revealBlock 承诺的揭示区块
+     */
+    function requestReveal(Config storage config) internal returns (uint256 revealBlock) {
+        require(isEnabled(config), "Provenance not set"); // 必须先提交来源证明
+        require(!config.revealed, "Already revealed"); // 只能揭示一次
+        require(config.revealBlock == 0 || block.number > config.revealBlock + 256, "Reveal already requested"); // 未过期的请求不能覆盖
+
+        revealBlock = block.number + 1; // 承诺下一个区块
+        config.revealBlock = uint64(revealBlock); // 保存承诺区块
+    }
+
+    /**
+     * @dev 完成揭示，用承诺区块的哈希生成起始偏移量
+     * @param config 揭示配置
+     * @param collectionSize 集合大小（元数据文件数量）
+     * @return startingIndex 起始偏移量
+     */
+    function reveal(Config storage config, uint256 collectionSize) internal returns (uint256 startingIndex) {
+        require(config.revealBlock != 0, "Reveal not requested"); // 必须先请求揭示
+        require(!config.revealed, "Already revealed"); // 只能揭示一次
+        require(block.number > config.revealBlock, "Reveal block not mined"); // 承诺区块必须已出块
+        bytes32 seed = blockhash(config.revealBlock); // 承诺区块的哈希
+        require(seed != bytes32(0), "Reveal block expired"); // 超过 256 个区块后哈希不可读，需要重新请求
+
+        startingIndex = uint256(keccak256(abi.encode(seed, config.provenanceHash))) % collectionSize; // 随机偏移量
+        config.startingIndex = uint64(startingIndex); // 保存偏移量
+        config.revealed = true; // 标记已揭示
+    }
+
+    /**
+     * @dev 永久冻结元数据，启用延迟揭示时只能在揭示后执行
+     */
+    function freeze(Config storage config) internal {
+        require(!isEnabled(config) || config.revealed, "Not revealed"); // 启用延迟揭示时揭示后才能冻结
+        requireNotFrozen(config); // 只能冻结一次
+        config.frozen = true; // 冻结元数据
+    }
+
+    /**
+     * @dev 要求元数据未冻结
+     */
+    function requireNotFrozen(Config storage config) internal view {
+        require(!config.frozen, "Metadata is frozen"); // 冻结后不能修改元数据
+    }
+
+    /**
+     * @dev 计算代币对应的元数据文件序号
+     */
+    function metadataId(Config storage config, uint256 tokenId, uint256 collectionSize) internal view returns (uint256) {
+        return (tokenId - 1 + config.startingIndex) % collectionSize; // 代币 ID 从 1 开始，文件序号从 0 开始
+    }
+
+    /**
+     * @dev 延迟揭示模式下的 tokenURI：揭示前为占位 URI，揭示后为基础 URI + 元数据文件序号
+     */
+    function tokenURI(
+        Config storage config,
+        string memory baseURI,
+        uint256 tokenId,
+        uint256 collectionSize
+    ) internal view returns (string memory) {
+        if (!config.revealed) return config.placeholderURI; // 揭示前返回占位 URI
+        return string.concat(baseURI, Strings.toString(metadataId(config, tokenId, collectionSize))); // 揭示后按偏移量拼接
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC1967Storage.sol";
+
+/**
+ * @title ERC1967Proxy
+ * @dev 最小的 ERC-1967 代理，只负责转发调用，没有任何管理函数
+ * @dev 与 UUPSUpgradeable 实现配合使用：升级通过实现合约的 upgradeToAndCall 完成
+ */
+contract ERC1967Proxy is ERC1967Storage {
+    /**
+     * @dev 构造函数，设置初始实现并可选地执行初始化调用
+     * @param implementation_ 初始实现合约的地址
+     * @param data_ 部署时通过 delegatecall 执行的调用数据（通常是 initialize），为空则不调用
+     */
+    constructor(address implementation_, bytes memory data_) payable {
+        require(implementation_ != address(0), "Implementation cannot be zero address"); // 确保实现地址不是零地址
+        _setImplementation(implementation_); // 设置实现地址
+        emit Upgraded(implementation_); // 触发 EIP-1967 升级事件
+
+        if (data_.length > 0) {
+            _functionDelegateCall(implementation_, data_); // 在同一笔交易中初始化，防止被抢先初始化
+        }
+    }
+
+    /**
+     * @dev 回退函数，将调用委托给实现合约
+     */
+    fallback() external payable {
+        _delegate(_getImplementation()); // 委托调用到实现合约
+    }
+
+    /**
+     * @dev 接收函数，将以太币转账委托给实现合约
+     */
+    receive() external payable {
+        _delegate(_getImplementation()); // 委托调用到实现合约
+    }
+}
@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ERC1967Storage
+ * @dev 代理合约的公共基础：EIP-1967 槽位读写和 delegatecall 转发
+ * @dev 实现地址和管理员地址保存在 EIP-1967 标准槽位中，不占用普通存储槽，
+ *      避免与实现合约的状态变量（如 ERC721 的 _name/_symbol）发生存储冲突
+ */
+abstract contract ERC1967Storage {
+    /**
+     * @dev 实现合约地址的存储槽位
+     * 等于 bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+     */
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev 管理员地址的存储槽位
+     * 等于 bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+     */
+    bytes32 internal constant ADMIN_SLOT = 0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    /**
+     * @dev 信标地址的存储槽位
+     * 等于 bytes32(uint256(keccak256("eip1967.proxy.beacon")) - 1)
+     */
+    bytes32 internal constant BEACON_SLOT = 0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50;
+
+    /**
+     * @dev 待接受的管理员地址的存储槽位（管理员两步转移，不属于 EIP-1967 标准）
+     * 等于 bytes32(uint256(keccak256("delegatecall-demo.proxy.pendingAdmin")) - 1)
+     */
+    bytes32 internal constant PENDING_ADMIN_SLOT = 0x6fa7d9b738c7f92b8634c1b4c460250e6c74facc50c6d930b4bc71b6f504a124;
+
+    // EIP-1967 标准事件
+    event Upgraded(address indexed implementation); // 实现升级事件
+    event AdminChanged(address previousAdmin, address newAdmin); // 管理员变更事件
+    event BeaconUpgraded(address indexed beacon); // 信标变更事件
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin); // 管理员转移发起事件
+
+    /**
+     * @dev 执行 delegatecall 的内部函数
+     * @param implementation_ 要委托调用的地址
+     */
+    function _delegate(address implementation_) internal {
+        assembly {
+            let ptr := mload(0x40) // 加载空闲内存指针
+            mstore(ptr, implementation_) // 存储实现地址
+
+            calldatacopy(add(ptr, 0x20), 0, calldatasize()) // 将调用数据复制到内存
+
+            let result := delegatecall(gas(), implementation_, add(ptr, 0x20), calldatasize(), 0, 0) // 执行 delegatecall
+
+            let size := returndatasize() // 获取返回数据大小
+
+            returndatacopy(ptr, 0, size) // 将返回数据复制到内存
+
+            switch result // 检查 delegatecall 是否成功
+            case 0 { revert(ptr, size) } // 失败则回滚
+            default { return(ptr, size) } // 成功则返回数据
+        }
+    }
+
+    /**
+     * @dev 以 delegatecall 执行调用数据，失败时透传回滚原因
+     * @param target 目标合约地址
+     * @param data 调用数据
+     * @return 调用的返回数据
+     */
+    function _functionDelegateCall(address target, bytes memory data) internal returns (bytes memory) {
+        (bool success, bytes memory returndata) = target.delegatecall(data); // 在当前合约的上下文中执行
+        if (!success) {
+            assembly {
+                revert(add(returndata, 0x20), mload(returndata)) // 透传回滚原因
+            }
+        }
+        return returndata; // 返回调用结果
+    }
+
+    /**
+     * @dev 从 EIP-1967 槽位读取实现地址
+     */
+    function _getImplementation() internal view returns (address implementation_) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            implementation_ := sload(slot) // 读取实现地址
+        }
+    }
+
+    /**
+     * @dev 将实现地址写入 EIP-1967 槽位
+     */
+    function _setImplementation(address implementation_) internal {
+        require(implementation_.code.length > 0, "Implementation is not a contract"); // 确保实现地址是合约
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, implementation_) // 写入实现地址
+        }
+    }
+
+    /**
+     * @dev 从 EIP-1967 槽位读取信标地址
+     */
+    function _getBeacon() internal view returns (address beacon_) {
+        bytes32 slot = BEACON_SLOT;
+        assembly {
+            beacon_ := sload(slot) // 读取信标地址
+        }
+    }
+
+    /**
+     * @dev 将信标地址写入 EIP-1967 槽位
+     */
+    function _setBeacon(address beacon_) internal {
+        require(beacon_.code.length > 0, "Beacon is not a contract"); // 确保信标地址是合约
+        bytes32 slot = BEACON_SLOT;
+        assembly {
+            sstore(slot, beacon_) // 写入信标地址
+        }
+    }
+
+    /**
+     * @dev 从 EIP-1967 槽位读取管理员地址
+     */
+    function _getAdmin() internal view returns (address admin_) {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            admin_ := sload(slot) // 读取管理员地址
+        }
+    }
+
+    /**
+     * @dev 将管理员地址写入 EIP-1967 槽位
+     */
+    function _setAdmin(address admin_) internal {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            sstore(slot, admin_) // 写入管理员地址
+        }
+    }
+
+    /**
+     * @dev 读取待接受的管理员地址
+     */
+    function _getPendingAdmin() internal view returns (address pendingAdmin_) {
+        bytes32 slot = PENDING_ADMIN_SLOT;
+        assembly {
+            pendingAdmin_ := sload(slot) // 读取待接受的管理员地址
+        }
+    }
+
+    /**
+     * @dev 写入待接受的管理员地址，零地址表示没有待接受的转移
+     */
+    function _setPendingAdmin(address pendingAdmin_) internal {
+        bytes32 slot = PENDING_ADMIN_SLOT;
+        assembly {
+            sstore(slot, pendingAdmin_) // 写入待接受的管理员地址
+        }
+    }
+
+    /**
+     * @dev 发起管理员转移，新管理员调用 acceptAdmin 后生效
+     * @param newAdmin 新管理员的地址
+     */
+    function _startAdminTransfer(address newAdmin) internal {
+        require(newAdmin != address(0), "Admin cannot be zero address"); // 确保新管理员地址不是零地址
+        _setPendingAdmin(newAdmin); // 记录待接受的管理员
+
+        emit AdminTransferStarted(_getAdmin(), newAdmin); // 触发管理员转移发起事件
+    }
+
+    /**
+     * @dev 待接受的管理员接受转移，成为新管理员
+     * @return oldAdmin 旧管理员的地址
+     */
+    function _acceptAdmin() internal returns (address oldAdmin) {
+        require(msg.sender == _getPendingAdmin(), "Caller is not the pending admin"); // 只有被提名的地址可以接受
+        oldAdmin = _getAdmin(); // 保存旧管理员地址
+        _setAdmin(msg.sender); // 设置新管理员地址
+        _setPendingAdmin(address(0)); // 清除待接受的转移
+
+        emit AdminChanged(oldAdmin, msg.sender); // 触发 EIP-1967 管理员变更事件
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ITokenRenderer
+ * @dev 链上元数据渲染器接口
+ * @dev NFT 集合设置渲染器后，tokenURI 交给渲染器生成；代币属性保存在集合中，随调用传入，
+ *      因此更换渲染器不会丢失属性
+ */
+interface ITokenRenderer {
+    /**
+     * @dev 代币属性，对应元数据 attributes 中的一项
+     */
+    struct Trait {
+        string traitType; // 属性名称
+        string value; // 属性值
+    }
+
+    /**
+     * @dev 生成代币的 tokenURI
+     * @param tokenId 代币 ID
+     * @param collectionName 集合名称
+     * @param traits 代币属性
+     * @return 代币的 tokenURI
+     */
+    function tokenURI(
+        uint256 tokenId,
+        string calldata collectionName,
+        Trait[] calldata traits
+    ) external view returns (string memory);
+}
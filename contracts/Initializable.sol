@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title Initializable
+ * @dev 代理模式下的版本化初始化器
+ * @dev initializer 用于首次初始化（版本 1），reinitializer(n) 用于升级后的第 n 版迁移，
+ *      每个版本只能执行一次，且版本号只能递增
+ * @dev 初始化状态保存在 ERC-7201 命名空间槽位中，继承本合约不会改变实现合约的存储布局
+ */
+abstract contract Initializable {
+    /**
+     * @dev 初始化状态的存储槽位
+     * 等于 keccak256(abi.encode(uint256(keccak256("delegatecall-demo.storage.Initializable")) - 1)) & ~bytes32(uint256(0xff))
+     */
+    bytes32 private constant INITIALIZABLE_STORAGE = 0x905d4fc71a35ce63c21bc0358fe58cec9ec599466592e826cd717e6d09ed4200;
+
+    /// @custom:storage-location erc7201:delegatecall-demo.storage.Initializable
+    struct InitializableStorage {
+        uint64 initialized; // 已完成的最高初始化版本
+        bool initializing; // 是否正在执行初始化器
+    }
+
+    event Initialized(uint64 version); // 初始化完成事件
+
+    /**
+     * @dev 首次初始化（版本 1）
+     */
+    modifier initializer() {
+        InitializableStorage storage $ = _getInitializableStorage();
+        require(!$.initializing && $.initialized < 1, "Already initialized"); // 确保未初始化
+        $.initialized = 1; // 记录版本
+        $.initializing = true; // 标记正在初始化
+        _;
+        $.initializing = false; // 初始化结束
+        emit Initialized(1); // 触发初始化事件
+    }
+
+    /**
+     * @dev 第 version 版迁移初始化器，只能执行一次，且只能在更低的版本之后执行
+     * @param version 迁移版本号
+     */
+    modifier reinitializer(uint64 version) {
+        InitializableStorage storage $ = _getInitializableStorage();
+        require(!$.initializing && $.initialized < version, "Already initialized"); // 确保该版本未执行
+        $.initialized = version; // 记录版本
+        $.initializing = true; // 标记正在初始化
+        _;
+        $.initializing = false; // 初始化结束
+        emit Initialized(version); // 触发初始化事件
+    }
+
+    /**
+     * @dev 只能在初始化器执行期间调用
+     */
+    modifier onlyInitializing() {
+        require(_getInitializableStorage().initializing, "Not initializing"); // 确保正在初始化
+        _;
+    }
+
+    /**
+     * @dev 永久禁用初始化器，应在实现合约的构造函数中调用，防止实现合约本身被初始化
+     */
+    function _disableInitializers() internal {
+        InitializableStorage storage $ = _getInitializableStorage();
+        require(!$.initializing, "Initializing"); // 不能在初始化过程中禁用
+        if ($.initialized != type(uint64).max) {
+            $.initialized = type(uint64).max; // 设置为最高版本
+            emit Initialized(type(uint64).max); // 触发初始化事件
+        }
+    }
+
+    /**
+     * @dev 返回已完成的最高初始化版本
+     */
+    function _getInitializedVersion() internal view returns (uint64) {
+        return _getInitializableStorage().initialized; // 返回版本号
+    }
+
+    function _getInitializableStorage() private pure returns (InitializableStorage storage $) {
+        assembly {
+            $.slot := INITIALIZABLE_STORAGE
+        }
+    }
+}
@@ -1,12 +1,14 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./Initializable.sol";
+
 /**
  * @title LogicContractV2
  * @dev 升级版的逻辑合约，添加了新功能
  * 注意：状态变量的布局必须与 V1 保持一致！
  */
-contract LogicContractV2 {
+contract LogicContractV2 is Initializable {
     // ⚠️ 必须保持与 V1 相同的状态变量顺序
     uint256 public counter;
     address public owner;
@@ -14,6 +16,15 @@ contract LogicContractV2 {
     // ✅ 新的状态变量只能添加在最后
     uint256 public multiplier;
 
+    /**
+     * @dev 🆕 V2 迁移初始化器：设置 V2 新增的状态，每个代理只能执行一次
+     * @dev 应通过 Proxy.upgradeToAndCall 或 UpgradeManager.upgradeProxyAndCall 在升级的同一笔交易中调用
+     * @param _multiplier 初始倍数
+     */
+    function initializeV2(uint256 _multiplier) external reinitializer(2) {
+        multiplier = _multiplier;
+    }
+
     /**
      * @dev V1 的原有功能：增加计数器
      */
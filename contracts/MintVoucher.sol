@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title MintVoucher
+ * @dev 懒铸造凭证：创作者在链下按 EIP-712 签名凭证，买家提交凭证和签名后由合约铸造
+ * @dev 域分隔符使用集合名称、版本 "1"、当前链 ID 和合约地址，通过代理调用时为代理地址，
+ *      不同集合、不同链上的签名不能互相使用；JS 端的签名方法见 scripts/utils/vouchers.js
+ */
+library MintVoucher {
+    /**
+     * @dev 铸造凭证
+     */
+    struct Voucher {
+        string tokenURI; // 铸造的代币 URI
+        uint256 price; // 兑换价格（原生代币数量）
+        address recipient; // 限定的兑换地址，零地址表示任何人都可以兑换
+        uint256 expiry; // 过期时间戳（含）
+        uint256 nonce; // 签名者的凭证编号，每个编号只能使用一次
+    }
+
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"); // EIP-712 域类型哈希
+
+    bytes32 internal constant VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(string tokenURI,uint256 price,address recipient,uint256 expiry,uint256 nonce)"); // 凭证类型哈希
+
+    /**
+     * @dev 计算当前合约的 EIP-712 域分隔符
+     * @param name 集合名称
+     */
+    function domainSeparator(string memory name) internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256("1"), block.chainid, address(this))
+        ); // 每次计算，链分叉后自动使用新的链 ID
+    }
+
+    /**
+     * @dev 计算凭证的 EIP-712 签名摘要
+     * @param voucher 铸造凭证
+     * @param name 集合名称
+     */
+    function digest(Voucher calldata voucher, string memory name) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                VOUCHER_TYPEHASH,
+                keccak256(bytes(voucher.tokenURI)),
+                voucher.price,
+                voucher.recipient,
+                voucher.expiry,
+                voucher.nonce
+            )
+        ); // 凭证结构哈希，字符串按 EIP-712 先哈希
+        return MessageHashUtils.toTypedDataHash(domainSeparator(name), structHash); // 与域分隔符组合
+    }
+
+    /**
+     * @dev 恢复凭证签名者，签名格式无效时返回零地址
+     * @param voucher 铸造凭证
+     * @param signature 签名
+     * @param name 集合名称
+     */
+    function recoverSigner(
+        Voucher calldata voucher,
+        bytes calldata signature,
+        string memory name
+    ) internal view returns (address) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest(voucher, name), signature); // 不因格式错误回滚
+        return error == ECDSA.RecoverError.NoError ? signer : address(0);
+    }
+}
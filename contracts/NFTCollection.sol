@@ -1,65 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
-
-// Chainlink 价格预言机接口
-interface AggregatorV3Interface {
-    function latestRoundData() external view returns (
-        uint80 roundId,
-        int256 answer,
-        uint256 startedAt,
-        uint256 updatedAt,
-        uint80 answeredInRound
-    );
-    function decimals() external view returns (uint8);
-}
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "./NFTCollectionBase.sol";
+import "./NFTCollectionAdmin.sol";
 
 /**
  * @title NFTCollection
  * @dev 简单的 ERC721 NFT 集合合约，支持通过预言机以 USDT 计价
+ * @dev 价格按美元计，可以支付原生代币（按预言机换算，多付的部分退还）或接受的 ERC-20 稳定币
+ * @dev 管理函数按角色授权，实现在 NFTCollectionAdmin 中，这里的同名函数通过 delegatecall 转发
+ * @dev 所有权两步转移，DEFAULT_ADMIN_ROLE 随所有权一起转移
  */
-contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
-    uint256 private _tokenIds; // 代币 ID 计数器
-
-    string private _baseTokenURI; // 用于计算 tokenURI 的基础 URI
-
-    mapping(uint256 => string) private _tokenURIs; // 代币 ID 到 URI 的映射
-
-    uint256 public maxSupply = 10000; // NFT 最大供应量
-
-    uint256 public mintPriceUSD = 1e18; // 铸造价格（1 USDT，18 位小数）
-
-    uint256 public maxMintPerTx = 10; // 每笔交易最多可铸造的 NFT 数量
-
-    AggregatorV3Interface public priceFeed; // BNB/USD 价格预言机
-
-    mapping(address => bool) public whitelisted; // 预售白名单
-    bool public whitelistEnabled = false; // 是否启用白名单
-
-    uint256 public presalePrice = 0.01 ether; // 预售价格
-    uint256 public publicSalePrice = 0.05 ether; // 公开销售价格
-
-    bool public saleActive = false; // 公开销售是否激活
-    bool public presaleActive = false; // 预售是否激活
-
-    uint256 public reservedSupply = 100; // 为团队/赠品保留的 NFT 数量
+contract NFTCollection is NFTCollectionBase, IERC2981 {
+    using PriceOracle for PriceOracle.Config;
+    using SaleSchedule for SaleSchedule.Schedule;
+    using DelayedReveal for DelayedReveal.Config;
+    using PaymentTokens for PaymentTokens.Config;
 
-    address payable public royaltyRecipient; // 版税接收地址
-    uint256 public royaltyBps = 250; // 版税基点（250 = 2.5%）
-
-    // 事件
-    event NFTMinted(address indexed to, uint256 indexed tokenId, string tokenURI); // NFT 铸造事件
-    event BaseTokenURIUpdated(string previousURI, string newURI); // 基础 URI 更新事件
-    event SaleStateChanged(bool saleActive, bool presaleActive); // 销售状态变更事件
-    event WhitelistStateChanged(bool enabled); // 白名单状态变更事件
-    event WhitelistUpdated(address[] indexed addresses, bool indexed whitelisted); // 白名单更新事件
-    event MaxSupplyUpdated(uint256 previousSupply, uint256 newSupply); // 最大供应量更新事件
-    event MintPriceUpdated(uint256 previousPrice, uint256 newPrice); // 铸造价格更新事件
-    event RoyaltyUpdated(address indexed recipient, uint256 bps); // 版税更新事件
+    address public immutable adminModule; // NFTCollectionAdmin 的地址（不可变量保存在代码中，不占用存储槽位）
 
     /**
      * @dev 构造函数，设置名称、符号和基础 URI
@@ -73,26 +34,32 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
         string memory symbol_,
         string memory baseTokenURI_,
         address priceFeedAddress_
-    ) ERC721(name_, symbol_) Ownable(msg.sender) { // 初始化 ERC721 和 Ownable
+    ) ERC721(name_, symbol_) Ownable(msg.sender) { // 初始化 ERC721 和 Ownable（同时授予部署者 DEFAULT_ADMIN_ROLE）
+        adminModule = address(new NFTCollectionAdmin()); // 部署管理函数的实现
+        _grantRole(MINTER_ROLE, msg.sender); // 部署者获得全部操作角色
+        _grantRole(SALE_MANAGER_ROLE, msg.sender);
+        _grantRole(METADATA_EDITOR_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
         _baseTokenURI = baseTokenURI_; // 设置基础 URI
         royaltyRecipient = payable(msg.sender); // 设置版税接收者为部署者
-        priceFeed = AggregatorV3Interface(priceFeedAddress_); // 设置价格预言机
+        oracleConfig.primaryFeed = AggregatorV3Interface(priceFeedAddress_); // 设置价格预言机
     }
 
     /**
-     * @dev 使用当前销售逻辑铸造新 NFT
+     * @dev 使用当前销售逻辑铸造新 NFT，多付的原生代币退还给调用者
      * @param to 接收 NFT 的地址
      * @param tokenURI_ NFT 元数据的 URI
-     * @return 新铸造的 NFT 的 ID
+     * @return tokenId 新铸造的 NFT 的 ID
      */
-    function mintNFT(address to, string memory tokenURI_) public payable returns (uint256) {
-        require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
+    function mintNFT(address to, string memory tokenURI_) public payable returns (uint256 tokenId) {
+        _checkSalePhase(1); // 检查销售状态和阶段上限
         require(totalSupply() + 1 <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
 
         uint256 price = getMintPrice(); // 获取当前铸造价格
         require(msg.value >= price, "Insufficient payment"); // 检查支付金额是否足够
 
-        return _mintNFT(to, tokenURI_); // 执行铸造
+        tokenId = _mintNFT(to, tokenURI_); // 执行铸造
+        _refundExcess(price); // 退还多付的部分
     }
 
     /**
@@ -107,43 +74,101 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
     }
 
     /**
-     * @dev 在一笔交易中铸造多个 NFT
+     * @dev 在一笔交易中铸造多个 NFT，多付的原生代币退还给调用者
      * @param to 接收 NFT 的地址
      * @param count 要铸造的 NFT 数量
      * @param tokenURIs NFT 元数据的 URI 数组
-     * @return 新铸造的 NFT 的 ID 数组
+     * @return newTokenIds 新铸造的 NFT 的 ID 数组
      */
-    function mintNFTs(address to, uint256 count, string[] memory tokenURIs) public payable returns (uint256[] memory) {
-        require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
-        require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
-        require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
-        require(tokenURIs.length == count, "URI count must match NFT count"); // 检查 URI 数量是否匹配
+    function mintNFTs(address to, uint256 count, string[] memory tokenURIs) public payable returns (uint256[] memory newTokenIds) {
+        _checkMintNFTs(count, tokenURIs.length); // 检查数量、销售状态和供应量
 
-        uint256 price = getMintPrice(); // 获取当前铸造价格
-        uint256 totalPrice = price * count; // 计算总价格
+        uint256 totalPrice = getMintPrice() * count; // 计算总价格
         require(msg.value >= totalPrice, "Insufficient payment"); // 检查支付金额是否足够
 
-        uint256[] memory newTokenIds = new uint256[](count); // 创建新代币 ID 数组
+        newTokenIds = _mintBatch(to, tokenURIs); // 执行铸造
+        _refundExcess(totalPrice); // 退还多付的部分
+    }
 
-        for (uint256 i = 0; i < count; i++) { // 循环铸造
+    /**
+     * @dev 使用接受的 ERC-20 稳定币铸造多个 NFT
+     * @dev 调用者需要事先授权本合约，或者在 permit 中提供 EIP-2612 授权签名，不需要单独的授权交易
+     * @dev 单个铸造时 count 传 1：NFTCollectionV2 的部署代码（包含管理模块）已接近 EIP-3860 的上限，
+     *      容纳不下单独的 mintNFTWithToken，两个合约保持相同的 ABI
+     * @param to 接收 NFT 的地址
+     * @param count 要铸造的 NFT 数量
+     * @param tokenURIs NFT 元数据的 URI 数组
+     * @param token 支付代币地址
+     * @param permit 调用者对本合约的授权签名，deadline 为 0 表示已经事先授权
+     * @return 新铸造的 NFT 的 ID 数组
+     */
+    function mintNFTsWithToken(
+        address to,
+        uint256 count,
+        string[] memory tokenURIs,
+        address token,
+        PaymentTokens.Permit calldata permit
+    ) external returns (uint256[] memory) {
+        _checkMintNFTs(count, tokenURIs.length); // 检查数量、销售状态和供应量
+        if (permit.deadline != 0) PaymentTokens.permit(token, msg.sender, permit); // 提交授权签名
+        _paymentTokens.collect(token, msg.sender, _getMintPriceUSD() * count); // 收取美元价格对应的代币
+        return _mintBatch(to, tokenURIs); // 执行铸造
+    }
+
+    /**
+     * @dev 批量铸造前的检查
+     */
+    function _checkMintNFTs(uint256 count, uint256 uriCount) private {
+        require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
+        _checkSalePhase(count); // 检查销售状态和阶段上限
+        require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
+        require(uriCount == count, "URI count must match NFT count"); // 检查 URI 数量是否匹配
+    }
+
+    /**
+     * @dev 按 URI 数组逐个铸造
+     */
+    function _mintBatch(address to, string[] memory tokenURIs) private returns (uint256[] memory newTokenIds) {
+        newTokenIds = new uint256[](tokenURIs.length); // 创建新代币 ID 数组
+        for (uint256 i = 0; i < tokenURIs.length; i++) { // 循环铸造
             newTokenIds[i] = _mintNFT(to, tokenURIs[i]); // 铸造每个 NFT
         }
-
-        return newTokenIds; // 返回新代币 ID 数组
     }
 
     /**
-     * @dev 返回代币总供应量
+     * @dev 退还超过应付金额的原生代币（在铸造之后调用，价格可能在交易确认前变化，调用者通常会多付）
      */
-    function totalSupply() public view returns (uint256) {
-        return _tokenIds; // 返回当前代币 ID 计数
+    function _refundExcess(uint256 price) private {
+        if (msg.value > price) {
+            (bool success, ) = msg.sender.call{value: msg.value - price}(""); // 退还多付的部分
+            require(success, "Refund failed"); // 确保退款成功
+        }
     }
 
     /**
-     * @dev 根据销售状态获取当前铸造价格（以 BNB 计价）
+     * @dev 根据当前销售阶段或销售状态获取当前铸造价格（以 BNB 计价）
      * @return 当前铸造价格（BNB 数量）
      */
     function getMintPrice() public view returns (uint256) {
+        return _convertUSDToBNB(_getMintPriceUSD()); // 将 USDT 价格转换为 BNB
+    }
+
+    /**
+     * @dev 获取当前铸造价格对应的支付代币数量
+     * @param token 支付代币地址，必须已被接受
+     * @return 代币数量（代币的小数位数）
+     */
+    function getMintPriceInToken(address token) external view returns (uint256) {
+        return _paymentTokens.quote(token, _getMintPriceUSD()); // 按代币小数位数换算
+    }
+
+    /**
+     * @dev 根据当前销售阶段或销售状态获取当前铸造价格（USDT，18 位小数）
+     */
+    function _getMintPriceUSD() private view returns (uint256) {
+        (bool phaseActive, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前销售阶段
+        if (phaseActive) return _saleSchedule.phases[phaseId].price; // 使用当前阶段的价格
+
         uint256 usdPrice; // USDT 价格
 
         if (presaleActive && whitelistEnabled && whitelisted[msg.sender]) { // 如果是预售且启用白名单且调用者在白名单中
@@ -154,34 +179,73 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
             usdPrice = mintPriceUSD; // 使用默认铸造价格（1 USDT）
         }
 
-        return _convertUSDToBNB(usdPrice); // 将 USDT 价格转换为 BNB
+        return usdPrice; // 返回 USDT 价格
     }
 
     /**
      * @dev 通过预言机将 USDT 价格转换为 BNB 数量
+     * @dev 预言机检查失败时使用备用预言机或备用价格，都不可用时以自定义错误回滚（见 PriceOracle）
      * @param usdAmount USDT 金额（18 位小数）
      * @return BNB 数量（18 位小数）
      */
     function _convertUSDToBNB(uint256 usdAmount) internal view returns (uint256) {
-        (, int256 price, , , ) = priceFeed.latestRoundData(); // 获取 BNB/USD 最新价格
-        require(price > 0, "Invalid price from oracle"); // 确保价格有效
-
-        uint8 decimals = priceFeed.decimals(); // 获取价格精度（通常是 8）
+        return oracleConfig.toNative(usdAmount); // BNB数量 = USDT金额 / BNB价格
+    }
 
-        // 计算公式: BNB数量 = USDT金额 / (BNB价格 / 10^decimals)
-        // 简化为: BNB数量 = (USDT金额 * 10^decimals) / BNB价格
-        uint256 bnbAmount = (usdAmount * (10 ** decimals)) / uint256(price);
+    /**
+     * @dev 返回主预言机地址
+     */
+    function priceFeed() external view returns (AggregatorV3Interface) {
+        return oracleConfig.primaryFeed; // 返回主预言机
+    }
 
-        return bnbAmount; // 返回需要支付的 BNB 数量
+    /**
+     * @dev 获取当前用于定价的 BNB/USD 价格
+     * @return price BNB 价格（18 位小数）
+     * @return source 价格来源（0 = 主预言机，1 = 备用预言机，2 = 备用价格）
+     */
+    function getOraclePrice() external view returns (uint256 price, PriceOracle.Source source) {
+        return oracleConfig.latestPrice(); // 返回价格和来源
     }
 
     /**
-     * @dev 设置价格预言机地址（仅所有者）
+     * @dev 设置价格预言机地址（仅 SALE_MANAGER_ROLE）
      * @param priceFeedAddress_ 新的价格预言机地址
      */
-    function setPriceFeed(address priceFeedAddress_) external onlyOwner {
+    function setPriceFeed(address priceFeedAddress_) external onlyRole(SALE_MANAGER_ROLE) {
         require(priceFeedAddress_ != address(0), "Invalid price feed address"); // 确保地址有效
-        priceFeed = AggregatorV3Interface(priceFeedAddress_); // 更新价格预言机
+        emit PriceFeedUpdated(address(oracleConfig.primaryFeed), priceFeedAddress_); // 触发主预言机更新事件
+        oracleConfig.primaryFeed = AggregatorV3Interface(priceFeedAddress_); // 更新价格预言机
+    }
+
+    /**
+     * @dev 设置备用预言机（仅 SALE_MANAGER_ROLE），主预言机检查失败时使用
+     * @param priceFeedAddress_ 备用预言机地址，零地址表示不使用
+     */
+    function setSecondaryPriceFeed(address priceFeedAddress_) external onlyRole(SALE_MANAGER_ROLE) {
+        emit SecondaryPriceFeedUpdated(address(oracleConfig.secondaryFeed), priceFeedAddress_); // 触发备用预言机更新事件
+        oracleConfig.secondaryFeed = AggregatorV3Interface(priceFeedAddress_); // 更新备用预言机
+    }
+
+    /**
+     * @dev 设置备用价格（仅 SALE_MANAGER_ROLE），所有预言机都不可用时使用
+     * @param price BNB 价格（18 位小数），0 表示不使用
+     */
+    function setFallbackPrice(uint256 price) external onlyRole(SALE_MANAGER_ROLE) {
+        emit FallbackPriceUpdated(oracleConfig.fallbackPrice, price); // 触发备用价格更新事件
+        oracleConfig.fallbackPrice = price; // 更新备用价格
+    }
+
+    /**
+     * @dev 设置预言机安全检查（仅 SALE_MANAGER_ROLE）
+     * @param heartbeat 价格最长有效时间（秒），0 表示不检查
+     * @param requireCompleteRound 是否要求 answeredInRound >= roundId
+     * @param minPrice BNB 价格下限（18 位小数），0 表示不检查
+     * @param maxPrice BNB 价格上限（18 位小数），0 表示不检查
+     */
+    function setOracleSafety(uint32 heartbeat, bool requireCompleteRound, uint256 minPrice, uint256 maxPrice) external onlyRole(SALE_MANAGER_ROLE) {
+        oracleConfig.setSafety(heartbeat, requireCompleteRound, minPrice, maxPrice); // 更新安全检查
+        emit OracleSafetyUpdated(heartbeat, requireCompleteRound, minPrice, maxPrice); // 触发安全检查更新事件
     }
 
     /**
@@ -193,92 +257,224 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
     }
 
     /**
-     * @dev 设置销售状态（仅所有者）
-     * @param _saleActive 公开销售是否激活
-     * @param _presaleActive 预售是否激活
+     * @dev 设置销售状态（仅 SALE_MANAGER_ROLE）
      */
-    function setSaleState(bool _saleActive, bool _presaleActive) public onlyOwner {
-        saleActive = _saleActive; // 设置公开销售状态
-        presaleActive = _presaleActive; // 设置预售状态
-        emit SaleStateChanged(_saleActive, _presaleActive); // 触发销售状态变更事件
+    function setSaleState(bool, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
-     * @dev 设置白名单状态（仅所有者）
-     * @param enabled 是否启用白名单
+     * @dev 设置分阶段销售计划（仅 SALE_MANAGER_ROLE），替换全部阶段，已铸造数量重新计数
      */
-    function setWhitelistEnabled(bool enabled) public onlyOwner {
-        whitelistEnabled = enabled; // 设置白名单启用状态
-        emit WhitelistStateChanged(enabled); // 触发白名单状态变更事件
+    function setSalePhases(SaleSchedule.Phase[] calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
-     * @dev 添加地址到白名单（仅所有者）
-     * @param addresses 要加入白名单的地址数组
-     * @param _whitelisted 是否添加到白名单或从白名单移除
+     * @dev 获取全部销售阶段
      */
-    function updateWhitelist(address[] memory addresses, bool _whitelisted) public onlyOwner {
-        for (uint256 i = 0; i < addresses.length; i++) { // 循环处理每个地址
-            whitelisted[addresses[i]] = _whitelisted; // 更新白名单状态
+    function getSalePhases() external view returns (SaleSchedule.Phase[] memory) {
+        return _saleSchedule.phases; // 返回全部阶段
+    }
+
+    /**
+     * @dev 获取当前激活的销售阶段
+     * @return active 是否有激活的阶段
+     * @return phaseId 阶段序号
+     * @return phase 阶段配置
+     */
+    function currentSalePhase() external view returns (bool active, uint256 phaseId, SaleSchedule.Phase memory phase) {
+        (active, phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        if (active) phase = _saleSchedule.phases[phaseId]; // 返回阶段配置
+    }
+
+    /**
+     * @dev 获取阶段已铸造数量
+     * @param phaseId 阶段序号
+     */
+    function phaseMinted(uint256 phaseId) external view returns (uint256) {
+        return _saleSchedule.phaseMinted[_saleSchedule.generation][phaseId]; // 返回当前计划中阶段已铸造数量
+    }
+
+    /**
+     * @dev 获取钱包在阶段中已铸造的数量
+     * @param phaseId 阶段序号
+     * @param wallet 钱包地址
+     */
+    function phaseMintedBy(uint256 phaseId, address wallet) external view returns (uint256) {
+        return _saleSchedule.walletMinted[_saleSchedule.generation][phaseId][wallet]; // 返回当前计划中钱包已铸造数量
+    }
+
+    /**
+     * @dev 检查 mintNFT/mintNFTs 的销售状态
+     * @dev 配置了销售计划时要求有激活的阶段，白名单阶段只允许 whitelisted 地址，并检查记录阶段上限
+     * @param count 铸造数量
+     */
+    function _checkSalePhase(uint256 count) private {
+        if (!_saleSchedule.isScheduled()) { // 未配置销售计划，使用销售开关
+            require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
+            return;
         }
-        emit WhitelistUpdated(addresses, _whitelisted); // 触发白名单更新事件
+
+        (bool active, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        require(active, "No active sale phase"); // 要求有激活的阶段
+        require(!_saleSchedule.phases[phaseId].allowlistRequired || whitelisted[msg.sender], "Not on allowlist"); // 白名单阶段只允许白名单地址
+        _saleSchedule.recordMint(phaseId, msg.sender, count); // 检查并记录阶段上限
     }
 
     /**
-     * @dev 设置最大供应量（仅所有者）
-     * @param _maxSupply 新的最大供应量
+     * @dev 检查 presaleMint 的销售状态
+     * @dev 配置了销售计划时只能在要求白名单的阶段使用 Merkle 证明铸造，并检查记录阶段上限
+     * @param count 铸造数量
      */
-    function setMaxSupply(uint256 _maxSupply) public onlyOwner {
-        require(_maxSupply >= totalSupply(), "Cannot set below current supply"); // 确保不低于当前供应量
-        uint256 previousSupply = maxSupply; // 保存旧的最大供应量
-        maxSupply = _maxSupply; // 设置新的最大供应量
-        emit MaxSupplyUpdated(previousSupply, _maxSupply); // 触发最大供应量更新事件
+    function _checkPresalePhase(uint256 count) private {
+        if (!_saleSchedule.isScheduled()) { // 未配置销售计划，使用预售开关
+            require(presaleActive, "Presale is not active"); // 要求预售激活
+            return;
+        }
+
+        (bool active, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        require(active, "No active sale phase"); // 要求有激活的阶段
+        require(_saleSchedule.phases[phaseId].allowlistRequired, "Phase does not use allowlist"); // 只能在白名单阶段使用
+        _saleSchedule.recordMint(phaseId, msg.sender, count); // 检查并记录阶段上限
     }
 
     /**
-     * @dev 设置铸造价格（仅所有者，以 USDT 计价）
-     * @param _presalePrice 新的预售价格（USDT）
-     * @param _publicSalePrice 新的公开销售价格（USDT）
+     * @dev 设置白名单状态（仅 SALE_MANAGER_ROLE）
      */
-    function setMintPrices(uint256 _presalePrice, uint256 _publicSalePrice) public onlyOwner {
-        uint256 previousPresalePrice = presalePrice; // 保存旧的预售价格
-        uint256 previousPublicPrice = publicSalePrice; // 保存旧的公开销售价格
-        presalePrice = _presalePrice; // 设置新的预售价格（USDT）
-        publicSalePrice = _publicSalePrice; // 设置新的公开销售价格（USDT）
-        emit MintPriceUpdated(previousPresalePrice, _presalePrice); // 触发预售价格更新事件
-        emit MintPriceUpdated(previousPublicPrice, _publicSalePrice); // 触发公开销售价格更新事件
+    function setWhitelistEnabled(bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
-     * @dev 设置版税配置（仅所有者）
-     * @param recipient 版税接收地址
-     * @param bps 版税基点
+     * @dev 添加地址到白名单（仅 SALE_MANAGER_ROLE）
      */
-    function setRoyalty(address payable recipient, uint256 bps) public onlyOwner {
-        require(bps <= 1000, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
-        royaltyRecipient = recipient; // 设置版税接收者
-        royaltyBps = bps; // 设置版税基点
-        emit RoyaltyUpdated(recipient, bps); // 触发版税更新事件
+    function updateWhitelist(address[] calldata, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
-     * @dev 为团队/赠品保留铸造（仅所有者）
+     * @dev 通过 Merkle 白名单在预售阶段铸造，配额按调用者地址累计，多付的原生代币退还给调用者
+     * @param to 接收 NFT 的地址
+     * @param quota 调用者在白名单中的配额
+     * @param proof 调用者的 Merkle 证明
+     * @param tokenURIs NFT 元数据的 URI 数组
+     * @return newTokenIds 新铸造的 NFT 的 ID 数组
+     */
+    function presaleMint(
+        address to,
+        uint256 quota,
+        bytes32[] calldata proof,
+        string[] memory tokenURIs
+    ) public payable returns (uint256[] memory newTokenIds) {
+        uint256 count = tokenURIs.length; // 铸造数量
+        _checkPresalePhase(count); // 检查预售状态和阶段上限
+        require(count > 0, "Must mint at least one NFT"); // 至少铸造一个
+        require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
+        require(isAllowlisted(msg.sender, quota, proof), "Invalid merkle proof"); // 校验白名单证明
+        require(presaleMinted[msg.sender] + count <= quota, "Exceeds allowlist quota"); // 检查是否超过配额
+        require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
+        uint256 totalPrice = getPresaleMintPrice() * count; // 计算总价格
+        require(msg.value >= totalPrice, "Insufficient payment"); // 检查支付金额是否足够
+
+        presaleMinted[msg.sender] += count; // 记录已铸造数量
+
+        newTokenIds = _mintBatch(to, tokenURIs); // 执行铸造
+        _refundExcess(totalPrice); // 退还多付的部分
+    }
+
+    /**
+     * @dev 校验地址和配额是否在 Merkle 白名单中
+     * @param account 白名单地址
+     * @param quota 白名单中的配额
+     * @param proof Merkle 证明
+     * @return 证明是否有效
+     */
+    function isAllowlisted(address account, uint256 quota, bytes32[] calldata proof) public view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, quota)))); // 双重哈希，防止第二原像攻击
+        return MerkleProof.verifyCalldata(proof, merkleRoot, leaf); // 校验证明
+    }
+
+    /**
+     * @dev 获取 Merkle 白名单预售的单价
+     * @return 预售单价（BNB 数量）
+     */
+    function getPresaleMintPrice() public view returns (uint256) {
+        (bool phaseActive, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前销售阶段
+        if (phaseActive) return _convertUSDToBNB(_saleSchedule.phases[phaseId].price); // 使用当前阶段的价格
+
+        return _convertUSDToBNB(presalePrice); // 返回预售单价
+    }
+
+    /**
+     * @dev 设置 Merkle 白名单的根（仅 SALE_MANAGER_ROLE）
+     */
+    function setMerkleRoot(bytes32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置最大供应量（仅 SALE_MANAGER_ROLE）
+     */
+    function setMaxSupply(uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置铸造价格（仅 SALE_MANAGER_ROLE，以 USDT 计价）
+     */
+    function setMintPrices(uint256, uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置版税配置（仅 TREASURER_ROLE）
+     */
+    function setRoyalty(address payable, uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 为团队/赠品保留铸造（仅 MINTER_ROLE）
      * @param to 接收 NFT 的地址
      * @param tokenURI_ NFT 元数据的 URI
      * @return 新铸造的 NFT 的 ID
      */
-    function reservedMint(address to, string memory tokenURI_) public onlyOwner returns (uint256) {
+    function reservedMint(address to, string memory tokenURI_) public onlyRole(MINTER_ROLE) returns (uint256) {
         require(totalSupply() < maxSupply, "Maximum supply reached"); // 确保未达到最大供应量
         return _mintNFT(to, tokenURI_); // 执行铸造
     }
 
     /**
-     * @dev 为团队/赠品批量保留铸造（仅所有者）
+     * @dev 为团队/赠品保留铸造，并为该代币单独设置版税（仅 MINTER_ROLE）
+     * @param to 接收 NFT 的地址
+     * @param tokenURI_ NFT 元数据的 URI
+     * @param receiver 该代币的版税接收地址
+     * @param bps 该代币的版税基点，不超过 MAX_ROYALTY_BPS
+     * @return 新铸造的 NFT 的 ID
+     */
+    function reservedMintWithRoyalty(
+        address to,
+        string memory tokenURI_,
+        address receiver,
+        uint96 bps
+    ) public onlyRole(MINTER_ROLE) returns (uint256) {
+        require(receiver != address(0), "Invalid royalty receiver"); // 接收地址不能是零地址
+        require(bps <= MAX_ROYALTY_BPS, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
+
+        uint256 tokenId = reservedMint(to, tokenURI_); // 执行铸造
+        _tokenRoyalties[tokenId] = TokenRoyalty(receiver, bps); // 设置代币版税
+        emit TokenRoyaltySet(tokenId, receiver, bps); // 触发代币版税设置事件
+        return tokenId; // 返回新代币 ID
+    }
+
+    /**
+     * @dev 为团队/赠品批量保留铸造（仅 MINTER_ROLE）
      * @param to 接收 NFT 的地址
      * @param tokenURIs NFT 元数据的 URI 数组
      * @return 新铸造的 NFT 的 ID 数组
      */
-    function reservedMintBatch(address to, string[] memory tokenURIs) public onlyOwner returns (uint256[] memory) {
+    function reservedMintBatch(address to, string[] memory tokenURIs) public onlyRole(MINTER_ROLE) returns (uint256[] memory) {
         require(totalSupply() + tokenURIs.length <= maxSupply, "Exceeds maximum supply"); // 确保不超过最大供应量
 
         uint256[] memory newTokenIds = new uint256[](tokenURIs.length); // 创建新代币 ID 数组
@@ -291,26 +487,86 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
     }
 
     /**
-     * @dev 返回代币的版税信息（EIP-2981）
+     * @dev 返回代币的版税信息（EIP-2981），单独设置了版税的代币使用自己的版税
      * @param tokenId 要获取版税信息的代币 ID
      * @param salePrice 代币的销售价格
      * @return receiver 接收版税的地址
      * @return royaltyAmount 要接收的版税金额
      */
-    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount) {
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view override returns (address receiver, uint256 royaltyAmount) {
         require(ownerOf(tokenId) != address(0), "URI query for nonexistent token"); // 确保代币存在
+        TokenRoyalty memory royalty = _tokenRoyalties[tokenId]; // 代币单独设置的版税
+        if (royalty.receiver != address(0)) { // 使用代币自己的版税
+            return (royalty.receiver, (salePrice * royalty.bps) / 10000);
+        }
+
         receiver = royaltyRecipient; // 返回版税接收者
         royaltyAmount = (salePrice * royaltyBps) / 10000; // 计算版税金额
     }
 
     /**
-     * @dev 设置用于计算 tokenURI 的基础 URI
-     * @param baseTokenURI_ 新的基础 URI
+     * @dev 提交来源证明（仅 METADATA_EDITOR_ROLE），启用延迟揭示，必须在第一次铸造之前提交
+     */
+    function setProvenanceHash(bytes32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置揭示前所有代币共用的占位 URI（仅 METADATA_EDITOR_ROLE）
      */
-    function setBaseTokenURI(string memory baseTokenURI_) public onlyOwner {
-        string memory previousURI = _baseTokenURI; // 保存旧的基础 URI
-        _baseTokenURI = baseTokenURI_; // 设置新的基础 URI
-        emit BaseTokenURIUpdated(previousURI, baseTokenURI_); // 触发基础 URI 更新事件
+    function setPlaceholderURI(string calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 请求揭示（仅 METADATA_EDITOR_ROLE），承诺下一个区块的哈希作为随机源
+     */
+    function reveal() external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 完成揭示（任何人），用承诺区块的哈希生成起始偏移量，只能执行一次
+     */
+    function finalizeReveal() external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 永久冻结元数据（仅 METADATA_EDITOR_ROLE），之后不能再修改基础 URI、占位 URI、代币 URI、渲染器和代币属性
+     */
+    function freezeMetadata() external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置链上元数据渲染器（仅 METADATA_EDITOR_ROLE），设置后 tokenURI 由渲染器根据代币属性生成
+     */
+    function setRenderer(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置代币属性（仅 METADATA_EDITOR_ROLE），覆盖该代币原有的全部属性
+     */
+    function setTokenTraits(uint256, string[] calldata, string[] calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 获取代币属性
+     * @param tokenId 代币的 ID
+     * @return 代币属性数组
+     */
+    function getTokenTraits(uint256 tokenId) external view returns (ITokenRenderer.Trait[] memory) {
+        return _tokenTraits[tokenId]; // 返回代币属性
+    }
+
+    /**
+     * @dev 设置用于计算 tokenURI 的基础 URI（仅 METADATA_EDITOR_ROLE）
+     */
+    function setBaseTokenURI(string calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
@@ -320,28 +576,68 @@ contract NFTCollection is ERC721, ERC721URIStorage, Ownable {
      */
     function setTokenURI(uint256 tokenId, string memory tokenURI_) public {
         require(ownerOf(tokenId) != address(0), "URI set of nonexistent token"); // 确保代币存在
-        require(ownerOf(tokenId) == msg.sender || msg.sender == owner(), "Not owner or approved"); // 确保是所有者或已授权
+        require(ownerOf(tokenId) == msg.sender || hasRole(METADATA_EDITOR_ROLE, msg.sender), "Not owner or approved"); // 确保是代币持有者或元数据编辑者
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
         _setTokenURI(tokenId, tokenURI_); // 设置代币 URI
     }
 
     /**
-     * @dev 返回给定代币 ID 的 URI
-     * @param tokenId 代币的 ID
-     * @return 代币的 URI
+     * @dev 设置提款接收地址（仅 TREASURER_ROLE），例如 PaymentSplitter
+     */
+    function setPayoutRecipient(address payable) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 接受或停用 ERC-20 稳定币支付（仅 TREASURER_ROLE），稳定币按 1 美元计价
      */
-    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
-        return super.tokenURI(tokenId); // 返回代币 URI
+    function setPaymentToken(address, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
     }
 
     /**
-     * @dev 将合约余额提取给所有者
+     * @dev 返回配置过的全部支付代币（包括已停用的）
      */
-    function withdraw() public onlyOwner {
-        uint256 balance = address(this).balance; // 获取合约余额
-        payable(owner()).transfer(balance); // 转账给所有者
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokens.tokenList; // 返回代币列表
     }
 
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage) returns (bool) {
-        return super.supportsInterface(interfaceId); // 检查是否支持接口
+    /**
+     * @dev 将合约的原生代币余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE）
+     */
+    function withdraw() external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 将一种支付代币的全部余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE）
+     */
+    function withdrawToken(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    /**
+     * @dev 设置角色的管理角色（仅 DEFAULT_ADMIN_ROLE），例如让 SALE_MANAGER_ROLE 管理 MINTER_ROLE
+     */
+    function setRoleAdmin(bytes32, bytes32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionAdmin
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(NFTCollectionBase, IERC165) returns (bool) {
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId); // 检查是否支持接口（包括 EIP-2981）
+    }
+
+    /**
+     * @dev 把当前调用 delegatecall 到管理模块，透传返回数据和回滚原因
+     */
+    function _delegate(address module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize()) // 将调用数据复制到内存
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0) // 执行 delegatecall
+            returndatacopy(0, 0, returndatasize()) // 将返回数据复制到内存
+            switch result // 检查 delegatecall 是否成功
+            case 0 { revert(0, returndatasize()) } // 失败则回滚
+            default { return(0, returndatasize()) } // 成功则返回数据
+        }
     }
 }
@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./NFTCollectionBase.sol";
+
+/**
+ * @title NFTCollectionAdmin
+ * @dev NFTCollection 的管理函数，按角色授权（见 NFTCollectionBase 中的角色定义）
+ * @dev 由 NFTCollection 的构造函数部署，NFTCollection 中同名的函数把调用 delegatecall 到这里，
+ *      管理函数的代码因此不计入 NFTCollection 的 24KB 合约大小限制
+ * @dev 只应通过 NFTCollection 调用；直接调用时读写的是本合约自己的存储，没有任何角色成员，管理函数都会回滚
+ */
+contract NFTCollectionAdmin is NFTCollectionBase {
+    using SaleSchedule for SaleSchedule.Schedule;
+    using DelayedReveal for DelayedReveal.Config;
+    using PaymentTokens for PaymentTokens.Config;
+
+    constructor() ERC721("", "") Ownable(msg.sender) {
+        _transferOwnership(address(0)); // 本合约只提供代码，自身不保留所有者和角色
+    }
+
+    /**
+     * @dev 设置销售状态（仅 SALE_MANAGER_ROLE）
+     * @param _saleActive 公开销售是否激活
+     * @param _presaleActive 预售是否激活
+     */
+    function setSaleState(bool _saleActive, bool _presaleActive) public onlyRole(SALE_MANAGER_ROLE) {
+        saleActive = _saleActive; // 设置公开销售状态
+        presaleActive = _presaleActive; // 设置预售状态
+        emit SaleStateChanged(_saleActive, _presaleActive); // 触发销售状态变更事件
+    }
+
+    /**
+     * @dev 设置分阶段销售计划（仅 SALE_MANAGER_ROLE），替换全部阶段，已铸造数量重新计数
+     * @dev 配置后铸造只看当前阶段，saleActive/presaleActive 不再生效；传入空数组恢复使用销售开关
+     * @param phases 按时间排序且互不重叠的阶段
+     */
+    function setSalePhases(SaleSchedule.Phase[] calldata phases) public onlyRole(SALE_MANAGER_ROLE) {
+        _saleSchedule.setPhases(phases); // 替换销售计划
+        emit SalePhasesUpdated(phases.length); // 触发销售计划更新事件
+    }
+
+    /**
+     * @dev 设置白名单状态（仅 SALE_MANAGER_ROLE）
+     * @param enabled 是否启用白名单
+     */
+    function setWhitelistEnabled(bool enabled) public onlyRole(SALE_MANAGER_ROLE) {
+        whitelistEnabled = enabled; // 设置白名单启用状态
+        emit WhitelistStateChanged(enabled); // 触发白名单状态变更事件
+    }
+
+    /**
+     * @dev 添加地址到白名单（仅 SALE_MANAGER_ROLE）
+     * @param addresses 要加入白名单的地址数组
+     * @param _whitelisted 是否添加到白名单或从白名单移除
+     */
+    function updateWhitelist(address[] memory addresses, bool _whitelisted) public onlyRole(SALE_MANAGER_ROLE) {
+        for (uint256 i = 0; i < addresses.length; i++) { // 循环处理每个地址
+            whitelisted[addresses[i]] = _whitelisted; // 更新白名单状态
+        }
+        emit WhitelistUpdated(addresses, _whitelisted); // 触发白名单更新事件
+    }
+
+    /**
+     * @dev 设置 Merkle 白名单的根（仅 SALE_MANAGER_ROLE）
+     * @dev 已铸造数量按地址记录，更换根后不会清零
+     * @param root 新的 Merkle 根
+     */
+    function setMerkleRoot(bytes32 root) public onlyRole(SALE_MANAGER_ROLE) {
+        emit MerkleRootUpdated(merkleRoot, root); // 触发 Merkle 根更新事件
+        merkleRoot = root; // 设置新的 Merkle 根
+    }
+
+    /**
+     * @dev 设置最大供应量（仅 SALE_MANAGER_ROLE）
+     * @param _maxSupply 新的最大供应量
+     */
+    function setMaxSupply(uint256 _maxSupply) public onlyRole(SALE_MANAGER_ROLE) {
+        require(_maxSupply >= totalSupply(), "Cannot set below current supply"); // 确保不低于当前供应量
+        require(!revealConfig.isEnabled(), "Provenance already committed"); // 来源证明按最大供应量计算偏移量，提交后不能修改
+        uint256 previousSupply = maxSupply; // 保存旧的最大供应量
+        maxSupply = _maxSupply; // 设置新的最大供应量
+        emit MaxSupplyUpdated(previousSupply, _maxSupply); // 触发最大供应量更新事件
+    }
+
+    /**
+     * @dev 设置铸造价格（仅 SALE_MANAGER_ROLE，以 USDT 计价）
+     * @param _presalePrice 新的预售价格（USDT）
+     * @param _publicSalePrice 新的公开销售价格（USDT）
+     */
+    function setMintPrices(uint256 _presalePrice, uint256 _publicSalePrice) public onlyRole(SALE_MANAGER_ROLE) {
+        uint256 previousPresalePrice = presalePrice; // 保存旧的预售价格
+        uint256 previousPublicPrice = publicSalePrice; // 保存旧的公开销售价格
+        presalePrice = _presalePrice; // 设置新的预售价格（USDT）
+        publicSalePrice = _publicSalePrice; // 设置新的公开销售价格（USDT）
+        emit MintPriceUpdated(previousPresalePrice, _presalePrice); // 触发预售价格更新事件
+        emit MintPriceUpdated(previousPublicPrice, _publicSalePrice); // 触发公开销售价格更新事件
+    }
+
+    /**
+     * @dev 设置版税配置（仅 TREASURER_ROLE）
+     * @param recipient 版税接收地址
+     * @param bps 版税基点
+     */
+    function setRoyalty(address payable recipient, uint256 bps) public onlyRole(TREASURER_ROLE) {
+        require(bps <= MAX_ROYALTY_BPS, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
+        royaltyRecipient = recipient; // 设置版税接收者
+        royaltyBps = bps; // 设置版税基点
+        emit RoyaltyUpdated(recipient, bps); // 触发版税更新事件
+    }
+
+    /**
+     * @dev 提交来源证明（仅 METADATA_EDITOR_ROLE），启用延迟揭示，必须在第一次铸造之前提交
+     * @dev 启用后揭示前所有代币返回占位 URI，揭示后 tokenURI 为基础 URI + 元数据文件序号
+     * @param provenanceHash 全部元数据文件的来源证明
+     */
+    function setProvenanceHash(bytes32 provenanceHash) public onlyRole(METADATA_EDITOR_ROLE) {
+        require(totalSupply() == 0, "Sale already started"); // 销售开始前提交
+        revealConfig.commit(provenanceHash); // 保存来源证明
+        emit ProvenanceHashSet(provenanceHash); // 触发来源证明提交事件
+    }
+
+    /**
+     * @dev 设置揭示前所有代币共用的占位 URI（仅 METADATA_EDITOR_ROLE）
+     * @param placeholderURI 占位 URI
+     */
+    function setPlaceholderURI(string memory placeholderURI) public onlyRole(METADATA_EDITOR_ROLE) {
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+        revealConfig.placeholderURI = placeholderURI; // 设置占位 URI
+        emit PlaceholderURIUpdated(placeholderURI); // 触发占位 URI 更新事件
+    }
+
+    /**
+     * @dev 请求揭示（仅 METADATA_EDITOR_ROLE），承诺下一个区块的哈希作为随机源，之后任何人都可以调用 finalizeReveal
+     */
+    function reveal() public onlyRole(METADATA_EDITOR_ROLE) {
+        emit RevealRequested(revealConfig.requestReveal()); // 触发揭示请求事件
+    }
+
+    /**
+     * @dev 完成揭示（任何人），用承诺区块的哈希生成起始偏移量，只能执行一次
+     */
+    function finalizeReveal() public {
+        uint256 startingIndex = revealConfig.reveal(maxSupply); // 生成起始偏移量
+        emit Revealed(startingIndex); // 触发揭示事件
+        emit BatchMetadataUpdate(1, maxSupply); // 通知市场刷新全部元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 永久冻结元数据（仅 METADATA_EDITOR_ROLE），之后不能再修改基础 URI、占位 URI、代币 URI、渲染器和代币属性
+     */
+    function freezeMetadata() public onlyRole(METADATA_EDITOR_ROLE) {
+        revealConfig.freeze(); // 启用延迟揭示时要求已揭示，且未冻结
+        emit MetadataFrozen(); // 触发元数据冻结事件
+    }
+
+    /**
+     * @dev 设置链上元数据渲染器（仅 METADATA_EDITOR_ROLE），设置后 tokenURI 由渲染器根据代币属性生成
+     * @param renderer_ 渲染器地址，零地址表示恢复使用基础 URI
+     */
+    function setRenderer(address renderer_) public onlyRole(METADATA_EDITOR_ROLE) {
+        revealConfig.requireNotFrozen(); // 冻结后不能更换
+        emit RendererUpdated(address(renderer), renderer_); // 触发渲染器更新事件
+        renderer = ITokenRenderer(renderer_); // 设置渲染器
+        emit BatchMetadataUpdate(1, maxSupply); // 通知市场刷新全部元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 设置代币属性（仅 METADATA_EDITOR_ROLE），覆盖该代币原有的全部属性
+     * @param tokenId 代币的 ID
+     * @param traitTypes 属性名称数组
+     * @param values 对应的属性值数组
+     */
+    function setTokenTraits(uint256 tokenId, string[] memory traitTypes, string[] memory values) public onlyRole(METADATA_EDITOR_ROLE) {
+        _requireOwned(tokenId); // 确保代币存在
+        require(traitTypes.length == values.length, "Traits length mismatch"); // 数组长度必须一致
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+
+        delete _tokenTraits[tokenId]; // 清除原有属性
+        for (uint256 i = 0; i < traitTypes.length; i++) { // 逐个保存属性
+            _tokenTraits[tokenId].push(ITokenRenderer.Trait(traitTypes[i], values[i]));
+        }
+        emit MetadataUpdate(tokenId); // 通知市场刷新该代币的元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 设置用于计算 tokenURI 的基础 URI（仅 METADATA_EDITOR_ROLE）
+     * @param baseTokenURI_ 新的基础 URI
+     */
+    function setBaseTokenURI(string memory baseTokenURI_) public onlyRole(METADATA_EDITOR_ROLE) {
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+        string memory previousURI = _baseTokenURI; // 保存旧的基础 URI
+        _baseTokenURI = baseTokenURI_; // 设置新的基础 URI
+        emit BaseTokenURIUpdated(previousURI, baseTokenURI_); // 触发基础 URI 更新事件
+    }
+
+    /**
+     * @dev 设置提款接收地址（仅 TREASURER_ROLE），例如 PaymentSplitter
+     * @param recipient 提款接收地址，零地址表示所有者
+     */
+    function setPayoutRecipient(address payable recipient) public onlyRole(TREASURER_ROLE) {
+        emit PayoutRecipientUpdated(payoutRecipient, recipient); // 触发提款接收地址更新事件
+        payoutRecipient = recipient; // 设置提款接收地址
+    }
+
+    /**
+     * @dev 接受或停用 ERC-20 稳定币支付（仅 TREASURER_ROLE），稳定币按 1 美元计价
+     * @param token 代币地址
+     * @param accepted 是否接受支付，停用后余额仍可提取
+     */
+    function setPaymentToken(address token, bool accepted) external onlyRole(TREASURER_ROLE) {
+        uint8 decimals = _paymentTokens.setToken(token, accepted); // 保存配置，小数位数从代币读取
+        emit PaymentTokenUpdated(token, accepted, decimals); // 触发支付代币更新事件
+    }
+
+    /**
+     * @dev 将合约的原生代币余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE），支付代币由 withdrawToken 提取
+     */
+    function withdraw() public onlyRole(TREASURER_ROLE) {
+        (bool success, ) = _payoutRecipient().call{value: address(this).balance}(""); // 转账给提款接收地址
+        require(success, "Withdraw failed"); // 确保转账成功
+    }
+
+    /**
+     * @dev 将一种支付代币的全部余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE）
+     * @param token 支付代币地址，可以是已停用的代币
+     */
+    function withdrawToken(address token) public onlyRole(TREASURER_ROLE) {
+        address recipient = _payoutRecipient(); // 提款接收地址
+        uint256 amount = _paymentTokens.withdraw(token, recipient); // 转出代币余额
+        emit PaymentTokenWithdrawn(token, recipient, amount); // 触发支付代币提取事件
+    }
+
+    /**
+     * @dev 设置角色的管理角色（仅 DEFAULT_ADMIN_ROLE），例如让 SALE_MANAGER_ROLE 管理 MINTER_ROLE
+     * @param role 角色
+     * @param adminRole 新的管理角色
+     */
+    function setRoleAdmin(bytes32 role, bytes32 adminRole) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRoleAdmin(role, adminRole); // 设置管理角色
+    }
+
+    /**
+     * @dev 提款接收地址，未设置时为所有者
+     */
+    function _payoutRecipient() private view returns (address) {
+        return payoutRecipient == address(0) ? owner() : payoutRecipient; // 未设置时转给所有者
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./PriceOracle.sol";
+import "./SaleSchedule.sol";
+import "./DelayedReveal.sol";
+import "./ITokenRenderer.sol";
+import "./PaymentTokens.sol";
+
+/**
+ * @title NFTCollectionBase
+ * @dev NFTCollection 与 NFTCollectionAdmin 共用的存储布局、角色、事件和内部函数
+ * @dev 两个合约都通过继承本合约获得完全相同的存储布局，NFTCollection 把管理函数
+ *      delegatecall 到 NFTCollectionAdmin 时，管理函数读写的就是 NFTCollection 的存储
+ * @dev 所有权两步转移，DEFAULT_ADMIN_ROLE 随所有权一起转移
+ */
+abstract contract NFTCollectionBase is ERC721, ERC721URIStorage, Ownable2Step, AccessControl {
+    using DelayedReveal for DelayedReveal.Config;
+
+    uint256 internal _tokenIds; // 代币 ID 计数器
+
+    string internal _baseTokenURI; // 用于计算 tokenURI 的基础 URI
+
+    mapping(uint256 => string) private _tokenURIs; // 代币 ID 到 URI 的映射
+
+    uint256 public maxSupply = 10000; // NFT 最大供应量
+
+    uint256 public mintPriceUSD = 1e18; // 铸造价格（1 USDT，18 位小数）
+
+    uint256 public maxMintPerTx = 10; // 每笔交易最多可铸造的 NFT 数量
+
+    PriceOracle.Config public oracleConfig; // BNB/USD 价格预言机及安全检查配置
+
+    mapping(address => bool) public whitelisted; // 预售白名单
+    bool public whitelistEnabled = false; // 是否启用白名单
+    bytes32 public merkleRoot; // Merkle 预售白名单的根，叶子为 (地址, 配额)
+    mapping(address => uint256) public presaleMinted; // 每个地址通过 Merkle 白名单已铸造的数量
+
+    uint256 public presalePrice = 0.01 ether; // 预售价格
+    uint256 public publicSalePrice = 0.05 ether; // 公开销售价格
+
+    bool public saleActive = false; // 公开销售是否激活
+    bool public presaleActive = false; // 预售是否激活
+
+    SaleSchedule.Schedule internal _saleSchedule; // 分阶段销售计划（配置后取代销售开关）
+
+    uint256 public reservedSupply = 100; // 为团队/赠品保留的 NFT 数量
+
+    address payable public royaltyRecipient; // 版税接收地址
+    uint256 public royaltyBps = 250; // 版税基点（250 = 2.5%）
+    uint256 public constant MAX_ROYALTY_BPS = 1000; // 版税上限（10%）
+
+    // 角色，管理角色默认为 DEFAULT_ADMIN_ROLE（由所有者持有）
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE"); // 保留铸造
+    bytes32 public constant SALE_MANAGER_ROLE = keccak256("SALE_MANAGER_ROLE"); // 销售状态、阶段、白名单、价格和预言机
+    bytes32 public constant METADATA_EDITOR_ROLE = keccak256("METADATA_EDITOR_ROLE"); // 基础 URI、代币 URI、延迟揭示、渲染器和代币属性
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // 版税、提款接收地址和提款
+
+    /**
+     * @dev 单个代币的版税（覆盖默认版税）
+     */
+    struct TokenRoyalty {
+        address receiver; // 版税接收地址
+        uint96 bps; // 版税基点
+    }
+
+    mapping(uint256 => TokenRoyalty) internal _tokenRoyalties; // 代币 ID => 单独设置的版税
+    address payable public payoutRecipient; // 提款接收地址（零地址表示所有者），可以是 PaymentSplitter
+
+    DelayedReveal.Config public revealConfig; // 延迟揭示配置（来源证明、起始偏移量、占位 URI）
+
+    ITokenRenderer public renderer; // 链上元数据渲染器（零地址表示使用基础 URI）
+    mapping(uint256 => ITokenRenderer.Trait[]) internal _tokenTraits; // 代币 ID => 代币属性，由渲染器生成元数据
+
+    PaymentTokens.Config internal _paymentTokens; // 接受的 ERC-20 稳定币
+
+    // 事件
+    event NFTMinted(address indexed to, uint256 indexed tokenId, string tokenURI); // NFT 铸造事件
+    event BaseTokenURIUpdated(string previousURI, string newURI); // 基础 URI 更新事件
+    event SaleStateChanged(bool saleActive, bool presaleActive); // 销售状态变更事件
+    event SalePhasesUpdated(uint256 phaseCount); // 销售计划更新事件
+    event WhitelistStateChanged(bool enabled); // 白名单状态变更事件
+    event WhitelistUpdated(address[] indexed addresses, bool indexed whitelisted); // 白名单更新事件
+    event MerkleRootUpdated(bytes32 previousRoot, bytes32 newRoot); // Merkle 根更新事件
+    event MaxSupplyUpdated(uint256 previousSupply, uint256 newSupply); // 最大供应量更新事件
+    event MintPriceUpdated(uint256 previousPrice, uint256 newPrice); // 铸造价格更新事件
+    event RoyaltyUpdated(address indexed recipient, uint256 bps); // 版税更新事件
+    event TokenRoyaltySet(uint256 indexed tokenId, address indexed receiver, uint256 bps); // 代币版税设置事件
+    event PayoutRecipientUpdated(address indexed previousRecipient, address indexed newRecipient); // 提款接收地址更新事件
+    event ProvenanceHashSet(bytes32 provenanceHash); // 来源证明提交事件
+    event PlaceholderURIUpdated(string placeholderURI); // 占位 URI 更新事件
+    event RevealRequested(uint256 revealBlock); // 揭示请求事件
+    event Revealed(uint256 startingIndex); // 揭示事件
+    event MetadataFrozen(); // 元数据冻结事件
+    event RendererUpdated(address indexed previousRenderer, address indexed newRenderer); // 渲染器更新事件
+    event PriceFeedUpdated(address indexed previousFeed, address indexed newFeed); // 主预言机更新事件
+    event SecondaryPriceFeedUpdated(address indexed previousFeed, address indexed newFeed); // 备用预言机更新事件
+    event FallbackPriceUpdated(uint256 previousPrice, uint256 newPrice); // 备用价格更新事件
+    event OracleSafetyUpdated(uint32 heartbeat, bool requireCompleteRound, uint256 minPrice, uint256 maxPrice); // 预言机安全检查更新事件
+    event PaymentTokenUpdated(address indexed token, bool accepted, uint8 decimals); // 支付代币更新事件
+    event PaymentTokenWithdrawn(address indexed token, address indexed recipient, uint256 amount); // 支付代币提取事件
+
+
+    /**
+     * @dev 返回代币总供应量
+     */
+    function totalSupply() public view returns (uint256) {
+        return _tokenIds; // 返回当前代币 ID 计数
+    }
+
+    /**
+     * @dev 返回给定代币 ID 的 URI
+     * @param tokenId 代币的 ID
+     * @return 代币的 URI
+     */
+    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
+        if (address(renderer) != address(0)) { // 设置了渲染器，元数据完全在链上生成
+            _requireOwned(tokenId); // 确保代币存在
+            return renderer.tokenURI(tokenId, name(), _tokenTraits[tokenId]); // 交给渲染器生成
+        }
+        if (!revealConfig.isEnabled()) return super.tokenURI(tokenId); // 未启用延迟揭示，返回代币 URI
+
+        _requireOwned(tokenId); // 确保代币存在
+        return revealConfig.tokenURI(_baseTokenURI, tokenId, maxSupply); // 揭示前为占位 URI，揭示后按偏移量计算
+    }
+
+    /**
+     * @dev 返回基础 URI，tokenURI 由基础 URI 和代币 URI 拼接而成
+     */
+    function _baseURI() internal view override returns (string memory) {
+        return _baseTokenURI; // 返回基础 URI
+    }
+
+    /**
+     * @dev 转移所有权时同时转移 DEFAULT_ADMIN_ROLE，其他角色不变
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner(); // 保存旧所有者
+        super._transferOwnership(newOwner); // 清除待接受的转移并设置新所有者
+        if (previousOwner != address(0)) _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner); // 旧所有者失去管理角色
+        if (newOwner != address(0)) _grantRole(DEFAULT_ADMIN_ROLE, newOwner); // 新所有者获得管理角色
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC721, ERC721URIStorage, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId); // 检查是否支持接口
+    }
+}
@@ -1,123 +1,265 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "./UUPSUpgradeable.sol";
+import "./Initializable.sol";
+import "./NFTCollectionV2Base.sol";
+import "./NFTCollectionV2Admin.sol";
+import "./MintVoucher.sol";
 
 /**
  * @title NFTCollectionV2
  * @dev 支持 delegatecall 的可升级 NFT 集合合约
  * @dev 此合约设计用于与代理合约配合使用
+ * @dev 可以配合 Proxy/TransparentProxy（升级由代理管理员执行），
+ *      也可以配合 ERC1967Proxy 使用 UUPS 模式（升级由 UPGRADER_ROLE 通过 upgradeToAndCall 执行）
+ * @dev 状态变量、事件、角色和修饰符定义在 NFTCollectionV2Base 中；初始化器和管理函数的实现在 NFTCollectionV2Admin 中，
+ *      本合约只声明这些函数并通过 delegatecall 转发，以满足 24KB 的合约大小限制
  */
-contract NFTCollectionV2 is ERC721, ERC721URIStorage {
-    uint256 private _tokenIds; // 代币 ID 计数器
+contract NFTCollectionV2 is NFTCollectionV2Base, IERC2981, UUPSUpgradeable, Initializable {
+    using PriceOracle for PriceOracle.Config;
+    using SaleSchedule for SaleSchedule.Schedule;
+    using PaymentTokens for PaymentTokens.Config;
 
-    string private _baseTokenURI; // 用于计算 tokenURI 的基础 URI
+    address public immutable adminModule; // NFTCollectionV2Admin 的地址（不可变量保存在代码中，不占用存储槽位）
 
-    mapping(uint256 => string) private _tokenURIs; // 代币 ID 到 URI 的映射
+    constructor() {
+        _disableInitializers(); // 禁用初始化器，实现合约本身不能被初始化
+        adminModule = address(new NFTCollectionV2Admin()); // 部署所有者管理函数的实现
+    }
 
-    uint256 public maxSupply = 10000; // NFT 最大供应量
+    // ========== 初始化器 ==========
+    // 实现在 NFTCollectionV2Admin 中（参数说明见该合约），这里只声明接口并转发调用
 
-    uint256 public mintPrice = 0; // 铸造价格（0 表示免费铸造）
+    /**
+     * @dev 初始化代理（新部署的代理直接初始化到最新版本），调用者成为所有者并获得全部角色
+     */
+    function initialize(string calldata, string calldata, string calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
 
-    uint256 public maxMintPerTx = 10; // 每笔交易最多可铸造的 NFT 数量
+    /**
+     * @dev 第 2 版迁移：为引入版本号之前部署的代理设置销售配置
+     */
+    function initializeV2(uint256, uint256, uint256, uint256, uint256, uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
 
-    mapping(address => bool) public whitelisted; // 预售白名单
-    bool public whitelistEnabled = false; // 是否启用白名单
+    /**
+     * @dev 第 3 版迁移：从单一所有者改为基于角色的权限
+     */
+    function initializeV3() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
 
-    uint256 public presalePrice = 0.01 ether; // 预售价格
-    uint256 public publicSalePrice = 0.05 ether; // 公开销售价格
+    /**
+     * @dev 接收直接转入的原生代币（例如版税），由 withdraw 提取
+     */
+    receive() external payable {}
 
-    bool public saleActive = false; // 公开销售是否激活
-    bool public presaleActive = false; // 预售是否激活
+    /**
+     * @dev 使用当前销售逻辑铸造新 NFT，多付的原生代币退还给调用者
+     * @param to 接收 NFT 的地址
+     * @param tokenURI_ NFT 元数据的 URI
+     * @return tokenId 新铸造的 NFT 的 ID
+     */
+    function mintNFT(address to, string memory tokenURI_) public payable returns (uint256 tokenId) {
+        _checkSalePhase(1); // 检查销售状态和阶段上限
+        require(totalSupply() + 1 <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
 
-    uint256 public reservedSupply = 100; // 为团队/赠品保留的 NFT 数量
+        uint256 price = getMintPrice(); // 获取当前铸造价格
+        require(msg.value >= price, "Insufficient payment"); // 检查支付金额是否足够
 
-    address payable public royaltyRecipient; // 版税接收地址
-    uint256 public royaltyBps = 250; // 版税基点（250 = 2.5%）
+        tokenId = _mintNFT(to, tokenURI_); // 执行铸造
+        _refundExcess(price); // 退还多付的部分
+    }
 
-    address public owner; // 合约所有者（用于代理模式）
+    /**
+     * @dev 在一笔交易中铸造多个 NFT，多付的原生代币退还给调用者
+     * @param to 接收 NFT 的地址
+     * @param count 要铸造的 NFT 数量
+     * @param tokenURIs NFT 元数据的 URI 数组
+     * @return newTokenIds 新铸造的 NFT 的 ID 数组
+     */
+    function mintNFTs(address to, uint256 count, string[] memory tokenURIs) public payable returns (uint256[] memory newTokenIds) {
+        _checkMintNFTs(count, tokenURIs.length); // 检查数量、销售状态和供应量
 
-    uint256[50] private __gap; // 存储间隙，用于未来升级
+        uint256 totalPrice = getMintPrice() * count; // 计算总价格
+        require(msg.value >= totalPrice, "Insufficient payment"); // 检查支付金额是否足够
 
-    // 事件
-    event NFTMinted(address indexed to, uint256 indexed tokenId, string tokenURI); // NFT 铸造事件
-    event BaseTokenURIUpdated(string previousURI, string newURI); // 基础 URI 更新事件
-    event SaleStateChanged(bool saleActive, bool presaleActive); // 销售状态变更事件
-    event WhitelistStateChanged(bool enabled); // 白名单状态变更事件
-    event WhitelistUpdated(address[] indexed addresses, bool indexed whitelisted); // 白名单更新事件
-    event MaxSupplyUpdated(uint256 previousSupply, uint256 newSupply); // 最大供应量更新事件
-    event MintPriceUpdated(uint256 previousPrice, uint256 newPrice); // 铸造价格更新事件
-    event RoyaltyUpdated(address indexed recipient, uint256 bps); // 版税更新事件
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner); // 所有权转移事件
+        newTokenIds = _mintBatch(to, tokenURIs); // 执行铸造
+        _refundExcess(totalPrice); // 退还多付的部分
+    }
 
-    // 修饰符
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Caller is not the owner"); // 要求调用者是所有者
-        _;
+    /**
+     * @dev 使用接受的 ERC-20 稳定币铸造多个 NFT，只能在价格按美元计（设置了主预言机）时使用
+     * @dev 调用者需要事先授权本合约，或者在 permit 中提供 EIP-2612 授权签名，不需要单独的授权交易
+     * @dev 单个铸造时 count 传 1：NFTCollectionV2 的部署代码（包含管理模块）已接近 EIP-3860 的上限，
+     *      容纳不下单独的 mintNFTWithToken，两个合约保持相同的 ABI
+     * @param to 接收 NFT 的地址
+     * @param count 要铸造的 NFT 数量
+     * @param tokenURIs NFT 元数据的 URI 数组
+     * @param token 支付代币地址
+     * @param permit 调用者对本合约的授权签名，deadline 为 0 表示已经事先授权
+     * @return 新铸造的 NFT 的 ID 数组
+     */
+    function mintNFTsWithToken(
+        address to,
+        uint256 count,
+        string[] memory tokenURIs,
+        address token,
+        PaymentTokens.Permit calldata permit
+    ) external returns (uint256[] memory) {
+        _checkMintNFTs(count, tokenURIs.length); // 检查数量、销售状态和供应量
+        if (permit.deadline != 0) PaymentTokens.permit(token, msg.sender, permit); // 提交授权签名
+        _paymentTokens.collect(token, msg.sender, _getMintPriceUSD() * count); // 收取美元价格对应的代币
+        return _mintBatch(to, tokenURIs); // 执行铸造
     }
 
-    constructor() ERC721("", "") { // 构造函数，使用空字符串初始化 ERC721
-        _disableInitializers(); // 禁用初始化器
+    /**
+     * @dev 批量铸造前的检查
+     */
+    function _checkMintNFTs(uint256 count, uint256 uriCount) private {
+        require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
+        _checkSalePhase(count); // 检查销售状态和阶段上限
+        require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
+        require(uriCount == count, "URI count must match NFT count"); // 检查 URI 数量是否匹配
     }
 
-    function initialize(
-        string memory name_,
-        string memory symbol_,
-        string memory baseTokenURI_
-    ) external {
-        require(owner == address(0), "Already initialized"); // 确保未初始化
-        owner = msg.sender; // 设置所有者为调用者
-        _baseTokenURI = baseTokenURI_; // 设置基础 URI
-        royaltyRecipient = payable(msg.sender); // 设置版税接收者为调用者
+    /**
+     * @dev 按 URI 数组逐个铸造
+     */
+    function _mintBatch(address to, string[] memory tokenURIs) private returns (uint256[] memory newTokenIds) {
+        newTokenIds = new uint256[](tokenURIs.length); // 创建新代币 ID 数组
+        for (uint256 i = 0; i < tokenURIs.length; i++) { // 循环铸造
+            newTokenIds[i] = _mintNFT(to, tokenURIs[i]); // 铸造每个 NFT
+        }
     }
 
-    function _disableInitializers() private {
-        require(owner == address(0), "Already initialized"); // 确保未初始化
-        owner = address(1); // 将所有者设置为地址 1 以禁用初始化
+    /**
+     * @dev 退还超过应付金额的原生代币（在铸造之后调用，价格可能在交易确认前变化，调用者通常会多付）
+     */
+    function _refundExcess(uint256 price) private {
+        if (msg.value > price) {
+            (bool success, ) = msg.sender.call{value: msg.value - price}(""); // 退还多付的部分
+            require(success, "Refund failed"); // 确保退款成功
+        }
     }
 
     /**
-     * @dev 使用当前销售逻辑铸造新 NFT
-     * @param to 接收 NFT 的地址
-     * @param tokenURI_ NFT 元数据的 URI
-     * @return 新铸造的 NFT 的 ID
+     * @dev 根据当前销售阶段或销售状态获取当前铸造价格
+     * @dev 未设置主预言机时价格直接以原生代币计价；设置后价格按美元（18 位小数）计，
+     *      通过预言机换算为原生代币，预言机不可用时以自定义错误回滚（见 PriceOracle）
+     * @return 当前铸造价格（原生代币数量）
      */
-    function mintNFT(address to, string memory tokenURI_) public payable returns (uint256) {
-        require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
-        require(totalSupply() + 1 <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
+    function getMintPrice() public view returns (uint256) {
+        return _toNativePrice(_getListPrice()); // 换算为原生代币
+    }
 
-        uint256 price = getMintPrice(); // 获取当前铸造价格
-        require(msg.value >= price, "Insufficient payment"); // 检查支付金额是否足够
+    /**
+     * @dev 获取当前铸造价格对应的支付代币数量，只能在价格按美元计（设置了主预言机）时使用
+     * @param token 支付代币地址，必须已被接受
+     * @return 代币数量（代币的小数位数）
+     */
+    function getMintPriceInToken(address token) external view returns (uint256) {
+        return _paymentTokens.quote(token, _getMintPriceUSD()); // 按代币小数位数换算
+    }
+
+    /**
+     * @dev 返回配置过的全部支付代币（包括已停用的）
+     */
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokens.tokenList; // 返回代币列表
+    }
+
+    /**
+     * @dev 根据当前销售阶段或销售状态获取当前价格（计价方式与 presalePrice/publicSalePrice 相同）
+     */
+    function _getListPrice() private view returns (uint256 price) {
+        (bool phaseActive, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前销售阶段
+        if (phaseActive) return _saleSchedule.phases[phaseId].price; // 使用当前阶段的价格
 
-        return _mintNFT(to, tokenURI_); // 执行铸造
+        price = mintPrice; // 默认铸造价格
+
+        if (presaleActive && whitelistEnabled && whitelisted[msg.sender]) { // 如果是预售且启用白名单且调用者在白名单中
+            price = presalePrice; // 使用预售价格
+        } else if (saleActive) { // 如果是公开销售
+            price = publicSalePrice; // 使用公开销售价格
+        }
     }
 
-    function _mintNFT(address to, string memory tokenURI_) internal returns (uint256) {
-        uint256 newTokenId = ++_tokenIds; // 递增代币 ID
-        _safeMint(to, newTokenId); // 安全铸造 NFT
-        _setTokenURI(newTokenId, tokenURI_); // 设置代币 URI
-        emit NFTMinted(to, newTokenId, tokenURI_); // 触发铸造事件
-        return newTokenId; // 返回新代币 ID
+    /**
+     * @dev 获取当前美元价格，未设置主预言机时价格以原生代币计价，不能用稳定币支付
+     */
+    function _getMintPriceUSD() private view returns (uint256) {
+        require(address(oracleConfig.primaryFeed) != address(0), "Prices not in USD"); // 确保价格按美元计
+        return _getListPrice(); // 返回美元价格
+    }
+
+    /**
+     * @dev 将价格换算为原生代币数量，未设置主预言机时价格本身以原生代币计价
+     */
+    function _toNativePrice(uint256 price) private view returns (uint256) {
+        if (address(oracleConfig.primaryFeed) == address(0)) return price; // 未设置预言机，直接以原生代币计价
+        return oracleConfig.toNative(price); // 将美元价格换算为原生代币
+    }
+
+    /**
+     * @dev 获取当前用于定价的原生代币美元价格
+     * @return price 原生代币价格（18 位小数）
+     * @return source 价格来源（0 = 主预言机，1 = 备用预言机，2 = 备用价格）
+     */
+    function getOraclePrice() external view returns (uint256 price, PriceOracle.Source source) {
+        return oracleConfig.latestPrice(); // 返回价格和来源
     }
 
     /**
-     * @dev 在一笔交易中铸造多个 NFT
+     * @dev 设置预言机安全检查（仅 SALE_MANAGER_ROLE）
+     * @param heartbeat 价格最长有效时间（秒），0 表示不检查
+     * @param requireCompleteRound 是否要求 answeredInRound >= roundId
+     * @param minPrice 价格下限（18 位小数），0 表示不检查
+     * @param maxPrice 价格上限（18 位小数），0 表示不检查
+     */
+    function setOracleSafety(uint32 heartbeat, bool requireCompleteRound, uint256 minPrice, uint256 maxPrice) external onlyRole(SALE_MANAGER_ROLE) {
+        oracleConfig.setSafety(heartbeat, requireCompleteRound, minPrice, maxPrice); // 更新安全检查
+        emit OracleSafetyUpdated(heartbeat, requireCompleteRound, minPrice, maxPrice); // 触发安全检查更新事件
+    }
+
+    /**
+     * @dev 以当前拍卖价格铸造，支付的全部金额都记入出价，拍卖结束后按成交价退还多付的部分
      * @param to 接收 NFT 的地址
-     * @param count 要铸造的 NFT 数量
      * @param tokenURIs NFT 元数据的 URI 数组
      * @return 新铸造的 NFT 的 ID 数组
      */
-    function mintNFTs(address to, uint256 count, string[] memory tokenURIs) public payable returns (uint256[] memory) {
+    function auctionMint(address to, string[] memory tokenURIs) public payable returns (uint256[] memory) {
+        DutchAuction storage auction = dutchAuction;
+        uint256 count = tokenURIs.length; // 铸造数量
+
+        require(auction.supply > 0 && block.timestamp >= auction.startTime, "Auction is not active"); // 要求拍卖已开始
+        require(!auction.finalized, "Auction finalized"); // 要求拍卖未结束
+        require(count > 0, "Must mint at least one NFT"); // 至少铸造一个
         require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
-        require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
+        require(auction.sold + count <= auction.supply, "Exceeds auction supply"); // 检查是否超过拍卖数量
         require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
-        require(tokenURIs.length == count, "URI count must match NFT count"); // 检查 URI 数量是否匹配
 
-        uint256 price = getMintPrice(); // 获取当前铸造价格
-        uint256 totalPrice = price * count; // 计算总价格
-        require(msg.value >= totalPrice, "Insufficient payment"); // 检查支付金额是否足够
+        uint256 price = getAuctionPrice(); // 当前拍卖价格
+        require(msg.value >= price * count, "Insufficient payment"); // 检查支付金额是否足够
+
+        AuctionBid storage bid = auctionBids[msg.sender];
+        bid.paid += uint128(msg.value); // 记录支付金额
+        bid.quantity += uint32(count); // 记录购买数量
+
+        auction.sold += uint32(count); // 记录拍出数量
+        auction.totalPaid += uint128(msg.value); // 记录支付总额
+        auction.clearingPrice = uint128(price); // 价格只降不升，最后一笔的价格就是成交价
+
+        emit AuctionMinted(msg.sender, count, price); // 触发荷兰拍铸造事件
+        if (auction.sold == auction.supply) { // 拍完自动结束
+            auction.finalized = true;
+            emit AuctionFinalized(price, auction.sold); // 触发荷兰拍结束事件
+        }
 
         uint256[] memory newTokenIds = new uint256[](count); // 创建新代币 ID 数组
 
@@ -129,23 +271,57 @@ contract NFTCollectionV2 is ERC721, ERC721URIStorage {
     }
 
     /**
-     * @dev 返回代币总供应量
+     * @dev 拍卖结束后领取退款：支付总额 - 购买数量 * 成交价
      */
-    function totalSupply() public view returns (uint256) {
-        return _tokenIds; // 返回当前代币 ID 计数
+    function claimAuctionRefund() public {
+        require(dutchAuction.finalized, "Auction not finalized"); // 要求拍卖已结束
+
+        uint256 amount = auctionRefundDue(msg.sender); // 计算退款
+        require(amount > 0, "No refund due"); // 要求有退款
+
+        auctionBids[msg.sender].refunded = true; // 先记录再转账，防止重入
+        dutchAuction.totalRefunded += uint128(amount); // 记录退款总额
+
+        (bool success, ) = payable(msg.sender).call{value: amount}(""); // 退款
+        require(success, "Refund failed"); // 确保退款成功
+        emit AuctionRefunded(msg.sender, amount); // 触发荷兰拍退款事件
     }
 
     /**
-     * @dev 根据销售状态获取当前铸造价格
-     * @return 当前铸造价格
+     * @dev 获取当前拍卖价格
+     * @return 当前价格，开始前为起拍价，最低为底价
      */
-    function getMintPrice() public view returns (uint256) {
-        if (presaleActive && whitelistEnabled && whitelisted[msg.sender]) { // 如果是预售且启用白名单且调用者在白名单中
-            return presalePrice; // 返回预售价格
-        } else if (saleActive) { // 如果是公开销售
-            return publicSalePrice; // 返回公开销售价格
-        }
-        return mintPrice; // 返回默认铸造价格
+    function getAuctionPrice() public view returns (uint256) {
+        DutchAuction storage auction = dutchAuction;
+        if (block.timestamp <= auction.startTime) return auction.startPrice; // 未开始时为起拍价
+
+        uint256 steps = (block.timestamp - auction.startTime) / auction.stepDuration; // 已经降价的次数
+        uint256 drop = steps * auction.priceDrop; // 累计降价
+        if (drop >= auction.startPrice - auction.floorPrice) return auction.floorPrice; // 不低于底价
+        return auction.startPrice - drop; // 返回当前价格
+    }
+
+    /**
+     * @dev 获取距离下一次降价的秒数
+     * @return 秒数，已到底价时为 0
+     */
+    function getAuctionTimeToNextStep() public view returns (uint256) {
+        DutchAuction storage auction = dutchAuction;
+        if (auction.supply == 0 || getAuctionPrice() == auction.floorPrice) return 0; // 未配置或已到底价
+        if (block.timestamp < auction.startTime) return auction.startTime - block.timestamp + auction.stepDuration; // 开始后第一次降价
+
+        return auction.stepDuration - ((block.timestamp - auction.startTime) % auction.stepDuration); // 当前间隔的剩余时间
+    }
+
+    /**
+     * @dev 获取买家可以领取的退款（拍卖结束前按当前成交价估算）
+     * @param buyer 买家地址
+     * @return 退款金额
+     */
+    function auctionRefundDue(address buyer) public view returns (uint256) {
+        AuctionBid storage bid = auctionBids[buyer];
+        if (bid.refunded) return 0; // 已退款
+        return bid.paid - uint256(bid.quantity) * dutchAuction.clearingPrice; // 支付总额 - 购买数量 * 成交价
     }
 
     /**
@@ -157,126 +333,197 @@ contract NFTCollectionV2 is ERC721, ERC721URIStorage {
     }
 
     /**
-     * @dev 设置销售状态（仅所有者）
-     * @param _saleActive 公开销售是否激活
-     * @param _presaleActive 预售是否激活
+     * @dev 获取代币属性
+     * @param tokenId 代币的 ID
+     * @return 代币属性数组
      */
-    function setSaleState(bool _saleActive, bool _presaleActive) public onlyOwner {
-        saleActive = _saleActive; // 设置公开销售状态
-        presaleActive = _presaleActive; // 设置预售状态
-        emit SaleStateChanged(_saleActive, _presaleActive); // 触发销售状态变更事件
+    function getTokenTraits(uint256 tokenId) external view returns (ITokenRenderer.Trait[] memory) {
+        return _tokenTraits[tokenId]; // 返回代币属性
     }
 
     /**
-     * @dev 设置白名单状态（仅所有者）
-     * @param enabled 是否启用白名单
+     * @dev 获取全部销售阶段
      */
-    function setWhitelistEnabled(bool enabled) public onlyOwner {
-        whitelistEnabled = enabled; // 设置白名单启用状态
-        emit WhitelistStateChanged(enabled); // 触发白名单状态变更事件
+    function getSalePhases() external view returns (SaleSchedule.Phase[] memory) {
+        return _saleSchedule.phases; // 返回全部阶段
     }
 
     /**
-     * @dev 添加地址到白名单（仅所有者）
-     * @param addresses 要加入白名单的地址数组
-     * @param _whitelisted 是否添加到白名单或从白名单移除
+     * @dev 获取当前激活的销售阶段
+     * @return active 是否有激活的阶段
+     * @return phaseId 阶段序号
+     * @return phase 阶段配置
      */
-    function updateWhitelist(address[] memory addresses, bool _whitelisted) public onlyOwner {
-        for (uint256 i = 0; i < addresses.length; i++) { // 循环处理每个地址
-            whitelisted[addresses[i]] = _whitelisted; // 更新白名单状态
-        }
-        emit WhitelistUpdated(addresses, _whitelisted); // 触发白名单更新事件
+    function currentSalePhase() external view returns (bool active, uint256 phaseId, SaleSchedule.Phase memory phase) {
+        (active, phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        if (active) phase = _saleSchedule.phases[phaseId]; // 返回阶段配置
     }
 
     /**
-     * @dev 设置最大供应量（仅所有者）
-     * @param _maxSupply 新的最大供应量
+     * @dev 获取阶段已铸造数量
+     * @param phaseId 阶段序号
      */
-    function setMaxSupply(uint256 _maxSupply) public onlyOwner {
-        require(_maxSupply >= totalSupply(), "Cannot set below current supply"); // 确保不低于当前供应量
-        uint256 previousSupply = maxSupply; // 保存旧的最大供应量
-        maxSupply = _maxSupply; // 设置新的最大供应量
-        emit MaxSupplyUpdated(previousSupply, _maxSupply); // 触发最大供应量更新事件
+    function phaseMinted(uint256 phaseId) external view returns (uint256) {
+        return _saleSchedule.phaseMinted[_saleSchedule.generation][phaseId]; // 返回当前计划中阶段已铸造数量
     }
 
     /**
-     * @dev 设置铸造价格（仅所有者）
-     * @param _presalePrice 新的预售价格
-     * @param _publicSalePrice 新的公开销售价格
+     * @dev 获取钱包在阶段中已铸造的数量
+     * @param phaseId 阶段序号
+     * @param wallet 钱包地址
      */
-    function setMintPrices(uint256 _presalePrice, uint256 _publicSalePrice) public onlyOwner {
-        uint256 previousPresalePrice = presalePrice; // 保存旧的预售价格
-        uint256 previousPublicPrice = publicSalePrice; // 保存旧的公开销售价格
-        presalePrice = _presalePrice; // 设置新的预售价格
-        publicSalePrice = _publicSalePrice; // 设置新的公开销售价格
-        emit MintPriceUpdated(previousPresalePrice, _presalePrice); // 触发预售价格更新事件
-        emit MintPriceUpdated(previousPublicPrice, _publicSalePrice); // 触发公开销售价格更新事件
+    function phaseMintedBy(uint256 phaseId, address wallet) external view returns (uint256) {
+        return _saleSchedule.walletMinted[_saleSchedule.generation][phaseId][wallet]; // 返回当前计划中钱包已铸造数量
     }
 
     /**
-     * @dev 设置版税配置（仅所有者）
-     * @param recipient 版税接收地址
-     * @param bps 版税基点
+     * @dev 检查 mintNFT/mintNFTs 的销售状态
+     * @dev 配置了销售计划时要求有激活的阶段，白名单阶段只允许 whitelisted 地址，并检查记录阶段上限
+     * @param count 铸造数量
      */
-    function setRoyalty(address payable recipient, uint256 bps) public onlyOwner {
-        require(bps <= 1000, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
-        royaltyRecipient = recipient; // 设置版税接收者
-        royaltyBps = bps; // 设置版税基点
-        emit RoyaltyUpdated(recipient, bps); // 触发版税更新事件
+    function _checkSalePhase(uint256 count) private {
+        if (!_saleSchedule.isScheduled()) { // 未配置销售计划，使用销售开关
+            require(saleActive || presaleActive, "Sale is not active"); // 要求销售或预售激活
+            return;
+        }
+
+        (bool active, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        require(active, "No active sale phase"); // 要求有激活的阶段
+        require(!_saleSchedule.phases[phaseId].allowlistRequired || whitelisted[msg.sender], "Not on allowlist"); // 白名单阶段只允许白名单地址
+        _saleSchedule.recordMint(phaseId, msg.sender, count); // 检查并记录阶段上限
     }
 
     /**
-     * @dev 为团队/赠品保留铸造（仅所有者）
-     * @param to 接收 NFT 的地址
-     * @param tokenURI_ NFT 元数据的 URI
-     * @return 新铸造的 NFT 的 ID
+     * @dev 检查 presaleMint 的销售状态
+     * @dev 配置了销售计划时只能在要求白名单的阶段使用 Merkle 证明铸造，并检查记录阶段上限
+     * @param count 铸造数量
      */
-    function reservedMint(address to, string memory tokenURI_) public onlyOwner returns (uint256) {
-        require(totalSupply() < maxSupply, "Maximum supply reached"); // 确保未达到最大供应量
-        return _mintNFT(to, tokenURI_); // 执行铸造
+    function _checkPresalePhase(uint256 count) private {
+        if (!_saleSchedule.isScheduled()) { // 未配置销售计划，使用预售开关
+            require(presaleActive, "Presale is not active"); // 要求预售激活
+            return;
+        }
+
+        (bool active, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前阶段
+        require(active, "No active sale phase"); // 要求有激活的阶段
+        require(_saleSchedule.phases[phaseId].allowlistRequired, "Phase does not use allowlist"); // 只能在白名单阶段使用
+        _saleSchedule.recordMint(phaseId, msg.sender, count); // 检查并记录阶段上限
     }
 
     /**
-     * @dev 为团队/赠品批量保留铸造（仅所有者）
+     * @dev 通过 Merkle 白名单在预售阶段铸造，配额按调用者地址累计，多付的原生代币退还给调用者
      * @param to 接收 NFT 的地址
+     * @param quota 调用者在白名单中的配额
+     * @param proof 调用者的 Merkle 证明
      * @param tokenURIs NFT 元数据的 URI 数组
-     * @return 新铸造的 NFT 的 ID 数组
+     * @return newTokenIds 新铸造的 NFT 的 ID 数组
+     */
+    function presaleMint(
+        address to,
+        uint256 quota,
+        bytes32[] calldata proof,
+        string[] memory tokenURIs
+    ) public payable returns (uint256[] memory newTokenIds) {
+        uint256 count = tokenURIs.length; // 铸造数量
+        _checkPresalePhase(count); // 检查预售状态和阶段上限
+        require(count > 0, "Must mint at least one NFT"); // 至少铸造一个
+        require(count <= maxMintPerTx, "Exceeds max mint per transaction"); // 检查是否超过单笔交易最大铸造数量
+        require(isAllowlisted(msg.sender, quota, proof), "Invalid merkle proof"); // 校验白名单证明
+        require(presaleMinted[msg.sender] + count <= quota, "Exceeds allowlist quota"); // 检查是否超过配额
+        require(totalSupply() + count <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
+        uint256 totalPrice = getPresaleMintPrice() * count; // 计算总价格
+        require(msg.value >= totalPrice, "Insufficient payment"); // 检查支付金额是否足够
+
+        presaleMinted[msg.sender] += count; // 记录已铸造数量
+
+        newTokenIds = _mintBatch(to, tokenURIs); // 执行铸造
+        _refundExcess(totalPrice); // 退还多付的部分
+    }
+
+    /**
+     * @dev 兑换签名者在链下签发的懒铸造凭证，NFT 铸造给调用者
+     * @dev 凭证兑换不受销售状态和销售阶段限制，价格以原生代币计价，不经过预言机，多付的部分退还给调用者
+     * @param voucher 铸造凭证
+     * @param signature 签名者对凭证的 EIP-712 签名
+     * @return 新铸造的 NFT 的 ID
      */
-    function reservedMintBatch(address to, string[] memory tokenURIs) public onlyOwner returns (uint256[] memory) {
-        require(totalSupply() + tokenURIs.length <= maxSupply, "Exceeds maximum supply"); // 确保不超过最大供应量
+    function redeem(MintVoucher.Voucher calldata voucher, bytes calldata signature) external payable returns (uint256) {
+        require(block.timestamp <= voucher.expiry, "Voucher expired"); // 检查是否过期
+        require(voucher.recipient == address(0) || voucher.recipient == msg.sender, "Voucher not for caller"); // 检查兑换地址
 
-        uint256[] memory newTokenIds = new uint256[](tokenURIs.length); // 创建新代币 ID 数组
+        address signer = MintVoucher.recoverSigner(voucher, signature, name()); // 恢复签名者
+        require(hasRole(MINTER_ROLE, signer), "Invalid voucher signer"); // 签名者必须拥有 MINTER_ROLE
+        require(!voucherNonceUsed[signer][voucher.nonce], "Voucher already used"); // 防止重放
 
-        for (uint256 i = 0; i < tokenURIs.length; i++) { // 循环铸造
-            newTokenIds[i] = _mintNFT(to, tokenURIs[i]); // 铸造每个 NFT
-        }
+        require(msg.value >= voucher.price, "Insufficient payment"); // 检查支付金额是否足够
+        require(totalSupply() + 1 <= maxSupply - reservedSupply, "Exceeds available supply"); // 检查是否超过可用供应量
 
-        return newTokenIds; // 返回新代币 ID 数组
+        voucherNonceUsed[signer][voucher.nonce] = true; // 先标记再铸造，防止重入时重复兑换
+        uint256 tokenId = _mintNFT(msg.sender, voucher.tokenURI); // 执行铸造
+        emit VoucherRedeemed(signer, msg.sender, tokenId, voucher.nonce); // 触发凭证兑换事件
+        _refundExcess(voucher.price); // 退还多付的部分
+        return tokenId;
+    }
+
+    /**
+     * @dev 取消调用者自己签发的凭证，之后该编号的凭证不能再兑换
+     * @param nonce 凭证编号
+     */
+    function cancelVoucher(uint256 nonce) external {
+        require(!voucherNonceUsed[msg.sender][nonce], "Voucher already used"); // 已兑换或已取消
+        voucherNonceUsed[msg.sender][nonce] = true; // 标记编号已使用
+        emit VoucherCancelled(msg.sender, nonce); // 触发凭证取消事件
+    }
+
+    /**
+     * @dev 返回凭证的 EIP-712 签名摘要，便于链下核对签名
+     * @param voucher 铸造凭证
+     */
+    function voucherDigest(MintVoucher.Voucher calldata voucher) external view returns (bytes32) {
+        return MintVoucher.digest(voucher, name()); // 使用当前集合名称计算
+    }
+
+    /**
+     * @dev 校验地址和配额是否在 Merkle 白名单中
+     * @param account 白名单地址
+     * @param quota 白名单中的配额
+     * @param proof Merkle 证明
+     * @return 证明是否有效
+     */
+    function isAllowlisted(address account, uint256 quota, bytes32[] calldata proof) public view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, quota)))); // 双重哈希，防止第二原像攻击
+        return MerkleProof.verifyCalldata(proof, merkleRoot, leaf); // 校验证明
     }
 
     /**
-     * @dev 返回代币的版税信息（EIP-2981）
+     * @dev 获取 Merkle 白名单预售的单价
+     * @return 预售单价（原生代币数量）
+     */
+    function getPresaleMintPrice() public view returns (uint256) {
+        (bool phaseActive, uint256 phaseId) = _saleSchedule.activePhase(); // 查找当前销售阶段
+        if (phaseActive) return _toNativePrice(_saleSchedule.phases[phaseId].price); // 使用当前阶段的价格
+
+        return _toNativePrice(presalePrice); // 返回预售单价
+    }
+
+    /**
+     * @dev 返回代币的版税信息（EIP-2981），单独设置了版税的代币使用自己的版税
      * @param tokenId 要获取版税信息的代币 ID
      * @param salePrice 代币的销售价格
      * @return receiver 接收版税的地址
      * @return royaltyAmount 要接收的版税金额
      */
-    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount) {
-        require(tokenId <= totalSupply(), "Token does not exist"); // 确保代币存在
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view override returns (address receiver, uint256 royaltyAmount) {
+        _requireOwned(tokenId); // 确保代币存在，与 V1 一致以 ERC721NonexistentToken 回滚
+        TokenRoyalty memory royalty = _tokenRoyalties[tokenId]; // 代币单独设置的版税
+        if (royalty.receiver != address(0)) { // 使用代币自己的版税
+            return (royalty.receiver, (salePrice * royalty.bps) / 10000);
+        }
+
         receiver = royaltyRecipient; // 返回版税接收者
         royaltyAmount = (salePrice * royaltyBps) / 10000; // 计算版税金额
     }
 
-    /**
-     * @dev 设置用于计算 tokenURI 的基础 URI
-     * @param baseTokenURI_ 新的基础 URI
-     */
-    function setBaseTokenURI(string memory baseTokenURI_) public onlyOwner {
-        string memory previousURI = _baseTokenURI; // 保存旧的基础 URI
-        _baseTokenURI = baseTokenURI_; // 设置新的基础 URI
-        emit BaseTokenURIUpdated(previousURI, baseTokenURI_); // 触发基础 URI 更新事件
-    }
-
     /**
      * @dev 获取合约版本（用于升级跟踪）
      * @return 版本字符串
@@ -286,25 +533,291 @@ contract NFTCollectionV2 is ERC721, ERC721URIStorage {
     }
 
     /**
-     * @dev 转移所有权（用于代理模式）
-     * @param newOwner 新所有者地址
+     * @dev UUPS 升级权限检查（仅 UPGRADER_ROLE，且代理没有 EIP-1967 管理员）
+     * @dev Proxy/TransparentProxy 由管理员（通常是 UpgradeManager）升级，UUPS 入口不能绕过冻结、延迟和多签
      */
-    function transferOwnership(address newOwner) public onlyOwner {
-        require(newOwner != address(0), "New owner is the zero address"); // 确保新所有者不是零地址
-        address oldOwner = owner; // 保存旧所有者
-        owner = newOwner; // 设置新所有者
-        emit OwnershipTransferred(oldOwner, newOwner); // 触发所有权转移事件
+    function _authorizeUpgrade(address) internal view override onlyRole(UPGRADER_ROLE) {
+        require(_getAdmin() == address(0), "Upgrades managed by proxy admin"); // 确保代理没有管理员
     }
 
-    function withdraw() public onlyOwner {
-        payable(owner).transfer(address(this).balance); // 将合约余额转给所有者
+    /**
+     * @dev 返回集合名称
+     * @dev ERC721 构造函数写入的 _name 只存在于实现合约的存储中，代理需要使用 initialize 设置的值
+     */
+    function name() public view override returns (string memory) {
+        return _collectionName; // 返回集合名称
+    }
+
+    /**
+     * @dev 返回集合符号
+     */
+    function symbol() public view override returns (string memory) {
+        return _collectionSymbol; // 返回集合符号
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(NFTCollectionV2Base, IERC165) returns (bool) {
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId); // 检查是否支持接口（包括 EIP-2981）
+    }
+
+    // ========== 管理函数 ==========
+    // 以下函数的实现在 NFTCollectionV2Admin 中（参数说明见该合约），这里只声明接口并转发调用
+
+    /**
+     * @dev 设置主预言机（仅 SALE_MANAGER_ROLE）
+     */
+    function setPriceFeed(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置备用预言机（仅 SALE_MANAGER_ROLE），主预言机检查失败时使用
+     */
+    function setSecondaryPriceFeed(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置备用价格（仅 SALE_MANAGER_ROLE），所有预言机都不可用时使用
+     */
+    function setFallbackPrice(uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 配置荷兰拍（仅 SALE_MANAGER_ROLE），有成交后不能再修改
+     */
+    function setDutchAuction(uint64, uint128, uint128, uint128, uint32, uint32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 提前结束拍卖（仅 SALE_MANAGER_ROLE），成交价为最后一笔成交的价格
+     */
+    function finalizeAuction() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置销售状态（仅 SALE_MANAGER_ROLE）
+     */
+    function setSaleState(bool, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置分阶段销售计划（仅 SALE_MANAGER_ROLE），替换全部阶段
+     */
+    function setSalePhases(SaleSchedule.Phase[] calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置白名单状态（仅 SALE_MANAGER_ROLE）
+     */
+    function setWhitelistEnabled(bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 添加地址到白名单（仅 SALE_MANAGER_ROLE）
+     */
+    function updateWhitelist(address[] calldata, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置 Merkle 白名单的根（仅 SALE_MANAGER_ROLE）
+     */
+    function setMerkleRoot(bytes32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置最大供应量（仅 SALE_MANAGER_ROLE）
+     */
+    function setMaxSupply(uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置铸造价格（仅 SALE_MANAGER_ROLE）
+     */
+    function setMintPrices(uint256, uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置版税配置（仅 TREASURER_ROLE）
+     */
+    function setRoyalty(address payable, uint256) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 为团队/赠品保留铸造（仅 MINTER_ROLE）
+     */
+    function reservedMint(address, string calldata) external returns (uint256) {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 为团队/赠品保留铸造，并为该代币单独设置版税（仅 MINTER_ROLE）
+     */
+    function reservedMintWithRoyalty(address, string calldata, address, uint96) external returns (uint256) {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 为团队/赠品批量保留铸造（仅 MINTER_ROLE）
+     */
+    function reservedMintBatch(address, string[] calldata) external returns (uint256[] memory) {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置链上元数据渲染器（仅 METADATA_EDITOR_ROLE），零地址表示恢复使用基础 URI
+     */
+    function setRenderer(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
     }
 
-    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
-        return super.tokenURI(tokenId); // 返回代币 URI
+    /**
+     * @dev 设置代币属性（仅 METADATA_EDITOR_ROLE），覆盖该代币原有的全部属性
+     */
+    function setTokenTraits(uint256, string[] calldata, string[] calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置用于计算 tokenURI 的基础 URI（仅 METADATA_EDITOR_ROLE）
+     */
+    function setBaseTokenURI(string calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 提交来源证明（仅 METADATA_EDITOR_ROLE），启用延迟揭示，必须在第一次铸造之前提交
+     */
+    function setProvenanceHash(bytes32) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置揭示前所有代币共用的占位 URI（仅 METADATA_EDITOR_ROLE）
+     */
+    function setPlaceholderURI(string calldata) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 请求揭示（仅 METADATA_EDITOR_ROLE），承诺下一个区块的哈希作为随机源
+     */
+    function reveal() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 完成揭示（任何人），用承诺区块的哈希生成起始偏移量，只能执行一次
+     */
+    function finalizeReveal() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 永久冻结元数据（仅 METADATA_EDITOR_ROLE），之后不能再修改基础 URI、占位 URI、渲染器和代币属性
+     */
+    function freezeMetadata() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 发起所有权转移（仅所有者），新所有者调用 acceptOwnership 后生效
+     */
+    function transferOwnership(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 接受所有权（仅 pendingOwner）
+     */
+    function acceptOwnership() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 授予角色（仅该角色的管理角色）
+     */
+    function grantRole(bytes32, address) public override {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
     }
 
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage) returns (bool) {
-        return super.supportsInterface(interfaceId); // 检查是否支持接口
+    /**
+     * @dev 撤销角色（仅该角色的管理角色）
+     */
+    function revokeRole(bytes32, address) public override {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 放弃调用者自己的角色
+     */
+    function renounceRole(bytes32, address) public override {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置角色的管理角色（仅 DEFAULT_ADMIN_ROLE）
+     */
+    function setRoleAdmin(bytes32, bytes32) public override {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置紧急暂停守护者（仅 DEFAULT_ADMIN_ROLE），守护者只能暂停
+     */
+    function setGuardian(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 暂停功能（仅守护者或 DEFAULT_ADMIN_ROLE），flags 为 PAUSE_* 的按位组合
+     */
+    function pause(uint8) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 恢复功能（仅 DEFAULT_ADMIN_ROLE）
+     */
+    function unpause(uint8) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 设置提款接收地址（仅 TREASURER_ROLE），例如 PaymentSplitter
+     */
+    function setPayoutRecipient(address payable) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 接受或停用 ERC-20 稳定币支付（仅 TREASURER_ROLE），稳定币按 1 美元计价
+     */
+    function setPaymentToken(address, bool) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 将合约的原生代币余额提取给提款接收地址（未设置时为所有者），保留荷兰拍的退款（仅 TREASURER_ROLE）
+     */
+    function withdraw() external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
+    }
+
+    /**
+     * @dev 将一种支付代币的全部余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE）
+     */
+    function withdrawToken(address) external {
+        _delegate(adminModule); // 转发到 NFTCollectionV2Admin
     }
 }
@@ -0,0 +1,515 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./NFTCollectionV2Base.sol";
+import "./Initializable.sol";
+
+/**
+ * @title NFTCollectionV2Admin
+ * @dev NFTCollectionV2 的初始化器和管理函数，管理函数按角色授权（见 NFTCollectionV2Base 中的角色定义）
+ * @dev 由 NFTCollectionV2 的构造函数部署，NFTCollectionV2 中同名的函数把调用 delegatecall 到这里，
+ *      管理函数的代码因此不计入 NFTCollectionV2 的 24KB 合约大小限制
+ * @dev 只应通过 NFTCollectionV2 调用；直接调用时读写的是本合约自己的存储，没有任何角色成员，管理函数都会回滚
+ */
+contract NFTCollectionV2Admin is NFTCollectionV2Base, Initializable {
+    using SaleSchedule for SaleSchedule.Schedule;
+    using DelayedReveal for DelayedReveal.Config;
+    using PaymentTokens for PaymentTokens.Config;
+
+    // 最新的初始化版本：新部署的代理直接初始化到该版本，不会再执行更早的迁移
+    // 每次新增 reinitializer(n) 迁移时同步递增
+    uint64 private constant INITIALIZER_VERSION = 3;
+
+    constructor() {
+        _disableInitializers(); // 本合约只提供代码，自身的存储不能被初始化
+    }
+
+    /**
+     * @dev 初始化代理（新部署的代理直接初始化到最新版本），调用者成为所有者并获得全部角色
+     * @param name_ NFT 集合的名称
+     * @param symbol_ NFT 集合的符号
+     * @param baseTokenURI_ 所有代币的基础 URI
+     */
+    function initialize(
+        string memory name_,
+        string memory symbol_,
+        string memory baseTokenURI_
+    ) external reinitializer(INITIALIZER_VERSION) {
+        require(owner == address(0), "Already initialized"); // 确保未初始化（兼容引入版本号之前初始化的代理）
+        _transferOwnership(msg.sender); // 设置所有者为调用者，同时授予 DEFAULT_ADMIN_ROLE
+        _grantOperatorRoles(msg.sender); // 授予全部操作角色
+        _collectionName = name_; // 设置集合名称
+        _collectionSymbol = symbol_; // 设置集合符号
+        _baseTokenURI = baseTokenURI_; // 设置基础 URI
+        royaltyRecipient = payable(msg.sender); // 设置版税接收者为调用者
+
+        // 状态变量声明中的默认值只写入实现合约的存储，代理需要在这里设置
+        _setSaleConfig(10000, 10, 100, 0.01 ether, 0.05 ether, 250);
+    }
+
+    /**
+     * @dev 第 2 版迁移：为引入版本号之前部署的代理设置销售配置
+     * @dev 这些代理初始化时没有写入默认值（maxSupply 等均为 0），
+     *      应通过 upgradeToAndCall/upgradeProxyAndCall 在升级的同一笔交易中调用
+     * @param maxSupply_ NFT 最大供应量
+     * @param maxMintPerTx_ 每笔交易最多可铸造的数量
+     * @param reservedSupply_ 保留数量
+     * @param presalePrice_ 预售价格
+     * @param publicSalePrice_ 公开销售价格
+     * @param royaltyBps_ 版税基点
+     */
+    function initializeV2(
+        uint256 maxSupply_,
+        uint256 maxMintPerTx_,
+        uint256 reservedSupply_,
+        uint256 presalePrice_,
+        uint256 publicSalePrice_,
+        uint256 royaltyBps_
+    ) external reinitializer(2) {
+        require(owner != address(0), "Not initialized"); // 只迁移已经初始化的代理
+        _setSaleConfig(maxSupply_, maxMintPerTx_, reservedSupply_, presalePrice_, publicSalePrice_, royaltyBps_);
+    }
+
+    /**
+     * @dev 第 3 版迁移：从单一所有者改为基于角色的权限，所有者获得 DEFAULT_ADMIN_ROLE 和全部操作角色
+     * @dev 应通过 upgradeToAndCall/upgradeProxyAndCall 在升级的同一笔交易中调用；
+     *      引入版本号之前部署的代理需要先执行 initializeV2，否则第 2 版迁移会被跳过
+     */
+    function initializeV3() external reinitializer(3) {
+        require(owner != address(0), "Not initialized"); // 只迁移已经初始化的代理
+        _grantRole(DEFAULT_ADMIN_ROLE, owner); // 所有者成为角色管理员
+        _grantOperatorRoles(owner); // 所有者保留原来的全部权限
+    }
+
+    /**
+     * @dev 授予全部操作角色
+     */
+    function _grantOperatorRoles(address account) private {
+        _grantRole(MINTER_ROLE, account);
+        _grantRole(SALE_MANAGER_ROLE, account);
+        _grantRole(METADATA_EDITOR_ROLE, account);
+        _grantRole(TREASURER_ROLE, account);
+        _grantRole(UPGRADER_ROLE, account);
+    }
+
+    /**
+     * @dev 设置销售配置
+     */
+    function _setSaleConfig(
+        uint256 maxSupply_,
+        uint256 maxMintPerTx_,
+        uint256 reservedSupply_,
+        uint256 presalePrice_,
+        uint256 publicSalePrice_,
+        uint256 royaltyBps_
+    ) private {
+        require(maxSupply_ >= totalSupply(), "Cannot set below current supply"); // 确保不低于当前供应量
+        require(reservedSupply_ <= maxSupply_, "Reserved exceeds max supply"); // 确保保留数量不超过最大供应量
+        require(royaltyBps_ <= MAX_ROYALTY_BPS, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
+
+        maxSupply = maxSupply_; // 设置最大供应量
+        maxMintPerTx = maxMintPerTx_; // 设置每笔交易最大铸造数量
+        reservedSupply = reservedSupply_; // 设置保留数量
+        presalePrice = presalePrice_; // 设置预售价格
+        publicSalePrice = publicSalePrice_; // 设置公开销售价格
+        royaltyBps = royaltyBps_; // 设置版税基点
+    }
+
+    /**
+     * @dev 设置主预言机（仅 SALE_MANAGER_ROLE）
+     * @dev 设置后预售价格、公开销售价格和默认价格都按美元计，切换前应同时更新价格
+     * @param priceFeedAddress_ 主预言机地址，零地址表示恢复以原生代币计价
+     */
+    function setPriceFeed(address priceFeedAddress_) external onlyRole(SALE_MANAGER_ROLE) {
+        emit PriceFeedUpdated(address(oracleConfig.primaryFeed), priceFeedAddress_); // 触发主预言机更新事件
+        oracleConfig.primaryFeed = AggregatorV3Interface(priceFeedAddress_); // 更新主预言机
+    }
+
+    /**
+     * @dev 设置备用预言机（仅 SALE_MANAGER_ROLE），主预言机检查失败时使用
+     * @param priceFeedAddress_ 备用预言机地址，零地址表示不使用
+     */
+    function setSecondaryPriceFeed(address priceFeedAddress_) external onlyRole(SALE_MANAGER_ROLE) {
+        emit SecondaryPriceFeedUpdated(address(oracleConfig.secondaryFeed), priceFeedAddress_); // 触发备用预言机更新事件
+        oracleConfig.secondaryFeed = AggregatorV3Interface(priceFeedAddress_); // 更新备用预言机
+    }
+
+    /**
+     * @dev 设置备用价格（仅 SALE_MANAGER_ROLE），所有预言机都不可用时使用
+     * @param price 原生代币价格（18 位小数），0 表示不使用
+     */
+    function setFallbackPrice(uint256 price) external onlyRole(SALE_MANAGER_ROLE) {
+        emit FallbackPriceUpdated(oracleConfig.fallbackPrice, price); // 触发备用价格更新事件
+        oracleConfig.fallbackPrice = price; // 更新备用价格
+    }
+
+    /**
+     * @dev 配置荷兰拍（仅 SALE_MANAGER_ROLE），有成交后不能再修改
+     * @dev 价格从起拍价开始，每隔 stepDuration 秒下降 priceDrop，直到底价
+     * @param startTime 开始时间
+     * @param startPrice 起拍价
+     * @param floorPrice 底价
+     * @param priceDrop 每次降价的幅度
+     * @param stepDuration 每次降价的间隔（秒）
+     * @param supply 拍卖数量
+     */
+    function setDutchAuction(
+        uint64 startTime,
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint128 priceDrop,
+        uint32 stepDuration,
+        uint32 supply
+    ) public onlyRole(SALE_MANAGER_ROLE) {
+        require(dutchAuction.sold == 0, "Auction already has sales"); // 有成交后不能修改
+        require(startPrice >= floorPrice && priceDrop > 0 && stepDuration > 0 && supply > 0, "Invalid auction config"); // 校验配置
+
+        dutchAuction = DutchAuction({
+            startTime: startTime,
+            stepDuration: stepDuration,
+            supply: supply,
+            sold: 0,
+            finalized: false,
+            startPrice: startPrice,
+            floorPrice: floorPrice,
+            priceDrop: priceDrop,
+            clearingPrice: 0,
+            totalPaid: 0,
+            totalRefunded: 0
+        });
+
+        emit DutchAuctionConfigured(startTime, startPrice, floorPrice, priceDrop, stepDuration, supply); // 触发荷兰拍配置事件
+    }
+
+    /**
+     * @dev 提前结束拍卖（仅 SALE_MANAGER_ROLE），成交价为最后一笔成交的价格
+     */
+    function finalizeAuction() public onlyRole(SALE_MANAGER_ROLE) {
+        require(dutchAuction.supply > 0 && block.timestamp >= dutchAuction.startTime, "Auction is not active"); // 要求拍卖已开始
+        require(!dutchAuction.finalized, "Auction finalized"); // 要求拍卖未结束
+
+        dutchAuction.finalized = true; // 结束拍卖
+        emit AuctionFinalized(dutchAuction.clearingPrice, dutchAuction.sold); // 触发荷兰拍结束事件
+    }
+
+    /**
+     * @dev 设置销售状态（仅 SALE_MANAGER_ROLE）
+     * @param _saleActive 公开销售是否激活
+     * @param _presaleActive 预售是否激活
+     */
+    function setSaleState(bool _saleActive, bool _presaleActive) public onlyRole(SALE_MANAGER_ROLE) {
+        saleActive = _saleActive; // 设置公开销售状态
+        presaleActive = _presaleActive; // 设置预售状态
+        emit SaleStateChanged(_saleActive, _presaleActive); // 触发销售状态变更事件
+    }
+
+    /**
+     * @dev 设置分阶段销售计划（仅 SALE_MANAGER_ROLE），替换全部阶段，已铸造数量重新计数
+     * @dev 配置后铸造只看当前阶段，saleActive/presaleActive 不再生效；传入空数组恢复使用销售开关
+     * @param phases 按时间排序且互不重叠的阶段
+     */
+    function setSalePhases(SaleSchedule.Phase[] calldata phases) public onlyRole(SALE_MANAGER_ROLE) {
+        _saleSchedule.setPhases(phases); // 替换销售计划
+        emit SalePhasesUpdated(phases.length); // 触发销售计划更新事件
+    }
+
+    /**
+     * @dev 设置白名单状态（仅 SALE_MANAGER_ROLE）
+     * @param enabled 是否启用白名单
+     */
+    function setWhitelistEnabled(bool enabled) public onlyRole(SALE_MANAGER_ROLE) {
+        whitelistEnabled = enabled; // 设置白名单启用状态
+        emit WhitelistStateChanged(enabled); // 触发白名单状态变更事件
+    }
+
+    /**
+     * @dev 添加地址到白名单（仅 SALE_MANAGER_ROLE）
+     * @param addresses 要加入白名单的地址数组
+     * @param _whitelisted 是否添加到白名单或从白名单移除
+     */
+    function updateWhitelist(address[] memory addresses, bool _whitelisted) public onlyRole(SALE_MANAGER_ROLE) {
+        for (uint256 i = 0; i < addresses.length; i++) { // 循环处理每个地址
+            whitelisted[addresses[i]] = _whitelisted; // 更新白名单状态
+        }
+        emit WhitelistUpdated(addresses, _whitelisted); // 触发白名单更新事件
+    }
+
+    /**
+     * @dev 设置 Merkle 白名单的根（仅 SALE_MANAGER_ROLE）
+     * @dev 已铸造数量按地址记录，更换根后不会清零
+     * @param root 新的 Merkle 根
+     */
+    function setMerkleRoot(bytes32 root) public onlyRole(SALE_MANAGER_ROLE) {
+        emit MerkleRootUpdated(merkleRoot, root); // 触发 Merkle 根更新事件
+        merkleRoot = root; // 设置新的 Merkle 根
+    }
+
+    /**
+     * @dev 设置最大供应量（仅 SALE_MANAGER_ROLE）
+     * @param _maxSupply 新的最大供应量
+     */
+    function setMaxSupply(uint256 _maxSupply) public onlyRole(SALE_MANAGER_ROLE) {
+        require(_maxSupply >= totalSupply(), "Cannot set below current supply"); // 确保不低于当前供应量
+        require(!revealConfig.isEnabled(), "Provenance already committed"); // 来源证明按最大供应量计算偏移量，提交后不能修改
+        uint256 previousSupply = maxSupply; // 保存旧的最大供应量
+        maxSupply = _maxSupply; // 设置新的最大供应量
+        emit MaxSupplyUpdated(previousSupply, _maxSupply); // 触发最大供应量更新事件
+    }
+
+    /**
+     * @dev 设置铸造价格（仅 SALE_MANAGER_ROLE）
+     * @param _presalePrice 新的预售价格
+     * @param _publicSalePrice 新的公开销售价格
+     */
+    function setMintPrices(uint256 _presalePrice, uint256 _publicSalePrice) public onlyRole(SALE_MANAGER_ROLE) {
+        uint256 previousPresalePrice = presalePrice; // 保存旧的预售价格
+        uint256 previousPublicPrice = publicSalePrice; // 保存旧的公开销售价格
+        presalePrice = _presalePrice; // 设置新的预售价格
+        publicSalePrice = _publicSalePrice; // 设置新的公开销售价格
+        emit MintPriceUpdated(previousPresalePrice, _presalePrice); // 触发预售价格更新事件
+        emit MintPriceUpdated(previousPublicPrice, _publicSalePrice); // 触发公开销售价格更新事件
+    }
+
+    /**
+     * @dev 设置版税配置（仅 TREASURER_ROLE）
+     * @param recipient 版税接收地址
+     * @param bps 版税基点
+     */
+    function setRoyalty(address payable recipient, uint256 bps) public onlyRole(TREASURER_ROLE) {
+        require(bps <= MAX_ROYALTY_BPS, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
+        royaltyRecipient = recipient; // 设置版税接收者
+        royaltyBps = bps; // 设置版税基点
+        emit RoyaltyUpdated(recipient, bps); // 触发版税更新事件
+    }
+
+    /**
+     * @dev 为团队/赠品保留铸造（仅 MINTER_ROLE）
+     * @param to 接收 NFT 的地址
+     * @param tokenURI_ NFT 元数据的 URI
+     * @return 新铸造的 NFT 的 ID
+     */
+    function reservedMint(address to, string memory tokenURI_) public onlyRole(MINTER_ROLE) returns (uint256) {
+        require(totalSupply() < maxSupply, "Maximum supply reached"); // 确保未达到最大供应量
+        return _mintNFT(to, tokenURI_); // 执行铸造
+    }
+
+    /**
+     * @dev 为团队/赠品保留铸造，并为该代币单独设置版税（仅 MINTER_ROLE）
+     * @param to 接收 NFT 的地址
+     * @param tokenURI_ NFT 元数据的 URI
+     * @param receiver 该代币的版税接收地址
+     * @param bps 该代币的版税基点，不超过 MAX_ROYALTY_BPS
+     * @return 新铸造的 NFT 的 ID
+     */
+    function reservedMintWithRoyalty(
+        address to,
+        string memory tokenURI_,
+        address receiver,
+        uint96 bps
+    ) public onlyRole(MINTER_ROLE) returns (uint256) {
+        require(receiver != address(0), "Invalid royalty receiver"); // 接收地址不能是零地址
+        require(bps <= MAX_ROYALTY_BPS, "Royalty cannot exceed 10%"); // 确保版税不超过 10%
+
+        uint256 tokenId = reservedMint(to, tokenURI_); // 执行铸造
+        _tokenRoyalties[tokenId] = TokenRoyalty(receiver, bps); // 设置代币版税
+        emit TokenRoyaltySet(tokenId, receiver, bps); // 触发代币版税设置事件
+        return tokenId; // 返回新代币 ID
+    }
+
+    /**
+     * @dev 为团队/赠品批量保留铸造（仅 MINTER_ROLE）
+     * @param to 接收 NFT 的地址
+     * @param tokenURIs NFT 元数据的 URI 数组
+     * @return 新铸造的 NFT 的 ID 数组
+     */
+    function reservedMintBatch(address to, string[] memory tokenURIs) public onlyRole(MINTER_ROLE) returns (uint256[] memory) {
+        require(totalSupply() + tokenURIs.length <= maxSupply, "Exceeds maximum supply"); // 确保不超过最大供应量
+
+        uint256[] memory newTokenIds = new uint256[](tokenURIs.length); // 创建新代币 ID 数组
+
+        for (uint256 i = 0; i < tokenURIs.length; i++) { // 循环铸造
+            newTokenIds[i] = _mintNFT(to, tokenURIs[i]); // 铸造每个 NFT
+        }
+
+        return newTokenIds; // 返回新代币 ID 数组
+    }
+
+    /**
+     * @dev 设置链上元数据渲染器（仅 METADATA_EDITOR_ROLE），设置后 tokenURI 由渲染器根据代币属性生成
+     * @param renderer_ 渲染器地址，零地址表示恢复使用基础 URI
+     */
+    function setRenderer(address renderer_) public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        revealConfig.requireNotFrozen(); // 冻结后不能更换
+        emit RendererUpdated(address(renderer), renderer_); // 触发渲染器更新事件
+        renderer = ITokenRenderer(renderer_); // 设置渲染器
+        emit BatchMetadataUpdate(1, maxSupply); // 通知市场刷新全部元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 设置代币属性（仅 METADATA_EDITOR_ROLE），覆盖该代币原有的全部属性
+     * @param tokenId 代币的 ID
+     * @param traitTypes 属性名称数组
+     * @param values 对应的属性值数组
+     */
+    function setTokenTraits(uint256 tokenId, string[] memory traitTypes, string[] memory values) public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        _requireOwned(tokenId); // 确保代币存在
+        require(traitTypes.length == values.length, "Traits length mismatch"); // 数组长度必须一致
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+
+        delete _tokenTraits[tokenId]; // 清除原有属性
+        for (uint256 i = 0; i < traitTypes.length; i++) { // 逐个保存属性
+            _tokenTraits[tokenId].push(ITokenRenderer.Trait(traitTypes[i], values[i]));
+        }
+        emit MetadataUpdate(tokenId); // 通知市场刷新该代币的元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 设置用于计算 tokenURI 的基础 URI（仅 METADATA_EDITOR_ROLE）
+     * @param baseTokenURI_ 新的基础 URI
+     */
+    function setBaseTokenURI(string memory baseTokenURI_) public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+        string memory previousURI = _baseTokenURI; // 保存旧的基础 URI
+        _baseTokenURI = baseTokenURI_; // 设置新的基础 URI
+        emit BaseTokenURIUpdated(previousURI, baseTokenURI_); // 触发基础 URI 更新事件
+    }
+
+    /**
+     * @dev 提交来源证明（仅 METADATA_EDITOR_ROLE），启用延迟揭示，必须在第一次铸造之前提交
+     * @dev 启用后揭示前所有代币返回占位 URI，揭示后 tokenURI 为基础 URI + 元数据文件序号
+     * @param provenanceHash 全部元数据文件的来源证明
+     */
+    function setProvenanceHash(bytes32 provenanceHash) public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        require(totalSupply() == 0, "Sale already started"); // 销售开始前提交
+        revealConfig.commit(provenanceHash); // 保存来源证明
+        emit ProvenanceHashSet(provenanceHash); // 触发来源证明提交事件
+    }
+
+    /**
+     * @dev 设置揭示前所有代币共用的占位 URI（仅 METADATA_EDITOR_ROLE）
+     * @param placeholderURI 占位 URI
+     */
+    function setPlaceholderURI(string memory placeholderURI) public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        revealConfig.requireNotFrozen(); // 冻结后不能修改
+        revealConfig.placeholderURI = placeholderURI; // 设置占位 URI
+        emit PlaceholderURIUpdated(placeholderURI); // 触发占位 URI 更新事件
+    }
+
+    /**
+     * @dev 请求揭示（仅 METADATA_EDITOR_ROLE），承诺下一个区块的哈希作为随机源，之后任何人都可以调用 finalizeReveal
+     */
+    function reveal() public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        emit RevealRequested(revealConfig.requestReveal()); // 触发揭示请求事件
+    }
+
+    /**
+     * @dev 完成揭示（任何人），用承诺区块的哈希生成起始偏移量，只能执行一次
+     */
+    function finalizeReveal() public whenNotPaused(PAUSE_METADATA) {
+        uint256 startingIndex = revealConfig.reveal(maxSupply); // 生成起始偏移量
+        emit Revealed(startingIndex); // 触发揭示事件
+        emit BatchMetadataUpdate(1, maxSupply); // 通知市场刷新全部元数据（ERC-4906）
+    }
+
+    /**
+     * @dev 永久冻结元数据（仅 METADATA_EDITOR_ROLE），之后不能再修改基础 URI、占位 URI、渲染器和代币属性
+     */
+    function freezeMetadata() public onlyRole(METADATA_EDITOR_ROLE) whenNotPaused(PAUSE_METADATA) {
+        revealConfig.freeze(); // 启用延迟揭示时要求已揭示，且未冻结
+        emit MetadataFrozen(); // 触发元数据冻结事件
+    }
+
+    /**
+     * @dev 发起所有权转移（仅所有者），新所有者调用 acceptOwnership 后生效
+     * @dev 再次调用会覆盖待接受的地址
+     * @param newOwner 新所有者地址
+     */
+    function transferOwnership(address newOwner) public onlyOwner {
+        require(newOwner != address(0), "New owner is the zero address"); // 确保新所有者不是零地址
+        pendingOwner = newOwner; // 记录待接受的地址
+        emit OwnershipTransferStarted(owner, newOwner); // 触发所有权转移发起事件
+    }
+
+    /**
+     * @dev 接受所有权（仅 pendingOwner），DEFAULT_ADMIN_ROLE 随所有权一起转移
+     */
+    function acceptOwnership() public {
+        require(msg.sender == pendingOwner, "Caller is not the pending owner"); // 只有被提名的地址可以接受
+        _transferOwnership(msg.sender); // 完成转移
+    }
+
+    /**
+     * @dev 设置紧急暂停守护者（仅 DEFAULT_ADMIN_ROLE），零地址表示取消
+     * @dev 守护者只能暂停，不拥有任何角色，不能恢复、升级或修改配置
+     * @param guardian_ 守护者地址，通常是监控机器人或安全多签
+     */
+    function setGuardian(address guardian_) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit GuardianUpdated(guardian, guardian_); // 触发守护者更新事件
+        guardian = guardian_; // 设置守护者
+    }
+
+    /**
+     * @dev 暂停功能（仅守护者或 DEFAULT_ADMIN_ROLE），立即生效
+     * @param flags 要暂停的功能（PAUSE_MINT、PAUSE_TRANSFER、PAUSE_METADATA 按位组合）
+     */
+    function pause(uint8 flags) public {
+        require(msg.sender == guardian || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Caller cannot pause"); // 确保调用者可以暂停
+        require(flags != 0 && flags <= PAUSE_MINT | PAUSE_TRANSFER | PAUSE_METADATA, "Invalid pause flags"); // 确保标志有效
+        pausedFlags |= flags; // 设置暂停标志
+        emit Paused(msg.sender, flags); // 触发暂停事件
+    }
+
+    /**
+     * @dev 恢复功能（仅 DEFAULT_ADMIN_ROLE）
+     * @param flags 要恢复的功能（PAUSE_* 按位组合）
+     */
+    function unpause(uint8 flags) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        pausedFlags &= ~flags; // 清除暂停标志
+        emit Unpaused(msg.sender, flags); // 触发恢复事件
+    }
+
+    /**
+     * @dev 设置提款接收地址（仅 TREASURER_ROLE），例如 PaymentSplitter
+     * @param recipient 提款接收地址，零地址表示所有者
+     */
+    function setPayoutRecipient(address payable recipient) public onlyRole(TREASURER_ROLE) {
+        emit PayoutRecipientUpdated(payoutRecipient, recipient); // 触发提款接收地址更新事件
+        payoutRecipient = recipient; // 设置提款接收地址
+    }
+
+    /**
+     * @dev 接受或停用 ERC-20 稳定币支付（仅 TREASURER_ROLE），稳定币按 1 美元计价
+     * @param token 代币地址
+     * @param accepted 是否接受支付，停用后余额仍可提取
+     */
+    function setPaymentToken(address token, bool accepted) public onlyRole(TREASURER_ROLE) {
+        uint8 decimals = _paymentTokens.setToken(token, accepted); // 保存配置，小数位数从代币读取
+        emit PaymentTokenUpdated(token, accepted, decimals); // 触发支付代币更新事件
+    }
+
+    /**
+     * @dev 将合约的原生代币余额提取给提款接收地址（未设置时为所有者），保留荷兰拍的退款（仅 TREASURER_ROLE）
+     * @dev 支付代币由 withdrawToken 提取
+     */
+    function withdraw() public onlyRole(TREASURER_ROLE) {
+        (bool success, ) = _payoutRecipient().call{value: address(this).balance - _auctionReserve()}(""); // 转出可提取的余额
+        require(success, "Withdraw failed"); // 确保转账成功
+    }
+
+    /**
+     * @dev 将一种支付代币的全部余额提取给提款接收地址（未设置时为所有者）（仅 TREASURER_ROLE）
+     * @param token 支付代币地址，可以是已停用的代币
+     */
+    function withdrawToken(address token) public onlyRole(TREASURER_ROLE) {
+        address recipient = _payoutRecipient(); // 提款接收地址
+        uint256 amount = _paymentTokens.withdraw(token, recipient); // 转出代币余额
+        emit PaymentTokenWithdrawn(token, recipient, amount); // 触发支付代币提取事件
+    }
+
+    /**
+     * @dev 提款接收地址，未设置时为所有者
+     */
+    function _payoutRecipient() private view returns (address) {
+        return payoutRecipient == address(0) ? owner : payoutRecipient; // 未设置时转给所有者
+    }
+}
@@ -0,0 +1,252 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "./PriceOracle.sol";
+import "./SaleSchedule.sol";
+import "./DelayedReveal.sol";
+import "./ITokenRenderer.sol";
+import "./AccessRoles.sol";
+import "./PaymentTokens.sol";
+
+/**
+ * @title NFTCollectionV2Base
+ * @dev NFTCollectionV2 与 NFTCollectionV2Admin 共用的存储布局、事件、修饰符和内部函数
+ * @dev 两个合约都通过继承本合约获得完全相同的存储布局，NFTCollectionV2 把所有者管理函数
+ *      delegatecall 到 NFTCollectionV2Admin 时，管理函数读写的就是代理的存储
+ * @dev 新的状态变量只能添加在 __gap 之前，并相应缩小 __gap
+ * @dev 管理函数按角色授权（见 AccessRoles），角色数据保存在命名空间槽位中，不占用这里的存储布局
+ * @dev 铸造、转移和元数据修改可以分别紧急暂停，守护者只能暂停，恢复需要 DEFAULT_ADMIN_ROLE
+ */
+abstract contract NFTCollectionV2Base is ERC721, ERC721URIStorage, AccessRoles {
+    using DelayedReveal for DelayedReveal.Config;
+
+    uint256 private _tokenIds; // 代币 ID 计数器
+
+    string internal _baseTokenURI; // 用于计算 tokenURI 的基础 URI
+
+    mapping(uint256 => string) private _tokenURIs; // 代币 ID 到 URI 的映射
+
+    uint256 public maxSupply = 10000; // NFT 最大供应量
+
+    uint256 public mintPrice = 0; // 铸造价格（0 表示免费铸造）
+
+    uint256 public maxMintPerTx = 10; // 每笔交易最多可铸造的 NFT 数量
+
+    mapping(address => bool) public whitelisted; // 预售白名单
+    bool public whitelistEnabled = false; // 是否启用白名单
+
+    uint256 public presalePrice = 0.01 ether; // 预售价格
+    uint256 public publicSalePrice = 0.05 ether; // 公开销售价格
+
+    bool public saleActive = false; // 公开销售是否激活
+    bool public presaleActive = false; // 预售是否激活
+
+    uint256 public reservedSupply = 100; // 为团队/赠品保留的 NFT 数量
+
+    address payable public royaltyRecipient; // 版税接收地址
+    uint256 public royaltyBps = 250; // 版税基点（250 = 2.5%）
+
+    address public owner; // 合约所有者（用于代理模式）
+
+    string internal _collectionName; // 集合名称（代理模式下由 initialize 设置）
+    string internal _collectionSymbol; // 集合符号（代理模式下由 initialize 设置）
+
+    PriceOracle.Config public oracleConfig; // 价格预言机配置（设置主预言机后价格按美元计，占用 5 个槽位）
+
+    bytes32 public merkleRoot; // Merkle 预售白名单的根，叶子为 (地址, 配额)
+    mapping(address => uint256) public presaleMinted; // 每个地址通过 Merkle 白名单已铸造的数量
+
+    SaleSchedule.Schedule internal _saleSchedule; // 分阶段销售计划（配置后取代销售开关，占用 4 个槽位）
+
+    /**
+     * @dev 荷兰拍配置与状态（价格以原生代币计价）
+     */
+    struct DutchAuction {
+        uint64 startTime; // 开始时间
+        uint32 stepDuration; // 每次降价的间隔（秒）
+        uint32 supply; // 拍卖数量
+        uint32 sold; // 已拍出数量
+        bool finalized; // 是否已结束
+        uint128 startPrice; // 起拍价
+        uint128 floorPrice; // 底价
+        uint128 priceDrop; // 每次降价的幅度
+        uint128 clearingPrice; // 成交价（最后一笔成交的价格）
+        uint128 totalPaid; // 买家支付的总额
+        uint128 totalRefunded; // 已退款的总额
+    }
+
+    /**
+     * @dev 买家的出价记录
+     */
+    struct AuctionBid {
+        uint128 paid; // 支付的总额
+        uint32 quantity; // 购买数量
+        bool refunded; // 是否已退款
+    }
+
+    DutchAuction public dutchAuction; // 荷兰拍（占用 4 个槽位）
+    mapping(address => AuctionBid) public auctionBids; // 买家 => 出价记录
+
+    /**
+     * @dev 单个代币的版税（覆盖默认版税）
+     */
+    struct TokenRoyalty {
+        address receiver; // 版税接收地址
+        uint96 bps; // 版税基点
+    }
+
+    mapping(uint256 => TokenRoyalty) internal _tokenRoyalties; // 代币 ID => 单独设置的版税
+    address payable public payoutRecipient; // 提款接收地址（零地址表示所有者），可以是 PaymentSplitter
+
+    DelayedReveal.Config public revealConfig; // 延迟揭示配置（来源证明、起始偏移量、占位 URI，占用 3 个槽位）
+
+    ITokenRenderer public renderer; // 链上元数据渲染器（零地址表示使用基础 URI）
+    mapping(uint256 => ITokenRenderer.Trait[]) internal _tokenTraits; // 代币 ID => 代币属性，由渲染器生成元数据
+
+    mapping(address => mapping(uint256 => bool)) public voucherNonceUsed; // 签名者 => 凭证编号 => 是否已使用或取消
+
+    address public pendingOwner; // 等待接受所有权的地址（两步转移）
+
+    address public guardian; // 紧急暂停守护者：只能暂停，不能恢复或升级
+    uint8 public pausedFlags; // 已暂停的功能（PAUSE_* 按位组合，与 guardian 共用一个槽位）
+
+    PaymentTokens.Config internal _paymentTokens; // 接受的 ERC-20 稳定币（占用 2 个槽位）
+
+    uint256[20] private __gap; // 存储间隙，用于未来升级
+
+    uint256 public constant MAX_ROYALTY_BPS = 1000; // 版税上限（10%）
+
+    // 角色，管理角色默认为 DEFAULT_ADMIN_ROLE（由所有者持有）
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE"); // 保留铸造、签名懒铸造凭证
+    bytes32 public constant SALE_MANAGER_ROLE = keccak256("SALE_MANAGER_ROLE"); // 销售状态、阶段、白名单、价格、拍卖和预言机
+    bytes32 public constant METADATA_EDITOR_ROLE = keccak256("METADATA_EDITOR_ROLE"); // 基础 URI、延迟揭示、渲染器和代币属性
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // 版税、提款接收地址和提款
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE"); // UUPS 升级
+
+    // 可以单独暂停的功能（pausedFlags 的位）
+    uint8 public constant PAUSE_MINT = 1; // 所有铸造途径（公开销售、预售、荷兰拍、保留铸造、凭证兑换）
+    uint8 public constant PAUSE_TRANSFER = 2; // 代币转移
+    uint8 public constant PAUSE_METADATA = 4; // 基础 URI、占位 URI、来源证明、揭示、渲染器、代币属性和冻结
+
+    // 事件
+    event NFTMinted(address indexed to, uint256 indexed tokenId, string tokenURI); // NFT 铸造事件
+    event BaseTokenURIUpdated(string previousURI, string newURI); // 基础 URI 更新事件
+    event SaleStateChanged(bool saleActive, bool presaleActive); // 销售状态变更事件
+    event SalePhasesUpdated(uint256 phaseCount); // 销售计划更新事件
+    event WhitelistStateChanged(bool enabled); // 白名单状态变更事件
+    event WhitelistUpdated(address[] indexed addresses, bool indexed whitelisted); // 白名单更新事件
+    event MerkleRootUpdated(bytes32 previousRoot, bytes32 newRoot); // Merkle 根更新事件
+    event MaxSupplyUpdated(uint256 previousSupply, uint256 newSupply); // 最大供应量更新事件
+    event MintPriceUpdated(uint256 previousPrice, uint256 newPrice); // 铸造价格更新事件
+    event RoyaltyUpdated(address indexed recipient, uint256 bps); // 版税更新事件
+    event TokenRoyaltySet(uint256 indexed tokenId, address indexed receiver, uint256 bps); // 代币版税设置事件
+    event PayoutRecipientUpdated(address indexed previousRecipient, address indexed newRecipient); // 提款接收地址更新事件
+    event ProvenanceHashSet(bytes32 provenanceHash); // 来源证明提交事件
+    event PlaceholderURIUpdated(string placeholderURI); // 占位 URI 更新事件
+    event RevealRequested(uint256 revealBlock); // 揭示请求事件
+    event Revealed(uint256 startingIndex); // 揭示事件
+    event MetadataFrozen(); // 元数据冻结事件
+    event RendererUpdated(address indexed previousRenderer, address indexed newRenderer); // 渲染器更新事件
+    event VoucherRedeemed(address indexed signer, address indexed redeemer, uint256 indexed tokenId, uint256 nonce); // 凭证兑换事件
+    event VoucherCancelled(address indexed signer, uint256 nonce); // 凭证取消事件
+    event PaymentTokenUpdated(address indexed token, bool accepted, uint8 decimals); // 支付代币更新事件
+    event PaymentTokenWithdrawn(address indexed token, address indexed recipient, uint256 amount); // 支付代币提取事件
+    event GuardianUpdated(address indexed previousGuardian, address indexed newGuardian); // 守护者更新事件
+    event Paused(address indexed account, uint8 flags); // 暂停事件
+    event Unpaused(address indexed account, uint8 flags); // 恢复事件
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner); // 所有权转移发起事件
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner); // 所有权转移事件
+    event PriceFeedUpdated(address indexed previousFeed, address indexed newFeed); // 主预言机更新事件
+    event SecondaryPriceFeedUpdated(address indexed previousFeed, address indexed newFeed); // 备用预言机更新事件
+    event FallbackPriceUpdated(uint256 previousPrice, uint256 newPrice); // 备用价格更新事件
+    event OracleSafetyUpdated(uint32 heartbeat, bool requireCompleteRound, uint256 minPrice, uint256 maxPrice); // 预言机安全检查更新事件
+    event DutchAuctionConfigured(uint256 startTime, uint256 startPrice, uint256 floorPrice, uint256 priceDrop, uint256 stepDuration, uint256 supply); // 荷兰拍配置事件
+    event AuctionMinted(address indexed buyer, uint256 quantity, uint256 price); // 荷兰拍铸造事件
+    event AuctionFinalized(uint256 clearingPrice, uint256 sold); // 荷兰拍结束事件
+    event AuctionRefunded(address indexed buyer, uint256 amount); // 荷兰拍退款事件
+
+    // 修饰符
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner"); // 要求调用者是所有者
+        _;
+    }
+
+    /**
+     * @dev 要求功能未暂停
+     */
+    modifier whenNotPaused(uint8 flag) {
+        require(pausedFlags & flag == 0, "Function is paused"); // 确保功能未暂停
+        _;
+    }
+
+    constructor() ERC721("", "") {} // 使用空字符串初始化 ERC721，代理的名称和符号由 initialize 设置
+
+    /**
+     * @dev 内部铸造函数
+     */
+    function _mintNFT(address to, string memory tokenURI_) internal returns (uint256) {
+        uint256 newTokenId = ++_tokenIds; // 递增代币 ID
+        _safeMint(to, newTokenId); // 安全铸造 NFT
+        _setTokenURI(newTokenId, tokenURI_); // 设置代币 URI
+        emit NFTMinted(to, newTokenId, tokenURI_); // 触发铸造事件
+        return newTokenId; // 返回新代币 ID
+    }
+
+    /**
+     * @dev 转移所有权，DEFAULT_ADMIN_ROLE 随所有权一起转移，其他角色不变
+     */
+    function _transferOwnership(address newOwner) internal {
+        address previousOwner = owner; // 保存旧所有者
+        delete pendingOwner; // 清除待接受的转移
+        owner = newOwner; // 设置新所有者
+        if (previousOwner != address(0)) _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner); // 旧所有者失去管理角色
+        _grantRole(DEFAULT_ADMIN_ROLE, newOwner); // 新所有者获得管理角色
+        emit OwnershipTransferred(previousOwner, newOwner); // 触发所有权转移事件
+    }
+
+    /**
+     * @dev 所有铸造和转移都经过这里，按暂停标志拦截
+     */
+    function _update(address to, uint256 tokenId, address auth) internal virtual override returns (address) {
+        uint8 flag = _ownerOf(tokenId) == address(0) ? PAUSE_MINT : PAUSE_TRANSFER; // 没有所有者表示铸造
+        require(pausedFlags & flag == 0, "Function is paused"); // 确保功能未暂停
+        return super._update(to, tokenId, auth); // 执行铸造或转移
+    }
+
+    /**
+     * @dev 返回代币总供应量
+     */
+    function totalSupply() public view returns (uint256) {
+        return _tokenIds; // 返回当前代币 ID 计数
+    }
+
+    /**
+     * @dev 为荷兰拍退款保留的余额：结束前保留全部拍卖收入，结束后保留未领取的退款
+     */
+    function _auctionReserve() internal view returns (uint256) {
+        DutchAuction storage auction = dutchAuction;
+        if (!auction.finalized) return auction.totalPaid; // 拍卖结束前成交价未定
+        return auction.totalPaid - uint256(auction.sold) * auction.clearingPrice - auction.totalRefunded; // 未领取的退款
+    }
+
+    /**
+     * @dev 返回代币 URI：设置了渲染器时由渲染器在链上生成；
+     *      启用延迟揭示后揭示前为占位 URI，揭示后为基础 URI + 元数据文件序号
+     */
+    function tokenURI(uint256 tokenId) public view virtual override(ERC721, ERC721URIStorage) returns (string memory) {
+        if (address(renderer) != address(0)) { // 设置了渲染器，元数据完全在链上生成
+            _requireOwned(tokenId); // 确保代币存在
+            return renderer.tokenURI(tokenId, name(), _tokenTraits[tokenId]); // 交给渲染器生成
+        }
+        if (!revealConfig.isEnabled()) return super.tokenURI(tokenId); // 未启用延迟揭示，返回代币 URI
+
+        _requireOwned(tokenId); // 确保代币存在
+        return revealConfig.tokenURI(_baseTokenURI, tokenId, maxSupply); // 揭示前为占位 URI，揭示后按偏移量计算
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC721, ERC721URIStorage) returns (bool) {
+        return super.supportsInterface(interfaceId); // 检查是否支持接口
+    }
+}
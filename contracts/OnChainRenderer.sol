@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./ITokenRenderer.sol";
+
+/**
+ * @title OnChainRenderer
+ * @dev 完全链上的元数据渲染器
+ * @dev tokenURI 为 base64 编码的 JSON data URI，image 为 base64 编码的 SVG data URI，
+ *      SVG 背景色由代币 ID 决定，图中逐行列出代币属性
+ */
+contract OnChainRenderer is ITokenRenderer {
+    string public description; // 元数据中的描述
+
+    /**
+     * @dev 构造函数，设置元数据描述
+     * @param description_ 所有代币共用的描述
+     */
+    constructor(string memory description_) {
+        description = description_; // 设置描述
+    }
+
+    /**
+     * @dev 生成 data:application/json;base64 格式的 tokenURI
+     */
+    function tokenURI(
+        uint256 tokenId,
+        string calldata collectionName,
+        Trait[] calldata traits
+    ) external view override returns (string memory) {
+        string memory name = string.concat(collectionName, " #", Strings.toString(tokenId)); // 代币名称
+
+        string memory json = string.concat(
+            '{"name":"', Strings.escapeJSON(name),
+            '","description":"', Strings.escapeJSON(description),
+            '","image":"data:image/svg+xml;base64,', Base64.encode(bytes(renderSVG(tokenId, name, traits))),
+            '","attributes":', _attributesJSON(traits),
+            "}"
+        ); // 元数据 JSON
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json))); // 编码为 data URI
+    }
+
+    /**
+     * @dev 生成代币图片的 SVG
+     * @param tokenId 代币 ID
+     * @param name 代币名称
+     * @param traits 代币属性
+     * @return SVG 文本
+     */
+    function renderSVG(uint256 tokenId, string memory name, Trait[] calldata traits) public pure returns (string memory) {
+        uint256 hue = uint256(keccak256(abi.encode(tokenId))) % 360; // 背景色相由代币 ID 决定
+
+        string memory svg = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350">',
+            '<rect width="100%" height="100%" fill="hsl(', Strings.toString(hue), ',70%,40%)"/>',
+            '<text x="20" y="40" fill="#fff" font-family="monospace" font-size="20">', _escapeXML(name), "</text>"
+        ); // 背景和标题
+
+        for (uint256 i = 0; i < traits.length; i++) { // 每个属性一行
+            svg = string.concat(
+                svg,
+                '<text x="20" y="', Strings.toString(80 + i * 24),
+                '" fill="#fff" font-family="monospace" font-size="14">',
+                _escapeXML(traits[i].traitType), ": ", _escapeXML(traits[i].value),
+                "</text>"
+            );
+        }
+
+        return string.concat(svg, "</svg>"); // 结束 SVG
+    }
+
+    /**
+     * @dev 生成 attributes 数组的 JSON
+     */
+    function _attributesJSON(Trait[] calldata traits) private pure returns (string memory json) {
+        json = "[";
+        for (uint256 i = 0; i < traits.length; i++) { // 逐个拼接属性
+            json = string.concat(
+                json,
+                i == 0 ? "" : ",",
+                '{"trait_type":"', Strings.escapeJSON(traits[i].traitType),
+                '","value":"', Strings.escapeJSON(traits[i].value), '"}'
+            );
+        }
+        json = string.concat(json, "]"); // 结束数组
+    }
+
+    /**
+     * @dev 转义 XML 特殊字符，防止属性值破坏 SVG 结构
+     */
+    function _escapeXML(string memory input) private pure returns (string memory) {
+        bytes memory buffer = bytes(input);
+        bytes memory output; // 转义后的内容
+
+        for (uint256 i = 0; i < buffer.length; i++) { // 逐个字符转义
+            bytes1 char = buffer[i];
+            if (char == "&") output = abi.encodePacked(output, "&amp;");
+            else if (char == "<") output = abi.encodePacked(output, "&lt;");
+            else if (char == ">") output = abi.encodePacked(output, "&gt;");
+            else if (char == '"') output = abi.encodePacked(output, "&quot;");
+            else if (char == "'") output = abi.encodePacked(output, "&apos;");
+            else output = abi.encodePacked(output, char);
+        }
+
+        return string(output);
+    }
+}
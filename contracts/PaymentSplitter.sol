@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title PaymentSplitter
+ * @dev 按份额在多个收款人之间分配收到的原生代币
+ * @dev 可以作为 NFT 集合的版税接收者（setRoyalty）和提款接收者（setPayoutRecipient），
+ *      收款人各自调用 release 领取，合约不会主动转账
+ */
+contract PaymentSplitter {
+    uint256 public totalShares; // 总份额
+    uint256 public totalReleased; // 已领取的总额
+
+    mapping(address => uint256) public shares; // 收款人 => 份额
+    mapping(address => uint256) public released; // 收款人 => 已领取金额
+    address[] private _payees; // 收款人列表
+
+    // 事件
+    event PayeeAdded(address indexed account, uint256 shares); // 添加收款人事件
+    event PaymentReceived(address indexed from, uint256 amount); // 收款事件
+    event PaymentReleased(address indexed to, uint256 amount); // 领取事件
+
+    /**
+     * @dev 构造函数，设置收款人和份额（之后不能修改）
+     * @param payees_ 收款人地址数组
+     * @param shares_ 对应的份额数组
+     */
+    constructor(address[] memory payees_, uint256[] memory shares_) {
+        require(payees_.length == shares_.length, "Payees and shares length mismatch"); // 数组长度必须一致
+        require(payees_.length > 0, "No payees"); // 至少一个收款人
+
+        for (uint256 i = 0; i < payees_.length; i++) { // 逐个添加收款人
+            _addPayee(payees_[i], shares_[i]);
+        }
+    }
+
+    /**
+     * @dev 接收版税和提款
+     */
+    receive() external payable {
+        emit PaymentReceived(msg.sender, msg.value); // 触发收款事件
+    }
+
+    /**
+     * @dev 计算收款人当前可以领取的金额
+     * @param account 收款人地址
+     * @return 可领取金额
+     */
+    function releasable(address account) public view returns (uint256) {
+        uint256 totalReceived = address(this).balance + totalReleased; // 累计收到的总额
+        return (totalReceived * shares[account]) / totalShares - released[account]; // 按份额计算，扣除已领取的部分
+    }
+
+    /**
+     * @dev 向收款人发放可领取的金额，任何人都可以调用
+     * @param account 收款人地址
+     */
+    function release(address payable account) public {
+        require(shares[account] > 0, "Account has no shares"); // 必须是收款人
+
+        uint256 payment = releasable(account); // 计算可领取金额
+        require(payment != 0, "Account is not due payment"); // 必须有可领取的金额
+
+        released[account] += payment; // 先记录再转账，防止重入
+        totalReleased += payment;
+
+        (bool success, ) = account.call{value: payment}(""); // 转账
+        require(success, "Release failed"); // 确保转账成功
+        emit PaymentReleased(account, payment); // 触发领取事件
+    }
+
+    /**
+     * @dev 获取全部收款人
+     */
+    function getPayees() external view returns (address[] memory) {
+        return _payees; // 返回收款人列表
+    }
+
+    /**
+     * @dev 添加收款人
+     */
+    function _addPayee(address account, uint256 shares_) private {
+        require(account != address(0), "Account is the zero address"); // 收款人不能是零地址
+        require(shares_ > 0, "Shares are 0"); // 份额必须大于 0
+        require(shares[account] == 0, "Account already has shares"); // 收款人不能重复
+
+        _payees.push(account); // 记录收款人
+        shares[account] = shares_; // 记录份额
+        totalShares += shares_; // 累加总份额
+        emit PayeeAdded(account, shares_); // 触发添加收款人事件
+    }
+}
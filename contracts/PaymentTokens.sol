@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title PaymentTokens
+ * @dev 用 ERC-20 稳定币（USDT、USDC 等）支付美元价格（NFTCollection 和 NFTCollectionV2 共用）
+ * @dev 稳定币按 1 美元计价：18 位小数的美元价格按代币配置的小数位数换算，不能整除时向上取整
+ * @dev 不支持转账收手续费或余额会自动变化的代币
+ */
+library PaymentTokens {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev 单个支付代币的配置
+     */
+    struct Token {
+        bool accepted; // 是否接受支付
+        bool listed; // 是否已加入 tokenList
+        uint8 decimals; // 代币的小数位数
+    }
+
+    /**
+     * @dev 支付代币配置，由使用方合约保存在自己的存储中
+     */
+    struct Config {
+        mapping(address => Token) tokens; // 代币地址 => 配置
+        address[] tokenList; // 配置过的全部代币（包括已停用的），余额按代币逐个提取
+    }
+
+    /**
+     * @dev EIP-2612 授权签名
+     */
+    struct Permit {
+        uint256 value; // 授权金额，不能小于应付金额
+        uint256 deadline; // 签名过期时间
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /**
+     * @dev 接受或停用支付代币，停用的代币仍保留在列表中，余额可以继续提取
+     * @dev 小数位数从代币的 decimals() 读取，不依赖调用者传入
+     * @param config 支付代币配置
+     * @param token 代币地址
+     * @param accepted 是否接受支付
+     * @return decimals 代币的小数位数
+     */
+    function setToken(Config storage config, address token, bool accepted) internal returns (uint8 decimals) {
+        require(token != address(0), "Invalid payment token"); // 确保代币地址有效
+        decimals = IERC20Metadata(token).decimals(); // 读取代币的小数位数
+        require(decimals <= 18, "Too many decimals"); // 美元价格为 18 位小数
+
+        Token storage entry = config.tokens[token];
+        if (!entry.listed) {
+            entry.listed = true; // 第一次配置时加入列表
+            config.tokenList.push(token);
+        }
+        entry.accepted = accepted; // 设置是否接受
+        entry.decimals = decimals; // 设置小数位数
+    }
+
+    /**
+     * @dev 将美元价格换算为代币数量，不接受的代币回滚
+     * @param usdAmount 美元金额（18 位小数）
+     * @return 代币数量（代币的小数位数）
+     */
+    function quote(Config storage config, address token, uint256 usdAmount) internal view returns (uint256) {
+        Token storage entry = config.tokens[token];
+        require(entry.accepted, "Payment token not accepted"); // 确保代币可以支付
+
+        uint256 unit = 10 ** (18 - entry.decimals); // 每个代币最小单位对应的美元金额
+        return (usdAmount + unit - 1) / unit; // 向上取整，避免少收
+    }
+
+    /**
+     * @dev 从付款人收取美元金额对应的代币，付款人需要事先授权
+     * @return amount 收取的代币数量
+     */
+    function collect(Config storage config, address token, address payer, uint256 usdAmount) internal returns (uint256 amount) {
+        amount = quote(config, token, usdAmount); // 换算为代币数量
+        IERC20(token).safeTransferFrom(payer, address(this), amount); // 转入本合约
+    }
+
+    /**
+     * @dev 使用 EIP-2612 签名授权本合约
+     * @dev 签名可能已被他人抢先提交，失败时忽略；授权不足会在 collect 时回滚
+     */
+    function permit(address token, address owner, Permit calldata signature) internal {
+        try IERC20Permit(token).permit(owner, address(this), signature.value, signature.deadline, signature.v, signature.r, signature.s) {} catch {}
+    }
+
+    /**
+     * @dev 将一种支付代币的全部余额转给接收地址，只能提取配置过的代币（包括已停用的）
+     * @dev 每种代币单独提取，某个代币转账失败不会影响原生代币和其他代币的提取
+     * @return amount 转出的代币数量
+     */
+    function withdraw(Config storage config, address token, address recipient) internal returns (uint256 amount) {
+        require(config.tokens[token].listed, "Payment token not listed"); // 只能提取配置过的代币
+        amount = IERC20(token).balanceOf(address(this)); // 当前余额
+        IERC20(token).safeTransfer(recipient, amount); // 转出全部余额
+    }
+}
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Chainlink 价格预言机接口
+interface AggregatorV3Interface {
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+    function decimals() external view returns (uint8);
+}
+
+/**
+ * @title PriceOracle
+ * @dev 读取 Chainlink 价格并做安全检查：调用失败、非正价格、轮次不完整、价格过期、超出上下限
+ * @dev 主预言机未通过检查时依次使用备用预言机和所有者设置的备用价格；
+ *      都不可用时以主预言机的错误回滚
+ * @dev 所有价格统一为 18 位小数（1 个原生代币的美元价格）
+ */
+library PriceOracle {
+    // 价格来源
+    enum Source {
+        Primary, // 主预言机
+        Secondary, // 备用预言机
+        Fallback // 所有者设置的备用价格
+    }
+
+    /**
+     * @dev 预言机配置，由使用方合约保存在自己的存储中
+     */
+    struct Config {
+        AggregatorV3Interface primaryFeed; // 主预言机
+        uint32 heartbeat; // 价格最长有效时间（秒），0 表示不检查
+        bool requireCompleteRound; // 是否要求 answeredInRound >= roundId
+        AggregatorV3Interface secondaryFeed; // 备用预言机，零地址表示不使用
+        uint256 minPrice; // 价格下限（18 位小数），0 表示不检查
+        uint256 maxPrice; // 价格上限（18 位小数），0 表示不检查
+        uint256 fallbackPrice; // 备用价格（18 位小数），0 表示不使用
+    }
+
+    // 错误
+    error OracleCallFailed(address feed); // 预言机不是合约或调用失败
+    error InvalidOraclePrice(address feed, int256 answer); // 价格不是正数
+    error IncompleteOracleRound(address feed, uint80 roundId, uint80 answeredInRound); // 轮次不完整
+    error StaleOraclePrice(address feed, uint256 updatedAt, uint256 heartbeat); // 价格过期
+    error OraclePriceOutOfBounds(address feed, uint256 price, uint256 minPrice, uint256 maxPrice); // 价格超出上下限
+    error InvalidPriceBounds(uint256 minPrice, uint256 maxPrice); // 上下限配置无效
+
+    /**
+     * @dev 设置安全检查参数
+     * @param config 预言机配置
+     * @param heartbeat 价格最长有效时间（秒），0 表示不检查
+     * @param requireCompleteRound 是否要求 answeredInRound >= roundId
+     * @param minPrice 价格下限（18 位小数），0 表示不检查
+     * @param maxPrice 价格上限（18 位小数），0 表示不检查
+     */
+    function setSafety(
+        Config storage config,
+        uint32 heartbeat,
+        bool requireCompleteRound,
+        uint256 minPrice,
+        uint256 maxPrice
+    ) internal {
+        if (maxPrice != 0 && minPrice > maxPrice) revert InvalidPriceBounds(minPrice, maxPrice); // 下限不能高于上限
+
+        config.heartbeat = heartbeat; // 设置心跳
+        config.requireCompleteRound = requireCompleteRound; // 设置轮次完整性检查
+        config.minPrice = minPrice; // 设置价格下限
+        config.maxPrice = maxPrice; // 设置价格上限
+    }
+
+    /**
+     * @dev 获取当前可用的价格
+     * @param config 预言机配置
+     * @return price 1 个原生代币的美元价格（18 位小数）
+     * @return source 价格来源
+     */
+    function latestPrice(Config storage config) internal view returns (uint256 price, Source source) {
+        bool ok; // 是否通过检查
+        (ok, price) = _readFeed(config, config.primaryFeed, false); // 读取主预言机
+        if (ok) return (price, Source.Primary);
+
+        if (address(config.secondaryFeed) != address(0)) { // 配置了备用预言机
+            (ok, price) = _readFeed(config, config.secondaryFeed, false); // 读取备用预言机
+            if (ok) return (price, Source.Secondary);
+        }
+
+        if (config.fallbackPrice != 0) return (config.fallbackPrice, Source.Fallback); // 使用备用价格
+
+        (, price) = _readFeed(config, config.primaryFeed, true); // 以主预言机的错误回滚
+        return (price, Source.Primary);
+    }
+
+    /**
+     * @dev 将美元金额换算为原生代币数量
+     * @param config 预言机配置
+     * @param usdAmount 美元金额（18 位小数）
+     * @return 原生代币数量（18 位小数）
+     */
+    function toNative(Config storage config, uint256 usdAmount) internal view returns (uint256) {
+        if (usdAmount == 0) return 0; // 免费铸造不需要读取预言机
+
+        (uint256 price, ) = latestPrice(config); // 获取当前价格
+        return (usdAmount * 1e18) / price; // 原生代币数量 = 美元金额 / 价格
+    }
+
+    /**
+     * @dev 读取并检查一个预言机
+     * @param strict 为 true 时检查失败直接回滚，否则返回 false
+     * @return ok 是否通过检查
+     * @return price 价格（18 位小数）
+     */
+    function _readFeed(
+        Config storage config,
+        AggregatorV3Interface feed,
+        bool strict
+    ) private view returns (bool ok, uint256 price) {
+        if (address(feed).code.length == 0) { // 不是合约（包括零地址）
+            if (strict) revert OracleCallFailed(address(feed));
+            return (false, 0);
+        }
+
+        uint80 roundId; // 轮次 ID
+        int256 answer; // 价格
+        uint256 updatedAt; // 更新时间
+        uint80 answeredInRound; // 给出答案的轮次
+        try feed.latestRoundData() returns (uint80 roundId_, int256 answer_, uint256, uint256 updatedAt_, uint80 answeredInRound_) {
+            (roundId, answer, updatedAt, answeredInRound) = (roundId_, answer_, updatedAt_, answeredInRound_);
+        } catch {
+            if (strict) revert OracleCallFailed(address(feed));
+            return (false, 0);
+        }
+
+        if (answer <= 0) { // 价格必须为正数
+            if (strict) revert InvalidOraclePrice(address(feed), answer);
+            return (false, 0);
+        }
+
+        if (config.requireCompleteRound && (updatedAt == 0 || answeredInRound < roundId)) { // 轮次必须已完成
+            if (strict) revert IncompleteOracleRound(address(feed), roundId, answeredInRound);
+            return (false, 0);
+        }
+
+        if (config.heartbeat != 0 && updatedAt + config.heartbeat < block.timestamp) { // 价格不能过期
+            if (strict) revert StaleOraclePrice(address(feed), updatedAt, config.heartbeat);
+            return (false, 0);
+        }
+
+        uint8 decimals; // 价格精度
+        try feed.decimals() returns (uint8 decimals_) {
+            decimals = decimals_;
+        } catch {
+            if (strict) revert OracleCallFailed(address(feed));
+            return (false, 0);
+        }
+
+        price = _toWad(uint256(answer), decimals); // 统一为 18 位小数
+        if (price == 0) { // 精度超过 18 位时价格可能被截断为 0，精度或价格超出范围时也为 0
+            if (strict) revert InvalidOraclePrice(address(feed), answer);
+            return (false, 0);
+        }
+
+        if (price < config.minPrice || (config.maxPrice != 0 && price > config.maxPrice)) { // 价格必须在上下限之间
+            if (strict) revert OraclePriceOutOfBounds(address(feed), price, config.minPrice, config.maxPrice);
+            return (false, 0);
+        }
+
+        return (true, price);
+    }
+
+    /**
+     * @dev 将价格转换为 18 位小数，放大后溢出或精度过大时返回 0（视为无效价格），不会 Panic
+     */
+    function _toWad(uint256 answer, uint8 decimals) private pure returns (uint256) {
+        if (decimals < 18) {
+            uint256 scale = 10 ** (18 - decimals); // 放大倍数
+            if (answer > type(uint256).max / scale) return 0; // 放大后溢出
+            return answer * scale; // 精度不足 18 位时放大
+        }
+        if (decimals - 18 > 76) return 0; // 价格小于 10^77，缩小后必然为 0，同时避免 10 的幂溢出
+        return answer / 10 ** (decimals - 18); // 精度超过 18 位时缩小
+    }
+}
@@ -1,18 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./ERC1967Storage.sol";
+
 /**
  * @title Proxy
  * @dev 使用 delegatecall 将调用转发到实现合约的简单代理合约
- * @dev 此实现遵循 EIP-1822 通用可升级代理标准 (UUPS)
+ * @dev 实现地址和管理员地址保存在 EIP-1967 标准槽位中（见 ERC1967Storage）
+ * @dev 管理函数对所有调用者开放，与实现合约选择器冲突的函数会被代理拦截；
+ *      需要隔离管理员调用和用户调用时请使用 TransparentProxy
  */
-contract Proxy {
-    address private _implementation; // 实现合约地址
-
-    address private _admin; // 可以升级实现的管理员地址
-
-    uint256[50] private __gap; // 存储间隙，用于在实现合约中允许未来的状态变量，防止升级时的存储冲突
-
+contract Proxy is ERC1967Storage {
     // 事件
     event ImplementationUpdated(address indexed oldImplementation, address indexed newImplementation); // 实现更新事件
     event AdminUpdated(address indexed oldAdmin, address indexed newAdmin); // 管理员更新事件
@@ -23,9 +21,11 @@ contract Proxy {
      */
     constructor(address implementation_) {
         require(implementation_ != address(0), "Implementation cannot be zero address"); // 确保实现地址不是零地址
-        _implementation = implementation_; // 设置实现地址
-        _admin = msg.sender; // 设置管理员为部署者
+        _setImplementation(implementation_); // 设置实现地址
+        _setAdmin(msg.sender); // 设置管理员为部署者
 
+        emit Upgraded(implementation_); // 触发 EIP-1967 升级事件
+        emit AdminChanged(address(0), msg.sender); // 触发 EIP-1967 管理员变更事件
         emit ImplementationUpdated(address(0), implementation_); // 触发实现更新事件
     }
 
@@ -33,66 +33,58 @@ contract Proxy {
      * @dev 回退函数，将调用委托给实现合约
      */
     fallback() external payable {
-        _delegate(_implementation); // 委托调用到实现合约
+        _delegate(_getImplementation()); // 委托调用到实现合约
     }
 
     /**
      * @dev 接收函数，接受普通的以太币转账
      */
     receive() external payable {
-        _delegate(_implementation); // 委托调用到实现合约
+        _delegate(_getImplementation()); // 委托调用到实现合约
     }
 
     /**
-     * @dev 执行 delegatecall 的内部函数
-     * @param implementation_ 要委托调用的地址
+     * @dev 升级实现合约（仅管理员）
+     * @param newImplementation 新实现合约的地址
      */
-    function _delegate(address implementation_) internal {
-        assembly {
-            let ptr := mload(0x40) // 加载空闲内存指针
-            mstore(ptr, implementation_) // 存储实现地址
-
-            calldatacopy(add(ptr, 0x20), 0, calldatasize()) // 将调用数据复制到内存
-
-            let result := delegatecall(gas(), implementation_, add(ptr, 0x20), calldatasize(), 0, 0) // 执行 delegatecall
-
-            let size := returndatasize() // 获取返回数据大小
-
-            returndatacopy(ptr, 0, size) // 将返回数据复制到内存
-
-            switch result // 检查 delegatecall 是否成功
-            case 0 { revert(ptr, size) } // 失败则回滚
-            default { return(ptr, size) } // 成功则返回数据
-        }
+    function upgradeImplementation(address newImplementation) external {
+        require(msg.sender == _getAdmin(), "Only admin can upgrade"); // 确保只有管理员可以升级
+        _upgradeTo(newImplementation); // 执行升级
     }
 
     /**
-     * @dev 升级实现合约（仅管理员）
+     * @dev 升级实现合约并在同一笔交易中调用新实现（仅管理员）
+     * @dev 用于执行迁移初始化器（reinitializer），避免升级后出现未完成迁移的中间状态
      * @param newImplementation 新实现合约的地址
+     * @param data 升级后通过 delegatecall 执行的调用数据，为空则不调用
      */
-    function upgradeImplementation(address newImplementation) external {
-        require(msg.sender == _admin, "Only admin can upgrade"); // 确保只有管理员可以升级
-        require(newImplementation != address(0), "Implementation cannot be zero address"); // 确保新实现地址不是零地址
-        require(newImplementation != _implementation, "Same implementation address"); // 确保不是相同的实现地址
-
-        address oldImplementation = _implementation; // 保存旧实现地址
-        _implementation = newImplementation; // 设置新实现地址
-
-        emit ImplementationUpdated(oldImplementation, newImplementation); // 触发实现更新事件
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable {
+        require(msg.sender == _getAdmin(), "Only admin can upgrade"); // 确保只有管理员可以升级
+        _upgradeTo(newImplementation); // 执行升级
+
+        if (data.length > 0) {
+            _functionDelegateCall(newImplementation, data); // 执行迁移调用，失败则整个升级回滚
+        } else {
+            require(msg.value == 0, "Upgrade does not accept value"); // 没有调用数据时不接受以太币
+        }
     }
 
     /**
-     * @dev 将管理员权限转移到新地址（仅管理员）
+     * @dev 发起管理员转移（仅管理员），新管理员调用 acceptAdmin 后生效
+     * @dev 再次调用会覆盖待接受的地址
      * @param newAdmin 新管理员的地址
      */
     function transferAdmin(address newAdmin) external {
-        require(msg.sender == _admin, "Only admin can transfer admin rights"); // 确保只有管理员可以转移权限
-        require(newAdmin != address(0), "Admin cannot be zero address"); // 确保新管理员地址不是零地址
-
-        address oldAdmin = _admin; // 保存旧管理员地址
-        _admin = newAdmin; // 设置新管理员地址
+        require(msg.sender == _getAdmin(), "Only admin can transfer admin rights"); // 确保只有管理员可以转移权限
+        _startAdminTransfer(newAdmin); // 记录待接受的管理员
+    }
 
-        emit AdminUpdated(oldAdmin, newAdmin); // 触发管理员更新事件
+    /**
+     * @dev 接受管理员权限（仅待接受的管理员）
+     */
+    function acceptAdmin() external {
+        address oldAdmin = _acceptAdmin(); // 完成转移
+        emit AdminUpdated(oldAdmin, msg.sender); // 触发管理员更新事件
     }
 
     /**
@@ -100,7 +92,7 @@ contract Proxy {
      * @return 当前实现合约的地址
      */
     function getImplementation() external view returns (address) {
-        return _implementation; // 返回实现地址
+        return _getImplementation(); // 返回实现地址
     }
 
     /**
@@ -108,6 +100,29 @@ contract Proxy {
      * @return 当前管理员的地址
      */
     function getAdmin() external view returns (address) {
-        return _admin; // 返回管理员地址
+        return _getAdmin(); // 返回管理员地址
+    }
+
+    /**
+     * @dev 获取待接受的管理员地址
+     * @return 待接受的管理员地址，没有待接受的转移时为零地址
+     */
+    function getPendingAdmin() external view returns (address) {
+        return _getPendingAdmin(); // 返回待接受的管理员地址
+    }
+
+    /**
+     * @dev 检查并设置新实现地址
+     * @param newImplementation 新实现合约的地址
+     */
+    function _upgradeTo(address newImplementation) private {
+        require(newImplementation != address(0), "Implementation cannot be zero address"); // 确保新实现地址不是零地址
+
+        address oldImplementation = _getImplementation(); // 保存旧实现地址
+        require(newImplementation != oldImplementation, "Same implementation address"); // 确保不是相同的实现地址
+        _setImplementation(newImplementation); // 设置新实现地址
+
+        emit Upgraded(newImplementation); // 触发 EIP-1967 升级事件
+        emit ImplementationUpdated(oldImplementation, newImplementation); // 触发实现更新事件
     }
 }
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title SaleSchedule
+ * @dev 分阶段销售计划：每个阶段有开始/结束时间、价格、每个钱包的上限、阶段供应上限和白名单要求
+ * @dev 阶段按时间顺序排列且互不重叠，同一时间最多只有一个阶段处于激活状态
+ * @dev 已铸造数量按计划版本和阶段序号记录，替换计划后新阶段从 0 开始计数
+ */
+library SaleSchedule {
+    /**
+     * @dev 销售阶段
+     */
+    struct Phase {
+        uint64 startTime; // 开始时间（包含）
+        uint64 endTime; // 结束时间（不包含）
+        uint128 price; // 单价，计价方式与 presalePrice/publicSalePrice 相同
+        uint32 walletCap; // 每个钱包在本阶段最多铸造的数量，0 表示不限
+        uint32 supplyCap; // 本阶段最多铸造的数量，0 表示不限
+        bool allowlistRequired; // 是否只允许白名单地址铸造
+    }
+
+    /**
+     * @dev 销售计划，由使用方合约保存在自己的存储中
+     */
+    struct Schedule {
+        Phase[] phases; // 按时间排序的阶段
+        mapping(uint256 => mapping(uint256 => uint256)) phaseMinted; // 计划版本 => 阶段序号 => 已铸造数量
+        mapping(uint256 => mapping(uint256 => mapping(address => uint256))) walletMinted; // 计划版本 => 阶段序号 => 钱包 => 已铸造数量
+        uint256 generation; // 计划版本，每次替换阶段加一，旧计划的已铸造数量不再计入
+    }
+
+    /**
+     * @dev 替换全部阶段，新计划的阶段上限从 0 开始计数
+     * @param schedule 销售计划
+     * @param phases 新的阶段列表，按时间排序且互不重叠
+     */
+    function setPhases(Schedule storage schedule, Phase[] calldata phases) internal {
+        delete schedule.phases; // 清空原有阶段
+        schedule.generation++; // 切换到新的计划版本，阶段序号相同的旧计数不再使用
+
+        for (uint256 i = 0; i < phases.length; i++) { // 逐个校验并添加
+            require(phases[i].startTime < phases[i].endTime, "Invalid phase time range"); // 开始时间必须早于结束时间
+            require(i == 0 || phases[i].startTime >= phases[i - 1].endTime, "Phases overlap"); // 必须按时间排序且不重叠
+            schedule.phases.push(phases[i]); // 添加阶段
+        }
+    }
+
+    /**
+     * @dev 是否配置了销售计划
+     */
+    function isScheduled(Schedule storage schedule) internal view returns (bool) {
+        return schedule.phases.length > 0; // 至少有一个阶段
+    }
+
+    /**
+     * @dev 查找当前激活的阶段
+     * @return active 是否有激活的阶段
+     * @return phaseId 激活阶段的序号
+     */
+    function activePhase(Schedule storage schedule) internal view returns (bool active, uint256 phaseId) {
+        for (uint256 i = 0; i < schedule.phases.length; i++) { // 阶段数量很少，直接遍历
+            Phase storage phase = schedule.phases[i];
+            if (block.timestamp < phase.startTime) break; // 之后的阶段都还没开始
+            if (block.timestamp < phase.endTime) return (true, i); // 当前时间在阶段内
+        }
+        return (false, 0); // 没有激活的阶段
+    }
+
+    /**
+     * @dev 检查阶段上限并记录铸造数量
+     * @param schedule 销售计划
+     * @param phaseId 阶段序号
+     * @param wallet 铸造的钱包
+     * @param count 铸造数量
+     */
+    function recordMint(Schedule storage schedule, uint256 phaseId, address wallet, uint256 count) internal {
+        Phase storage phase = schedule.phases[phaseId];
+        uint256 generation = schedule.generation; // 当前计划版本
+
+        uint256 walletMinted = schedule.walletMinted[generation][phaseId][wallet] + count; // 钱包铸造后的数量
+        require(phase.walletCap == 0 || walletMinted <= phase.walletCap, "Exceeds wallet limit for phase"); // 检查钱包上限
+
+        uint256 phaseMinted = schedule.phaseMinted[generation][phaseId] + count; // 阶段铸造后的数量
+        require(phase.supplyCap == 0 || phaseMinted <= phase.supplyCap, "Exceeds phase supply"); // 检查阶段供应上限
+
+        schedule.walletMinted[generation][phaseId][wallet] = walletMinted; // 记录钱包铸造数量
+        schedule.phaseMinted[generation][phaseId] = phaseMinted; // 记录阶段铸造数量
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC1967Storage.sol";
+
+/**
+ * @dev 透明代理的管理接口（只有管理员调用时才会被代理处理）
+ * @dev 选择器与 Proxy 的管理函数一致，UpgradeManager 可以用同一套调用管理两种代理
+ */
+interface ITransparentProxy {
+    function upgradeImplementation(address newImplementation) external;
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable;
+    function transferAdmin(address newAdmin) external;
+    function acceptAdmin() external;
+    function getImplementation() external view returns (address);
+    function getAdmin() external view returns (address);
+    function getPendingAdmin() external view returns (address);
+}
+
+/**
+ * @title TransparentProxy
+ * @dev 透明代理：根据调用者区分管理调用和用户调用
+ * @dev 管理员的调用只能到达管理函数，不能访问实现合约；
+ *      其他调用者的所有调用（包括与管理函数选择器相同的调用）都会转发到实现合约，
+ *      因此实现合约中与管理函数选择器冲突的函数对用户始终可用
+ * @dev 管理员通常应该是 UpgradeManager 这样的合约，而不是日常使用的账户
+ * @dev 管理员两步转移：待接受的管理员调用 acceptAdmin 时由代理处理，它的其他调用照常转发到实现合约
+ */
+contract TransparentProxy is ERC1967Storage {
+    /**
+     * @dev 构造函数，设置初始实现和管理员
+     * @param implementation_ 初始实现合约的地址
+     * @param admin_ 管理员地址
+     */
+    constructor(address implementation_, address admin_) {
+        require(implementation_ != address(0), "Implementation cannot be zero address"); // 确保实现地址不是零地址
+        require(admin_ != address(0), "Admin cannot be zero address"); // 确保管理员地址不是零地址
+        _setImplementation(implementation_); // 设置实现地址
+        _setAdmin(admin_); // 设置管理员
+
+        emit Upgraded(implementation_); // 触发 EIP-1967 升级事件
+        emit AdminChanged(address(0), admin_); // 触发 EIP-1967 管理员变更事件
+    }
+
+    /**
+     * @dev 回退函数，根据调用者分发调用
+     */
+    fallback() external payable {
+        _fallback(); // 分发调用
+    }
+
+    /**
+     * @dev 接收函数，非管理员的转账转发给实现合约
+     */
+    receive() external payable {
+        _fallback(); // 分发调用
+    }
+
+    /**
+     * @dev 非管理员的调用直接转发，管理员的调用只处理管理函数
+     */
+    function _fallback() private {
+        if (msg.sender != _getAdmin()) {
+            if (msg.sig == ITransparentProxy.acceptAdmin.selector && msg.sender == _getPendingAdmin()) {
+                require(msg.value == 0, "Admin calls cannot send value"); // 管理调用不接受以太币
+                _acceptAdmin(); // 待接受的管理员接受转移
+                return;
+            }
+            _delegate(_getImplementation()); // 用户调用：始终转发到实现合约
+        }
+
+        bytes memory result; // 管理函数的返回数据
+        bytes4 selector = msg.sig; // 调用的函数选择器
+
+        if (selector == ITransparentProxy.upgradeToAndCall.selector) {
+            (address newImplementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+            _upgradeImplementation(newImplementation); // 升级实现合约
+            if (data.length > 0) {
+                _functionDelegateCall(newImplementation, data); // 执行迁移调用，失败则整个升级回滚
+            } else {
+                require(msg.value == 0, "Upgrade does not accept value"); // 没有调用数据时不接受以太币
+            }
+        } else {
+            require(msg.value == 0, "Admin calls cannot send value"); // 其他管理调用不接受以太币
+            result = _dispatchAdmin(selector); // 执行其他管理函数
+        }
+
+        assembly {
+            return(add(result, 0x20), mload(result)) // 返回管理函数的结果
+        }
+    }
+
+    /**
+     * @dev 执行不附带以太币的管理函数
+     * @param selector 调用的函数选择器
+     * @return result 管理函数的返回数据
+     */
+    function _dispatchAdmin(bytes4 selector) private returns (bytes memory result) {
+        if (selector == ITransparentProxy.upgradeImplementation.selector) {
+            _upgradeImplementation(abi.decode(msg.data[4:], (address))); // 升级实现合约
+        } else if (selector == ITransparentProxy.transferAdmin.selector) {
+            _startAdminTransfer(abi.decode(msg.data[4:], (address))); // 发起管理员转移
+        } else if (selector == ITransparentProxy.getImplementation.selector) {
+            result = abi.encode(_getImplementation()); // 返回实现地址
+        } else if (selector == ITransparentProxy.getAdmin.selector) {
+            result = abi.encode(_getAdmin()); // 返回管理员地址
+        } else if (selector == ITransparentProxy.getPendingAdmin.selector) {
+            result = abi.encode(_getPendingAdmin()); // 返回待接受的管理员地址
+        } else {
+            revert("Admin cannot fallback to proxy target"); // 管理员不能访问实现合约
+        }
+    }
+
+    /**
+     * @dev 升级实现合约
+     * @param newImplementation 新实现合约的地址
+     */
+    function _upgradeImplementation(address newImplementation) private {
+        require(newImplementation != address(0), "Implementation cannot be zero address"); // 确保新实现地址不是零地址
+        require(newImplementation != _getImplementation(), "Same implementation address"); // 确保不是相同的实现地址
+
+        _setImplementation(newImplementation); // 设置新实现地址
+
+        emit Upgraded(newImplementation); // 触发 EIP-1967 升级事件
+    }
+}
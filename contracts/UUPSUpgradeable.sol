@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./ERC1967Storage.sol";
+
+/**
+ * @dev EIP-1822 可代理合约接口，返回实现地址所在的存储槽位
+ */
+interface IERC1822Proxiable {
+    function proxiableUUID() external view returns (bytes32);
+}
+
+/**
+ * @title UUPSUpgradeable
+ * @dev UUPS（EIP-1822）升级模式：升级逻辑放在实现合约中，代理只负责转发
+ * @dev 继承者必须实现 _authorizeUpgrade 进行权限检查
+ * @dev 本合约不声明任何状态变量，继承它不会改变实现合约的存储布局
+ */
+abstract contract UUPSUpgradeable is ERC1967Storage, IERC1822Proxiable {
+    address private immutable __self = address(this); // 实现合约自身的地址，用于区分直接调用和代理调用
+
+    /**
+     * @dev 要求通过指向本实现的 ERC-1967 代理调用
+     */
+    modifier onlyProxy() {
+        require(address(this) != __self, "Function must be called through delegatecall"); // 确保是 delegatecall
+        require(_getImplementation() == __self, "Function must be called through active proxy"); // 确保代理当前指向本实现
+        _;
+    }
+
+    /**
+     * @dev 要求直接调用实现合约，而不是通过代理
+     */
+    modifier notDelegated() {
+        require(address(this) == __self, "Function must not be called through delegatecall"); // 确保不是 delegatecall
+        _;
+    }
+
+    /**
+     * @dev 返回实现地址的存储槽位，新实现必须返回相同的值才能被升级到
+     * @return EIP-1967 实现槽位
+     */
+    function proxiableUUID() external view virtual notDelegated returns (bytes32) {
+        return IMPLEMENTATION_SLOT; // 返回实现槽位
+    }
+
+    /**
+     * @dev 升级代理的实现合约，并可选地调用新实现中的函数（如迁移初始化器）
+     * @param newImplementation 新实现合约的地址
+     * @param data 升级后通过 delegatecall 执行的调用数据，为空则不调用
+     */
+    function upgradeToAndCall(address newImplementation, bytes memory data) public payable virtual onlyProxy {
+        _authorizeUpgrade(newImplementation); // 检查升级权限
+        _upgradeToAndCallUUPS(newImplementation, data); // 执行升级
+    }
+
+    /**
+     * @dev 检查调用者是否有权升级，无权时应回滚
+     * @param newImplementation 新实现合约的地址
+     */
+    function _authorizeUpgrade(address newImplementation) internal virtual;
+
+    /**
+     * @dev 检查新实现兼容 UUPS 后执行升级
+     */
+    function _upgradeToAndCallUUPS(address newImplementation, bytes memory data) private {
+        require(newImplementation.code.length > 0, "Implementation is not a contract"); // 确保新实现是合约
+
+        try IERC1822Proxiable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            require(slot == IMPLEMENTATION_SLOT, "Unsupported proxiableUUID"); // 确保新实现使用相同的槽位
+        } catch {
+            revert("New implementation is not UUPS"); // 新实现没有升级逻辑，升级后代理将无法再升级
+        }
+
+        _setImplementation(newImplementation); // 设置新实现地址
+        emit Upgraded(newImplementation); // 触发 EIP-1967 升级事件
+
+        if (data.length > 0) {
+            _functionDelegateCall(newImplementation, data); // 调用新实现
+        } else {
+            require(msg.value == 0, "Upgrade does not accept value"); // 没有调用数据时不接受以太币
+        }
+    }
+}
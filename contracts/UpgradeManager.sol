@@ -2,22 +2,137 @@
 pragma solidity ^0.8.24;
 
 import "./Proxy.sol";
+import "./UpgradeableBeacon.sol";
+import "./AccessRoles.sol";
 
 /**
  * @title UpgradeManager
  * @dev 管理多个代理合约并处理升级的合约
+ * @dev 也可以管理 UpgradeableBeacon：升级一次信标，所有挂在该信标上的 BeaconProxy 同时升级
+ * @dev 升级由 UPGRADER_ROLE 或代理管理员执行，注册、延迟、多签等配置仍由所有者管理；
+ *      所有权两步转移，DEFAULT_ADMIN_ROLE 随所有权一起转移
+ * @dev 守护者和所有者可以冻结单个代理的升级，只有所有者可以解冻
  */
-contract UpgradeManager {
+contract UpgradeManager is AccessRoles {
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE"); // 升级代理和信标
+
     mapping(address => address) public proxyAdmins; // 代理地址到管理员地址的映射
 
     address[] public proxies; // 此合约管理的所有代理地址数组
 
     address public owner; // 升级管理器的所有者
+    address public pendingOwner; // 等待接受所有权的地址（两步转移）
+
+    mapping(address => bool) public proxyRegistrars; // 可以注册代理的合约（如 CollectionFactory）
+
+    address public guardian; // 紧急守护者：只能冻结升级，不能解冻或升级
+    mapping(address => bool) public upgradesFrozen; // 代理地址到是否冻结升级的映射
+
+    /**
+     * @dev 已排期的升级
+     */
+    struct PendingUpgrade {
+        address newImplementation; // 新实现合约的地址
+        bytes data; // 升级后执行的迁移调用数据（可以为空）
+        uint256 readyAt; // 最早可执行时间
+        uint256 expiresAt; // 过期时间，过期后只能取消
+        bool approved; // 是否由多签提案排期，启用多签后只能执行由提案排期的升级
+    }
+
+    /**
+     * @dev 已排期的升级延迟降低
+     */
+    struct PendingDelay {
+        uint256 delay; // 新的最短升级延迟
+        uint256 readyAt; // 最早生效时间
+    }
+
+    uint256 public constant MAX_UPGRADE_DELAY = 30 days; // 最长升级延迟
+    uint256 public constant UPGRADE_GRACE_PERIOD = 14 days; // 升级就绪后的有效期
+
+    mapping(address => uint256) public upgradeDelays; // 代理地址到最短升级延迟的映射
+    mapping(address => PendingUpgrade) private _pendingUpgrades; // 代理地址到已排期升级的映射
+    mapping(address => PendingDelay) public pendingUpgradeDelays; // 代理地址到已排期的延迟降低的映射
+
+    /**
+     * @dev 多签提案的操作类型
+     */
+    enum ProposalAction {
+        Upgrade, // 升级代理
+        AddApprover, // 添加审批人
+        RemoveApprover, // 移除审批人
+        ChangeThreshold, // 修改审批阈值
+        UpgradeBeacon, // 升级信标
+        CancelUpgrade // 取消排期升级
+    }
+
+    /**
+     * @dev 多签提案
+     */
+    struct Proposal {
+        ProposalAction action; // 操作类型
+        address proxy; // 要升级的代理或信标地址（仅升级和取消排期提案）
+        address target; // 新实现地址、要取消的排期实现地址或审批人地址
+        bytes data; // 升级后执行的迁移调用数据（仅升级提案，可以为空）
+        uint256 threshold; // 新的审批阈值（仅审批人变更提案）
+        address proposer; // 提案人
+        bool executed; // 是否已执行
+        bool cancelled; // 是否已取消
+    }
+
+    /**
+     * @dev 代理的一条实现记录
+     */
+    struct UpgradeRecord {
+        address implementation; // 实现合约的地址
+        string version; // 实现合约报告的版本号（getVersion() 或 version()），不支持时为空
+        uint256 blockNumber; // 记录时的区块号
+        address upgrader; // 执行升级的地址
+    }
+
+    mapping(address => UpgradeRecord[]) private _upgradeHistory; // 代理地址到实现记录的映射，按时间顺序
+
+    address[] public beacons; // 此合约管理的所有信标地址数组
+    mapping(address => bool) private _registeredBeacons; // 信标是否已注册
+    mapping(address => address[]) private _beaconProxies; // 信标地址到其代理地址数组的映射
+    mapping(address => address) public beaconOfProxy; // 信标代理地址到信标地址的映射
+
+    address[] private _approvers; // 审批人列表
+    mapping(address => bool) public isApprover; // 地址是否为审批人
+    uint256 public approvalThreshold; // 执行提案所需的审批数，为 0 表示未启用多签
+
+    Proposal[] private _proposals; // 所有提案，下标即提案 ID
+    mapping(uint256 => address[]) private _proposalApprovals; // 提案 ID 到已审批地址的映射
+    mapping(uint256 => mapping(address => bool)) public hasApproved; // 地址是否已审批提案
 
     // 事件
     event ProxyRegistered(address indexed proxy, address indexed admin); // 代理注册事件
+    event ProxyRegistrarUpdated(address indexed registrar, bool allowed); // 代理注册者更新事件
     event ProxyUpgraded(address indexed proxy, address indexed oldImplementation, address indexed newImplementation); // 代理升级事件
     event ProxyAdminTransferred(address indexed proxy, address indexed oldAdmin, address indexed newAdmin); // 代理管理员转移事件
+    event UpgradeDelayUpdated(address indexed proxy, uint256 oldDelay, uint256 newDelay); // 升级延迟更新事件
+    event UpgradeDelayChangeScheduled(address indexed proxy, uint256 newDelay, uint256 readyAt); // 升级延迟降低排期事件
+    event UpgradeScheduled(address indexed proxy, address indexed newImplementation, bytes data, uint256 readyAt, uint256 expiresAt); // 升级排期事件
+    event UpgradeCancelled(address indexed proxy, address indexed newImplementation); // 升级取消事件
+    event ProxyRolledBack(address indexed proxy, address indexed fromImplementation, address indexed toImplementation, uint256 steps); // 代理回滚事件
+    event BeaconRegistered(address indexed beacon, address indexed implementation); // 信标注册事件
+    event BeaconUnregistered(address indexed beacon); // 信标注销事件
+    event BeaconProxyAdded(address indexed beacon, address indexed proxy); // 信标代理添加事件
+    event BeaconUpgraded(address indexed beacon, address indexed oldImplementation, address indexed newImplementation, uint256 proxyCount); // 信标升级事件
+    event ApproversSetUp(address[] approvers, uint256 threshold); // 启用多签事件
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, ProposalAction action, address proxy, address target); // 提案创建事件
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver); // 提案审批事件
+    event ApprovalRevoked(uint256 indexed proposalId, address indexed approver); // 撤销审批事件
+    event ProposalExecuted(uint256 indexed proposalId); // 提案执行事件
+    event ProposalCancelled(uint256 indexed proposalId); // 提案取消事件
+    event ApproverAdded(address indexed approver); // 审批人添加事件
+    event ApproverRemoved(address indexed approver); // 审批人移除事件
+    event ApprovalThresholdChanged(uint256 oldThreshold, uint256 newThreshold); // 审批阈值变更事件
+    event GuardianUpdated(address indexed previousGuardian, address indexed newGuardian); // 守护者更新事件
+    event UpgradesFrozen(address indexed proxy, address indexed account); // 冻结升级事件
+    event UpgradesUnfrozen(address indexed proxy); // 解冻升级事件
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner); // 所有权转移发起事件
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner); // 所有权转移事件
 
     // 修饰符
     modifier onlyOwner() {
@@ -30,19 +145,71 @@ contract UpgradeManager {
         _;
     }
 
+    modifier onlyUpgraderOrProxyAdmin(address proxy) {
+        require(hasRole(UPGRADER_ROLE, msg.sender) || msg.sender == proxyAdmins[proxy], "Not authorized"); // 确保有权限
+        require(proxyAdmins[proxy] != address(0), "Proxy not registered"); // 确保代理已注册
+        _;
+    }
+
+    modifier onlyApprover() {
+        require(isApprover[msg.sender], "Not an approver"); // 确保调用者是审批人
+        _;
+    }
+
+    modifier withoutMultisig() {
+        require(approvalThreshold == 0, "Multisig approval required"); // 启用多签后只能通过提案升级
+        _;
+    }
+
+    modifier validProposal(uint256 proposalId) {
+        require(proposalId < _proposals.length, "Proposal does not exist"); // 确保提案存在
+        require(!_proposals[proposalId].executed, "Proposal already executed"); // 确保提案未执行
+        require(!_proposals[proposalId].cancelled, "Proposal cancelled"); // 确保提案未取消
+        _;
+    }
+
+    modifier validBeacon(address beacon) {
+        require(_registeredBeacons[beacon], "Beacon not registered"); // 确保信标已注册
+        _;
+    }
+
+    modifier whenNotFrozen(address proxy) {
+        require(!upgradesFrozen[proxy], "Upgrades frozen"); // 冻结的代理不能升级或转移管理员
+        _;
+    }
+
+    modifier withoutTimelock(address proxy) {
+        require(upgradeDelays[proxy] == 0, "Upgrade must be scheduled"); // 设置了升级延迟的代理必须先排期
+        _;
+    }
+
     /**
      * @dev 构造函数
      */
     constructor() {
-        owner = msg.sender; // 设置所有者为部署者
+        _transferOwnership(msg.sender); // 设置所有者为部署者，同时授予 DEFAULT_ADMIN_ROLE
+        _grantRole(UPGRADER_ROLE, msg.sender); // 部署者可以直接升级
     }
 
     /**
-     * @dev 注册新的代理合约
+     * @dev 设置可以注册代理的地址（仅所有者）
+     * @param registrar 注册者地址，通常是 CollectionFactory
+     * @param allowed 是否允许注册
+     */
+    function setProxyRegistrar(address registrar, bool allowed) external onlyOwner {
+        require(registrar != address(0), "Registrar cannot be zero address"); // 确保地址不是零地址
+        proxyRegistrars[registrar] = allowed; // 设置注册权限
+
+        emit ProxyRegistrarUpdated(registrar, allowed); // 触发代理注册者更新事件
+    }
+
+    /**
+     * @dev 注册新的代理合约（仅所有者或代理注册者）
      * @param proxy 代理合约的地址
      * @param admin 代理管理员的地址
      */
-    function registerProxy(address proxy, address admin) external onlyOwner {
+    function registerProxy(address proxy, address admin) external {
+        require(msg.sender == owner || proxyRegistrars[msg.sender], "Not authorized"); // 确保有权限
         require(proxy != address(0), "Proxy cannot be zero address"); // 确保代理地址不是零地址
         require(admin != address(0), "Admin cannot be zero address"); // 确保管理员地址不是零地址
         require(proxyAdmins[proxy] == address(0), "Proxy already registered"); // 确保代理未注册
@@ -50,6 +217,10 @@ contract UpgradeManager {
         proxyAdmins[proxy] = admin; // 设置代理管理员
         proxies.push(proxy); // 添加到代理数组
 
+        try Proxy(payable(proxy)).getImplementation() returns (address implementation_) {
+            _recordUpgrade(proxy, implementation_); // 记录注册时的实现
+        } catch {} // 管理员不是本合约的透明代理不响应管理函数，第一次升级时开始记录
+
         emit ProxyRegistered(proxy, admin); // 触发代理注册事件
     }
 
@@ -61,6 +232,11 @@ contract UpgradeManager {
         require(msg.sender == owner || msg.sender == proxyAdmins[proxy], "Not authorized"); // 确保有权限
 
         delete proxyAdmins[proxy]; // 从映射中删除
+        delete upgradeDelays[proxy]; // 删除升级延迟
+        delete pendingUpgradeDelays[proxy]; // 删除排期的延迟降低
+        delete upgradesFrozen[proxy]; // 删除冻结状态
+        delete _pendingUpgrades[proxy]; // 删除已排期的升级
+        delete _upgradeHistory[proxy]; // 删除实现记录
 
         for (uint256 i = 0; i < proxies.length; i++) { // 从数组中删除
             if (proxies[i] == proxy) { // 找到匹配的代理
@@ -72,36 +248,713 @@ contract UpgradeManager {
     }
 
     /**
-     * @dev 升级代理合约的实现（仅所有者或代理管理员）
+     * @dev 立即升级代理合约的实现（仅 UPGRADER_ROLE 或代理管理员，且代理未设置升级延迟）
      * @param proxy 代理合约的地址
      * @param newImplementation 新实现合约的地址
      */
-    function upgradeProxy(address payable proxy, address newImplementation) external {
-        require(msg.sender == owner || msg.sender == proxyAdmins[proxy], "Not authorized"); // 确保有权限
-        require(proxyAdmins[proxy] != address(0), "Proxy not registered"); // 确保代理已注册
-
+    function upgradeProxy(
+        address payable proxy,
+        address newImplementation
+    ) external onlyUpgraderOrProxyAdmin(proxy) withoutMultisig withoutTimelock(proxy) whenNotFrozen(proxy) {
         address oldImplementation = Proxy(proxy).getImplementation(); // 获取旧实现地址
         Proxy(proxy).upgradeImplementation(newImplementation); // 升级实现
+        _recordUpgrade(proxy, newImplementation); // 记录新实现
 
         emit ProxyUpgraded(proxy, oldImplementation, newImplementation); // 触发代理升级事件
     }
 
     /**
-     * @dev 转移代理管理员权限（仅所有者）
+     * @dev 立即升级代理合约的实现并在同一笔交易中执行迁移调用（仅 UPGRADER_ROLE 或代理管理员，且代理未设置升级延迟）
+     * @param proxy 代理合约的地址
+     * @param newImplementation 新实现合约的地址
+     * @param data 升级后在代理上下文中执行的调用数据（通常是 reinitializer 迁移函数）
+     */
+    function upgradeProxyAndCall(
+        address payable proxy,
+        address newImplementation,
+        bytes calldata data
+    ) external payable onlyUpgraderOrProxyAdmin(proxy) withoutMultisig withoutTimelock(proxy) whenNotFrozen(proxy) {
+        _upgradeProxyAndCall(proxy, newImplementation, data); // 升级并执行迁移
+    }
+
+    /**
+     * @dev 将代理回滚到 steps 条记录之前的实现（仅 UPGRADER_ROLE 或代理管理员，且代理未设置升级延迟）
+     * @dev 回滚本身也会追加一条记录；回滚不执行迁移调用，旧实现需要兼容当前存储
+     * @param proxy 代理合约的地址
+     * @param steps 回退的记录条数，1 表示上一个实现
+     */
+    function rollbackProxy(
+        address payable proxy,
+        uint256 steps
+    ) external onlyUpgraderOrProxyAdmin(proxy) withoutMultisig withoutTimelock(proxy) whenNotFrozen(proxy) {
+        UpgradeRecord[] storage history = _upgradeHistory[proxy];
+        require(steps > 0 && steps < history.length, "Invalid rollback steps"); // 确保目标记录存在
+
+        address oldImplementation = Proxy(proxy).getImplementation(); // 获取当前实现地址
+        address targetImplementation = history[history.length - 1 - steps].implementation; // 目标实现地址
+
+        Proxy(proxy).upgradeImplementation(targetImplementation); // 切换到目标实现
+        _recordUpgrade(proxy, targetImplementation); // 记录回滚
+
+        emit ProxyUpgraded(proxy, oldImplementation, targetImplementation); // 触发代理升级事件
+        emit ProxyRolledBack(proxy, oldImplementation, targetImplementation, steps); // 触发代理回滚事件
+    }
+
+    /**
+     * @dev 获取代理的实现记录数量
+     * @param proxy 代理合约的地址
+     * @return 实现记录数量
+     */
+    function getUpgradeHistoryLength(address proxy) external view returns (uint256) {
+        return _upgradeHistory[proxy].length; // 返回记录数量
+    }
+
+    /**
+     * @dev 分页获取代理的实现记录（按时间顺序）
+     * @param proxy 代理合约的地址
+     * @param offset 起始下标
+     * @param limit 最多返回的记录数
+     * @return page 实现记录数组
+     */
+    function getUpgradeHistory(
+        address proxy,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (UpgradeRecord[] memory page) {
+        UpgradeRecord[] storage history = _upgradeHistory[proxy];
+        if (offset >= history.length) {
+            return page; // 超出范围返回空数组
+        }
+
+        uint256 end = offset + limit; // 结束下标（不含）
+        if (end > history.length) {
+            end = history.length; // 不超过记录数量
+        }
+
+        page = new UpgradeRecord[](end - offset); // 分配结果数组
+        for (uint256 i = offset; i < end; i++) { // 复制记录
+            page[i - offset] = history[i];
+        }
+    }
+
+    /**
+     * @dev 设置代理的最短升级延迟（仅所有者）
+     * @dev 延迟大于 0 时，该代理只能通过 scheduleUpgrade/executeUpgrade 升级
+     * @dev 提高延迟立即生效；降低延迟需要等待当前延迟结束后调用 applyUpgradeDelay，
+     *      新的设置会覆盖之前排期的降低
+     * @param proxy 代理合约的地址
+     * @param delay 最短升级延迟（秒）
+     */
+    function setUpgradeDelay(address proxy, uint256 delay) external onlyOwner validProxy(proxy) {
+        require(delay <= MAX_UPGRADE_DELAY, "Delay too long"); // 确保延迟不超过上限
+
+        uint256 oldDelay = upgradeDelays[proxy]; // 保存旧延迟
+        delete pendingUpgradeDelays[proxy]; // 覆盖之前排期的降低
+
+        if (delay < oldDelay) { // 降低延迟需要等待当前延迟
+            uint256 readyAt = block.timestamp + oldDelay; // 最早生效时间
+            pendingUpgradeDelays[proxy] = PendingDelay(delay, readyAt); // 保存排期
+
+            emit UpgradeDelayChangeScheduled(proxy, delay, readyAt); // 触发延迟降低排期事件
+            return;
+        }
+
+        upgradeDelays[proxy] = delay; // 设置新延迟
+
+        emit UpgradeDelayUpdated(proxy, oldDelay, delay); // 触发升级延迟更新事件
+    }
+
+    /**
+     * @dev 应用已到期的延迟降低（任何人都可以调用）
+     * @param proxy 代理合约的地址
+     */
+    function applyUpgradeDelay(address proxy) external validProxy(proxy) {
+        PendingDelay memory pending = pendingUpgradeDelays[proxy]; // 读取排期
+        require(pending.readyAt != 0, "No delay change scheduled"); // 确保存在排期
+        require(block.timestamp >= pending.readyAt, "Delay change not ready"); // 确保当前延迟已过
+
+        delete pendingUpgradeDelays[proxy]; // 删除排期
+        uint256 oldDelay = upgradeDelays[proxy]; // 保存旧延迟
+        upgradeDelays[proxy] = pending.delay; // 设置新延迟
+
+        emit UpgradeDelayUpdated(proxy, oldDelay, pending.delay); // 触发升级延迟更新事件
+    }
+
+    /**
+     * @dev 设置紧急守护者（仅所有者），零地址表示取消
+     * @param guardian_ 守护者地址
+     */
+    function setGuardian(address guardian_) external onlyOwner {
+        emit GuardianUpdated(guardian, guardian_); // 触发守护者更新事件
+        guardian = guardian_; // 设置守护者
+    }
+
+    /**
+     * @dev 冻结代理的升级（仅守护者或所有者），立即生效
+     * @dev 冻结后不能升级、回滚、排期、执行排期或多签升级提案，也不能转移代理管理员；已有的排期保留，解冻后仍可执行
+     * @param proxy 代理合约的地址
+     */
+    function freezeUpgrades(address proxy) external validProxy(proxy) {
+        require(msg.sender == guardian || msg.sender == owner, "Not authorized"); // 确保有权限
+        upgradesFrozen[proxy] = true; // 冻结升级
+
+        emit UpgradesFrozen(proxy, msg.sender); // 触发冻结升级事件
+    }
+
+    /**
+     * @dev 解冻代理的升级（仅所有者）
+     * @param proxy 代理合约的地址
+     */
+    function unfreezeUpgrades(address proxy) external onlyOwner validProxy(proxy) {
+        require(upgradesFrozen[proxy], "Upgrades not frozen"); // 确保已冻结
+        delete upgradesFrozen[proxy]; // 解冻升级
+
+        emit UpgradesUnfrozen(proxy); // 触发解冻升级事件
+    }
+
+    /**
+     * @dev 排期升级代理合约（仅 UPGRADER_ROLE 或代理管理员）
+     * @dev 排期后用户可以通过 pendingUpgrade 查看即将生效的实现，在升级前退出
+     * @param proxy 代理合约的地址
+     * @param newImplementation 新实现合约的地址
+     * @param data 升级后执行的迁移调用数据（可以为空）
+     * @param delay 升级延迟（秒），不能小于代理的最短升级延迟
+     */
+    function scheduleUpgrade(
+        address payable proxy,
+        address newImplementation,
+        bytes calldata data,
+        uint256 delay
+    ) external onlyUpgraderOrProxyAdmin(proxy) withoutMultisig whenNotFrozen(proxy) {
+        require(delay >= upgradeDelays[proxy], "Delay below minimum"); // 确保不短于最短延迟
+        _scheduleUpgrade(proxy, newImplementation, data, delay, false); // 保存排期
+    }
+
+    /**
+     * @dev 执行已到期的排期升级（仅 UPGRADER_ROLE 或代理管理员）
+     * @dev 启用多签后只能执行由提案排期的升级，启用前的排期需要通过提案取消
+     * @param proxy 代理合约的地址
+     */
+    function executeUpgrade(address payable proxy) external payable onlyUpgraderOrProxyAdmin(proxy) whenNotFrozen(proxy) {
+        PendingUpgrade memory pending = _pendingUpgrades[proxy]; // 读取排期
+        require(pending.newImplementation != address(0), "No upgrade scheduled"); // 确保存在排期
+        require(approvalThreshold == 0 || pending.approved, "Multisig approval required"); // 启用多签后只能执行提案排期的升级
+        require(block.timestamp >= pending.readyAt, "Upgrade not ready"); // 确保延迟已过
+        require(block.timestamp <= pending.expiresAt, "Upgrade expired"); // 确保排期未过期
+
+        delete _pendingUpgrades[proxy]; // 先删除排期，防止重复执行
+
+        _upgradeProxyAndCall(proxy, pending.newImplementation, pending.data); // 升级并执行迁移
+    }
+
+    /**
+     * @dev 取消排期升级（仅 UPGRADER_ROLE 或代理管理员，启用多签后需要通过 proposeCancelUpgrade），
+     *      过期的排期也需要取消后才能重新排期
+     * @param proxy 代理合约的地址
+     */
+    function cancelUpgrade(address proxy) external onlyUpgraderOrProxyAdmin(proxy) withoutMultisig {
+        _cancelUpgrade(proxy); // 删除排期
+    }
+
+    /**
+     * @dev 获取代理的排期升级，没有排期时返回空结构
+     * @param proxy 代理合约的地址
+     * @return 排期升级
+     */
+    function pendingUpgrade(address proxy) external view returns (PendingUpgrade memory) {
+        return _pendingUpgrades[proxy]; // 返回排期
+    }
+
+    /**
+     * @dev 追加一条实现记录
+     */
+    function _recordUpgrade(address proxy, address implementation_) private {
+        _upgradeHistory[proxy].push(UpgradeRecord(implementation_, _readVersion(implementation_), block.number, msg.sender)); // 保存记录
+    }
+
+    /**
+     * @dev 读取实现合约的版本号，依次尝试 getVersion() 和 version()，都不支持时返回空字符串
+     */
+    function _readVersion(address implementation_) private view returns (string memory) {
+        (bool success, bytes memory result) = implementation_.staticcall(abi.encodeWithSignature("getVersion()")); // 尝试 getVersion()
+        if (!success || result.length < 64) {
+            (success, result) = implementation_.staticcall(abi.encodeWithSignature("version()")); // 尝试 version()
+        }
+        if (!success || result.length < 64) {
+            return ""; // 不支持版本查询
+        }
+        return abi.decode(result, (string)); // 解码版本号
+    }
+
+    /**
+     * @dev 保存排期升级，触发排期事件
+     */
+    function _scheduleUpgrade(address proxy, address newImplementation, bytes memory data, uint256 delay, bool approved) private {
+        require(_pendingUpgrades[proxy].newImplementation == address(0), "Upgrade already scheduled"); // 确保没有未处理的排期
+        require(newImplementation.code.length > 0, "Implementation is not a contract"); // 确保新实现是合约
+        require(delay <= MAX_UPGRADE_DELAY, "Delay too long"); // 确保延迟不超过上限
+
+        uint256 readyAt = block.timestamp + delay; // 最早可执行时间
+        uint256 expiresAt = readyAt + UPGRADE_GRACE_PERIOD; // 过期时间
+        _pendingUpgrades[proxy] = PendingUpgrade(newImplementation, data, readyAt, expiresAt, approved); // 保存排期
+
+        emit UpgradeScheduled(proxy, newImplementation, data, readyAt, expiresAt); // 触发升级排期事件
+    }
+
+    /**
+     * @dev 删除排期升级，触发取消事件
+     */
+    function _cancelUpgrade(address proxy) private {
+        address newImplementation = _pendingUpgrades[proxy].newImplementation; // 保存排期的实现地址
+        require(newImplementation != address(0), "No upgrade scheduled"); // 确保存在排期
+
+        delete _pendingUpgrades[proxy]; // 删除排期
+
+        emit UpgradeCancelled(proxy, newImplementation); // 触发升级取消事件
+    }
+
+    /**
+     * @dev 升级代理并执行迁移调用，触发升级事件
+     */
+    function _upgradeProxyAndCall(address payable proxy, address newImplementation, bytes memory data) private {
+        address oldImplementation = Proxy(proxy).getImplementation(); // 获取旧实现地址
+        Proxy(proxy).upgradeToAndCall{value: msg.value}(newImplementation, data); // 升级并执行迁移
+        _recordUpgrade(proxy, newImplementation); // 记录新实现
+
+        emit ProxyUpgraded(proxy, oldImplementation, newImplementation); // 触发代理升级事件
+    }
+
+    /**
+     * @dev 发起代理管理员转移（仅所有者，启用多签后不可用），新管理员需要在代理上调用 acceptAdmin
      * @param proxy 代理合约的地址
      * @param newAdmin 新管理员的地址
      */
-    function transferProxyAdmin(address payable proxy, address newAdmin) external onlyOwner validProxy(proxy) {
+    function transferProxyAdmin(
+        address payable proxy,
+        address newAdmin
+    ) external onlyOwner withoutMultisig validProxy(proxy) whenNotFrozen(proxy) {
         require(newAdmin != address(0), "Admin cannot be zero address"); // 确保新管理员地址不是零地址
 
         address oldAdmin = proxyAdmins[proxy]; // 保存旧管理员地址
         proxyAdmins[proxy] = newAdmin; // 设置新管理员
 
-        Proxy(proxy).transferAdmin(newAdmin); // 在代理合约中转移管理员权限
+        Proxy(proxy).transferAdmin(newAdmin); // 在代理合约中发起管理员转移
 
         emit ProxyAdminTransferred(proxy, oldAdmin, newAdmin); // 触发代理管理员转移事件
     }
 
+    /**
+     * @dev 接受代理的管理员权限（仅所有者或代理注册者），代理管理员需要先调用 transferAdmin 提名本合约
+     * @param proxy 代理合约的地址
+     */
+    function acceptProxyAdmin(address payable proxy) external {
+        require(msg.sender == owner || proxyRegistrars[msg.sender], "Not authorized"); // 确保有权限
+        Proxy(proxy).acceptAdmin(); // 成为代理管理员
+    }
+
+    /**
+     * @dev 启用多签审批（仅所有者，只能执行一次）
+     * @dev 启用后 UPGRADER_ROLE 和代理管理员不能再直接升级、排期或转移代理管理员，升级必须通过提案
+     * @param approvers_ 审批人地址列表
+     * @param threshold 执行提案所需的审批数
+     */
+    function setupApprovers(address[] calldata approvers_, uint256 threshold) external onlyOwner {
+        require(approvalThreshold == 0, "Approvers already set up"); // 确保只能启用一次
+        require(threshold > 0 && threshold <= approvers_.length, "Invalid threshold"); // 确保阈值有效
+
+        for (uint256 i = 0; i < approvers_.length; i++) { // 添加每个审批人
+            _addApprover(approvers_[i]);
+        }
+        approvalThreshold = threshold; // 设置审批阈值
+
+        emit ApproversSetUp(approvers_, threshold); // 触发启用多签事件
+    }
+
+    /**
+     * @dev 提议升级代理（仅审批人），提案人自动审批
+     * @param proxy 代理合约的地址
+     * @param newImplementation 新实现合约的地址
+     * @param data 升级后执行的迁移调用数据（可以为空）
+     * @return proposalId 提案 ID
+     */
+    function proposeUpgrade(
+        address proxy,
+        address newImplementation,
+        bytes calldata data
+    ) external onlyApprover validProxy(proxy) returns (uint256 proposalId) {
+        require(newImplementation.code.length > 0, "Implementation is not a contract"); // 确保新实现是合约
+        return _createProposal(ProposalAction.Upgrade, proxy, newImplementation, data, 0); // 创建提案
+    }
+
+    /**
+     * @dev 提议升级信标（仅审批人），提案人自动审批
+     * @param beacon 信标合约的地址
+     * @param newImplementation 新实现合约的地址
+     * @return proposalId 提案 ID
+     */
+    function proposeBeaconUpgrade(
+        address beacon,
+        address newImplementation
+    ) external onlyApprover validBeacon(beacon) returns (uint256 proposalId) {
+        require(newImplementation.code.length > 0, "Implementation is not a contract"); // 确保新实现是合约
+        return _createProposal(ProposalAction.UpgradeBeacon, beacon, newImplementation, "", 0); // 创建提案
+    }
+
+    /**
+     * @dev 提议取消代理的排期升级（仅审批人），提案人自动审批
+     * @dev 启用多签后取消排期也需要达到审批阈值，包括启用多签之前的排期
+     * @param proxy 代理合约的地址
+     * @return proposalId 提案 ID
+     */
+    function proposeCancelUpgrade(address proxy) external onlyApprover validProxy(proxy) returns (uint256 proposalId) {
+        address newImplementation = _pendingUpgrades[proxy].newImplementation; // 当前排期的实现地址
+        require(newImplementation != address(0), "No upgrade scheduled"); // 确保存在排期
+        return _createProposal(ProposalAction.CancelUpgrade, proxy, newImplementation, "", 0); // 创建提案
+    }
+
+    /**
+     * @dev 提议添加审批人（仅审批人），提案人自动审批
+     * @param approver 新审批人的地址
+     * @param newThreshold 添加后的审批阈值
+     * @return proposalId 提案 ID
+     */
+    function proposeAddApprover(address approver, uint256 newThreshold) external onlyApprover returns (uint256 proposalId) {
+        require(approver != address(0), "Invalid approver"); // 确保地址有效
+        require(!isApprover[approver], "Duplicate approver"); // 确保不是现有审批人
+        return _createProposal(ProposalAction.AddApprover, address(0), approver, "", newThreshold); // 创建提案
+    }
+
+    /**
+     * @dev 提议移除审批人（仅审批人），提案人自动审批
+     * @param approver 要移除的审批人地址
+     * @param newThreshold 移除后的审批阈值
+     * @return proposalId 提案 ID
+     */
+    function proposeRemoveApprover(address approver, uint256 newThreshold) external onlyApprover returns (uint256 proposalId) {
+        require(isApprover[approver], "Not an approver"); // 确保是现有审批人
+        return _createProposal(ProposalAction.RemoveApprover, address(0), approver, "", newThreshold); // 创建提案
+    }
+
+    /**
+     * @dev 提议修改审批阈值（仅审批人），提案人自动审批
+     * @param newThreshold 新的审批阈值
+     * @return proposalId 提案 ID
+     */
+    function proposeThreshold(uint256 newThreshold) external onlyApprover returns (uint256 proposalId) {
+        return _createProposal(ProposalAction.ChangeThreshold, address(0), address(0), "", newThreshold); // 创建提案
+    }
+
+    /**
+     * @dev 审批提案（仅审批人）
+     * @param proposalId 提案 ID
+     */
+    function approveProposal(uint256 proposalId) external onlyApprover validProposal(proposalId) {
+        _approve(proposalId); // 记录审批
+    }
+
+    /**
+     * @dev 撤销自己对提案的审批（仅审批人）
+     * @param proposalId 提案 ID
+     */
+    function revokeApproval(uint256 proposalId) external onlyApprover validProposal(proposalId) {
+        require(hasApproved[proposalId][msg.sender], "Not approved"); // 确保已审批
+
+        hasApproved[proposalId][msg.sender] = false; // 清除审批标记
+        address[] storage approvals = _proposalApprovals[proposalId];
+        for (uint256 i = 0; i < approvals.length; i++) { // 从审批列表中删除
+            if (approvals[i] == msg.sender) { // 找到调用者
+                approvals[i] = approvals[approvals.length - 1]; // 用最后一个元素替换
+                approvals.pop(); // 删除最后一个元素
+                break;
+            }
+        }
+
+        emit ApprovalRevoked(proposalId, msg.sender); // 触发撤销审批事件
+    }
+
+    /**
+     * @dev 执行已达到审批阈值的提案（仅审批人）
+     * @dev 升级提案在代理设置了升级延迟时只会排期，之后通过 executeUpgrade 执行
+     * @dev 只有立即执行的升级提案可以附带 ETH（转给迁移调用），其他提案附带 ETH 时回滚
+     * @param proposalId 提案 ID
+     */
+    function executeProposal(uint256 proposalId) external payable onlyApprover validProposal(proposalId) {
+        require(getApprovalCount(proposalId) >= approvalThreshold, "Not enough approvals"); // 确保审批数达到阈值
+
+        Proposal storage proposal = _proposals[proposalId];
+        proposal.executed = true; // 先标记为已执行，防止重入
+
+        bool immediateUpgrade = proposal.action == ProposalAction.Upgrade && upgradeDelays[proposal.proxy] == 0; // 只有立即升级会把 ETH 转给迁移调用
+        require(msg.value == 0 || immediateUpgrade, "Unexpected value"); // 防止 ETH 留在管理器中
+
+        if (proposal.action == ProposalAction.Upgrade) {
+            require(proxyAdmins[proposal.proxy] != address(0), "Proxy not registered"); // 确保代理仍然已注册
+            require(!upgradesFrozen[proposal.proxy], "Upgrades frozen"); // 冻结的代理不能升级
+            uint256 delay = upgradeDelays[proposal.proxy]; // 代理的最短升级延迟
+            if (delay > 0) {
+                _scheduleUpgrade(proposal.proxy, proposal.target, proposal.data, delay, true); // 设置了延迟的代理只排期
+            } else {
+                _upgradeProxyAndCall(payable(proposal.proxy), proposal.target, proposal.data); // 立即升级
+            }
+        } else if (proposal.action == ProposalAction.UpgradeBeacon) {
+            require(_registeredBeacons[proposal.proxy], "Beacon not registered"); // 确保信标仍然已注册
+            _upgradeBeacon(proposal.proxy, proposal.target); // 升级信标
+        } else if (proposal.action == ProposalAction.CancelUpgrade) {
+            require(_pendingUpgrades[proposal.proxy].newImplementation == proposal.target, "Schedule changed"); // 确保取消的是提案时的排期
+            _cancelUpgrade(proposal.proxy); // 取消排期
+        } else if (proposal.action == ProposalAction.AddApprover) {
+            _addApprover(proposal.target); // 添加审批人
+            _setThreshold(proposal.threshold); // 更新阈值
+        } else if (proposal.action == ProposalAction.RemoveApprover) {
+            _removeApprover(proposal.target); // 移除审批人
+            _setThreshold(proposal.threshold); // 更新阈值
+        } else {
+            _setThreshold(proposal.threshold); // 更新阈值
+        }
+
+        emit ProposalExecuted(proposalId); // 触发提案执行事件
+    }
+
+    /**
+     * @dev 取消提案（仅提案人）
+     * @param proposalId 提案 ID
+     */
+    function cancelProposal(uint256 proposalId) external validProposal(proposalId) {
+        require(msg.sender == _proposals[proposalId].proposer, "Only proposer can cancel"); // 确保调用者是提案人
+
+        _proposals[proposalId].cancelled = true; // 标记为已取消
+
+        emit ProposalCancelled(proposalId); // 触发提案取消事件
+    }
+
+    /**
+     * @dev 获取所有审批人
+     * @return 审批人地址数组
+     */
+    function getApprovers() external view returns (address[] memory) {
+        return _approvers; // 返回审批人数组
+    }
+
+    /**
+     * @dev 获取提案数量
+     * @return 提案数量
+     */
+    function getProposalCount() external view returns (uint256) {
+        return _proposals.length; // 返回提案数组长度
+    }
+
+    /**
+     * @dev 获取提案详情
+     * @param proposalId 提案 ID
+     * @return 提案
+     */
+    function getProposal(uint256 proposalId) external view returns (Proposal memory) {
+        require(proposalId < _proposals.length, "Proposal does not exist"); // 确保提案存在
+        return _proposals[proposalId]; // 返回提案
+    }
+
+    /**
+     * @dev 获取审批过提案的地址（包括已被移除的审批人）
+     * @param proposalId 提案 ID
+     * @return 审批地址数组
+     */
+    function getProposalApprovers(uint256 proposalId) external view returns (address[] memory) {
+        return _proposalApprovals[proposalId]; // 返回审批列表
+    }
+
+    /**
+     * @dev 获取提案的有效审批数，只统计当前仍是审批人的地址
+     * @param proposalId 提案 ID
+     * @return count 有效审批数
+     */
+    function getApprovalCount(uint256 proposalId) public view returns (uint256 count) {
+        address[] storage approvals = _proposalApprovals[proposalId];
+        for (uint256 i = 0; i < approvals.length; i++) { // 遍历审批列表
+            if (isApprover[approvals[i]]) { // 只统计当前审批人
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev 创建提案并由提案人审批
+     */
+    function _createProposal(
+        ProposalAction action,
+        address proxy,
+        address target,
+        bytes memory data,
+        uint256 threshold
+    ) private returns (uint256 proposalId) {
+        proposalId = _proposals.length; // 提案 ID 为数组下标
+        _proposals.push(Proposal(action, proxy, target, data, threshold, msg.sender, false, false)); // 保存提案
+
+        emit ProposalCreated(proposalId, msg.sender, action, proxy, target); // 触发提案创建事件
+
+        _approve(proposalId); // 提案人自动审批
+    }
+
+    /**
+     * @dev 记录调用者对提案的审批
+     */
+    function _approve(uint256 proposalId) private {
+        require(!hasApproved[proposalId][msg.sender], "Already approved"); // 确保未重复审批
+
+        hasApproved[proposalId][msg.sender] = true; // 设置审批标记
+        _proposalApprovals[proposalId].push(msg.sender); // 添加到审批列表
+
+        emit ProposalApproved(proposalId, msg.sender); // 触发提案审批事件
+    }
+
+    /**
+     * @dev 添加审批人
+     */
+    function _addApprover(address approver) private {
+        require(approver != address(0), "Invalid approver"); // 确保地址有效
+        require(!isApprover[approver], "Duplicate approver"); // 确保不重复
+
+        isApprover[approver] = true; // 设置审批人标记
+        _approvers.push(approver); // 添加到审批人数组
+
+        emit ApproverAdded(approver); // 触发审批人添加事件
+    }
+
+    /**
+     * @dev 移除审批人
+     */
+    function _removeApprover(address approver) private {
+        require(isApprover[approver], "Not an approver"); // 确保是审批人
+
+        isApprover[approver] = false; // 清除审批人标记
+        for (uint256 i = 0; i < _approvers.length; i++) { // 从数组中删除
+            if (_approvers[i] == approver) { // 找到匹配的审批人
+                _approvers[i] = _approvers[_approvers.length - 1]; // 用最后一个元素替换
+                _approvers.pop(); // 删除最后一个元素
+                break;
+            }
+        }
+
+        emit ApproverRemoved(approver); // 触发审批人移除事件
+    }
+
+    /**
+     * @dev 设置审批阈值
+     */
+    function _setThreshold(uint256 newThreshold) private {
+        require(newThreshold > 0 && newThreshold <= _approvers.length, "Invalid threshold"); // 确保阈值有效
+
+        uint256 oldThreshold = approvalThreshold; // 保存旧阈值
+        approvalThreshold = newThreshold; // 设置新阈值
+
+        emit ApprovalThresholdChanged(oldThreshold, newThreshold); // 触发审批阈值变更事件
+    }
+
+    /**
+     * @dev 注册信标（仅所有者），本合约需要是信标的所有者才能升级它（见 acceptBeaconOwnership）
+     * @param beacon 信标合约的地址
+     */
+    function registerBeacon(address beacon) external onlyOwner {
+        require(beacon.code.length > 0, "Beacon is not a contract"); // 确保信标是合约
+        require(!_registeredBeacons[beacon], "Beacon already registered"); // 确保信标未注册
+
+        _registeredBeacons[beacon] = true; // 标记为已注册
+        beacons.push(beacon); // 添加到信标数组
+
+        emit BeaconRegistered(beacon, IBeacon(beacon).implementation()); // 触发信标注册事件
+    }
+
+    /**
+     * @dev 接受信标所有权（仅所有者），信标所有者需要先调用 transferOwnership 提名本合约
+     * @param beacon 信标合约的地址
+     */
+    function acceptBeaconOwnership(address beacon) external onlyOwner {
+        UpgradeableBeacon(beacon).acceptOwnership(); // 成为信标所有者
+    }
+
+    /**
+     * @dev 注销信标及其代理列表（仅所有者）
+     * @param beacon 要注销的信标地址
+     */
+    function unregisterBeacon(address beacon) external onlyOwner validBeacon(beacon) {
+        address[] storage attached = _beaconProxies[beacon];
+        for (uint256 i = 0; i < attached.length; i++) { // 清除代理到信标的映射
+            delete beaconOfProxy[attached[i]];
+        }
+        delete _beaconProxies[beacon]; // 删除代理列表
+        delete _registeredBeacons[beacon]; // 清除注册标记
+
+        for (uint256 i = 0; i < beacons.length; i++) { // 从数组中删除
+            if (beacons[i] == beacon) { // 找到匹配的信标
+                beacons[i] = beacons[beacons.length - 1]; // 用最后一个元素替换
+                beacons.pop(); // 删除最后一个元素
+                break;
+            }
+        }
+
+        emit BeaconUnregistered(beacon); // 触发信标注销事件
+    }
+
+    /**
+     * @dev 记录挂在信标上的 BeaconProxy（仅所有者）
+     * @dev 链上无法读取其他合约的存储，调用前应在链下确认代理的信标槽位指向该信标
+     * @param beacon 信标合约的地址
+     * @param proxy 信标代理的地址
+     */
+    function addBeaconProxy(address beacon, address proxy) external onlyOwner validBeacon(beacon) {
+        require(proxy.code.length > 0, "Proxy is not a contract"); // 确保代理是合约
+        require(beaconOfProxy[proxy] == address(0), "Proxy already attached"); // 确保代理未记录
+
+        beaconOfProxy[proxy] = beacon; // 记录代理所属信标
+        _beaconProxies[beacon].push(proxy); // 添加到信标的代理列表
+
+        emit BeaconProxyAdded(beacon, proxy); // 触发信标代理添加事件
+    }
+
+    /**
+     * @dev 升级信标，所有挂在该信标上的代理同时升级（仅 UPGRADER_ROLE，启用多签后需通过提案）
+     * @param beacon 信标合约的地址
+     * @param newImplementation 新实现合约的地址
+     */
+    function upgradeBeacon(address beacon, address newImplementation) external onlyRole(UPGRADER_ROLE) withoutMultisig validBeacon(beacon) {
+        _upgradeBeacon(beacon, newImplementation); // 升级信标
+    }
+
+    /**
+     * @dev 获取所有已注册的信标地址
+     * @return 信标地址数组
+     */
+    function getAllBeacons() external view returns (address[] memory) {
+        return beacons; // 返回信标数组
+    }
+
+    /**
+     * @dev 获取挂在信标上的代理地址
+     * @param beacon 信标合约的地址
+     * @return 代理地址数组
+     */
+    function getBeaconProxies(address beacon) external view returns (address[] memory) {
+        return _beaconProxies[beacon]; // 返回代理数组
+    }
+
+    /**
+     * @dev 检查地址是否为已注册的信标
+     * @param beacon 要检查的地址
+     * @return 如果地址是已注册的信标则返回 true
+     */
+    function isRegisteredBeacon(address beacon) external view returns (bool) {
+        return _registeredBeacons[beacon]; // 检查信标是否已注册
+    }
+
+    /**
+     * @dev 升级信标并触发升级事件
+     */
+    function _upgradeBeacon(address beacon, address newImplementation) private {
+        address oldImplementation = IBeacon(beacon).implementation(); // 获取旧实现地址
+        UpgradeableBeacon(beacon).upgradeTo(newImplementation); // 升级信标
+
+        emit BeaconUpgraded(beacon, oldImplementation, newImplementation, _beaconProxies[beacon].length); // 触发信标升级事件
+    }
+
     /**
      * @dev 获取已注册代理的数量
      * @return 已注册代理的数量
@@ -128,11 +981,34 @@ contract UpgradeManager {
     }
 
     /**
-     * @dev 转移升级管理器的所有权
+     * @dev 发起升级管理器的所有权转移（仅所有者），新所有者调用 acceptOwnership 后生效
      * @param newOwner 新所有者的地址
      */
     function transferOwnership(address newOwner) external onlyOwner {
         require(newOwner != address(0), "Owner cannot be zero address"); // 确保新所有者地址不是零地址
+        pendingOwner = newOwner; // 记录待接受的地址
+
+        emit OwnershipTransferStarted(owner, newOwner); // 触发所有权转移发起事件
+    }
+
+    /**
+     * @dev 接受升级管理器的所有权（仅 pendingOwner），DEFAULT_ADMIN_ROLE 随所有权一起转移
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Caller is not the pending owner"); // 只有被提名的地址可以接受
+        _transferOwnership(msg.sender); // 完成转移
+    }
+
+    /**
+     * @dev 转移所有权和 DEFAULT_ADMIN_ROLE，UPGRADER_ROLE 等其他角色不变
+     */
+    function _transferOwnership(address newOwner) private {
+        address previousOwner = owner; // 保存旧所有者
         owner = newOwner; // 设置新所有者
+        delete pendingOwner; // 清除待接受的转移
+        if (previousOwner != address(0)) _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner); // 旧所有者失去管理角色
+        _grantRole(DEFAULT_ADMIN_ROLE, newOwner); // 新所有者获得管理角色
+
+        emit OwnershipTransferred(previousOwner, newOwner); // 触发所有权转移事件
     }
 }
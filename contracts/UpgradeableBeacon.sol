@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @dev 信标接口：BeaconProxy 每次调用时向信标查询当前实现
+ */
+interface IBeacon {
+    function implementation() external view returns (address);
+}
+
+/**
+ * @title UpgradeableBeacon
+ * @dev 可升级信标：保存一组 BeaconProxy 共享的实现地址
+ * @dev 所有者调用一次 upgradeTo，所有指向该信标的代理同时切换到新实现，各代理的状态仍然保存在各自的存储中
+ */
+contract UpgradeableBeacon is IBeacon {
+    address private _implementation; // 当前实现合约的地址
+    address public owner; // 信标所有者，通常是 UpgradeManager
+    address public pendingOwner; // 等待接受所有权的地址（两步转移）
+
+    // 事件
+    event Upgraded(address indexed implementation); // 实现升级事件
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner); // 所有权转移发起事件
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner); // 所有权转移事件
+
+    // 修饰符
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner"); // 确保只有所有者可以调用
+        _;
+    }
+
+    /**
+     * @dev 构造函数，设置初始实现，所有者为部署者
+     * @param implementation_ 初始实现合约的地址
+     */
+    constructor(address implementation_) {
+        _setImplementation(implementation_); // 设置实现地址
+        owner = msg.sender; // 设置所有者为部署者
+
+        emit OwnershipTransferred(address(0), msg.sender); // 触发所有权转移事件
+    }
+
+    /**
+     * @dev 返回当前实现合约的地址
+     */
+    function implementation() external view returns (address) {
+        return _implementation; // 返回实现地址
+    }
+
+    /**
+     * @dev 升级所有代理共享的实现（仅所有者）
+     * @param newImplementation 新实现合约的地址
+     */
+    function upgradeTo(address newImplementation) external onlyOwner {
+        require(newImplementation != _implementation, "Same implementation address"); // 确保不是相同的实现地址
+        _setImplementation(newImplementation); // 设置新实现地址
+    }
+
+    /**
+     * @dev 发起信标所有权转移（仅所有者），新所有者调用 acceptOwnership 后生效
+     * @param newOwner 新所有者的地址
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "New owner cannot be zero address"); // 确保新所有者地址不是零地址
+        pendingOwner = newOwner; // 记录待接受的地址
+
+        emit OwnershipTransferStarted(owner, newOwner); // 触发所有权转移发起事件
+    }
+
+    /**
+     * @dev 接受信标所有权（仅 pendingOwner）
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Caller is not the pending owner"); // 只有被提名的地址可以接受
+
+        address previousOwner = owner; // 保存旧所有者
+        owner = msg.sender; // 设置新所有者
+        delete pendingOwner; // 清除待接受的转移
+
+        emit OwnershipTransferred(previousOwner, msg.sender); // 触发所有权转移事件
+    }
+
+    /**
+     * @dev 设置实现地址并触发升级事件
+     */
+    function _setImplementation(address newImplementation) private {
+        require(newImplementation.code.length > 0, "Implementation is not a contract"); // 确保实现地址是合约
+        _implementation = newImplementation; // 设置实现地址
+
+        emit Upgraded(newImplementation); // 触发升级事件
+    }
+}
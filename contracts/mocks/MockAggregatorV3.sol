@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockAggregatorV3
+ * @dev 本地测试用的 Chainlink AggregatorV3 价格预言机
+ * @dev 可以任意设置价格、精度、轮次 ID 和时间戳，用于测试基于预言机的定价和预言机安全检查
+ */
+contract MockAggregatorV3 {
+    /**
+     * @dev 一轮价格数据
+     */
+    struct RoundData {
+        int256 answer; // 价格
+        uint256 startedAt; // 本轮开始时间
+        uint256 updatedAt; // 本轮更新时间
+        uint80 answeredInRound; // 给出答案的轮次
+    }
+
+    uint8 public decimals; // 价格精度
+    string public description = "Mock / USD"; // 价格对描述
+    uint256 public constant version = 4; // 聚合器版本
+
+    uint80 public latestRound; // 最新轮次 ID
+    mapping(uint80 => RoundData) private _rounds; // 轮次 ID 到价格数据的映射
+
+    // 事件（与 Chainlink 聚合器一致）
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt); // 价格更新事件
+    event NewRound(uint256 indexed roundId, address indexed startedBy, uint256 startedAt); // 新轮次事件
+
+    /**
+     * @dev 构造函数，设置精度和初始价格
+     * @param decimals_ 价格精度（Chainlink 的 USD 价格对通常为 8）
+     * @param initialAnswer 初始价格
+     */
+    constructor(uint8 decimals_, int256 initialAnswer) {
+        decimals = decimals_; // 设置精度
+        updateAnswer(initialAnswer); // 写入第一轮价格
+    }
+
+    /**
+     * @dev 以当前区块时间开始新一轮并设置价格
+     * @param answer 新价格
+     */
+    function updateAnswer(int256 answer) public {
+        updateRoundData(latestRound + 1, answer, block.timestamp, block.timestamp, latestRound + 1); // 写入新一轮
+    }
+
+    /**
+     * @dev 写入任意一轮的完整数据，并将其设为最新轮次
+     * @param roundId 轮次 ID
+     * @param answer 价格
+     * @param startedAt 本轮开始时间
+     * @param updatedAt 本轮更新时间
+     * @param answeredInRound 给出答案的轮次（小于 roundId 表示答案过期）
+     */
+    function updateRoundData(
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) public {
+        latestRound = roundId; // 设置最新轮次
+        _rounds[roundId] = RoundData(answer, startedAt, updatedAt, answeredInRound); // 保存价格数据
+
+        emit NewRound(roundId, msg.sender, startedAt); // 触发新轮次事件
+        emit AnswerUpdated(answer, roundId, updatedAt); // 触发价格更新事件
+    }
+
+    /**
+     * @dev 修改价格精度
+     * @param decimals_ 新的价格精度
+     */
+    function setDecimals(uint8 decimals_) external {
+        decimals = decimals_; // 设置精度
+    }
+
+    /**
+     * @dev 获取指定轮次的价格数据
+     */
+    function getRoundData(uint80 roundId) external view returns (
+        uint80,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        RoundData memory round = _rounds[roundId];
+        require(round.updatedAt > 0, "No data present"); // 与 Chainlink 一致：没有数据时回滚
+        return (roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound); // 返回价格数据
+    }
+
+    /**
+     * @dev 获取最新一轮的价格数据
+     */
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        RoundData memory round = _rounds[latestRound];
+        return (latestRound, round.answer, round.startedAt, round.updatedAt, round.answeredInRound); // 返回价格数据
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @dev 本地测试用的稳定币，小数位数可配置（USDC 为 6，BSC 上的 USDT 为 18），支持 EIP-2612 permit
+ * @dev 任何人都可以铸造和冻结转账，只能用于测试
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private immutable _decimals; // 小数位数
+    bool public transfersBlocked; // 是否冻结全部转账（模拟被暂停或有问题的代币）
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) ERC20Permit(name_) {
+        _decimals = decimals_; // 设置小数位数
+    }
+
+    /**
+     * @dev 铸造代币
+     * @param to 接收地址
+     * @param amount 数量
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount); // 铸造代币
+    }
+
+    /**
+     * @dev 冻结或恢复全部转账
+     * @param blocked 是否冻结
+     */
+    function setTransfersBlocked(bool blocked) external {
+        transfersBlocked = blocked; // 设置冻结状态
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!transfersBlocked, "Transfers blocked"); // 冻结时所有转账回滚
+        super._update(from, to, value); // 执行转账
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals; // 返回小数位数
+    }
+}
@@ -1,6 +1,58 @@
 require("@nomicfoundation/hardhat-toolbox");
 
+require("./tasks/storage-layout");
+require("./tasks/selector-clash");
+require("./tasks/upgrade-history");
+require("./tasks/merkle-allowlist");
+require("./tasks/provenance");
+require("./tasks/collection-admin");
+require("./tasks/proxy-admin");
+require("./tasks/indexer");
+
+const SIZE_OPTIMIZED = {
+  version: "0.8.24",
+  settings: {
+    optimizer: {
+      enabled: true,
+      runs: 1,
+    },
+    viaIR: true,
+    outputSelection: {
+      "*": {
+        "*": ["storageLayout"],
+      },
+    },
+  },
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.24",
+  solidity: {
+    compilers: [
+      {
+        version: "0.8.24",
+        settings: {
+          // NFTCollectionV2 继承了 ERC721、UUPS 和初始化器，不开启优化器会超过 24KB 的合约大小限制
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          // 加入荷兰拍后 NFTCollectionV2 在传统流水线下仍超过 24KB，IR 流水线生成的代码更小
+          viaIR: true,
+          // 输出存储布局，供升级前的存储兼容性检查使用
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"],
+            },
+          },
+        },
+      },
+    ],
+    // 加入稳定币支付后 NFTCollection 的运行时代码和 NFTCollectionV2 的部署代码（包含 NFTCollectionV2Admin）
+    // 超过大小限制，这两个合约按部署大小优化（运行时 gas 略有增加）
+    overrides: {
+      "contracts/NFTCollection.sol": SIZE_OPTIMIZED,
+      "contracts/NFTCollectionV2.sol": SIZE_OPTIMIZED,
+    },
+  },
 };
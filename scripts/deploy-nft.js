@@ -21,8 +21,23 @@ async function main() {
   console.log("   符号:", symbol);
   console.log("   基础URI:", baseTokenURI);
 
+  // 价格预言机：优先使用环境变量，本地网络自动部署模拟预言机
+  let priceFeedAddress = process.env.PRICE_FEED_ADDRESS;
+  if (!priceFeedAddress) {
+    if (!["hardhat", "localhost"].includes(hre.network.name)) {
+      throw new Error(`网络 ${hre.network.name} 需要设置 PRICE_FEED_ADDRESS`);
+    }
+
+    const MockAggregatorV3 = await hre.ethers.getContractFactory("MockAggregatorV3");
+    const priceFeed = await MockAggregatorV3.deploy(8, 300n * 10n ** 8n); // 8 位精度，$300
+    await priceFeed.waitForDeployment();
+    priceFeedAddress = await priceFeed.getAddress();
+    console.log("\n🧪 已部署模拟价格预言机: $300 (8 位精度)");
+  }
+  console.log("   价格预言机:", priceFeedAddress);
+
   // 部署合约
-  const nftCollection = await NFTCollection.deploy(name, symbol, baseTokenURI);
+  const nftCollection = await NFTCollection.deploy(name, symbol, baseTokenURI, priceFeedAddress);
   await nftCollection.waitForDeployment();
   const contractAddress = await nftCollection.getAddress();
 
@@ -35,6 +50,7 @@ async function main() {
   console.log("   符号:", await nftCollection.symbol());
   console.log("   所有者:", await nftCollection.owner());
   console.log("   最大供应量:", (await nftCollection.maxSupply()).toString());
+  console.log("   当前铸造价格:", hre.ethers.formatEther(await nftCollection.getMintPrice()), "ETH");
 
   console.log("\n" + "=".repeat(60));
   console.log("🎉 部署完成!");
@@ -0,0 +1,45 @@
+const hre = require("hardhat");
+const path = require("path");
+const { loadDeployConfig, runDeployment } = require("./utils/deployment");
+
+/**
+ * 按网络配置部署 NFTCollectionV2（实现 + UpgradeManager + CollectionFactory，工厂原子部署 Proxy）
+ *
+ * 用法:
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *
+ * 配置: deploy-config/<network>.json（可以用环境变量 DEPLOY_CONFIG_DIR 指定其他目录）
+ * 清单: deployments/<network>.json，重复运行时跳过清单中已完成的步骤
+ */
+async function main() {
+  const network = hre.network.name;
+  const configDir = process.env.DEPLOY_CONFIG_DIR || path.join(__dirname, "..", "deploy-config");
+  const manifestPath = path.join(__dirname, "..", "deployments", `${network}.json`);
+
+  console.log("=".repeat(60));
+  console.log("🚀 部署 NFTCollectionV2");
+  console.log("=".repeat(60));
+
+  const config = loadDeployConfig(configDir, network);
+  const manifest = await runDeployment(hre, {
+    config,
+    manifestPath,
+    fresh: network === "hardhat", // 进程内网络每次运行都是新链，之前的清单无效
+  });
+
+  console.log("\n📄 清单:", manifestPath);
+  console.log("   集合（代理）:", manifest.collection);
+  console.log("   实现:", manifest.contracts.implementation.address);
+  console.log("   UpgradeManager:", manifest.upgradeManager);
+
+  console.log("\n" + "=".repeat(60));
+  console.log("🎉 部署完成!");
+  console.log("=".repeat(60));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { assertStorageUpgradeSafe } = require("./utils/storage-layout");
 
 /**
  * 完整的升级演示脚本
@@ -88,6 +89,10 @@ async function main() {
   console.log("🔄 步骤 5: 更新代理合约指向新逻辑合约");
   console.log("=".repeat(60));
 
+  // 升级前检查存储布局兼容性，不兼容时抛出错误并以非零状态码退出
+  console.log("\n检查存储布局兼容性...");
+  await assertStorageUpgradeSafe(hre, "LogicContract", "LogicContractV2");
+
   console.log("\n升级前:");
   console.log("   代理合约指向:", await proxy.logicContract());
   console.log("   Counter 值:", (await proxy.counter()).toString());
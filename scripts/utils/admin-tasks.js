@@ -0,0 +1,318 @@
+/**
+ * 日常运维任务（tasks/collection-admin.js、tasks/proxy-admin.js）的公共逻辑：
+ * 从参数或部署清单解析目标地址、解析地址列表和保留铸造 CSV、模拟并发送管理交易
+ *
+ * 每笔交易发送前都先用 staticCall 在最新区块上模拟，回滚时打印解码后的原因而不发送；
+ * --dry-run 模式只模拟，打印调用、预期变化、返回值和 gas 估算
+ */
+const fs = require("fs");
+const path = require("path");
+const { formatEther, getAddress, id, isAddress } = require("ethers");
+const { loadManifest } = require("./deployment");
+
+/**
+ * 当前网络的默认部署清单路径
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行环境
+ * @returns {string}
+ */
+function defaultManifestPath(hre) {
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+/**
+ * 解析目标合约地址：优先使用参数中的地址，否则读取部署清单中的字段
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行环境
+ * @param {object} options
+ * @param {string} [options.address] 参数中的地址
+ * @param {string} [options.manifestPath] 清单文件，默认 deployments/<network>.json
+ * @param {"collection"|"upgradeManager"} options.key 清单字段
+ * @param {boolean} [options.required=true] 找不到地址时是否报错，为 false 时返回 null
+ * @returns {Promise<string|null>} 校验和格式的地址
+ */
+async function resolveAddress(hre, { address, manifestPath, key, required = true }) {
+  if (address) {
+    if (!isAddress(address)) {
+      throw new Error(`无效的地址: ${address}`);
+    }
+    return getAddress(address);
+  }
+
+  const file = manifestPath || defaultManifestPath(hre);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = loadManifest(file, hre.network.name, chainId); // 清单属于其他链时报错
+
+  if (!manifest[key]) {
+    if (!required) return null;
+    throw new Error(`没有指定地址，部署清单 ${file} 中也没有 ${key}`);
+  }
+  return getAddress(manifest[key]);
+}
+
+/**
+ * 解析地址列表，每行一个地址（也接受 CSV，只取第一列），可以有表头，# 开头的行为注释
+ * @param {string} text 文件内容
+ * @returns {string[]} 校验和格式的地址
+ */
+function parseAddressList(text) {
+  const addresses = [];
+  const seen = new Set();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const [field] = line.split(",").map((value) => value.trim());
+    if (index === 0 && field.toLowerCase() === "address") return; // 表头
+
+    if (!isAddress(field)) {
+      throw new Error(`第 ${index + 1} 行: 无效的地址 ${field}`);
+    }
+    const address = getAddress(field);
+    if (seen.has(address)) {
+      throw new Error(`第 ${index + 1} 行: 重复的地址 ${address}`);
+    }
+    seen.add(address);
+
+    addresses.push(address);
+  });
+
+  return addresses;
+}
+
+/**
+ * 解析保留铸造 CSV，每行 "地址,tokenURI"，可以有表头，# 开头的行为注释
+ * 同一地址的多行合并为一次 reservedMintBatch，按地址第一次出现的顺序铸造
+ * @param {string} text CSV 文本
+ * @returns {{ to: string, tokenURIs: string[] }[]}
+ */
+function parseReserveMintCsv(text) {
+  const batches = new Map();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const separator = line.indexOf(",");
+    const addressField = (separator === -1 ? line : line.slice(0, separator)).trim();
+    const tokenURI = separator === -1 ? "" : line.slice(separator + 1).trim(); // URI 中可以包含逗号
+    if (index === 0 && addressField.toLowerCase() === "address") return; // 表头
+
+    if (!isAddress(addressField)) {
+      throw new Error(`第 ${index + 1} 行: 无效的地址 ${addressField}`);
+    }
+    if (tokenURI === "") {
+      throw new Error(`第 ${index + 1} 行: 缺少 tokenURI`);
+    }
+
+    const to = getAddress(addressField);
+    if (!batches.has(to)) batches.set(to, []);
+    batches.get(to).push(tokenURI);
+  });
+
+  if (batches.size === 0) {
+    throw new Error("保留铸造列表为空");
+  }
+  return [...batches].map(([to, tokenURIs]) => ({ to, tokenURIs }));
+}
+
+/**
+ * 保留铸造批次的标识：接收地址和 tokenURI 列表的哈希，CSV 中的批次被修改后视为新的批次
+ * @param {{ to: string, tokenURIs: string[] }} batch 见 parseReserveMintCsv
+ * @returns {string}
+ */
+function reserveMintBatchId({ to, tokenURIs }) {
+  return id(`${to}:${JSON.stringify(tokenURIs)}`);
+}
+
+/**
+ * 读取保留铸造进度文件，不存在时返回空进度；已有进度必须属于同一条链和同一个集合
+ * @param {string} file 进度文件
+ * @param {object} options
+ * @param {bigint|number} options.chainId 链 ID
+ * @param {string} options.collection 集合地址
+ * @returns {{ chainId: number, collection: string, completed: { id: string, to: string, count: number, txHash: string }[] }}
+ */
+function loadReserveMintProgress(file, { chainId, collection }) {
+  if (!fs.existsSync(file)) {
+    return { chainId: Number(chainId), collection, completed: [] };
+  }
+
+  const progress = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (progress.chainId !== Number(chainId) || progress.collection !== collection) {
+    throw new Error(`进度文件 ${file} 属于链 ${progress.chainId} 上的 ${progress.collection}，当前为链 ${chainId} 上的 ${collection}`);
+  }
+  return progress;
+}
+
+/**
+ * 写入保留铸造进度文件
+ * @param {string} file 进度文件
+ * @param {object} progress 见 loadReserveMintProgress
+ */
+function saveReserveMintProgress(file, progress) {
+  fs.writeFileSync(file, JSON.stringify(progress, null, 2) + "\n");
+}
+
+/**
+ * 格式化合约返回值或事件参数
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${Array.from(value, formatValue).join(", ")}]`; // 也适用于 ethers 的 Result
+  }
+  if (typeof value === "string" && !value.startsWith("0x")) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * 格式化状态变化，例如 "saleActive: false → true"
+ * @param {string} label 名称
+ * @param {*} before 当前值
+ * @param {*} after 交易后的值
+ * @returns {string}
+ */
+function describeChange(label, before, after) {
+  if (String(before) === String(after)) {
+    return `${label}: ${before}（不变）`;
+  }
+  return `${label}: ${before} → ${after}`;
+}
+
+/**
+ * 格式化解码后的错误，Error(string) 只保留原因字符串
+ */
+function formatError(name, args) {
+  if (name === "Error") {
+    return args[0];
+  }
+  return `${name}(${Array.from(args, formatValue).join(", ")})`;
+}
+
+/**
+ * 解码回滚原因：require 字符串、自定义错误，或者无法解码时的原始信息
+ * @param {Error} error staticCall / estimateGas 抛出的错误
+ * @param {import("ethers").Interface[]} interfaces 用于解码自定义错误的接口（例如被调用的代币合约）
+ * @returns {string}
+ */
+function decodeRevert(error, interfaces = []) {
+  if (error.revert) {
+    return formatError(error.revert.name, error.revert.args);
+  }
+
+  const data = error.data;
+  if (typeof data === "string" && data.length >= 10) {
+    for (const iface of interfaces) {
+      const parsed = iface.parseError(data); // 内置 Error(string) 和 Panic(uint256)，以及接口中的自定义错误
+      if (parsed) {
+        return formatError(parsed.name, parsed.args);
+      }
+    }
+    return `未知错误 ${data}`;
+  }
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * 解码交易收据中的事件
+ * @param {import("ethers").TransactionReceipt} receipt 交易收据
+ * @param {import("ethers").Interface[]} interfaces 用于解码的接口
+ * @returns {string[]}
+ */
+function decodeEvents(receipt, interfaces) {
+  const events = [];
+  for (const log of receipt.logs) {
+    for (const iface of interfaces) {
+      let parsed = null;
+      try {
+        parsed = iface.parseLog(log);
+      } catch {
+        continue; // 同名事件的索引参数不同（例如 ERC20 和 ERC721 的 Transfer）
+      }
+      if (parsed) {
+        events.push(`${parsed.name}(${Array.from(parsed.args, formatValue).join(", ")})`);
+        break;
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * 用 staticCall 模拟调用并估算 gas
+ * @param {import("ethers").Contract} contract 已连接签名者的合约
+ * @param {string} method 函数名或签名
+ * @param {Array} args 参数
+ * @param {import("ethers").Interface[]} [interfaces] 额外用于解码回滚原因的接口
+ * @returns {Promise<{ ok: boolean, result?: *, gas?: bigint, reason?: string }>}
+ */
+async function simulateCall(contract, method, args, interfaces = []) {
+  const fn = contract.getFunction(method);
+  try {
+    const result = await fn.staticCall(...args);
+    const gas = await fn.estimateGas(...args);
+    return { ok: true, result, gas };
+  } catch (error) {
+    return { ok: false, reason: decodeRevert(error, [contract.interface, ...interfaces]) };
+  }
+}
+
+/**
+ * 模拟并（非 dry-run 时）发送一笔管理交易，打印调用、预期变化、gas 估算和结果
+ * @param {import("ethers").Contract} contract 已连接签名者的合约
+ * @param {string} method 函数名或签名
+ * @param {Array} args 参数
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] 只模拟，不发送交易
+ * @param {string[]} [options.effects=[]] 预期的状态变化（见 describeChange）
+ * @param {import("ethers").Interface[]} [options.interfaces=[]] 额外用于解码回滚原因和事件的接口
+ * @param {function} [options.log=console.log] 日志输出
+ * @returns {Promise<{ ok: boolean, sent: boolean, result?: *, gas?: bigint, reason?: string, receipt?: object }>}
+ */
+async function runAdminCall(contract, method, args, { dryRun = false, effects = [], interfaces = [], log = console.log } = {}) {
+  const fragment = contract.interface.getFunction(method);
+  log(`📝 ${fragment.name}(${args.map(formatValue).join(", ")})`);
+  for (const effect of effects) {
+    log(`   ${effect}`);
+  }
+
+  const simulation = await simulateCall(contract, method, args, interfaces);
+  if (!simulation.ok) {
+    log(`❌ 模拟回滚: ${simulation.reason}`);
+    return { ...simulation, sent: false };
+  }
+
+  const { gasPrice } = await contract.runner.provider.getFeeData();
+  const cost = gasPrice ? `，按当前 gas 价格约 ${formatEther(simulation.gas * gasPrice)} ETH` : "";
+  log(`⛽ 预估 gas: ${simulation.gas}${cost}`);
+
+  if (dryRun) {
+    const returned = fragment.outputs.length > 0 ? `，返回 ${formatValue(simulation.result)}` : "";
+    log(`✅ 模拟成功${returned}（--dry-run，未发送交易）`);
+    return { ...simulation, sent: false };
+  }
+
+  const tx = await contract.getFunction(method)(...args);
+  const receipt = await tx.wait();
+  log(`✅ 交易已确认: ${receipt.hash}（区块 ${receipt.blockNumber}，实际 gas ${receipt.gasUsed}）`);
+  for (const event of decodeEvents(receipt, [contract.interface, ...interfaces])) {
+    log(`   📣 ${event}`);
+  }
+  return { ...simulation, sent: true, receipt };
+}
+
+module.exports = {
+  defaultManifestPath,
+  resolveAddress,
+  parseAddressList,
+  parseReserveMintCsv,
+  reserveMintBatchId,
+  loadReserveMintProgress,
+  saveReserveMintProgress,
+  describeChange,
+  decodeRevert,
+  decodeEvents,
+  simulateCall,
+  runAdminCall,
+};
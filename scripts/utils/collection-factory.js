@@ -0,0 +1,60 @@
+const { ethers } = require("ethers");
+
+/**
+ * CollectionFactory 的链下地址预测
+ *
+ * 集合地址由 CREATE2 决定：工厂地址、实际盐值（绑定部署者和集合参数）、Proxy 创建代码及实现地址。
+ * 前端可以在用户提交交易前展示集合地址，与链上 predictCollectionAddress 的结果一致。
+ */
+
+/**
+ * 读取 Proxy 的创建代码（编译产物），前端可以通过 params.proxyBytecode 直接传入
+ */
+function loadProxyBytecode() {
+  return require("../../artifacts/contracts/Proxy.sol/Proxy.json").bytecode;
+}
+
+/**
+ * 计算 CREATE2 使用的实际盐值，与 CollectionFactory.computeSalt 一致
+ * @param {string} deployer 调用 deployCollection 的地址
+ * @param {string} salt 32 字节盐值
+ * @param {{ name: string, symbol: string, baseTokenURI: string }} params 集合参数
+ * @returns {string}
+ */
+function computeCollectionSalt(deployer, salt, { name, symbol, baseTokenURI }) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes32", "string", "string", "string"],
+      [deployer, salt, name, symbol, baseTokenURI]
+    )
+  );
+}
+
+/**
+ * 预测 CollectionFactory.deployCollection 部署的集合地址
+ * @param {string} salt 32 字节盐值
+ * @param {object} params
+ * @param {string} params.factory CollectionFactory 地址
+ * @param {string} params.implementation 工厂使用的 NFTCollectionV2 实现地址
+ * @param {string} params.deployer 调用 deployCollection 的地址
+ * @param {string} params.name NFT 集合的名称
+ * @param {string} params.symbol NFT 集合的符号
+ * @param {string} params.baseTokenURI 所有代币的基础 URI
+ * @param {string} [params.proxyBytecode] Proxy 的创建代码，默认读取编译产物
+ * @returns {string} 校验和格式的集合地址
+ */
+function predictCollectionAddress(salt, params) {
+  const { factory, implementation, deployer, proxyBytecode = loadProxyBytecode() } = params;
+
+  const initCode = ethers.concat([
+    proxyBytecode,
+    ethers.AbiCoder.defaultAbiCoder().encode(["address"], [implementation]),
+  ]);
+
+  return ethers.getCreate2Address(factory, computeCollectionSalt(deployer, salt, params), ethers.keccak256(initCode));
+}
+
+module.exports = {
+  computeCollectionSalt,
+  predictCollectionAddress,
+};
@@ -0,0 +1,238 @@
+/**
+ * 配置驱动的部署流水线：部署 NFTCollectionV2 实现、UpgradeManager 和 CollectionFactory，
+ * 通过工厂在一笔交易中部署、初始化并注册代理（部署和初始化之间没有可以被抢先的间隙）
+ *
+ * 每个网络一个配置文件 deploy-config/<network>.json，部署结果写入 deployments/<network>.json 清单，
+ * 记录地址、交易哈希和构造参数。每完成一步立即写入清单，重复运行时跳过清单中已经完成的步骤，
+ * 中途失败后重新运行会从失败的步骤继续。
+ */
+const fs = require("fs");
+const path = require("path");
+const { isAddress, isHexString, ZeroHash } = require("ethers");
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * 读取并校验网络的部署配置
+ * @param {string} configDir 配置目录
+ * @param {string} network 网络名称
+ * @returns {object} 部署配置
+ */
+function loadDeployConfig(configDir, network) {
+  const file = path.join(configDir, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`缺少网络 ${network} 的部署配置 ${file}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  validateDeployConfig(config);
+  return config;
+}
+
+/**
+ * 校验部署配置
+ * @param {object} config 部署配置
+ */
+function validateDeployConfig(config) {
+  const collection = config.collection || {};
+  for (const field of ["name", "symbol", "baseTokenURI"]) {
+    if (typeof collection[field] !== "string" || collection[field] === "") {
+      throw new Error(`部署配置缺少 collection.${field}`);
+    }
+  }
+
+  for (const field of ["upgradeManager", "proxyAdmin"]) {
+    if (config[field] !== undefined && !isAddress(config[field])) {
+      throw new Error(`部署配置中的 ${field} 不是有效地址: ${config[field]}`);
+    }
+  }
+
+  if (config.salt !== undefined && !isHexString(config.salt, 32)) {
+    throw new Error(`部署配置中的 salt 不是 32 字节十六进制: ${config.salt}`);
+  }
+}
+
+/**
+ * 创建空清单
+ * @param {string} network 网络名称
+ * @param {bigint} chainId 链 ID
+ * @returns {object}
+ */
+function emptyManifest(network, chainId) {
+  return { version: MANIFEST_VERSION, network, chainId: Number(chainId), contracts: {}, steps: {} };
+}
+
+/**
+ * 读取部署清单，不存在时返回空清单
+ * @param {string} file 清单文件
+ * @param {string} network 网络名称
+ * @param {bigint} chainId 链 ID
+ * @returns {object}
+ */
+function loadManifest(file, network, chainId) {
+  if (!fs.existsSync(file)) {
+    return emptyManifest(network, chainId);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.chainId !== Number(chainId)) {
+    throw new Error(`清单 ${file} 属于链 ${manifest.chainId}，当前链为 ${chainId}`);
+  }
+  return manifest;
+}
+
+/**
+ * 写入部署清单
+ * @param {string} file 清单文件
+ * @param {object} manifest 清单
+ */
+function saveManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * 执行部署流水线
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行环境
+ * @param {object} options
+ * @param {object} options.config 部署配置（见 loadDeployConfig）
+ * @param {string} options.manifestPath 清单文件路径
+ * @param {boolean} [options.fresh=false] 忽略已有清单重新部署（进程内 hardhat 网络每次运行都是新链）
+ * @param {function} [options.log=console.log] 日志输出
+ * @returns {Promise<object>} 部署清单
+ */
+async function runDeployment(hre, { config, manifestPath, fresh = false, log = console.log }) {
+  validateDeployConfig(config);
+
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = fresh ? emptyManifest(hre.network.name, chainId) : loadManifest(manifestPath, hre.network.name, chainId);
+
+  // 清单中记录的合约必须仍然存在，否则说明链已重置
+  for (const [key, record] of Object.entries(manifest.contracts)) {
+    if ((await ethers.provider.getCode(record.address)) === "0x") {
+      throw new Error(`清单中的 ${key} (${record.address}) 在链上没有代码，链可能已重置，删除 ${manifestPath} 后重新部署`);
+    }
+  }
+
+  log(`📍 网络: ${hre.network.name} (chainId ${chainId})`);
+  log(`📍 部署账户: ${deployer.address}`);
+
+  // 部署合约，已记录的直接复用
+  async function deployContract(key, contractName, args) {
+    if (manifest.contracts[key]) {
+      log(`⏭️  ${key} 已部署: ${manifest.contracts[key].address}`);
+      return ethers.getContractAt(contractName, manifest.contracts[key].address);
+    }
+
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    manifest.contracts[key] = {
+      contract: contractName,
+      address: await contract.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      args,
+    };
+    saveManifest(manifestPath, manifest);
+    log(`✅ ${key} (${contractName}) 已部署: ${manifest.contracts[key].address}`);
+    return contract;
+  }
+
+  // 执行一次性的调用步骤，已记录的跳过
+  async function runStep(key, description, args, send) {
+    if (manifest.steps[key]) {
+      log(`⏭️  ${description} 已完成: ${manifest.steps[key].txHash}`);
+      return;
+    }
+
+    const tx = await send(...args);
+    const receipt = await tx.wait();
+
+    manifest.steps[key] = { txHash: receipt.hash, blockNumber: receipt.blockNumber, args };
+    saveManifest(manifestPath, manifest);
+    log(`✅ ${description}: ${receipt.hash}`);
+  }
+
+  const implementation = await deployContract("implementation", "NFTCollectionV2", []);
+
+  let upgradeManager;
+  if (config.upgradeManager) {
+    upgradeManager = await ethers.getContractAt("UpgradeManager", config.upgradeManager); // 使用已有的 UpgradeManager
+    log(`⏭️  使用已有的 UpgradeManager: ${config.upgradeManager}`);
+  } else {
+    upgradeManager = await deployContract("upgradeManager", "UpgradeManager", []);
+  }
+  const managerAddress = await upgradeManager.getAddress();
+
+  const implementationAddress = await implementation.getAddress();
+  const factory = await deployContract("collectionFactory", "CollectionFactory", [implementationAddress, managerAddress]);
+  const factoryAddress = await factory.getAddress();
+
+  // 工厂需要在 UpgradeManager 中注册代理的权限（部署账户必须是 UpgradeManager 的所有者）
+  if (!manifest.steps.setProxyRegistrar && (await upgradeManager.proxyRegistrars(factoryAddress))) {
+    log(`⏭️  CollectionFactory 已是代理注册者`);
+  } else {
+    await runStep("setProxyRegistrar", "授权 CollectionFactory 注册代理", [factoryAddress, true], (...args) =>
+      upgradeManager.setProxyRegistrar(...args)
+    );
+  }
+
+  // 工厂在一笔交易中部署代理、初始化、移交角色、把代理管理员交给 UpgradeManager 并注册
+  const { name, symbol, baseTokenURI } = config.collection;
+  const salt = config.salt || ZeroHash;
+  if (manifest.contracts.proxy) {
+    log(`⏭️  proxy 已部署: ${manifest.contracts.proxy.address}`);
+  } else {
+    const receipt = await (await factory.deployCollection(salt, name, symbol, baseTokenURI)).wait();
+    const [event] = receipt.logs
+      .map((entry) => factory.interface.parseLog(entry))
+      .filter((parsed) => parsed && parsed.name === "CollectionDeployed");
+
+    manifest.contracts.proxy = {
+      contract: "Proxy",
+      address: event.args.collection,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      args: [implementationAddress],
+      factory: factoryAddress,
+      salt,
+    };
+    saveManifest(manifestPath, manifest);
+    log(`✅ proxy (Proxy) 已通过 CollectionFactory 部署并初始化: ${manifest.contracts.proxy.address}`);
+  }
+  const proxyAddress = manifest.contracts.proxy.address;
+  const collection = await ethers.getContractAt("NFTCollectionV2", proxyAddress);
+
+  // 工厂只提名部署账户为所有者，接受后获得 DEFAULT_ADMIN_ROLE
+  await runStep("acceptOwnership", "接受集合所有权", [], () => collection.acceptOwnership());
+
+  // 工厂把部署账户登记为代理管理员，配置了其他地址时重新注册
+  const proxyAdmin = config.proxyAdmin || deployer.address;
+  if (proxyAdmin.toLowerCase() !== deployer.address.toLowerCase()) {
+    await runStep("unregisterProxy", "注销工厂登记的代理管理员", [proxyAddress], (...args) =>
+      upgradeManager.unregisterProxy(...args)
+    );
+    await runStep("registerProxy", "在 UpgradeManager 中注册代理", [proxyAddress, proxyAdmin], (...args) =>
+      upgradeManager.registerProxy(...args)
+    );
+  }
+
+  manifest.upgradeManager = managerAddress;
+  manifest.collection = proxyAddress;
+  saveManifest(manifestPath, manifest);
+
+  return manifest;
+}
+
+module.exports = {
+  loadDeployConfig,
+  validateDeployConfig,
+  loadManifest,
+  saveManifest,
+  runDeployment,
+};
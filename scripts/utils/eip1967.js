@@ -0,0 +1,85 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-1967 代理存储槽位读取工具
+ *
+ * 代理合约把实现地址、管理员地址和信标地址保存在固定槽位中，
+ * 区块浏览器和脚本可以通过 eth_getStorageAt 直接读取，无需知道代理的 ABI。
+ */
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+// bytes32(uint256(keccak256("eip1967.proxy.beacon")) - 1)
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+
+// 管理员两步转移中待接受的管理员（本仓库的代理使用，不属于 EIP-1967 标准）
+// bytes32(uint256(keccak256("delegatecall-demo.proxy.pendingAdmin")) - 1)
+const PENDING_ADMIN_SLOT = "0x6fa7d9b738c7f92b8634c1b4c460250e6c74facc50c6d930b4bc71b6f504a124";
+
+/**
+ * 读取槽位并解析为地址（取低 20 字节）
+ * @param {import("ethers").Provider} provider 以太坊提供者
+ * @param {string} proxyAddress 代理合约地址
+ * @param {string} slot 存储槽位
+ * @param {string|number} [blockTag] 区块标签，默认为 latest
+ * @returns {Promise<string>} 校验和格式的地址，槽位为空时返回零地址
+ */
+async function readAddressSlot(provider, proxyAddress, slot, blockTag = "latest") {
+  const value = await provider.getStorage(proxyAddress, slot, blockTag); // eth_getStorageAt
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+/**
+ * 读取代理的实现合约地址
+ */
+async function getImplementationAddress(provider, proxyAddress, blockTag) {
+  return readAddressSlot(provider, proxyAddress, IMPLEMENTATION_SLOT, blockTag);
+}
+
+/**
+ * 读取代理的管理员地址
+ */
+async function getAdminAddress(provider, proxyAddress, blockTag) {
+  return readAddressSlot(provider, proxyAddress, ADMIN_SLOT, blockTag);
+}
+
+/**
+ * 读取代理待接受的管理员地址
+ */
+async function getPendingAdminAddress(provider, proxyAddress, blockTag) {
+  return readAddressSlot(provider, proxyAddress, PENDING_ADMIN_SLOT, blockTag);
+}
+
+/**
+ * 读取信标代理的信标地址
+ */
+async function getBeaconAddress(provider, proxyAddress, blockTag) {
+  return readAddressSlot(provider, proxyAddress, BEACON_SLOT, blockTag);
+}
+
+/**
+ * 判断地址是否为 EIP-1967 代理（实现槽位或信标槽位非空）
+ */
+async function isEip1967Proxy(provider, address, blockTag) {
+  if ((await getImplementationAddress(provider, address, blockTag)) !== ethers.ZeroAddress) {
+    return true;
+  }
+  return (await getBeaconAddress(provider, address, blockTag)) !== ethers.ZeroAddress;
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  BEACON_SLOT,
+  PENDING_ADMIN_SLOT,
+  readAddressSlot,
+  getImplementationAddress,
+  getAdminAddress,
+  getPendingAdminAddress,
+  getBeaconAddress,
+  isEip1967Proxy,
+};
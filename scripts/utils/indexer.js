@@ -0,0 +1,445 @@
+/**
+ * 事件索引器：按区块范围回放集合、代理和 UpgradeManager 的事件，写入本地 JSON 存储，并导出任意区块的持有者快照
+ *
+ * 每处理完一个区块范围立即写入存储并记录检查点，重复运行时从检查点之后继续。
+ * 节点拒绝过大的范围时自动拆成两半重试。
+ *
+ * 索引的事件：
+ *   集合: NFTMinted、Transfer、SaleStateChanged、SalePhasesUpdated、WhitelistUpdated
+ *   代理: ImplementationUpdated、AdminUpdated，以及 EIP-1967 的 Upgraded、AdminChanged、BeaconUpgraded
+ *        （覆盖 Proxy、ERC1967Proxy + UUPS 和 BeaconProxy）
+ *   信标（集合是 BeaconProxy 时）: Upgraded
+ *   UpgradeManager: ProxyUpgraded、ProxyRolledBack
+ */
+const fs = require("fs");
+const path = require("path");
+const { Interface, ZeroAddress, getAddress } = require("ethers");
+const { getBeaconAddress } = require("./eip1967");
+
+// EIP-1967 标准事件，任何代理实现（包括 OpenZeppelin 的代理和信标）都使用相同的签名
+const EIP1967_EVENTS = [
+  "event Upgraded(address indexed implementation)",
+  "event AdminChanged(address previousAdmin, address newAdmin)",
+  "event BeaconUpgraded(address indexed beacon)",
+];
+
+const STORE_VERSION = 2;
+
+/**
+ * 创建空存储
+ * @param {object} options
+ * @param {bigint|number} options.chainId 链 ID
+ * @param {string} options.collection 集合（代理）地址
+ * @param {string|null} [options.upgradeManager] UpgradeManager 地址
+ * @param {number} [options.startBlock=0] 开始索引的区块（通常是代理的部署区块）
+ * @returns {object}
+ */
+function createStore({ chainId, collection, upgradeManager = null, startBlock = 0 }) {
+  return {
+    version: STORE_VERSION,
+    chainId: Number(chainId),
+    collection: getAddress(collection),
+    upgradeManager: upgradeManager ? getAddress(upgradeManager) : null,
+    startBlock,
+    checkpoint: startBlock - 1, // 已完整索引的最后一个区块
+    saleState: { saleActive: false, presaleActive: false },
+    salePhases: [], // 当前的销售计划（startTime / endTime）
+    whitelist: {}, // 地址 => 是否在白名单中
+    mints: [],
+    transfers: [],
+    saleStateChanges: [],
+    whitelistUpdates: [],
+    upgrades: [],
+  };
+}
+
+/**
+ * 读取存储，不存在时创建空存储；已有存储必须属于同一条链和同一组合约
+ * @param {string} file 存储文件
+ * @param {object} options 见 createStore
+ * @returns {object}
+ */
+function loadStore(file, options) {
+  const expected = createStore(options);
+  if (!fs.existsSync(file)) {
+    return expected;
+  }
+
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`存储 ${file} 的版本 ${store.version} 不受支持`);
+  }
+  if (store.chainId !== expected.chainId) {
+    throw new Error(`存储 ${file} 属于链 ${store.chainId}，当前链为 ${expected.chainId}`);
+  }
+  if (store.collection !== expected.collection || store.upgradeManager !== expected.upgradeManager) {
+    throw new Error(`存储 ${file} 属于其他集合或 UpgradeManager，换一个存储文件`);
+  }
+  return store;
+}
+
+/**
+ * 写入存储（先写临时文件再重命名，中断时不会留下半个文件）
+ * @param {string} file 存储文件
+ * @param {object} store 存储
+ */
+function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * 读取区块范围内的日志，节点拒绝时拆成两半重试
+ */
+async function fetchLogs(provider, addresses, fromBlock, toBlock) {
+  try {
+    return await provider.getLogs({ address: addresses, fromBlock, toBlock });
+  } catch (error) {
+    if (fromBlock === toBlock) throw error;
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    const head = await fetchLogs(provider, addresses, fromBlock, middle);
+    const tail = await fetchLogs(provider, addresses, middle + 1, toBlock);
+    return [...head, ...tail];
+  }
+}
+
+// 不受销售状态和销售计划限制的铸造函数，阶段由函数决定
+const METHOD_PHASES = {
+  reservedMint: "reserved",
+  reservedMintWithRoyalty: "reserved",
+  reservedMintBatch: "reserved",
+  redeem: "voucher",
+  auctionMint: "auction",
+};
+
+/**
+ * 铸造所属的阶段，先按调用的函数判断，与合约的检查方式一致：
+ * 保留铸造、凭证兑换和荷兰拍由函数决定（reserved / voucher / auction）；
+ * 配置了销售计划时为激活的计划阶段（phase:<序号>）；否则 presaleMint 为 presale，
+ * mintNFT / mintNFTs / mintNFTsWithToken 和无法解码的调用（经由其他合约）按销售开关判断（public / presale）；
+ * 都不满足时为 closed
+ */
+function mintPhase(store, timestamp, method) {
+  if (METHOD_PHASES[method]) return METHOD_PHASES[method];
+  if (store.salePhases.length > 0) {
+    for (let i = 0; i < store.salePhases.length; i++) {
+      const phase = store.salePhases[i];
+      if (timestamp < phase.startTime) break;
+      if (timestamp < phase.endTime) return `phase:${i}`;
+    }
+    return "closed";
+  }
+  if (method === "presaleMint") return "presale";
+  if (store.saleState.saleActive) return "public";
+  if (store.saleState.presaleActive) return "presale";
+  return "closed";
+}
+
+/**
+ * 创建索引器
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行环境
+ * @param {object} store 存储（见 loadStore）
+ * @returns {Promise<{ indexRange: function(number, number): Promise<number> }>}
+ */
+async function createIndexer(hre, store) {
+  const { ethers } = hre;
+  const provider = ethers.provider;
+  const collectionInterface = (await ethers.getContractFactory("NFTCollectionV2")).interface;
+  const proxyInterface = (await ethers.getContractFactory("Proxy")).interface;
+  const managerInterface = (await ethers.getContractFactory("UpgradeManager")).interface;
+  const eip1967Interface = new Interface(EIP1967_EVENTS);
+  const collection = new ethers.Contract(store.collection, collectionInterface, provider);
+
+  const interfaces = { [store.collection]: [collectionInterface, proxyInterface, eip1967Interface] };
+  if (store.upgradeManager) {
+    interfaces[store.upgradeManager] = [managerInterface];
+  }
+  const beacon = await getBeaconAddress(provider, store.collection); // BeaconProxy 的信标部署后不可更改
+  if (beacon !== ZeroAddress) {
+    interfaces[beacon] = [eip1967Interface]; // 信标升级时由信标触发 Upgraded
+  }
+
+  const blocks = new Map(); // 区块号 => 时间戳
+  const transactions = new Map(); // 交易哈希 => 解码后的调用
+
+  async function blockTimestamp(blockNumber) {
+    if (!blocks.has(blockNumber)) {
+      blocks.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    }
+    return blocks.get(blockNumber);
+  }
+
+  // 解码交易直接调用的集合函数，经由其他合约（多签、工厂）调用时返回 null
+  async function decodeCall(hash) {
+    if (!transactions.has(hash)) {
+      const tx = await provider.getTransaction(hash);
+      const call = tx.to && getAddress(tx.to) === store.collection ? collectionInterface.parseTransaction({ data: tx.data }) : null;
+      transactions.set(hash, call);
+    }
+    return transactions.get(hash);
+  }
+
+  function parse(log) {
+    for (const iface of interfaces[getAddress(log.address)] || []) {
+      try {
+        const parsed = iface.parseLog(log);
+        if (parsed) return parsed;
+      } catch {
+        // 同名事件的索引参数不同，交给下一个接口
+      }
+    }
+    return null;
+  }
+
+  // 地址上一次升级记录的实现，之前没有索引到时为 null
+  function previousImplementation(address) {
+    for (let i = store.upgrades.length - 1; i >= 0; i--) {
+      const upgrade = store.upgrades[i];
+      if (upgrade.newImplementation && (upgrade.proxy || upgrade.beacon) === address) return upgrade.newImplementation;
+    }
+    return null;
+  }
+
+  // 升级记录的类型：实现、管理员或信标
+  function upgradeKind(change) {
+    if ("newImplementation" in change) return "implementation";
+    return "newAdmin" in change ? "admin" : "beacon";
+  }
+
+  // 同一笔交易中代理的同一个变化会由多个事件报告（代理自己的事件、EIP-1967 事件和 UpgradeManager 的事件），
+  // 合并为一条记录，events 列出报告它的事件，前面事件缺少的字段由后面的事件补全
+  function recordUpgrade(eventName, change, location) {
+    const target = change.proxy || change.beacon;
+    const kind = upgradeKind(change);
+    for (let i = store.upgrades.length - 1; i >= 0 && store.upgrades[i].txHash === location.txHash; i--) {
+      const entry = store.upgrades[i];
+      if ((entry.proxy || entry.beacon) !== target || upgradeKind(entry) !== kind) continue;
+      if (kind === "implementation" && entry.newImplementation !== change.newImplementation) continue;
+
+      for (const [key, value] of Object.entries(change)) {
+        if (entry[key] == null) entry[key] = value;
+      }
+      entry.events.push(eventName);
+      return;
+    }
+    store.upgrades.push({ events: [eventName], ...change, ...location });
+  }
+
+  async function apply(log, event) {
+    const { args } = event;
+    const location = { blockNumber: log.blockNumber, logIndex: log.index, txHash: log.transactionHash };
+    const emitter = getAddress(log.address);
+
+    switch (event.name) {
+      case "Transfer":
+        store.transfers.push({ tokenId: args.tokenId.toString(), from: args.from, to: args.to, ...location });
+        break;
+      case "NFTMinted": {
+        const call = await decodeCall(log.transactionHash);
+        const method = call ? call.name : null;
+        const phase = mintPhase(store, store.salePhases.length > 0 ? await blockTimestamp(log.blockNumber) : 0, method);
+        store.mints.push({
+          tokenId: args.tokenId.toString(),
+          to: args.to,
+          tokenURI: args.tokenURI,
+          phase,
+          method,
+          ...location,
+        });
+        break;
+      }
+      case "SaleStateChanged":
+        store.saleState = { saleActive: args.saleActive, presaleActive: args.presaleActive };
+        store.saleStateChanges.push({ ...store.saleState, ...location });
+        break;
+      case "SalePhasesUpdated": {
+        const phases = await collection.getSalePhases({ blockTag: log.blockNumber }); // 事件只有阶段数量，读取该区块的计划
+        store.salePhases = phases.map((phase) => ({ startTime: Number(phase.startTime), endTime: Number(phase.endTime) }));
+        break;
+      }
+      case "WhitelistUpdated": {
+        // 地址数组是索引参数，事件中只有哈希，从交易的调用数据中恢复
+        const call = await decodeCall(log.transactionHash);
+        const addresses = call && call.name === "updateWhitelist" ? Array.from(call.args[0]) : null;
+        for (const address of addresses || []) {
+          store.whitelist[address] = args.whitelisted;
+        }
+        store.whitelistUpdates.push({ addresses, addressesHash: args.addresses.hash, whitelisted: args.whitelisted, ...location });
+        break;
+      }
+      case "ImplementationUpdated":
+        recordUpgrade(event.name, { proxy: emitter, oldImplementation: args.oldImplementation, newImplementation: args.newImplementation }, location);
+        break;
+      case "ProxyUpgraded":
+        recordUpgrade(event.name, { proxy: args.proxy, oldImplementation: args.oldImplementation, newImplementation: args.newImplementation }, location);
+        break;
+      case "ProxyRolledBack":
+        recordUpgrade(event.name, { proxy: args.proxy, oldImplementation: args.fromImplementation, newImplementation: args.toImplementation }, location);
+        break;
+      case "AdminUpdated":
+        recordUpgrade(event.name, { proxy: emitter, oldAdmin: args.oldAdmin, newAdmin: args.newAdmin }, location);
+        break;
+      case "Upgraded":
+        recordUpgrade(
+          event.name,
+          {
+            [emitter === store.collection ? "proxy" : "beacon"]: emitter,
+            oldImplementation: previousImplementation(emitter),
+            newImplementation: args.implementation,
+          },
+          location
+        );
+        break;
+      case "AdminChanged":
+        recordUpgrade(event.name, { proxy: emitter, oldAdmin: args.previousAdmin, newAdmin: args.newAdmin }, location);
+        break;
+      case "BeaconUpgraded":
+        if (emitter !== store.collection) return false; // UpgradeManager 的同名事件
+        recordUpgrade(event.name, { proxy: emitter, beacon: args.beacon }, location);
+        break;
+      default:
+        return false; // 其他事件不索引
+    }
+    return true;
+  }
+
+  /**
+   * 索引一个区块范围（必须紧接在检查点之后），完成后更新检查点
+   * @returns {Promise<number>} 索引的事件数量
+   */
+  async function indexRange(fromBlock, toBlock) {
+    if (fromBlock !== store.checkpoint + 1) {
+      throw new Error(`区块范围必须从检查点之后开始（检查点 ${store.checkpoint}，请求 ${fromBlock}）`);
+    }
+
+    const logs = await fetchLogs(provider, Object.keys(interfaces), fromBlock, toBlock);
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    let count = 0;
+    for (const log of logs) {
+      const event = parse(log);
+      if (event && (await apply(log, event))) count++;
+    }
+
+    store.checkpoint = toBlock;
+    return count;
+  }
+
+  return { indexRange };
+}
+
+/**
+ * 从检查点开始索引到目标区块，每个范围结束后写入存储
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行环境
+ * @param {object} options
+ * @param {string} options.storePath 存储文件
+ * @param {string} options.collection 集合（代理）地址
+ * @param {string|null} [options.upgradeManager] UpgradeManager 地址
+ * @param {number} [options.startBlock=0] 新存储开始索引的区块
+ * @param {number} [options.toBlock] 目标区块，默认为最新区块减去 confirmations
+ * @param {number} [options.confirmations=0] 跳过最近的区块，避免索引可能被重组的区块
+ * @param {number} [options.batchSize=2000] 每个范围的区块数量
+ * @param {function} [options.log=console.log] 日志输出
+ * @returns {Promise<object>} 存储
+ */
+async function runIndexer(
+  hre,
+  { storePath, collection, upgradeManager = null, startBlock = 0, toBlock, confirmations = 0, batchSize = 2000, log = console.log }
+) {
+  const provider = hre.ethers.provider;
+  const { chainId } = await provider.getNetwork();
+  const store = loadStore(storePath, { chainId, collection, upgradeManager, startBlock });
+  const target = toBlock === undefined ? (await provider.getBlockNumber()) - confirmations : toBlock;
+
+  if (store.checkpoint >= target) {
+    log(`⏭️  已索引到区块 ${store.checkpoint}，无需更新`);
+    return store;
+  }
+
+  const indexer = await createIndexer(hre, store);
+  for (let from = store.checkpoint + 1; from <= target; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, target);
+    const count = await indexer.indexRange(from, to);
+    saveStore(storePath, store); // 每个范围完成后写入检查点
+    log(`✅ 区块 ${from} - ${to}: ${count} 个事件`);
+  }
+
+  return store;
+}
+
+/**
+ * 计算指定区块结束时的持有者
+ * @param {object} store 存储
+ * @param {number} blockNumber 快照区块，不能晚于检查点
+ * @returns {{ address: string, balance: number, tokenIds: string[] }[]} 按持有数量从多到少排序
+ */
+function holdersAt(store, blockNumber) {
+  if (blockNumber > store.checkpoint) {
+    throw new Error(`区块 ${blockNumber} 晚于检查点 ${store.checkpoint}，先索引到该区块`);
+  }
+
+  const owners = new Map(); // 代币 ID => 持有者
+  for (const transfer of store.transfers) {
+    if (transfer.blockNumber > blockNumber) break; // 转移按区块顺序记录
+    if (transfer.to === ZeroAddress) {
+      owners.delete(transfer.tokenId); // 销毁
+    } else {
+      owners.set(transfer.tokenId, transfer.to);
+    }
+  }
+
+  const holders = new Map();
+  for (const [tokenId, owner] of owners) {
+    if (!holders.has(owner)) holders.set(owner, []);
+    holders.get(owner).push(tokenId);
+  }
+
+  return [...holders]
+    .map(([address, tokenIds]) => ({
+      address,
+      balance: tokenIds.length,
+      tokenIds: tokenIds.sort((a, b) => Number(BigInt(a) - BigInt(b))),
+    }))
+    .sort((a, b) => b.balance - a.balance || a.address.localeCompare(b.address));
+}
+
+/**
+ * 将持有者快照格式化为 CSV：address,balance,tokenIds（代币 ID 以空格分隔）
+ * @param {object[]} holders holdersAt 返回的持有者
+ * @returns {string}
+ */
+function formatHoldersCsv(holders) {
+  const lines = ["address,balance,tokenIds"];
+  for (const { address, balance, tokenIds } of holders) {
+    lines.push(`${address},${balance},${tokenIds.join(" ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * 按阶段统计铸造数量
+ * @param {object} store 存储
+ * @param {number} [blockNumber] 统计到该区块，默认为检查点
+ * @returns {Object<string, number>}
+ */
+function mintsByPhase(store, blockNumber = store.checkpoint) {
+  const counts = {};
+  for (const mint of store.mints) {
+    if (mint.blockNumber > blockNumber) break;
+    counts[mint.phase] = (counts[mint.phase] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  createStore,
+  loadStore,
+  saveStore,
+  createIndexer,
+  runIndexer,
+  holdersAt,
+  formatHoldersCsv,
+  mintsByPhase,
+};
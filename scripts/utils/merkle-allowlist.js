@@ -0,0 +1,124 @@
+/**
+ * Merkle 预售白名单：从 CSV 构建默克尔树、生成证明并在本地校验
+ *
+ * 叶子与合约中的计算方式一致：keccak256(bytes.concat(keccak256(abi.encode(address, quota))))
+ * 父节点对两个子节点排序后哈希，与 OpenZeppelin MerkleProof 兼容
+ */
+const { AbiCoder, concat, getAddress, keccak256 } = require("ethers");
+
+/**
+ * 解析白名单 CSV，每行 "地址,配额"，可以有表头，# 开头的行为注释
+ * @param {string} text CSV 文本
+ * @returns {{ address: string, quota: number }[]}
+ */
+function parseAllowlistCsv(text) {
+  const entries = [];
+  const seen = new Set();
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const [addressField, quotaField] = line.split(",").map((field) => field.trim());
+    if (index === 0 && addressField.toLowerCase() === "address") return; // 表头
+
+    let address;
+    try {
+      address = getAddress(addressField);
+    } catch {
+      throw new Error(`第 ${index + 1} 行: 无效的地址 ${addressField}`);
+    }
+
+    const quota = Number(quotaField);
+    if (!Number.isSafeInteger(quota) || quota <= 0) {
+      throw new Error(`第 ${index + 1} 行: 无效的配额 ${quotaField}`);
+    }
+
+    if (seen.has(address)) {
+      throw new Error(`第 ${index + 1} 行: 重复的地址 ${address}`);
+    }
+    seen.add(address);
+
+    entries.push({ address, quota });
+  });
+
+  return entries;
+}
+
+/**
+ * 计算白名单叶子
+ * @param {string} address 地址
+ * @param {number|bigint} quota 预售配额
+ * @returns {string}
+ */
+function hashLeaf(address, quota) {
+  return keccak256(keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [address, quota])));
+}
+
+/**
+ * 对两个节点排序后哈希
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * 构建白名单默克尔树
+ * @param {{ address: string, quota: number }[]} entries 白名单条目
+ * @returns {{ root: string, proofs: Object<string, { quota: number, proof: string[] }> }}
+ */
+function buildAllowlist(entries) {
+  if (entries.length === 0) {
+    throw new Error("白名单为空");
+  }
+
+  const leaves = entries.map(({ address, quota }) => ({ address: getAddress(address), quota, hash: hashLeaf(address, quota) }));
+  const layers = [leaves.map((leaf) => leaf.hash).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))];
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]); // 奇数个节点时最后一个直接上移
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  for (const leaf of leaves) {
+    let index = layers[0].indexOf(leaf.hash);
+    const proof = [];
+
+    for (let level = 0; level < layers.length - 1; level++) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layers[level].length) {
+        proof.push(layers[level][sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+
+    proofs[leaf.address] = { quota: leaf.quota, proof };
+  }
+
+  return { root: layers[layers.length - 1][0], proofs };
+}
+
+/**
+ * 在本地校验证明，与合约中的 MerkleProof.verify 结果一致
+ * @param {string} root 默克尔根
+ * @param {string} address 地址
+ * @param {number|bigint} quota 预售配额
+ * @param {string[]} proof 证明
+ * @returns {boolean}
+ */
+function verifyAllowlistProof(root, address, quota, proof) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(address, quota));
+  return computed === root.toLowerCase();
+}
+
+module.exports = {
+  parseAllowlistCsv,
+  hashLeaf,
+  buildAllowlist,
+  verifyAllowlistProof,
+};
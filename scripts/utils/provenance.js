@@ -0,0 +1,149 @@
+/**
+ * 延迟揭示的来源证明：从元数据文件夹计算 provenance hash，并在揭示后校验代币与元数据文件的对应关系
+ *
+ * 计算方式与合约 DelayedReveal 的说明一致：
+ *   provenanceHash = keccak256(keccak256(文件 0) ++ keccak256(文件 1) ++ ... ++ keccak256(文件 N-1))
+ * 揭示后代币 tokenId 对应的文件序号为 (tokenId - 1 + startingIndex) % N
+ */
+const fs = require("fs");
+const path = require("path");
+const { concat, keccak256 } = require("ethers");
+
+/**
+ * 列出文件夹中的元数据文件，文件名（不含扩展名）必须是从 0 开始连续的序号，例如 0.json、1.json
+ * @param {string} dir 元数据文件夹
+ * @returns {string[]} 按序号排序的文件路径
+ */
+function listMetadataFiles(dir) {
+  const files = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+    .map((entry) => {
+      const id = path.parse(entry.name).name;
+      if (!/^\d+$/.test(id)) {
+        throw new Error(`无效的元数据文件名 ${entry.name}，文件名必须是序号`);
+      }
+      return { id: Number(id), file: path.join(dir, entry.name) };
+    })
+    .sort((a, b) => a.id - b.id);
+
+  if (files.length === 0) {
+    throw new Error(`文件夹 ${dir} 中没有元数据文件`);
+  }
+
+  files.forEach(({ id, file }, index) => {
+    if (id !== index) {
+      throw new Error(`元数据序号不连续: 期望 ${index}，实际为 ${path.basename(file)}`);
+    }
+  });
+
+  return files.map(({ file }) => file);
+}
+
+/**
+ * 计算来源证明
+ * @param {(string|Uint8Array)[]} contents 按序号排列的元数据文件内容
+ * @returns {{ provenanceHash: string, fileHashes: string[] }}
+ */
+function computeProvenance(contents) {
+  if (contents.length === 0) {
+    throw new Error("没有元数据文件");
+  }
+
+  const fileHashes = contents.map((content) =>
+    keccak256(typeof content === "string" ? Buffer.from(content, "utf8") : content)
+  );
+  return { provenanceHash: keccak256(concat(fileHashes)), fileHashes };
+}
+
+/**
+ * 从元数据文件夹计算来源证明
+ * @param {string} dir 元数据文件夹
+ * @returns {{ provenanceHash: string, fileHashes: string[], files: string[] }}
+ */
+function computeProvenanceFromDir(dir) {
+  const files = listMetadataFiles(dir);
+  return { ...computeProvenance(files.map((file) => fs.readFileSync(file))), files };
+}
+
+/**
+ * 计算揭示后代币对应的元数据文件序号，与合约 DelayedReveal.metadataId 一致
+ * @param {number|bigint} tokenId 代币 ID（从 1 开始）
+ * @param {number|bigint} startingIndex 揭示时生成的起始偏移量
+ * @param {number|bigint} collectionSize 集合大小
+ * @returns {number}
+ */
+function metadataIdFor(tokenId, startingIndex, collectionSize) {
+  return Number((BigInt(tokenId) - 1n + BigInt(startingIndex)) % BigInt(collectionSize));
+}
+
+/**
+ * 校验揭示后的 tokenURI 与来源证明的对应关系
+ * @param {{ tokenId: number|bigint, uri: string }[]} tokens 已铸造代币及其链上 tokenURI
+ * @param {number|bigint} startingIndex 起始偏移量
+ * @param {number|bigint} collectionSize 集合大小
+ * @returns {{ tokenId: bigint, uri: string, expected: number }[]} 不匹配的代币，全部匹配时为空数组
+ */
+function findMappingMismatches(tokens, startingIndex, collectionSize) {
+  const mismatches = [];
+  let baseURI;
+
+  for (const { tokenId, uri } of tokens) {
+    const expected = metadataIdFor(tokenId, startingIndex, collectionSize);
+    const match = /^(.*?)(\d+)$/.exec(uri);
+
+    // 所有代币必须共用同一个基础 URI，并以期望的文件序号结尾
+    const ok = match !== null && Number(match[2]) === expected && (baseURI === undefined || match[1] === baseURI);
+    if (ok) {
+      baseURI = match[1];
+    } else {
+      mismatches.push({ tokenId: BigInt(tokenId), uri, expected });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * 读取集合的揭示状态，校验链上来源证明和已铸造代币的 tokenURI
+ * @param {import("ethers").Contract} collection NFTCollection 或 NFTCollectionV2 合约实例
+ * @param {string} dir 元数据文件夹
+ * @returns {Promise<{ onchainHash: string, localHash: string, collectionSize: number, fileCount: number,
+ *   revealed: boolean, startingIndex: number, checked: number, mismatches: object[] }>}
+ */
+async function verifyReveal(collection, dir) {
+  const { provenanceHash, files } = computeProvenanceFromDir(dir);
+  const config = await collection.revealConfig();
+  const collectionSize = Number(await collection.maxSupply());
+  const supply = Number(await collection.totalSupply());
+
+  const result = {
+    onchainHash: config.provenanceHash,
+    localHash: provenanceHash,
+    collectionSize,
+    fileCount: files.length,
+    revealed: config.revealed,
+    startingIndex: Number(config.startingIndex),
+    checked: 0,
+    mismatches: [],
+  };
+  if (!config.revealed) return result;
+
+  // 代币 ID 从 1 开始连续分配
+  const tokens = [];
+  for (let tokenId = 1; tokenId <= supply; tokenId++) {
+    tokens.push({ tokenId, uri: await collection.tokenURI(tokenId) });
+  }
+  result.checked = tokens.length;
+  result.mismatches = findMappingMismatches(tokens, config.startingIndex, collectionSize);
+  return result;
+}
+
+module.exports = {
+  listMetadataFiles,
+  computeProvenance,
+  computeProvenanceFromDir,
+  metadataIdFor,
+  findMappingMismatches,
+  verifyReveal,
+};
@@ -0,0 +1,115 @@
+const { ethers } = require("ethers");
+
+/**
+ * 代理与实现合约的函数选择器冲突检测
+ *
+ * Proxy 的管理函数（upgradeImplementation、getAdmin 等）会拦截相同选择器的调用，
+ * 实现合约中选择器相同的函数将无法通过代理访问。部署前用实现合约的 ABI 检查一遍。
+ */
+
+// 透明代理没有公开函数，管理函数由接口描述；对用户来说冲突不会导致函数不可达
+const TRANSPARENT_PROXIES = {
+  TransparentProxy: "ITransparentProxy",
+};
+
+// 代理与 UUPS 实现都提供的升级入口：通过 Proxy 部署时由代理管理员升级，实现合约中的同名函数被有意遮蔽
+const UPGRADE_ENTRY_POINTS = new Set(["upgradeToAndCall(address,bytes)"]);
+
+/**
+ * 列出 ABI 中所有函数的选择器
+ * @param {object[]} abi 合约 ABI
+ * @returns {{ selector: string, signature: string }[]}
+ */
+function getFunctionSelectors(abi) {
+  const selectors = [];
+  new ethers.Interface(abi).forEachFunction((fragment) => {
+    selectors.push({ selector: fragment.selector, signature: fragment.format("sighash") });
+  });
+  return selectors;
+}
+
+/**
+ * 查找代理函数与实现函数之间的选择器冲突
+ * @param {object[]} proxyAbi 代理合约（或其管理接口）的 ABI
+ * @param {object[]} implementationAbi 实现合约的 ABI
+ * @returns {{ selector: string, proxyFunction: string, implementationFunction: string, kind: string }[]}
+ *   kind 为 "shadowed" 表示签名完全相同，为 "clash" 表示不同签名碰巧得到相同选择器；
+ *   expected 为 true 表示被遮蔽的是升级入口，属于预期行为
+ */
+function findSelectorClashes(proxyAbi, implementationAbi) {
+  const proxySelectors = new Map(getFunctionSelectors(proxyAbi).map((fn) => [fn.selector, fn.signature]));
+
+  return getFunctionSelectors(implementationAbi)
+    .filter((fn) => proxySelectors.has(fn.selector))
+    .map((fn) => {
+      const proxyFunction = proxySelectors.get(fn.selector);
+      return {
+        selector: fn.selector,
+        proxyFunction,
+        implementationFunction: fn.signature,
+        kind: proxyFunction === fn.signature ? "shadowed" : "clash",
+        expected: proxyFunction === fn.signature && UPGRADE_ENTRY_POINTS.has(fn.signature),
+      };
+    });
+}
+
+/**
+ * 将冲突列表格式化为文本报告
+ */
+function formatClashReport(clashes, { proxy, implementation, transparent = false }) {
+  const lines = [`函数选择器检查: ${proxy} ↔ ${implementation}`];
+
+  if (clashes.length === 0) {
+    lines.push("✅ 没有发现选择器冲突");
+    return lines.join("\n");
+  }
+
+  for (const clash of clashes) {
+    const note = clash.expected ? "  (升级入口，由代理处理)" : "";
+    lines.push(`   ${clash.selector}  ${clash.kind.padEnd(8)}  ${clash.proxyFunction}  ↔  ${clash.implementationFunction}${note}`);
+  }
+
+  if (!transparent && clashes.every((clash) => clash.expected)) {
+    lines.push("✅ 只有升级入口被代理处理，实现合约的其他函数都可以通过代理调用");
+    return lines.join("\n");
+  }
+
+  lines.push(
+    transparent
+      ? "⚠️  透明代理中以上实现函数对普通用户可用，但管理员无法调用"
+      : "❌ 以上实现函数会被代理拦截，无法通过代理调用"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * 读取编译产物并检查代理与实现合约的选择器冲突
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行时环境
+ * @param {string} proxyName 代理合约名称
+ * @param {string} implementationName 实现合约名称
+ * @returns {Promise<{ clashes: object[], transparent: boolean, report: string, safe: boolean }>}
+ *   safe 为 false 表示存在会导致实现函数不可达的冲突（预期的升级入口遮蔽除外）
+ */
+async function checkSelectorClashes(hre, proxyName, implementationName) {
+  await hre.run("compile", { quiet: true });
+
+  const transparent = TRANSPARENT_PROXIES[proxyName] !== undefined;
+  const proxyArtifact = await hre.artifacts.readArtifact(TRANSPARENT_PROXIES[proxyName] || proxyName);
+  const implementationArtifact = await hre.artifacts.readArtifact(implementationName);
+
+  const clashes = findSelectorClashes(proxyArtifact.abi, implementationArtifact.abi);
+
+  return {
+    clashes,
+    transparent,
+    report: formatClashReport(clashes, { proxy: proxyName, implementation: implementationName, transparent }),
+    safe: transparent || clashes.every((clash) => clash.expected),
+  };
+}
+
+module.exports = {
+  getFunctionSelectors,
+  findSelectorClashes,
+  formatClashReport,
+  checkSelectorClashes,
+};
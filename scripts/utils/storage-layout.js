@@ -0,0 +1,316 @@
+/**
+ * 存储布局兼容性检查
+ *
+ * 比较当前实现合约与候选实现合约的存储布局（solc storageLayout 输出），
+ * 在升级代理之前发现被重排、改类型或删除的存储变量。
+ *
+ * 允许的变化：
+ * - 在原有变量之后追加新变量
+ * - 缩小 __gap 存储间隙，并在释放出的槽位中声明新变量
+ * - 变量改名（仅作为警告，不影响兼容性）
+ */
+
+// 每一项差异的状态
+const STATUS = {
+  OK: "OK", // 位置、类型、名称均未变化
+  ADDED: "ADDED", // 追加的新变量
+  GAP: "GAP", // 存储间隙被缩小以容纳新变量
+  RENAMED: "RENAMED", // 位置和类型未变，但名称改变（警告）
+  RETYPED: "RETYPED", // 同一位置的类型发生变化
+  MOVED: "MOVED", // 变量被移动到其他槽位（重排）
+  REMOVED: "REMOVED", // 变量被删除
+  INSERTED: "INSERTED", // 新变量插入到了原有布局的中间
+};
+
+// 会导致升级失败的状态
+const INCOMPATIBLE = new Set([STATUS.RETYPED, STATUS.MOVED, STATUS.REMOVED, STATUS.INSERTED]);
+
+/**
+ * 从 Hardhat 编译产物中读取合约的存储布局
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行时环境
+ * @param {string} contractName 合约名称或完全限定名（contracts/X.sol:X）
+ * @returns {Promise<{ name: string, storage: object[], types: object }>}
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName); // 解析合约名称
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+
+  if (buildInfo === undefined) {
+    throw new Error(`找不到 ${fullyQualifiedName} 的编译信息，请先运行 npx hardhat compile`);
+  }
+
+  const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+  if (output.storageLayout === undefined) {
+    throw new Error(`${fullyQualifiedName} 没有 storageLayout 输出，请检查 hardhat.config.js 中的 outputSelection`);
+  }
+
+  return {
+    name: artifact.contractName,
+    storage: output.storageLayout.storage,
+    types: output.storageLayout.types || {},
+  };
+}
+
+/**
+ * 去掉类型标签中的合约限定前缀（struct LogicContract.Foo → struct Foo）
+ */
+function normalizeTypeLabel(label) {
+  return label.replace(/\b(struct|enum) (?:[A-Za-z_$][\w$]*\.)+/g, "$1 ");
+}
+
+/**
+ * 为每个变量生成唯一的名称键：继承链中的同名私有变量按出现顺序编号（_tokenURIs#0、_tokenURIs#1）
+ */
+function labelKeys(storage) {
+  const seen = new Map();
+  return storage.map((entry) => {
+    const count = seen.get(entry.label) || 0;
+    seen.set(entry.label, count + 1);
+    return `${entry.label}#${count}`;
+  });
+}
+
+/**
+ * 返回变量占用的槽位数量
+ */
+function slotCount(types, entry) {
+  return Math.max(1, Math.ceil(Number(types[entry.type].numberOfBytes) / 32));
+}
+
+/**
+ * 判断两个存储类型是否兼容
+ */
+function typesCompatible(originalTypes, originalId, candidateTypes, candidateId) {
+  const original = originalTypes[originalId];
+  const candidate = candidateTypes[candidateId];
+
+  if (original === undefined || candidate === undefined) {
+    return originalId === candidateId; // 缺少类型信息时退化为按 ID 比较
+  }
+  if (normalizeTypeLabel(original.label) !== normalizeTypeLabel(candidate.label)) {
+    return false;
+  }
+  if (original.encoding !== candidate.encoding) {
+    return false;
+  }
+
+  if (original.key !== undefined) { // 映射：键和值都必须兼容
+    return (
+      typesCompatible(originalTypes, original.key, candidateTypes, candidate.key) &&
+      typesCompatible(originalTypes, original.value, candidateTypes, candidate.value)
+    );
+  }
+
+  if (original.base !== undefined) { // 数组：元素类型必须兼容
+    if (!typesCompatible(originalTypes, original.base, candidateTypes, candidate.base)) {
+      return false;
+    }
+  }
+
+  if (original.members !== undefined) { // 结构体：原有成员必须保持不变，只允许在末尾追加
+    const candidateMembers = candidate.members || [];
+    if (candidateMembers.length < original.members.length) {
+      return false;
+    }
+    return original.members.every((member, i) => {
+      const other = candidateMembers[i];
+      return (
+        member.label === other.label &&
+        member.slot === other.slot &&
+        member.offset === other.offset &&
+        typesCompatible(originalTypes, member.type, candidateTypes, other.type)
+      );
+    });
+  }
+
+  return original.numberOfBytes === candidate.numberOfBytes;
+}
+
+/**
+ * 比较两个存储布局
+ * @param {{ name: string, storage: object[], types: object }} original 当前实现的存储布局
+ * @param {{ name: string, storage: object[], types: object }} candidate 候选实现的存储布局
+ * @returns {{ original: string, candidate: string, compatible: boolean, diffs: object[] }}
+ */
+function compareStorageLayouts(original, candidate) {
+  const diffs = [];
+  const position = (entry) => `${entry.slot}:${entry.offset}`;
+  const typeLabel = (types, entry) => (entry ? normalizeTypeLabel(types[entry.type]?.label ?? entry.type) : "");
+
+  const candidateByPosition = new Map(candidate.storage.map((entry) => [position(entry), entry]));
+  const candidateLabelKeys = labelKeys(candidate.storage);
+  const candidateByLabel = new Map(candidateLabelKeys.map((key, i) => [key, candidate.storage[i]]));
+  const candidateKeyOf = new Map(candidate.storage.map((entry, i) => [entry, candidateLabelKeys[i]]));
+  const originalLabelKeys = labelKeys(original.storage);
+  const originalKeySet = new Set(originalLabelKeys);
+  const matched = new Set(); // 已与原有变量对应的候选变量
+  const freedRanges = []; // 缩小 __gap 后释放出的槽位区间 [start, end)
+
+  const addDiff = (status, originalEntry, candidateEntry) => {
+    const entry = candidateEntry || originalEntry;
+    diffs.push({
+      status,
+      slot: entry.slot,
+      offset: entry.offset,
+      label: originalEntry && candidateEntry && originalEntry.label !== candidateEntry.label
+        ? `${originalEntry.label} → ${candidateEntry.label}`
+        : entry.label,
+      originalType: typeLabel(original.types, originalEntry),
+      candidateType: typeLabel(candidate.types, candidateEntry),
+    });
+  };
+
+  for (const [index, entry] of original.storage.entries()) {
+    if (entry.label.startsWith("__gap")) { // 存储间隙可以从头部缩小，但结束槽位必须保持不变
+      const end = BigInt(entry.slot) + BigInt(slotCount(original.types, entry));
+      const gap = candidate.storage.find(
+        (other) =>
+          other.label === entry.label &&
+          BigInt(other.slot) >= BigInt(entry.slot) &&
+          BigInt(other.slot) + BigInt(slotCount(candidate.types, other)) === end
+      );
+
+      if (gap === undefined) {
+        addDiff(STATUS.REMOVED, entry, undefined);
+        continue;
+      }
+
+      matched.add(gap);
+      if (gap.slot === entry.slot) {
+        addDiff(STATUS.OK, entry, gap);
+      } else {
+        freedRanges.push([BigInt(entry.slot), BigInt(gap.slot)]);
+        addDiff(STATUS.GAP, entry, gap);
+      }
+      continue;
+    }
+
+    const samePosition = candidateByPosition.get(position(entry));
+    const sameLabel = candidateByLabel.get(originalLabelKeys[index]);
+
+    if (sameLabel !== undefined && sameLabel !== samePosition) { // 同名变量出现在其他位置：被重排
+      matched.add(sameLabel);
+      addDiff(STATUS.MOVED, entry, sameLabel);
+      continue;
+    }
+
+    const samePositionKey = samePosition && candidateKeyOf.get(samePosition);
+    const takenByOther = samePositionKey !== originalLabelKeys[index] && originalKeySet.has(samePositionKey);
+
+    if (samePosition === undefined || takenByOther) { // 原位置为空，或已被另一个被移动的原有变量占用
+      addDiff(STATUS.REMOVED, entry, undefined);
+      continue;
+    }
+
+    matched.add(samePosition);
+    if (!typesCompatible(original.types, entry.type, candidate.types, samePosition.type)) {
+      addDiff(STATUS.RETYPED, entry, samePosition);
+    } else if (samePosition.label !== entry.label) {
+      addDiff(STATUS.RENAMED, entry, samePosition);
+    } else {
+      addDiff(STATUS.OK, entry, samePosition);
+    }
+  }
+
+  // 原有布局占用的最后一个槽位之后的位置才能安全追加新变量
+  const originalEnd = original.storage.reduce(
+    (end, entry) => {
+      const entryEnd = BigInt(entry.slot) + BigInt(slotCount(original.types, entry));
+      return entryEnd > end ? entryEnd : end;
+    },
+    0n
+  );
+
+  for (const entry of candidate.storage) {
+    if (matched.has(entry)) {
+      continue;
+    }
+
+    const start = BigInt(entry.slot);
+    const end = start + BigInt(slotCount(candidate.types, entry));
+    const inFreedGap = freedRanges.some(([from, to]) => start >= from && end <= to);
+
+    addDiff(start >= originalEnd || inFreedGap ? STATUS.ADDED : STATUS.INSERTED, undefined, entry);
+  }
+
+  diffs.sort((a, b) => {
+    const bySlot = BigInt(a.slot) - BigInt(b.slot);
+    return bySlot !== 0n ? (bySlot < 0n ? -1 : 1) : a.offset - b.offset;
+  });
+
+  return {
+    original: original.name,
+    candidate: candidate.name,
+    compatible: !diffs.some((diff) => INCOMPATIBLE.has(diff.status)),
+    diffs,
+  };
+}
+
+/**
+ * 将比较结果格式化为文本表格
+ * @param {{ original: string, candidate: string, compatible: boolean, diffs: object[] }} result compareStorageLayouts 的返回值
+ * @returns {string}
+ */
+function formatLayoutReport(result) {
+  const header = ["status", "slot", "offset", "label", "original type", "candidate type"];
+  const rows = result.diffs.map((diff) => [
+    diff.status,
+    String(diff.slot),
+    String(diff.offset),
+    diff.label,
+    diff.originalType || "-",
+    diff.candidateType || "-",
+  ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ");
+  const separator = widths.map((width) => "-".repeat(width)).join("-+-");
+
+  return [
+    `存储布局比较: ${result.original} → ${result.candidate}`,
+    line(header),
+    separator,
+    ...rows.map(line),
+    "",
+    result.compatible ? "✅ 存储布局兼容，可以升级" : "❌ 存储布局不兼容，拒绝升级",
+  ].join("\n");
+}
+
+/**
+ * 编译并检查候选实现是否可以安全替换当前实现，不兼容时抛出错误
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre Hardhat 运行时环境
+ * @param {string} currentName 当前实现合约名称
+ * @param {string} candidateName 候选实现合约名称
+ * @param {{ quiet?: boolean }} [options] quiet 为 true 时不打印报告
+ * @returns {Promise<object>} 比较结果
+ */
+async function assertStorageUpgradeSafe(hre, currentName, candidateName, options = {}) {
+  await hre.run("compile", { quiet: true });
+
+  const result = compareStorageLayouts(
+    await getStorageLayout(hre, currentName),
+    await getStorageLayout(hre, candidateName)
+  );
+
+  if (!options.quiet) {
+    console.log(formatLayoutReport(result));
+  }
+
+  if (!result.compatible) {
+    const error = new Error(`存储布局不兼容: ${currentName} → ${candidateName}`);
+    error.report = result;
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = {
+  STATUS,
+  getStorageLayout,
+  compareStorageLayouts,
+  formatLayoutReport,
+  assertStorageUpgradeSafe,
+};
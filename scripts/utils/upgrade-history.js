@@ -0,0 +1,60 @@
+/**
+ * 读取并格式化 UpgradeManager 记录的代理实现历史
+ */
+
+/**
+ * 分页读取代理的全部实现记录
+ * @param {import("ethers").Contract} upgradeManager UpgradeManager 合约实例
+ * @param {string} proxy 代理地址
+ * @param {number} [pageSize=50] 每次读取的记录数
+ * @returns {Promise<{ implementation: string, version: string, blockNumber: number, upgrader: string }[]>}
+ */
+async function fetchUpgradeHistory(upgradeManager, proxy, pageSize = 50) {
+  const length = Number(await upgradeManager.getUpgradeHistoryLength(proxy));
+  const records = [];
+
+  for (let offset = 0; offset < length; offset += pageSize) {
+    const page = await upgradeManager.getUpgradeHistory(proxy, offset, pageSize);
+    for (const record of page) {
+      records.push({
+        implementation: record.implementation,
+        version: record.version,
+        blockNumber: Number(record.blockNumber),
+        upgrader: record.upgrader,
+      });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * 将实现记录格式化为时间线文本，最后一条标记为当前实现
+ * @param {string} proxy 代理地址
+ * @param {object[]} records fetchUpgradeHistory 返回的记录
+ * @returns {string}
+ */
+function formatUpgradeTimeline(proxy, records) {
+  const lines = [`代理 ${proxy} 的实现历史`];
+
+  if (records.length === 0) {
+    lines.push("   (没有记录)");
+    return lines.join("\n");
+  }
+
+  records.forEach((record, index) => {
+    const marker = index === records.length - 1 ? "➡️ " : "   ";
+    const version = record.version || "未知版本";
+    lines.push(
+      `${marker}#${index}  区块 ${record.blockNumber}  ${version.padEnd(8)}  ${record.implementation}  升级者 ${record.upgrader}`
+    );
+  });
+
+  lines.push(`共 ${records.length} 条记录，rollbackProxy(proxy, n) 回到倒数第 n+1 条`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  fetchUpgradeHistory,
+  formatUpgradeTimeline,
+};
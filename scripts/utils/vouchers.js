@@ -0,0 +1,99 @@
+/**
+ * 懒铸造凭证 SDK：创建并按 EIP-712 签名 NFTCollectionV2 的铸造凭证
+ *
+ * 类型定义与合约 MintVoucher 一致，域为 { name: 集合名称, version: "1", chainId, verifyingContract: 集合（代理）地址 }
+ *
+ * 用法:
+ *   const voucher = createVoucher({ tokenURI: "ipfs://.../1.json", price: parseEther("0.1"), expiry });
+ *   const { signature } = await signVoucher(creator, collection, voucher);
+ *   await collection.connect(buyer).redeem(voucher, signature, { value: voucher.price });
+ */
+const { ZeroAddress, getAddress, hexlify, randomBytes, toBigInt, verifyTypedData } = require("ethers");
+
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "tokenURI", type: "string" },
+    { name: "price", type: "uint256" },
+    { name: "recipient", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * 创建凭证并规范化字段
+ * @param {object} params
+ * @param {string} params.tokenURI 铸造的代币 URI
+ * @param {bigint|number|string} [params.price=0] 兑换价格（wei）
+ * @param {string} [params.recipient] 限定的兑换地址，省略表示任何人都可以兑换
+ * @param {bigint|number} params.expiry 过期时间戳（秒，含）
+ * @param {bigint|number|string} [params.nonce] 凭证编号，省略时随机生成
+ * @returns {{ tokenURI: string, price: bigint, recipient: string, expiry: bigint, nonce: bigint }}
+ */
+function createVoucher({ tokenURI, price = 0n, recipient = ZeroAddress, expiry, nonce }) {
+  if (typeof tokenURI !== "string" || tokenURI === "") {
+    throw new Error("凭证缺少 tokenURI");
+  }
+  if (expiry === undefined) {
+    throw new Error("凭证缺少过期时间 expiry");
+  }
+
+  const voucher = {
+    tokenURI,
+    price: toBigInt(price),
+    recipient: getAddress(recipient),
+    expiry: toBigInt(expiry),
+    nonce: nonce === undefined ? toBigInt(hexlify(randomBytes(32))) : toBigInt(nonce), // 随机编号，不同凭证几乎不可能重复
+  };
+  if (voucher.price < 0n) {
+    throw new Error("凭证价格不能为负数");
+  }
+  return voucher;
+}
+
+/**
+ * 读取集合的 EIP-712 域
+ * @param {import("ethers").Contract} collection NFTCollectionV2 合约实例（代理地址）
+ * @returns {Promise<{ name: string, version: string, chainId: bigint, verifyingContract: string }>}
+ */
+async function getVoucherDomain(collection) {
+  const { chainId } = await collection.runner.provider.getNetwork();
+  return {
+    name: await collection.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await collection.getAddress(),
+  };
+}
+
+/**
+ * 签名凭证
+ * @param {import("ethers").Signer} signer 签名者，必须拥有集合的 MINTER_ROLE
+ * @param {import("ethers").Contract} collection NFTCollectionV2 合约实例（代理地址）
+ * @param {object} voucher createVoucher 返回的凭证
+ * @returns {Promise<{ voucher: object, signature: string, domain: object }>}
+ */
+async function signVoucher(signer, collection, voucher) {
+  const domain = await getVoucherDomain(collection);
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+  return { voucher, signature, domain };
+}
+
+/**
+ * 在本地恢复凭证签名者
+ * @param {object} domain getVoucherDomain 返回的域
+ * @param {object} voucher 凭证
+ * @param {string} signature 签名
+ * @returns {string} 签名者地址
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return verifyTypedData(domain, VOUCHER_TYPES, voucher, signature);
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  createVoucher,
+  getVoucherDomain,
+  signVoucher,
+  recoverVoucherSigner,
+};
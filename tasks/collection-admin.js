@@ -0,0 +1,240 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * 集合的日常运维任务，目标地址默认读取部署清单 deployments/<network>.json 中的 collection
+ *
+ * 用法:
+ *   npx hardhat nft:sale --public-sale true --presale false --network localhost
+ *   npx hardhat nft:whitelist --file whitelist.txt [--remove] --network localhost
+ *   npx hardhat nft:set-prices --presale 20 --public-sale 30 --network localhost
+ *   npx hardhat nft:royalty --receiver <地址> --bps 500 --network localhost
+ *   npx hardhat nft:withdraw --network localhost
+ *   npx hardhat nft:reserve-mint --csv reserve.csv [--progress reserve.progress.json] --network localhost
+ *
+ * 所有任务都支持 --address（集合地址，代替清单）、--manifest（清单文件）和 --dry-run（只模拟，不发送交易）
+ * 交易由第一个账户发送，需要拥有对应的角色
+ */
+
+/**
+ * 定义带有公共参数的集合任务
+ */
+function collectionTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "NFTCollection 或 NFTCollectionV2（代理）地址，默认读取部署清单")
+    .addOptionalParam("manifest", "部署清单文件，默认 deployments/<network>.json")
+    .addFlag("dryRun", "只用 staticCall 模拟，打印预期变化、回滚原因和 gas 估算，不发送交易");
+}
+
+/**
+ * 连接目标集合，NFTCollection 的 ABI 同样适用于 NFTCollectionV2 的代理
+ */
+async function connectCollection(hre, { address, manifest }) {
+  const { resolveAddress } = require("../scripts/utils/admin-tasks");
+
+  const collectionAddress = await resolveAddress(hre, { address, manifestPath: manifest, key: "collection" });
+  const [signer] = await hre.ethers.getSigners();
+
+  console.log(`📍 集合: ${collectionAddress}`);
+  console.log(`📍 调用账户: ${signer.address}`);
+  return hre.ethers.getContractAt("NFTCollection", collectionAddress, signer);
+}
+
+/**
+ * 模拟失败时以非零状态退出
+ */
+function finish(results) {
+  if (results.some((result) => !result.ok)) {
+    process.exitCode = 1;
+  }
+}
+
+collectionTask("nft:sale", "开启或关闭公开销售和预售（SALE_MANAGER_ROLE）")
+  .addOptionalParam("publicSale", "是否开启公开销售，默认保持不变", undefined, types.boolean)
+  .addOptionalParam("presale", "是否开启预售，默认保持不变", undefined, types.boolean)
+  .setAction(async ({ publicSale, presale, dryRun, ...target }, hre) => {
+    const { describeChange, runAdminCall } = require("../scripts/utils/admin-tasks");
+
+    const collection = await connectCollection(hre, target);
+    const saleActive = await collection.saleActive();
+    const presaleActive = await collection.presaleActive();
+
+    if (publicSale === undefined && presale === undefined) {
+      console.log(`ℹ️  公开销售: ${saleActive}，预售: ${presaleActive}（没有指定 --public-sale 或 --presale）`);
+      return;
+    }
+
+    const nextSale = publicSale === undefined ? saleActive : publicSale;
+    const nextPresale = presale === undefined ? presaleActive : presale;
+    const result = await runAdminCall(collection, "setSaleState", [nextSale, nextPresale], {
+      dryRun,
+      effects: [describeChange("saleActive", saleActive, nextSale), describeChange("presaleActive", presaleActive, nextPresale)],
+    });
+    finish([result]);
+  });
+
+collectionTask("nft:whitelist", "从文件批量加入或移出预售白名单（SALE_MANAGER_ROLE）")
+  .addParam("file", "地址列表文件，每行一个地址（也接受 CSV，只取第一列）")
+  .addFlag("remove", "从白名单中移除，默认为加入")
+  .addOptionalParam("batchSize", "每笔交易的地址数量", 200, types.int)
+  .setAction(async ({ file, remove, batchSize, dryRun, ...target }, hre) => {
+    const fs = require("fs");
+    const { parseAddressList, runAdminCall } = require("../scripts/utils/admin-tasks");
+
+    const addresses = parseAddressList(fs.readFileSync(file, "utf8"));
+    const collection = await connectCollection(hre, target);
+
+    // 只提交状态需要变化的地址，重复运行不会发送多余的交易
+    const pending = [];
+    for (const address of addresses) {
+      if ((await collection.whitelisted(address)) === remove) pending.push(address);
+    }
+
+    const action = remove ? "移出白名单" : "加入白名单";
+    console.log(`ℹ️  文件中 ${addresses.length} 个地址，需要${action} ${pending.length} 个`);
+    if (pending.length === 0) {
+      console.log("✅ 无需更新");
+      return;
+    }
+
+    const results = [];
+    for (let offset = 0; offset < pending.length; offset += batchSize) {
+      const batch = pending.slice(offset, offset + batchSize);
+      const result = await runAdminCall(collection, "updateWhitelist", [batch, !remove], {
+        dryRun,
+        effects: [`${action}: ${batch.length} 个地址（第 ${offset + 1} - ${offset + batch.length} 个）`],
+      });
+      results.push(result);
+      if (!result.ok) break;
+    }
+    finish(results);
+  });
+
+collectionTask("nft:set-prices", "设置预售价格和公开销售价格（SALE_MANAGER_ROLE）")
+  .addOptionalParam("presale", "预售价格，默认保持不变")
+  .addOptionalParam("publicSale", "公开销售价格，默认保持不变")
+  .setAction(async ({ presale, publicSale, dryRun, ...target }, hre) => {
+    const { formatUnits, parseUnits } = hre.ethers;
+    const { describeChange, runAdminCall } = require("../scripts/utils/admin-tasks");
+
+    // 价格为 18 位小数：按美元计价时单位是美元，NFTCollectionV2 未设置预言机时单位是原生代币
+    const collection = await connectCollection(hre, target);
+    const presalePrice = await collection.presalePrice();
+    const publicSalePrice = await collection.publicSalePrice();
+
+    const nextPresale = presale === undefined ? presalePrice : parseUnits(presale, 18);
+    const nextPublic = publicSale === undefined ? publicSalePrice : parseUnits(publicSale, 18);
+    const result = await runAdminCall(collection, "setMintPrices", [nextPresale, nextPublic], {
+      dryRun,
+      effects: [
+        describeChange("presalePrice", formatUnits(presalePrice, 18), formatUnits(nextPresale, 18)),
+        describeChange("publicSalePrice", formatUnits(publicSalePrice, 18), formatUnits(nextPublic, 18)),
+      ],
+    });
+    finish([result]);
+  });
+
+collectionTask("nft:royalty", "设置默认版税接收地址和比例（TREASURER_ROLE）")
+  .addParam("receiver", "版税接收地址，可以是 PaymentSplitter")
+  .addParam("bps", "版税基点（500 = 5%）", undefined, types.int)
+  .setAction(async ({ receiver, bps, dryRun, ...target }, hre) => {
+    const { describeChange, runAdminCall } = require("../scripts/utils/admin-tasks");
+
+    const collection = await connectCollection(hre, target);
+    const recipient = hre.ethers.getAddress(receiver);
+    const result = await runAdminCall(collection, "setRoyalty", [recipient, bps], {
+      dryRun,
+      effects: [
+        describeChange("royaltyRecipient", await collection.royaltyRecipient(), recipient),
+        describeChange("royaltyBps", await collection.royaltyBps(), bps),
+      ],
+    });
+    finish([result]);
+  });
+
+collectionTask("nft:withdraw", "提取合约余额和每种支付代币的余额（TREASURER_ROLE）").setAction(async ({ dryRun, ...target }, hre) => {
+  const { ethers } = hre;
+  const { runAdminCall } = require("../scripts/utils/admin-tasks");
+
+  const collection = await connectCollection(hre, target);
+  const collectionAddress = await collection.getAddress();
+  const payoutRecipient = await collection.payoutRecipient();
+  const recipient = payoutRecipient === ethers.ZeroAddress ? await collection.owner() : payoutRecipient;
+  console.log(`ℹ️  接收地址: ${recipient}${payoutRecipient === ethers.ZeroAddress ? "（所有者）" : ""}`);
+
+  const results = [
+    await runAdminCall(collection, "withdraw", [], {
+      dryRun,
+      effects: [`原生代币: ${ethers.formatEther(await ethers.provider.getBalance(collectionAddress))} ETH（荷兰拍待退款部分保留在合约中）`],
+    }),
+  ];
+
+  let paymentTokens = [];
+  try {
+    paymentTokens = await collection.getPaymentTokens();
+  } catch {
+    // 升级前的实现没有支付代币
+  }
+  // 每种代币单独提取，某个代币失败时继续提取其他代币
+  for (const tokenAddress of paymentTokens) {
+    const token = new ethers.Contract(
+      tokenAddress,
+      ["function balanceOf(address) view returns (uint256)", "function symbol() view returns (string)", "function decimals() view returns (uint8)"],
+      ethers.provider
+    );
+    const balance = await token.balanceOf(collectionAddress);
+    if (balance === 0n) continue;
+    const effects = [`${await token.symbol()}: ${ethers.formatUnits(balance, await token.decimals())}（${tokenAddress}）`];
+    results.push(await runAdminCall(collection, "withdrawToken", [tokenAddress], { dryRun, effects }));
+  }
+  finish(results);
+});
+
+collectionTask("nft:reserve-mint", "按 CSV 为团队和赠品保留铸造（MINTER_ROLE）")
+  .addParam("csv", "保留铸造 CSV，每行 \"地址,tokenURI\"")
+  .addOptionalParam("progress", "记录已完成批次的进度文件，默认 <csv>.progress.json")
+  .setAction(async ({ csv, progress: progressPath, dryRun, ...target }, hre) => {
+    const fs = require("fs");
+    const {
+      parseReserveMintCsv,
+      reserveMintBatchId,
+      loadReserveMintProgress,
+      saveReserveMintProgress,
+      runAdminCall,
+    } = require("../scripts/utils/admin-tasks");
+
+    const batches = parseReserveMintCsv(fs.readFileSync(csv, "utf8"));
+    const collection = await connectCollection(hre, target);
+
+    // 已确认的批次记录在进度文件中，失败后重新运行时跳过，不会重复铸造
+    const progressFile = progressPath || `${csv}.progress.json`;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const progress = loadReserveMintProgress(progressFile, { chainId, collection: await collection.getAddress() });
+    const completed = new Set(progress.completed.map((batch) => batch.id));
+    const pending = batches.filter((batch) => !completed.has(reserveMintBatchId(batch)));
+    if (pending.length < batches.length) {
+      console.log(`⏭️  ${batches.length - pending.length} 个接收地址已在之前的运行中铸造（${progressFile}）`);
+    }
+
+    const total = pending.reduce((sum, { tokenURIs }) => sum + tokenURIs.length, 0);
+    const supply = await collection.totalSupply();
+    console.log(`ℹ️  ${pending.length} 个接收地址，共 ${total} 个 NFT，totalSupply: ${supply} → ${supply + BigInt(total)}`);
+    if (dryRun && pending.length > 1) {
+      console.log("ℹ️  每笔交易都在当前状态上单独模拟，不包含前面几笔的铸造");
+    }
+
+    const results = [];
+    for (const batch of pending) {
+      const { to, tokenURIs } = batch;
+      const result = await runAdminCall(collection, "reservedMintBatch", [to, tokenURIs], {
+        dryRun,
+        effects: [`铸造给 ${to}: ${tokenURIs.length} 个`],
+      });
+      results.push(result);
+      if (!result.ok) break;
+      if (result.sent) {
+        progress.completed.push({ id: reserveMintBatchId(batch), to, count: tokenURIs.length, txHash: result.receipt.hash });
+        saveReserveMintProgress(progressFile, progress); // 每笔确认后立即记录
+      }
+    }
+    finish(results);
+  });
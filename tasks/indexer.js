@@ -0,0 +1,88 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * 索引集合和升级事件，导出持有者快照
+ *
+ * 用法:
+ *   npx hardhat indexer:sync --network localhost
+ *   npx hardhat indexer:sync --collection <集合地址> --manager <UpgradeManager 地址> --from-block 0 --network localhost
+ *   npx hardhat indexer:snapshot --block 1200 --out holders.csv --network localhost
+ *
+ * 地址默认读取部署清单 deployments/<network>.json，存储默认写入 indexer/<network>.json，
+ * 重复运行 indexer:sync 时从检查点继续
+ */
+
+/**
+ * 当前网络的默认存储路径
+ */
+function defaultStorePath(hre) {
+  const path = require("path");
+  return path.join(hre.config.paths.root, "indexer", `${hre.network.name}.json`);
+}
+
+task("indexer:sync", "按区块范围索引集合、代理和 UpgradeManager 的事件，从检查点继续")
+  .addOptionalParam("collection", "集合（代理）地址，默认读取部署清单")
+  .addOptionalParam("manager", "UpgradeManager 地址，默认读取部署清单（没有时只索引集合）")
+  .addOptionalParam("manifest", "部署清单文件，默认 deployments/<network>.json")
+  .addOptionalParam("store", "存储文件，默认 indexer/<network>.json")
+  .addOptionalParam("fromBlock", "新存储开始索引的区块，默认为清单中代理的部署区块", undefined, types.int)
+  .addOptionalParam("toBlock", "索引到的区块，默认为最新区块减去确认数", undefined, types.int)
+  .addOptionalParam("confirmations", "跳过最近的区块数，避免索引可能被重组的区块", 0, types.int)
+  .addOptionalParam("batchSize", "每次查询的区块数量", 2000, types.int)
+  .setAction(async ({ collection, manager, manifest, store, fromBlock, toBlock, confirmations, batchSize }, hre) => {
+    const fs = require("fs");
+    const { resolveAddress, defaultManifestPath } = require("../scripts/utils/admin-tasks");
+    const { runIndexer, mintsByPhase } = require("../scripts/utils/indexer");
+
+    const manifestPath = manifest || defaultManifestPath(hre);
+    const collectionAddress = await resolveAddress(hre, { address: collection, manifestPath, key: "collection" });
+    const managerAddress = await resolveAddress(hre, { address: manager, manifestPath, key: "upgradeManager", required: false });
+
+    let startBlock = fromBlock;
+    if (startBlock === undefined) {
+      const deployed = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf8")).contracts?.proxy : undefined;
+      startBlock = deployed && deployed.address === collectionAddress ? deployed.blockNumber : 0;
+    }
+
+    const storePath = store || defaultStorePath(hre);
+    console.log(`📍 集合: ${collectionAddress}`);
+    console.log(`📍 UpgradeManager: ${managerAddress || "无"}`);
+    console.log(`📍 存储: ${storePath}`);
+
+    const result = await runIndexer(hre, {
+      storePath,
+      collection: collectionAddress,
+      upgradeManager: managerAddress,
+      startBlock,
+      toBlock,
+      confirmations,
+      batchSize,
+    });
+
+    console.log(`\n📊 已索引到区块 ${result.checkpoint}`);
+    console.log(`   铸造: ${result.mints.length}，转移: ${result.transfers.length}，升级事件: ${result.upgrades.length}`);
+    console.log(`   按阶段铸造: ${JSON.stringify(mintsByPhase(result))}`);
+  });
+
+task("indexer:snapshot", "从索引存储导出指定区块的持有者快照 CSV")
+  .addOptionalParam("store", "存储文件，默认 indexer/<network>.json")
+  .addOptionalParam("block", "快照区块，默认为检查点", undefined, types.int)
+  .addOptionalParam("out", "输出的 CSV 文件", "holders.csv")
+  .setAction(async ({ store, block, out }, hre) => {
+    const fs = require("fs");
+    const { holdersAt, formatHoldersCsv } = require("../scripts/utils/indexer");
+
+    const storePath = store || defaultStorePath(hre);
+    if (!fs.existsSync(storePath)) {
+      throw new Error(`存储 ${storePath} 不存在，先运行 indexer:sync`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    const snapshotBlock = block === undefined ? data.checkpoint : block;
+    const holders = holdersAt(data, snapshotBlock);
+    fs.writeFileSync(out, formatHoldersCsv(holders));
+
+    const supply = holders.reduce((sum, holder) => sum + holder.balance, 0);
+    console.log(`✅ 已写入 ${out}`);
+    console.log(`   区块: ${snapshotBlock}，持有者: ${holders.length}，代币: ${supply}`);
+  });
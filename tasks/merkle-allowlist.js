@@ -0,0 +1,64 @@
+const { task } = require("hardhat/config");
+
+/**
+ * 从 CSV 构建 Merkle 预售白名单，并在提交铸造前本地校验证明
+ *
+ * 用法:
+ *   npx hardhat allowlist:build --csv allowlist.csv --out allowlist.json
+ *   npx hardhat allowlist:verify --file allowlist.json --address <地址>
+ *   npx hardhat allowlist:verify --file allowlist.json --address <地址> --root <链上 merkleRoot>
+ *
+ * CSV 每行 "地址,配额"，输出 JSON 包含 root 和每个地址的 quota、proof
+ */
+task("allowlist:build", "从 CSV 构建 Merkle 白名单，输出默克尔根和每个地址的证明")
+  .addParam("csv", "白名单 CSV 文件")
+  .addOptionalParam("out", "输出的 JSON 文件", "allowlist.json")
+  .setAction(async ({ csv, out }) => {
+    const fs = require("fs");
+    const { parseAllowlistCsv, buildAllowlist, verifyAllowlistProof } = require("../scripts/utils/merkle-allowlist");
+
+    const entries = parseAllowlistCsv(fs.readFileSync(csv, "utf8"));
+    const allowlist = buildAllowlist(entries);
+
+    // 写出前校验每一个证明
+    for (const [address, { quota, proof }] of Object.entries(allowlist.proofs)) {
+      if (!verifyAllowlistProof(allowlist.root, address, quota, proof)) {
+        throw new Error(`地址 ${address} 的证明校验失败`);
+      }
+    }
+
+    fs.writeFileSync(out, JSON.stringify(allowlist, null, 2) + "\n");
+
+    console.log(`✅ 已写入 ${out}`);
+    console.log(`   地址数量: ${entries.length}`);
+    console.log(`   默克尔根: ${allowlist.root}`);
+  });
+
+task("allowlist:verify", "本地校验地址的白名单证明")
+  .addParam("file", "allowlist:build 输出的 JSON 文件")
+  .addParam("address", "要校验的地址")
+  .addOptionalParam("root", "要校验的默克尔根（默认使用文件中的根，可以填链上的 merkleRoot）")
+  .setAction(async ({ file, address, root }, hre) => {
+    const fs = require("fs");
+    const { verifyAllowlistProof } = require("../scripts/utils/merkle-allowlist");
+
+    const allowlist = JSON.parse(fs.readFileSync(file, "utf8"));
+    const expectedRoot = root || allowlist.root;
+    const entry = allowlist.proofs[hre.ethers.getAddress(address)];
+
+    if (!entry) {
+      console.log(`❌ 地址 ${address} 不在白名单中`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!verifyAllowlistProof(expectedRoot, address, entry.quota, entry.proof)) {
+      console.log(`❌ 地址 ${address} 的证明与默克尔根 ${expectedRoot} 不匹配`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ 地址 ${address} 的证明有效`);
+    console.log(`   配额: ${entry.quota}`);
+    console.log(`   证明: ${JSON.stringify(entry.proof)}`);
+  });
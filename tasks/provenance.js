@@ -0,0 +1,61 @@
+const { task } = require("hardhat/config");
+
+/**
+ * 延迟揭示：销售前计算元数据的来源证明，揭示后校验代币与元数据文件的对应关系
+ *
+ * 用法:
+ *   npx hardhat reveal:provenance --dir metadata/
+ *   npx hardhat reveal:verify --address <集合地址> --dir metadata/ --network localhost
+ *
+ * 元数据文件名必须是从 0 开始连续的序号（0.json、1.json ...），文件数量应等于集合的 maxSupply
+ */
+task("reveal:provenance", "从元数据文件夹计算来源证明，用于 setProvenanceHash")
+  .addParam("dir", "元数据文件夹")
+  .setAction(async ({ dir }) => {
+    const { computeProvenanceFromDir } = require("../scripts/utils/provenance");
+
+    const { provenanceHash, files } = computeProvenanceFromDir(dir);
+
+    console.log(`✅ 来源证明: ${provenanceHash}`);
+    console.log(`   文件数量: ${files.length}（集合的 maxSupply 必须与之一致）`);
+  });
+
+task("reveal:verify", "校验链上来源证明和揭示后的 tokenURI 是否与元数据文件夹一致")
+  .addParam("address", "NFTCollection 或 NFTCollectionV2（代理）地址")
+  .addParam("dir", "元数据文件夹")
+  .setAction(async ({ address, dir }, hre) => {
+    const { verifyReveal } = require("../scripts/utils/provenance");
+
+    const collection = await hre.ethers.getContractAt("NFTCollection", address);
+    const result = await verifyReveal(collection, dir);
+
+    if (result.onchainHash !== result.localHash) {
+      console.log(`❌ 来源证明不一致`);
+      console.log(`   链上: ${result.onchainHash}`);
+      console.log(`   本地: ${result.localHash}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (result.collectionSize !== result.fileCount) {
+      console.log(`❌ 集合大小 ${result.collectionSize} 与元数据文件数量 ${result.fileCount} 不一致`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ 来源证明一致: ${result.localHash}`);
+
+    if (!result.revealed) {
+      console.log("⏳ 尚未揭示，跳过 tokenURI 校验");
+      return;
+    }
+
+    if (result.mismatches.length > 0) {
+      console.log(`❌ ${result.mismatches.length} 个代币的 tokenURI 与期望的元数据不一致`);
+      for (const { tokenId, uri, expected } of result.mismatches) {
+        console.log(`   #${tokenId}: ${uri}（期望文件 ${expected}）`);
+      }
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ 已校验 ${result.checked} 个代币，起始偏移量 ${result.startingIndex}`);
+  });
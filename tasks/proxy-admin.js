@@ -0,0 +1,159 @@
+const { task } = require("hardhat/config");
+
+/**
+ * 代理和 UpgradeManager 的运维任务，地址默认读取部署清单 deployments/<network>.json
+ * 中的 collection（代理）和 upgradeManager
+ *
+ * 用法:
+ *   npx hardhat proxy:info --network localhost
+ *   npx hardhat proxy:upgrade --implementation <新实现地址> [--data <迁移调用数据>] --network localhost
+ *   npx hardhat manager:list --network localhost
+ *
+ * 所有任务都支持 --proxy / --manager（代替清单）、--manifest（清单文件）和 --dry-run；
+ * proxy:info 和 manager:list 只读取链上状态，--dry-run 不影响结果
+ */
+
+/**
+ * 定义带有公共参数的代理任务
+ */
+function proxyTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("manager", "UpgradeManager 地址，默认读取部署清单")
+    .addOptionalParam("manifest", "部署清单文件，默认 deployments/<network>.json")
+    .addFlag("dryRun", "只用 staticCall 模拟，打印预期变化、回滚原因和 gas 估算，不发送交易");
+}
+
+/**
+ * 读取实现的 getVersion()，没有该函数时返回空字符串
+ */
+async function readVersion(ethers, address) {
+  const contract = new ethers.Contract(address, ["function getVersion() view returns (string)"], ethers.provider);
+  try {
+    return await contract.getVersion();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * 打印代理在 UpgradeManager 中的管理状态
+ */
+async function printManagedState(upgradeManager, proxy, indent) {
+  const history = await upgradeManager.getUpgradeHistoryLength(proxy);
+  const delay = await upgradeManager.upgradeDelays(proxy);
+  console.log(`${indent}代理管理员: ${await upgradeManager.proxyAdmins(proxy)}`);
+  console.log(`${indent}升级冻结: ${(await upgradeManager.upgradesFrozen(proxy)) ? "🧊 是" : "否"}`);
+  console.log(`${indent}升级延迟: ${delay} 秒，历史记录 ${history} 条`);
+
+  if (delay > 0n) {
+    const pending = await upgradeManager.pendingUpgrade(proxy);
+    if (pending.readyAt > 0n) {
+      console.log(`${indent}⏳ 排期中的升级: ${pending.newImplementation}，${pending.readyAt} 后可执行，${pending.expiresAt} 过期`);
+    }
+  }
+}
+
+proxyTask("proxy:info", "打印代理的实现、管理员、版本和 UpgradeManager 中的管理状态")
+  .addOptionalParam("proxy", "代理地址，默认读取部署清单中的 collection")
+  .setAction(async ({ proxy, manager, manifest }, hre) => {
+    const { ethers } = hre;
+    const { resolveAddress } = require("../scripts/utils/admin-tasks");
+    const { getImplementationAddress, getAdminAddress, getPendingAdminAddress } = require("../scripts/utils/eip1967");
+
+    const proxyAddress = await resolveAddress(hre, { address: proxy, manifestPath: manifest, key: "collection" });
+    const managerAddress = await resolveAddress(hre, { address: manager, manifestPath: manifest, key: "upgradeManager", required: false });
+
+    const implementation = await getImplementationAddress(ethers.provider, proxyAddress);
+    const pendingAdmin = await getPendingAdminAddress(ethers.provider, proxyAddress);
+    console.log(`📍 代理: ${proxyAddress}`);
+    console.log(`   实现: ${implementation}（${(await readVersion(ethers, proxyAddress)) || "未知版本"}）`);
+    console.log(`   管理员: ${await getAdminAddress(ethers.provider, proxyAddress)}`);
+    if (pendingAdmin !== ethers.ZeroAddress) {
+      console.log(`   待接受的管理员: ${pendingAdmin}`);
+    }
+
+    if (!managerAddress) {
+      console.log("ℹ️  没有指定 UpgradeManager，跳过管理状态");
+      return;
+    }
+
+    const upgradeManager = await ethers.getContractAt("UpgradeManager", managerAddress);
+    console.log(`📍 UpgradeManager: ${managerAddress}`);
+    if (!(await upgradeManager.isRegisteredProxy(proxyAddress))) {
+      console.log("   ⚠️ 代理没有在 UpgradeManager 中注册");
+      return;
+    }
+    await printManagedState(upgradeManager, proxyAddress, "   ");
+  });
+
+proxyTask("proxy:upgrade", "通过 UpgradeManager 立即升级代理（UPGRADER_ROLE 或代理管理员）")
+  .addParam("implementation", "新实现合约地址")
+  .addOptionalParam("proxy", "代理地址，默认读取部署清单中的 collection")
+  .addOptionalParam("data", "升级后在代理上执行的迁移调用数据（通常是 reinitializer）")
+  .setAction(async ({ implementation, proxy, data, manager, manifest, dryRun }, hre) => {
+    const { ethers } = hre;
+    const { describeChange, resolveAddress, runAdminCall } = require("../scripts/utils/admin-tasks");
+    const { getImplementationAddress } = require("../scripts/utils/eip1967");
+
+    const proxyAddress = await resolveAddress(hre, { address: proxy, manifestPath: manifest, key: "collection" });
+    const managerAddress = await resolveAddress(hre, { address: manager, manifestPath: manifest, key: "upgradeManager" });
+    const newImplementation = ethers.getAddress(implementation);
+    if ((await ethers.provider.getCode(newImplementation)) === "0x") {
+      throw new Error(`新实现 ${newImplementation} 在链上没有代码`);
+    }
+
+    const [signer] = await ethers.getSigners();
+    const upgradeManager = await ethers.getContractAt("UpgradeManager", managerAddress, signer);
+    console.log(`📍 代理: ${proxyAddress}`);
+    console.log(`📍 UpgradeManager: ${managerAddress}`);
+    console.log(`📍 调用账户: ${signer.address}`);
+
+    const currentImplementation = await getImplementationAddress(ethers.provider, proxyAddress);
+    const effects = [
+      describeChange("实现", currentImplementation, newImplementation),
+      describeChange("版本", (await readVersion(ethers, proxyAddress)) || "未知", (await readVersion(ethers, newImplementation)) || "未知"),
+    ];
+
+    // 迁移调用的回滚原因来自集合，使用集合的 ABI 解码
+    const interfaces = [(await ethers.getContractFactory("NFTCollectionV2")).interface];
+    const result = data
+      ? await runAdminCall(upgradeManager, "upgradeProxyAndCall", [proxyAddress, newImplementation, data], { dryRun, effects, interfaces })
+      : await runAdminCall(upgradeManager, "upgradeProxy", [proxyAddress, newImplementation], { dryRun, effects, interfaces });
+
+    if (!result.ok) {
+      process.exitCode = 1;
+    }
+  });
+
+proxyTask("manager:list", "列出 UpgradeManager 管理的全部代理和信标").setAction(async ({ manager, manifest }, hre) => {
+  const { ethers } = hre;
+  const { resolveAddress } = require("../scripts/utils/admin-tasks");
+  const { getImplementationAddress } = require("../scripts/utils/eip1967");
+
+  const managerAddress = await resolveAddress(hre, { address: manager, manifestPath: manifest, key: "upgradeManager" });
+  const upgradeManager = await ethers.getContractAt("UpgradeManager", managerAddress);
+
+  console.log(`📍 UpgradeManager: ${managerAddress}`);
+  console.log(`   所有者: ${await upgradeManager.owner()}`);
+  console.log(`   守护者: ${await upgradeManager.guardian()}`);
+  const threshold = await upgradeManager.approvalThreshold();
+  console.log(`   多签: ${threshold > 0n ? `${threshold} / ${(await upgradeManager.getApprovers()).length}` : "未启用"}`);
+
+  const proxies = await upgradeManager.getAllProxies();
+  console.log(`\n代理（${proxies.length}）`);
+  for (const proxy of proxies) {
+    const implementation = await getImplementationAddress(ethers.provider, proxy);
+    console.log(`➡️  ${proxy}`);
+    console.log(`      实现: ${implementation}（${(await readVersion(ethers, proxy)) || "未知版本"}）`);
+    await printManagedState(upgradeManager, proxy, "      ");
+  }
+
+  const beacons = await upgradeManager.getAllBeacons();
+  console.log(`\n信标（${beacons.length}）`);
+  for (const beacon of beacons) {
+    const upgradeableBeacon = await ethers.getContractAt("UpgradeableBeacon", beacon);
+    console.log(`➡️  ${beacon}`);
+    console.log(`      实现: ${await upgradeableBeacon.implementation()}`);
+    console.log(`      信标代理: ${(await upgradeManager.getBeaconProxies(beacon)).length} 个`);
+  }
+});
@@ -0,0 +1,24 @@
+const { task } = require("hardhat/config");
+
+/**
+ * 部署前检查代理与实现合约的函数选择器冲突
+ *
+ * 用法:
+ *   npx hardhat proxy:check-selectors --implementation NFTCollectionV2
+ *   npx hardhat proxy:check-selectors --implementation NFTCollectionV2 --proxy TransparentProxy
+ *
+ * 存在会导致实现函数不可达的冲突时以非零状态码退出
+ */
+task("proxy:check-selectors", "检查实现合约与代理管理函数的选择器冲突")
+  .addParam("implementation", "实现合约名称")
+  .addOptionalParam("proxy", "代理合约名称", "Proxy")
+  .setAction(async ({ implementation, proxy }, hre) => {
+    const { checkSelectorClashes } = require("../scripts/utils/selector-clash");
+
+    const result = await checkSelectorClashes(hre, proxy, implementation);
+    console.log(result.report);
+
+    if (!result.safe) {
+      process.exitCode = 1; // 报告已打印，只需返回非零状态码
+    }
+  });
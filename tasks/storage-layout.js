@@ -0,0 +1,25 @@
+const { task } = require("hardhat/config");
+
+/**
+ * 升级前检查存储布局兼容性
+ *
+ * 用法:
+ *   npx hardhat storage:check --current LogicContract --candidate LogicContractV2
+ *
+ * 不兼容时以非零状态码退出，便于在部署/升级脚本中作为前置检查
+ */
+task("storage:check", "比较两个实现合约的存储布局，不兼容时拒绝升级")
+  .addParam("current", "当前实现合约名称")
+  .addParam("candidate", "候选（新）实现合约名称")
+  .setAction(async ({ current, candidate }, hre) => {
+    const { assertStorageUpgradeSafe } = require("../scripts/utils/storage-layout");
+
+    try {
+      await assertStorageUpgradeSafe(hre, current, candidate);
+    } catch (error) {
+      if (error.report === undefined) {
+        throw error; // 编译或读取产物失败，交给 Hardhat 处理
+      }
+      process.exitCode = 1; // 报告已打印，只需返回非零状态码
+    }
+  });
@@ -0,0 +1,25 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * 打印 UpgradeManager 记录的代理实现时间线
+ *
+ * 用法:
+ *   npx hardhat proxy:history --manager <UpgradeManager 地址> --proxy <代理地址> --network localhost
+ */
+task("proxy:history", "打印代理的实现升级时间线")
+  .addParam("manager", "UpgradeManager 合约地址")
+  .addParam("proxy", "代理合约地址")
+  .addOptionalParam("pageSize", "每次读取的记录数", 50, types.int)
+  .setAction(async ({ manager, proxy, pageSize }, hre) => {
+    const { fetchUpgradeHistory, formatUpgradeTimeline } = require("../scripts/utils/upgrade-history");
+
+    const upgradeManager = await hre.ethers.getContractAt("UpgradeManager", manager);
+    if (!(await upgradeManager.isRegisteredProxy(proxy))) {
+      console.log(`❌ 代理 ${proxy} 没有在 UpgradeManager 中注册`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const records = await fetchUpgradeHistory(upgradeManager, proxy, pageSize);
+    console.log(formatUpgradeTimeline(proxy, records));
+  });
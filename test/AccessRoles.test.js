@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("角色权限与两步所有权转移", function () {
+  const ROLE_NAMES = ["MINTER_ROLE", "SALE_MANAGER_ROLE", "METADATA_EDITOR_ROLE", "TREASURER_ROLE"];
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  function role(name) {
+    return ethers.id(name);
+  }
+
+  // NFTCollection 使用 OpenZeppelin AccessControl / Ownable2Step，NFTCollectionV2 通过 Proxy 使用 AccessRoles
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Roles NFT", "RNFT", "ipfs://base/", await feed.getAddress());
+      },
+      async expectMissingRole(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+      async expectBadRenounce(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlBadConfirmation");
+      },
+      async expectNotPendingOwner(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Roles NFT", "RNFT", "ipfs://base/");
+        return collection;
+      },
+      async expectMissingRole(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+      async expectBadRenounce(collection, promise) {
+        await expect(promise).to.be.revertedWith("Can only renounce roles for self");
+      },
+      async expectNotPendingOwner(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is not the pending owner");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let owner;
+      let operator;
+      let newOwner;
+      let other;
+
+      beforeEach(async function () {
+        [owner, operator, newOwner, other] = await ethers.getSigners();
+        collection = await variant.deployCollection();
+      });
+
+      describe("角色", function () {
+        it("部署者拥有 DEFAULT_ADMIN_ROLE 和全部操作角色", async function () {
+          expect(await collection.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+          for (const name of ROLE_NAMES) {
+            expect(await collection[name]()).to.equal(role(name));
+            expect(await collection.hasRole(role(name), owner.address)).to.be.true;
+            expect(await collection.getRoleAdmin(role(name))).to.equal(DEFAULT_ADMIN_ROLE);
+          }
+        });
+
+        it("每个角色只能调用自己负责的函数", async function () {
+          const calls = {
+            MINTER_ROLE: (c) => c.reservedMint(other.address, "reserved.json"),
+            SALE_MANAGER_ROLE: (c) => c.setSaleState(true, false),
+            METADATA_EDITOR_ROLE: (c) => c.setBaseTokenURI("ipfs://new/"),
+            TREASURER_ROLE: (c) => c.withdraw(),
+          };
+
+          await collection.grantRole(role("SALE_MANAGER_ROLE"), operator.address);
+          const asOperator = collection.connect(operator);
+
+          await asOperator.setSaleState(true, false);
+          expect(await collection.saleActive()).to.be.true;
+          for (const name of ["MINTER_ROLE", "METADATA_EDITOR_ROLE", "TREASURER_ROLE"]) {
+            await variant.expectMissingRole(collection, calls[name](asOperator));
+          }
+        });
+
+        it("只有管理角色可以授予和撤销角色", async function () {
+          const MINTER_ROLE = role("MINTER_ROLE");
+
+          await variant.expectMissingRole(collection, collection.connect(operator).grantRole(MINTER_ROLE, operator.address));
+
+          await expect(collection.grantRole(MINTER_ROLE, operator.address))
+            .to.emit(collection, "RoleGranted")
+            .withArgs(MINTER_ROLE, operator.address, owner.address);
+          await variant.expectMissingRole(collection, collection.connect(operator).revokeRole(MINTER_ROLE, owner.address));
+
+          await expect(collection.revokeRole(MINTER_ROLE, operator.address))
+            .to.emit(collection, "RoleRevoked")
+            .withArgs(MINTER_ROLE, operator.address, owner.address);
+          expect(await collection.hasRole(MINTER_ROLE, operator.address)).to.be.false;
+        });
+
+        it("可以把角色交给其他管理角色管理", async function () {
+          const MINTER_ROLE = role("MINTER_ROLE");
+          const SALE_MANAGER_ROLE = role("SALE_MANAGER_ROLE");
+
+          await variant.expectMissingRole(collection, collection.connect(operator).setRoleAdmin(MINTER_ROLE, SALE_MANAGER_ROLE));
+          await expect(collection.setRoleAdmin(MINTER_ROLE, SALE_MANAGER_ROLE))
+            .to.emit(collection, "RoleAdminChanged")
+            .withArgs(MINTER_ROLE, DEFAULT_ADMIN_ROLE, SALE_MANAGER_ROLE);
+
+          await collection.grantRole(SALE_MANAGER_ROLE, operator.address);
+          await collection.connect(operator).grantRole(MINTER_ROLE, other.address);
+          expect(await collection.hasRole(MINTER_ROLE, other.address)).to.be.true;
+
+          // 所有者同时拥有 SALE_MANAGER_ROLE，仍然可以管理；撤销后不能再管理
+          await collection.revokeRole(SALE_MANAGER_ROLE, owner.address);
+          await variant.expectMissingRole(collection, collection.revokeRole(MINTER_ROLE, other.address));
+        });
+
+        it("只能放弃自己的角色", async function () {
+          const TREASURER_ROLE = role("TREASURER_ROLE");
+          await collection.grantRole(TREASURER_ROLE, operator.address);
+
+          await variant.expectBadRenounce(collection, collection.renounceRole(TREASURER_ROLE, operator.address));
+
+          await collection.connect(operator).renounceRole(TREASURER_ROLE, operator.address);
+          expect(await collection.hasRole(TREASURER_ROLE, operator.address)).to.be.false;
+          await variant.expectMissingRole(collection, collection.connect(operator).withdraw());
+        });
+      });
+
+      describe("两步所有权转移", function () {
+        it("新所有者接受之前所有权不变", async function () {
+          await collection.transferOwnership(newOwner.address);
+
+          expect(await collection.owner()).to.equal(owner.address);
+          expect(await collection.pendingOwner()).to.equal(newOwner.address);
+          await variant.expectNotPendingOwner(collection, collection.connect(other).acceptOwnership());
+        });
+
+        it("接受后 DEFAULT_ADMIN_ROLE 随所有权转移，操作角色不变", async function () {
+          await collection.transferOwnership(newOwner.address);
+          await expect(collection.connect(newOwner).acceptOwnership())
+            .to.emit(collection, "OwnershipTransferred")
+            .withArgs(owner.address, newOwner.address);
+
+          expect(await collection.owner()).to.equal(newOwner.address);
+          expect(await collection.pendingOwner()).to.equal(ethers.ZeroAddress);
+          expect(await collection.hasRole(DEFAULT_ADMIN_ROLE, newOwner.address)).to.be.true;
+          expect(await collection.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+
+          // 原所有者的操作角色需要新所有者显式撤销
+          expect(await collection.hasRole(role("TREASURER_ROLE"), owner.address)).to.be.true;
+          expect(await collection.hasRole(role("TREASURER_ROLE"), newOwner.address)).to.be.false;
+          await collection.connect(newOwner).revokeRole(role("TREASURER_ROLE"), owner.address);
+          await variant.expectMissingRole(collection, collection.withdraw());
+        });
+
+        it("可以重新提名覆盖待接受的所有者", async function () {
+          await collection.transferOwnership(other.address);
+          await collection.transferOwnership(newOwner.address);
+
+          await variant.expectNotPendingOwner(collection, collection.connect(other).acceptOwnership());
+          await collection.connect(newOwner).acceptOwnership();
+          expect(await collection.owner()).to.equal(newOwner.address);
+        });
+      });
+    });
+  }
+
+  describe("NFTCollectionV2 升级权限", function () {
+    let collection;
+    let implementationV2;
+    let owner;
+    let upgrader;
+
+    beforeEach(async function () {
+      [owner, upgrader] = await ethers.getSigners();
+      const implementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("ERC1967Proxy", await implementation.getAddress(), "0x");
+      collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+      await collection.initialize("Roles NFT", "RNFT", "ipfs://base/");
+      implementationV2 = await deploy("NFTCollectionV2");
+    });
+
+    it("UUPS 升级需要 UPGRADER_ROLE，与所有权无关", async function () {
+      const UPGRADER_ROLE = await collection.UPGRADER_ROLE();
+      expect(await collection.hasRole(UPGRADER_ROLE, owner.address)).to.be.true;
+
+      await collection.revokeRole(UPGRADER_ROLE, owner.address);
+      await expect(collection.upgradeToAndCall(await implementationV2.getAddress(), "0x"))
+        .to.be.revertedWith("Caller is missing role");
+
+      await collection.grantRole(UPGRADER_ROLE, upgrader.address);
+      await collection.connect(upgrader).upgradeToAndCall(await implementationV2.getAddress(), "0x");
+    });
+
+    it("initializeV3 为升级前的代理补上角色", async function () {
+      const legacyImplementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("Proxy", await legacyImplementation.getAddress());
+      const address = await proxy.getAddress();
+      collection = await ethers.getContractAt("NFTCollectionV2", address);
+      await collection.initialize("Roles NFT", "RNFT", "ipfs://base/");
+
+      // 模拟角色权限之前部署的代理：初始化版本为 2，没有任何角色
+      const INITIALIZABLE_SLOT = "0x905d4fc71a35ce63c21bc0358fe58cec9ec599466592e826cd717e6d09ed4200";
+      const ACCESS_ROLES_SLOT = "0x3fe5694b18980513ce4c1b1d49c54d6ece797cc23d5699e262374170d3964300";
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const roles = [DEFAULT_ADMIN_ROLE, ...ROLE_NAMES.map(role), role("UPGRADER_ROLE")];
+
+      await setStorageAt(address, INITIALIZABLE_SLOT, 2);
+      for (const r of roles) {
+        const roleSlot = ethers.keccak256(coder.encode(["bytes32", "bytes32"], [r, ACCESS_ROLES_SLOT]));
+        await setStorageAt(address, ethers.keccak256(coder.encode(["address", "bytes32"], [owner.address, roleSlot])), 0);
+      }
+      expect(await collection.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+
+      const data = implementationV2.interface.encodeFunctionData("initializeV3");
+      await proxy.upgradeToAndCall(await implementationV2.getAddress(), data);
+
+      for (const r of roles) {
+        expect(await collection.hasRole(r, owner.address)).to.be.true;
+      }
+      await expect(collection.initializeV3()).to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("UpgradeManager", function () {
+    let manager;
+    let owner;
+    let upgrader;
+    let newOwner;
+    let UPGRADER_ROLE;
+
+    beforeEach(async function () {
+      [owner, upgrader, newOwner] = await ethers.getSigners();
+      manager = await deploy("UpgradeManager");
+      UPGRADER_ROLE = await manager.UPGRADER_ROLE();
+    });
+
+    it("部署者拥有 DEFAULT_ADMIN_ROLE 和 UPGRADER_ROLE", async function () {
+      expect(await manager.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await manager.hasRole(UPGRADER_ROLE, owner.address)).to.be.true;
+    });
+
+    it("UPGRADER_ROLE 可以升级任何已注册的代理", async function () {
+      const implementation = await deploy("LogicContract");
+      const newImplementation = await deploy("LogicContractV2");
+      const proxy = await deploy("Proxy", await implementation.getAddress());
+      await proxy.transferAdmin(await manager.getAddress());
+      await manager.acceptProxyAdmin(await proxy.getAddress());
+      await manager.registerProxy(await proxy.getAddress(), owner.address);
+
+      await expect(manager.connect(upgrader).upgradeProxy(await proxy.getAddress(), await newImplementation.getAddress()))
+        .to.be.revertedWith("Not authorized");
+
+      await manager.grantRole(UPGRADER_ROLE, upgrader.address);
+      await manager.connect(upgrader).upgradeProxy(await proxy.getAddress(), await newImplementation.getAddress());
+      expect(await proxy.getImplementation()).to.equal(await newImplementation.getAddress());
+    });
+
+    it("所有权两步转移，DEFAULT_ADMIN_ROLE 随所有权转移", async function () {
+      await expect(manager.transferOwnership(newOwner.address))
+        .to.emit(manager, "OwnershipTransferStarted")
+        .withArgs(owner.address, newOwner.address);
+      expect(await manager.owner()).to.equal(owner.address);
+      await expect(manager.connect(upgrader).acceptOwnership()).to.be.revertedWith("Caller is not the pending owner");
+
+      await manager.connect(newOwner).acceptOwnership();
+      expect(await manager.owner()).to.equal(newOwner.address);
+      expect(await manager.hasRole(DEFAULT_ADMIN_ROLE, newOwner.address)).to.be.true;
+      expect(await manager.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      await expect(manager.setProxyRegistrar(upgrader.address, true)).to.be.revertedWith("Only owner can call this function");
+    });
+  });
+});
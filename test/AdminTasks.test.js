@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment } = require("../scripts/utils/deployment");
+const {
+  resolveAddress,
+  parseAddressList,
+  parseReserveMintCsv,
+  describeChange,
+  runAdminCall,
+} = require("../scripts/utils/admin-tasks");
+
+describe("运维任务", function () {
+  const { ethers } = hre;
+  const config = {
+    collection: { name: "Admin NFT", symbol: "ANFT", baseTokenURI: "ipfs://admin/" },
+  };
+
+  let dir;
+  let manifestPath;
+  let manifest;
+  let collection;
+  let owner;
+  let other;
+
+  const silent = () => {};
+
+  // 运行任务并收集输出
+  async function runTask(name, args) {
+    const lines = [];
+    const originalLog = console.log;
+    const originalExitCode = process.exitCode;
+    console.log = (...values) => lines.push(values.join(" "));
+    try {
+      await hre.run(name, { manifest: manifestPath, ...args });
+      return { output: lines.join("\n"), exitCode: process.exitCode };
+    } finally {
+      console.log = originalLog;
+      process.exitCode = originalExitCode;
+    }
+  }
+
+  function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-tasks-"));
+    manifestPath = path.join(dir, "hardhat.json");
+    manifest = await runDeployment(hre, { config, manifestPath, fresh: true, log: silent });
+    collection = await ethers.getContractAt("NFTCollectionV2", manifest.collection);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("目标地址和文件解析", function () {
+    it("优先使用参数中的地址，否则读取清单", async function () {
+      expect(await resolveAddress(hre, { address: other.address.toLowerCase(), manifestPath, key: "collection" })).to.equal(other.address);
+      expect(await resolveAddress(hre, { manifestPath, key: "collection" })).to.equal(manifest.collection);
+      expect(await resolveAddress(hre, { manifestPath, key: "upgradeManager" })).to.equal(manifest.upgradeManager);
+
+      const missing = path.join(dir, "missing.json");
+      await expect(resolveAddress(hre, { manifestPath: missing, key: "collection" })).to.be.rejectedWith("没有 collection");
+      expect(await resolveAddress(hre, { manifestPath: missing, key: "upgradeManager", required: false })).to.be.null;
+      await expect(resolveAddress(hre, { address: "0x1234", key: "collection" })).to.be.rejectedWith("无效的地址");
+    });
+
+    it("解析地址列表，拒绝无效和重复的地址", function () {
+      const text = ["address", `${owner.address},ignored`, "# 注释", "", other.address.toLowerCase()].join("\n");
+      expect(parseAddressList(text)).to.deep.equal([owner.address, other.address]);
+
+      expect(() => parseAddressList("0x1234")).to.throw("第 1 行: 无效的地址");
+      expect(() => parseAddressList(`${owner.address}\n${owner.address}`)).to.throw("第 2 行: 重复的地址");
+    });
+
+    it("解析保留铸造 CSV，同一地址合并为一批", function () {
+      const text = [
+        "address,tokenURI",
+        `${owner.address},1.json`,
+        `${other.address},ipfs://a,b.json`,
+        `${owner.address},2.json`,
+      ].join("\n");
+
+      expect(parseReserveMintCsv(text)).to.deep.equal([
+        { to: owner.address, tokenURIs: ["1.json", "2.json"] },
+        { to: other.address, tokenURIs: ["ipfs://a,b.json"] },
+      ]);
+      expect(() => parseReserveMintCsv(`${owner.address}`)).to.throw("第 1 行: 缺少 tokenURI");
+      expect(() => parseReserveMintCsv("# 空")).to.throw("保留铸造列表为空");
+    });
+  });
+
+  describe("模拟与发送", function () {
+    it("dry-run 只模拟，返回 gas 估算，不改变状态", async function () {
+      const lines = [];
+      const result = await runAdminCall(collection, "setSaleState", [true, false], {
+        dryRun: true,
+        effects: [describeChange("saleActive", false, true)],
+        log: (line) => lines.push(line),
+      });
+
+      expect(result).to.include({ ok: true, sent: false });
+      expect(result.gas).to.be.greaterThan(0n);
+      expect(await collection.saleActive()).to.be.false;
+      expect(lines).to.include("   saleActive: false → true");
+    });
+
+    it("发送交易并解码事件", async function () {
+      const lines = [];
+      const result = await runAdminCall(collection, "setRoyalty", [other.address, 500], { log: (line) => lines.push(line) });
+
+      expect(result.sent).to.be.true;
+      expect(await collection.royaltyBps()).to.equal(500);
+      expect(lines.some((line) => line.includes("📣 RoyaltyUpdated"))).to.be.true;
+    });
+
+    it("模拟回滚时解码原因，不发送交易", async function () {
+      const result = await runAdminCall(collection.connect(other), "withdraw", [], { log: silent });
+      expect(result).to.include({ ok: false, sent: false, reason: "Caller is missing role" });
+
+      const feed = await ethers.deployContract("MockAggregatorV3", [8, 300n * 10n ** 8n]);
+      const v1 = await ethers.deployContract("NFTCollection", ["V1", "V1", "ipfs://v1/", await feed.getAddress()]);
+      const v1Result = await runAdminCall(v1.connect(other), "withdraw", [], { log: silent });
+      expect(v1Result.reason).to.match(/^AccessControlUnauthorizedAccount\(/);
+    });
+  });
+
+  describe("集合任务", function () {
+    it("nft:sale 默认读取清单中的集合，--dry-run 不发送交易", async function () {
+      const dryRun = await runTask("nft:sale", { publicSale: true, dryRun: true });
+      expect(dryRun.output).to.include("saleActive: false → true");
+      expect(dryRun.output).to.include("未发送交易");
+      expect(await collection.saleActive()).to.be.false;
+
+      await runTask("nft:sale", { publicSale: true });
+      expect(await collection.saleActive()).to.be.true;
+      expect(await collection.presaleActive()).to.be.false;
+    });
+
+    it("nft:whitelist 只提交需要变化的地址", async function () {
+      await collection.updateWhitelist([owner.address], true);
+      const file = writeFile("whitelist.txt", `${owner.address}\n${other.address}\n`);
+
+      const { output } = await runTask("nft:whitelist", { file, batchSize: 200 });
+      expect(output).to.include("需要加入白名单 1 个");
+      expect(await collection.whitelisted(other.address)).to.be.true;
+
+      expect((await runTask("nft:whitelist", { file, batchSize: 200 })).output).to.include("无需更新");
+      await runTask("nft:whitelist", { file, remove: true, batchSize: 200 });
+      expect(await collection.whitelisted(owner.address)).to.be.false;
+    });
+
+    it("nft:set-prices 按 18 位小数解析价格，只修改指定的价格", async function () {
+      const { output } = await runTask("nft:set-prices", { publicSale: "0.5", dryRun: true });
+      expect(output).to.include("publicSalePrice: 0.05 → 0.5");
+      expect(output).to.include("presalePrice: 0.01（不变）");
+
+      await runTask("nft:set-prices", { publicSale: "0.5" });
+      expect(await collection.publicSalePrice()).to.equal(ethers.parseEther("0.5"));
+      expect(await collection.presalePrice()).to.equal(ethers.parseEther("0.01"));
+    });
+
+    it("模拟回滚时任务以非零状态退出", async function () {
+      const { output, exitCode } = await runTask("nft:royalty", { receiver: other.address, bps: 2000 });
+      expect(output).to.include("❌ 模拟回滚: Royalty cannot exceed 10%");
+      expect(exitCode).to.equal(1);
+      expect(await collection.royaltyBps()).to.equal(250);
+    });
+
+    it("nft:withdraw 列出原生代币和支付代币余额", async function () {
+      const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+      await collection.setPaymentToken(await usdc.getAddress(), true);
+      await usdc.mint(manifest.collection, 25n * 10n ** 6n);
+      await owner.sendTransaction({ to: manifest.collection, value: ethers.parseEther("1") });
+
+      const { output } = await runTask("nft:withdraw", { dryRun: true });
+      expect(output).to.include("原生代币: 1.0 ETH");
+      expect(output).to.include("USDC: 25.0");
+
+      await runTask("nft:withdraw", {});
+      expect(await usdc.balanceOf(owner.address)).to.equal(25n * 10n ** 6n);
+    });
+
+    it("nft:withdraw 某个支付代币转账失败时继续提取其他余额", async function () {
+      const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+      const usdt = await ethers.deployContract("MockERC20", ["Tether USD", "USDT", 18]);
+      await collection.setPaymentToken(await usdc.getAddress(), true);
+      await collection.setPaymentToken(await usdt.getAddress(), true);
+      await usdc.mint(manifest.collection, 25n * 10n ** 6n);
+      await usdt.mint(manifest.collection, 5n * 10n ** 18n);
+      await usdc.setTransfersBlocked(true);
+      await owner.sendTransaction({ to: manifest.collection, value: ethers.parseEther("1") });
+
+      const { output, exitCode } = await runTask("nft:withdraw", {});
+      expect(output).to.include("❌ 模拟回滚: Transfers blocked");
+      expect(exitCode).to.equal(1);
+      expect(await ethers.provider.getBalance(manifest.collection)).to.equal(0);
+      expect(await usdt.balanceOf(owner.address)).to.equal(5n * 10n ** 18n);
+    });
+
+    it("nft:reserve-mint 按接收地址批量铸造", async function () {
+      const csv = writeFile("reserve.csv", `${owner.address},1.json\n${other.address},2.json\n${owner.address},3.json\n`);
+
+      const { output } = await runTask("nft:reserve-mint", { csv });
+      expect(output).to.include("totalSupply: 0 → 3");
+      expect(await collection.balanceOf(owner.address)).to.equal(2);
+      expect(await collection.ownerOf(3)).to.equal(other.address);
+    });
+
+    it("nft:reserve-mint 重新运行时跳过已确认的批次", async function () {
+      const [, , third] = await ethers.getSigners();
+      const csv = writeFile("reserve.csv", `${owner.address},1.json\n${other.address},2.json\n${third.address},3.json\n`);
+      await collection.setMaxSupply(2); // 第三批超过最大供应量
+
+      const failed = await runTask("nft:reserve-mint", { csv });
+      expect(failed.exitCode).to.equal(1);
+      expect(await collection.totalSupply()).to.equal(2);
+      const progress = JSON.parse(fs.readFileSync(`${csv}.progress.json`, "utf8"));
+      expect(progress.completed.map(({ to, count }) => [to, count])).to.deep.equal([
+        [owner.address, 1],
+        [other.address, 1],
+      ]);
+
+      await collection.setMaxSupply(10);
+      const { output } = await runTask("nft:reserve-mint", { csv });
+      expect(output).to.include("2 个接收地址已在之前的运行中铸造");
+      expect(output).to.include("totalSupply: 2 → 3");
+      expect(await collection.totalSupply()).to.equal(3);
+      expect(await collection.ownerOf(3)).to.equal(third.address);
+
+      // 全部完成后再运行不会铸造
+      await runTask("nft:reserve-mint", { csv });
+      expect(await collection.totalSupply()).to.equal(3);
+    });
+  });
+
+  describe("代理任务", function () {
+    it("proxy:info 和 manager:list 打印实现、版本和管理状态", async function () {
+      const info = await runTask("proxy:info", {});
+      expect(info.output).to.include(`实现: ${manifest.contracts.implementation.address}（2.0.0）`);
+      expect(info.output).to.include(`管理员: ${manifest.upgradeManager}`);
+      expect(info.output).to.include(`代理管理员: ${owner.address}`);
+
+      const list = await runTask("manager:list", {});
+      expect(list.output).to.include("代理（1）");
+      expect(list.output).to.include(`➡️  ${manifest.collection}`);
+    });
+
+    it("proxy:upgrade --dry-run 打印实现变化，不升级", async function () {
+      const implementation = await ethers.deployContract("NFTCollectionV2");
+      const newImplementation = await implementation.getAddress();
+
+      const { output } = await runTask("proxy:upgrade", { implementation: newImplementation, dryRun: true });
+      expect(output).to.include(`实现: ${manifest.contracts.implementation.address} → ${newImplementation}`);
+      expect(output).to.include("未发送交易");
+
+      const upgradeManager = await ethers.getContractAt("UpgradeManager", manifest.upgradeManager);
+      expect(await upgradeManager.getUpgradeHistoryLength(manifest.collection)).to.equal(1);
+
+      await runTask("proxy:upgrade", { implementation: newImplementation });
+      expect(await upgradeManager.getUpgradeHistoryLength(manifest.collection)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getBeaconAddress, getImplementationAddress, isEip1967Proxy } = require("../scripts/utils/eip1967");
+
+describe("UpgradeableBeacon 与 BeaconProxy", function () {
+  let implementation;
+  let beacon;
+  let upgradeManager;
+  let collectionA;
+  let collectionB;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const baseTokenURI = "https://api.testnft.com/metadata/";
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function deployCollection(name, symbol, signer = owner) {
+    const initData = implementation.interface.encodeFunctionData("initialize", [name, symbol, baseTokenURI]);
+    const BeaconProxy = await ethers.getContractFactory("BeaconProxy", signer);
+    const proxy = await BeaconProxy.deploy(await beacon.getAddress(), initData);
+    await proxy.waitForDeployment();
+    return ethers.getContractAt("NFTCollectionV2", await proxy.getAddress(), signer);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    implementation = await deploy("NFTCollectionV2");
+    beacon = await deploy("UpgradeableBeacon", await implementation.getAddress());
+    upgradeManager = await deploy("UpgradeManager");
+
+    collectionA = await deployCollection("Collection A", "COLA");
+    collectionB = await deployCollection("Collection B", "COLB", addr1);
+
+    await beacon.transferOwnership(await upgradeManager.getAddress());
+    await upgradeManager.acceptBeaconOwnership(await beacon.getAddress());
+    await upgradeManager.registerBeacon(await beacon.getAddress());
+    await upgradeManager.addBeaconProxy(await beacon.getAddress(), await collectionA.getAddress());
+    await upgradeManager.addBeaconProxy(await beacon.getAddress(), await collectionB.getAddress());
+  });
+
+  describe("信标代理", function () {
+    it("部署时应该完成初始化，每个集合有独立的所有者和名称", async function () {
+      expect(await collectionA.name()).to.equal("Collection A");
+      expect(await collectionA.owner()).to.equal(owner.address);
+      expect(await collectionB.name()).to.equal("Collection B");
+      expect(await collectionB.owner()).to.equal(addr1.address);
+    });
+
+    it("信标地址应该保存在 EIP-1967 信标槽位中", async function () {
+      const proxyAddress = await collectionA.getAddress();
+
+      expect(await getBeaconAddress(ethers.provider, proxyAddress)).to.equal(await beacon.getAddress());
+      expect(await getImplementationAddress(ethers.provider, proxyAddress)).to.equal(ethers.ZeroAddress);
+      expect(await isEip1967Proxy(ethers.provider, proxyAddress)).to.be.true;
+    });
+
+    it("信标必须是合约", async function () {
+      const BeaconProxy = await ethers.getContractFactory("BeaconProxy");
+
+      await expect(BeaconProxy.deploy(addr2.address, "0x")).to.be.revertedWith("Beacon is not a contract");
+    });
+
+    it("不能通过信标代理执行 UUPS 升级", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(collectionA.upgradeToAndCall(await newImplementation.getAddress(), "0x"))
+        .to.be.revertedWith("Function must be called through active proxy");
+    });
+  });
+
+  describe("信标升级", function () {
+    it("只有信标所有者可以升级", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(beacon.upgradeTo(await newImplementation.getAddress()))
+        .to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("一次信标升级应该同时升级所有集合，状态保持隔离", async function () {
+      await collectionA.setMintPrices(0, 0);
+      await collectionA.setSaleState(true, false);
+      await collectionA.mintNFT(addr2.address, "a-1.json");
+      await collectionA.mintNFT(addr2.address, "a-2.json");
+      await collectionB.setMaxSupply(500);
+      await collectionB.reservedMint(addr2.address, "b-1.json");
+
+      const newImplementation = await deploy("NFTCollectionV2");
+      await expect(upgradeManager.upgradeBeacon(await beacon.getAddress(), await newImplementation.getAddress()))
+        .to.emit(upgradeManager, "BeaconUpgraded")
+        .withArgs(await beacon.getAddress(), await implementation.getAddress(), await newImplementation.getAddress(), 2);
+
+      expect(await beacon.implementation()).to.equal(await newImplementation.getAddress());
+
+      // 集合 A 的状态
+      expect(await collectionA.totalSupply()).to.equal(2);
+      expect(await collectionA.saleActive()).to.be.true;
+      expect(await collectionA.maxSupply()).to.equal(10000);
+      expect(await collectionA.tokenURI(1)).to.contain("a-1.json");
+
+      // 集合 B 的状态
+      expect(await collectionB.totalSupply()).to.equal(1);
+      expect(await collectionB.saleActive()).to.be.false;
+      expect(await collectionB.maxSupply()).to.equal(500);
+      expect(await collectionB.tokenURI(1)).to.contain("b-1.json");
+      expect(await collectionB.owner()).to.equal(addr1.address);
+    });
+
+    it("升级后新部署的集合使用新实现", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+      await upgradeManager.upgradeBeacon(await beacon.getAddress(), await newImplementation.getAddress());
+
+      const collectionC = await deployCollection("Collection C", "COLC");
+      expect(await collectionC.name()).to.equal("Collection C");
+      expect(await collectionC.getVersion()).to.equal("2.0.0");
+    });
+
+    it("不能升级到相同或非合约的实现", async function () {
+      await expect(upgradeManager.upgradeBeacon(await beacon.getAddress(), await implementation.getAddress()))
+        .to.be.revertedWith("Same implementation address");
+      await expect(upgradeManager.upgradeBeacon(await beacon.getAddress(), addr2.address))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+  });
+
+  describe("UpgradeManager 信标管理", function () {
+    it("应该列出信标和挂在信标上的代理", async function () {
+      expect(await upgradeManager.getAllBeacons()).to.deep.equal([await beacon.getAddress()]);
+      expect(await upgradeManager.isRegisteredBeacon(await beacon.getAddress())).to.be.true;
+      expect(await upgradeManager.getBeaconProxies(await beacon.getAddress()))
+        .to.deep.equal([await collectionA.getAddress(), await collectionB.getAddress()]);
+      expect(await upgradeManager.beaconOfProxy(await collectionA.getAddress())).to.equal(await beacon.getAddress());
+    });
+
+    it("不能重复注册信标或重复添加代理", async function () {
+      await expect(upgradeManager.registerBeacon(await beacon.getAddress()))
+        .to.be.revertedWith("Beacon already registered");
+      await expect(upgradeManager.addBeaconProxy(await beacon.getAddress(), await collectionA.getAddress()))
+        .to.be.revertedWith("Proxy already attached");
+    });
+
+    it("只有所有者可以管理信标，只有 UPGRADER_ROLE 可以升级信标", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(upgradeManager.connect(addr1).registerBeacon(await beacon.getAddress()))
+        .to.be.revertedWith("Only owner can call this function");
+      await expect(upgradeManager.connect(addr1).upgradeBeacon(await beacon.getAddress(), await newImplementation.getAddress()))
+        .to.be.revertedWith("Caller is missing role");
+    });
+
+    it("未注册的信标不能升级", async function () {
+      const otherBeacon = await deploy("UpgradeableBeacon", await implementation.getAddress());
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(upgradeManager.upgradeBeacon(await otherBeacon.getAddress(), await newImplementation.getAddress()))
+        .to.be.revertedWith("Beacon not registered");
+    });
+
+    it("注销信标时应该清除代理列表", async function () {
+      await expect(upgradeManager.unregisterBeacon(await beacon.getAddress()))
+        .to.emit(upgradeManager, "BeaconUnregistered")
+        .withArgs(await beacon.getAddress());
+
+      expect(await upgradeManager.getAllBeacons()).to.be.empty;
+      expect(await upgradeManager.getBeaconProxies(await beacon.getAddress())).to.be.empty;
+      expect(await upgradeManager.beaconOfProxy(await collectionA.getAddress())).to.equal(ethers.ZeroAddress);
+    });
+
+    it("启用多签后信标升级需要通过提案", async function () {
+      await upgradeManager.setupApprovers([addr1.address, addr2.address], 2);
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(upgradeManager.upgradeBeacon(await beacon.getAddress(), await newImplementation.getAddress()))
+        .to.be.revertedWith("Multisig approval required");
+
+      await upgradeManager.connect(addr1).proposeBeaconUpgrade(await beacon.getAddress(), await newImplementation.getAddress());
+      await upgradeManager.connect(addr2).approveProposal(0);
+      await upgradeManager.connect(addr2).executeProposal(0);
+
+      expect(await beacon.implementation()).to.equal(await newImplementation.getAddress());
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getAdminAddress } = require("../scripts/utils/eip1967");
+const { predictCollectionAddress } = require("../scripts/utils/collection-factory");
+
+describe("CollectionFactory 确定性部署", function () {
+  let implementation;
+  let upgradeManager;
+  let factory;
+  let owner;
+  let creator;
+  let attacker;
+
+  const params = {
+    name: "Factory Collection",
+    symbol: "FCOL",
+    baseTokenURI: "https://api.testnft.com/metadata/",
+  };
+  const salt = ethers.id("collection-1");
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  function deployCollection(signer, collectionSalt = salt, collectionParams = params) {
+    return factory
+      .connect(signer)
+      .deployCollection(collectionSalt, collectionParams.name, collectionParams.symbol, collectionParams.baseTokenURI);
+  }
+
+  async function predict(deployer, collectionSalt = salt, collectionParams = params) {
+    return predictCollectionAddress(collectionSalt, {
+      ...collectionParams,
+      factory: await factory.getAddress(),
+      implementation: await implementation.getAddress(),
+      deployer,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, creator, attacker] = await ethers.getSigners();
+
+    implementation = await deploy("NFTCollectionV2");
+    upgradeManager = await deploy("UpgradeManager");
+    factory = await deploy("CollectionFactory", await implementation.getAddress(), await upgradeManager.getAddress());
+
+    await upgradeManager.setProxyRegistrar(await factory.getAddress(), true);
+  });
+
+  describe("地址预测", function () {
+    it("JS 预测结果应该与链上预测一致", async function () {
+      const onChain = await factory.predictCollectionAddress(
+        creator.address, salt, params.name, params.symbol, params.baseTokenURI
+      );
+
+      expect(await predict(creator.address)).to.equal(onChain);
+    });
+
+    it("部署后的地址应该与预测一致", async function () {
+      const predicted = await predict(creator.address);
+
+      await expect(deployCollection(creator))
+        .to.emit(factory, "CollectionDeployed")
+        .withArgs(predicted, creator.address, salt, params.name, params.symbol);
+
+      expect(await ethers.provider.getCode(predicted)).to.not.equal("0x");
+      expect(await factory.collections(0)).to.equal(predicted);
+      expect(await factory.getCollectionCount()).to.equal(1);
+    });
+
+    it("不同的部署者或参数得到不同的地址", async function () {
+      const base = await predict(creator.address);
+
+      expect(await predict(attacker.address)).to.not.equal(base);
+      expect(await predict(creator.address, salt, { ...params, name: "Other" })).to.not.equal(base);
+      expect(await predict(creator.address, ethers.id("collection-2"))).to.not.equal(base);
+    });
+  });
+
+  describe("原子部署", function () {
+    let collection;
+
+    beforeEach(async function () {
+      const predicted = await predict(creator.address);
+      await deployCollection(creator);
+      collection = await ethers.getContractAt("NFTCollectionV2", predicted);
+    });
+
+    it("部署时应该完成初始化，调用者成为版税接收者和待接受的所有者", async function () {
+      expect(await collection.name()).to.equal(params.name);
+      expect(await collection.symbol()).to.equal(params.symbol);
+      expect(await collection.pendingOwner()).to.equal(creator.address);
+      expect(await collection.royaltyRecipient()).to.equal(creator.address);
+      expect(await collection.maxSupply()).to.equal(10000);
+
+      await collection.connect(creator).acceptOwnership();
+      expect(await collection.owner()).to.equal(creator.address);
+      expect(await collection.hasRole(await collection.DEFAULT_ADMIN_ROLE(), creator.address)).to.be.true;
+      expect(await collection.hasRole(await collection.DEFAULT_ADMIN_ROLE(), await factory.getAddress())).to.be.false;
+    });
+
+    it("调用者立即获得全部操作角色，工厂不保留任何角色", async function () {
+      const factoryAddress = await factory.getAddress();
+
+      for (const role of ["MINTER_ROLE", "SALE_MANAGER_ROLE", "METADATA_EDITOR_ROLE", "TREASURER_ROLE", "UPGRADER_ROLE"]) {
+        const id = await collection[role]();
+        expect(await collection.hasRole(id, creator.address), role).to.be.true;
+        expect(await collection.hasRole(id, factoryAddress), role).to.be.false;
+      }
+      await collection.connect(creator).reservedMint(creator.address, "1.json");
+    });
+
+    it("部署后任何人都不能再初始化", async function () {
+      await expect(collection.connect(attacker).initialize("Hijacked", "HJK", ""))
+        .to.be.revertedWith("Already initialized");
+    });
+
+    it("代理应该由 UpgradeManager 管理并完成注册", async function () {
+      const collectionAddress = await collection.getAddress();
+
+      expect(await getAdminAddress(ethers.provider, collectionAddress)).to.equal(await upgradeManager.getAddress());
+      expect(await upgradeManager.isRegisteredProxy(collectionAddress)).to.be.true;
+      expect(await upgradeManager.proxyAdmins(collectionAddress)).to.equal(creator.address);
+      expect(await upgradeManager.getUpgradeHistoryLength(collectionAddress)).to.equal(1);
+    });
+
+    it("调用者可以通过 UpgradeManager 升级自己的集合", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+      const collectionAddress = await collection.getAddress();
+
+      await upgradeManager.connect(creator).upgradeProxy(collectionAddress, await newImplementation.getAddress());
+
+      const proxy = await ethers.getContractAt("Proxy", collectionAddress);
+      expect(await proxy.getImplementation()).to.equal(await newImplementation.getAddress());
+      expect(await collection.pendingOwner()).to.equal(creator.address);
+    });
+
+    it("相同的盐值和参数不能重复部署", async function () {
+      await expect(deployCollection(creator)).to.be.reverted;
+    });
+  });
+
+  describe("权限", function () {
+    it("工厂没有注册权限时部署失败", async function () {
+      await upgradeManager.setProxyRegistrar(await factory.getAddress(), false);
+
+      await expect(deployCollection(creator)).to.be.revertedWith("Not authorized");
+    });
+
+    it("只有所有者可以设置代理注册者", async function () {
+      await expect(upgradeManager.connect(attacker).setProxyRegistrar(attacker.address, true))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("非所有者且非注册者不能注册代理", async function () {
+      await expect(upgradeManager.connect(attacker).registerProxy(attacker.address, attacker.address))
+        .to.be.revertedWith("Not authorized");
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  listMetadataFiles,
+  computeProvenance,
+  computeProvenanceFromDir,
+  metadataIdFor,
+  findMappingMismatches,
+  verifyReveal,
+} = require("../scripts/utils/provenance");
+
+describe("延迟揭示", function () {
+  const COLLECTION_SIZE = 10;
+  const PLACEHOLDER_URI = "ipfs://placeholder/hidden.json";
+  const REVEALED_BASE_URI = "ipfs://revealed/";
+
+  // 请求揭示，等承诺区块出块后完成揭示
+  async function reveal(collection) {
+    await collection.reveal();
+    await mine(1);
+    await collection.finalizeReveal();
+  }
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // 在临时文件夹中生成 count 个元数据文件
+  function writeMetadataDir(count) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+    for (let i = 0; i < count; i++) {
+      fs.writeFileSync(path.join(dir, `${i}.json`), JSON.stringify({ name: `Token #${i}`, image: `ipfs://images/${i}.png` }));
+    }
+    return dir;
+  }
+
+  describe("来源证明工具", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = writeMetadataDir(12);
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("应该按数字序号排序文件", function () {
+      const files = listMetadataFiles(dir);
+
+      expect(files).to.have.length(12);
+      expect(files.map((file) => path.basename(file)).slice(0, 3)).to.deep.equal(["0.json", "1.json", "2.json"]);
+      expect(path.basename(files[10])).to.equal("10.json");
+    });
+
+    it("应该拒绝非序号文件名、不连续的序号和空文件夹", function () {
+      fs.writeFileSync(path.join(dir, "cover.json"), "{}");
+      expect(() => listMetadataFiles(dir)).to.throw("无效的元数据文件名 cover.json");
+
+      fs.rmSync(path.join(dir, "cover.json"));
+      fs.rmSync(path.join(dir, "5.json"));
+      expect(() => listMetadataFiles(dir)).to.throw("元数据序号不连续: 期望 5");
+
+      const empty = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+      expect(() => listMetadataFiles(empty)).to.throw("没有元数据文件");
+      fs.rmSync(empty, { recursive: true });
+    });
+
+    it("来源证明为拼接每个文件哈希后再哈希", function () {
+      const { provenanceHash, fileHashes } = computeProvenance(["a", "b"]);
+
+      expect(fileHashes).to.deep.equal([ethers.id("a"), ethers.id("b")]);
+      expect(provenanceHash).to.equal(ethers.keccak256(ethers.concat([ethers.id("a"), ethers.id("b")])));
+      expect(computeProvenance(["b", "a"]).provenanceHash).to.not.equal(provenanceHash);
+    });
+
+    it("修改任意一个文件都会改变来源证明", function () {
+      const before = computeProvenanceFromDir(dir).provenanceHash;
+      fs.writeFileSync(path.join(dir, "7.json"), "{}");
+
+      expect(computeProvenanceFromDir(dir).provenanceHash).to.not.equal(before);
+    });
+
+    it("应该按起始偏移量计算文件序号并找出不匹配的代币", function () {
+      expect(metadataIdFor(1, 0, 10)).to.equal(0);
+      expect(metadataIdFor(1, 7, 10)).to.equal(7);
+      expect(metadataIdFor(4, 7, 10)).to.equal(0);
+      expect(metadataIdFor(10, 7, 10)).to.equal(6);
+
+      const tokens = [
+        { tokenId: 1, uri: "ipfs://revealed/7" },
+        { tokenId: 2, uri: "ipfs://revealed/9" },
+        { tokenId: 3, uri: "ipfs://other/9" },
+        { tokenId: 4, uri: "ipfs://revealed/0" },
+      ];
+      expect(findMappingMismatches(tokens, 7, 10)).to.deep.equal([
+        { tokenId: 2n, uri: "ipfs://revealed/9", expected: 8 },
+        { tokenId: 3n, uri: "ipfs://other/9", expected: 9 },
+      ]);
+    });
+  });
+
+  // NFTCollection 直接部署，NFTCollectionV2 通过 Proxy 部署
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Reveal NFT", "RVL", REVEALED_BASE_URI, await feed.getAddress());
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Reveal NFT", "RVL", REVEALED_BASE_URI);
+        return collection;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let owner;
+      let alice;
+      let dir;
+      let provenanceHash;
+
+      beforeEach(async function () {
+        [owner, alice] = await ethers.getSigners();
+        collection = await variant.deployCollection();
+        await collection.setMaxSupply(COLLECTION_SIZE);
+
+        dir = writeMetadataDir(COLLECTION_SIZE);
+        ({ provenanceHash } = computeProvenanceFromDir(dir));
+      });
+
+      afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      describe("提交来源证明", function () {
+        it("应该保存来源证明并触发事件", async function () {
+          await expect(collection.setProvenanceHash(provenanceHash))
+            .to.emit(collection, "ProvenanceHashSet")
+            .withArgs(provenanceHash);
+
+          const config = await collection.revealConfig();
+          expect(config.provenanceHash).to.equal(provenanceHash);
+          expect(config.revealed).to.be.false;
+        });
+
+        it("来源证明不能为空，开始铸造后不能提交", async function () {
+          await expect(collection.setProvenanceHash(ethers.ZeroHash)).to.be.revertedWith("Invalid provenance hash");
+
+          await collection.reservedMint(alice.address, "1.json");
+          await expect(collection.setProvenanceHash(provenanceHash)).to.be.revertedWith("Sale already started");
+        });
+
+        it("提交后不能修改最大供应量", async function () {
+          await collection.setProvenanceHash(provenanceHash);
+
+          await expect(collection.setMaxSupply(COLLECTION_SIZE + 1)).to.be.revertedWith("Provenance already committed");
+        });
+
+        it("只有所有者可以提交来源证明和设置占位 URI", async function () {
+          await variant.expectUnauthorized(collection, collection.connect(alice).setProvenanceHash(provenanceHash));
+          await variant.expectUnauthorized(collection, collection.connect(alice).setPlaceholderURI(PLACEHOLDER_URI));
+        });
+      });
+
+      describe("揭示", function () {
+        beforeEach(async function () {
+          await collection.setProvenanceHash(provenanceHash);
+          await expect(collection.setPlaceholderURI(PLACEHOLDER_URI))
+            .to.emit(collection, "PlaceholderURIUpdated")
+            .withArgs(PLACEHOLDER_URI);
+          for (let i = 1; i <= 4; i++) {
+            await collection.reservedMint(alice.address, `${i}.json`);
+          }
+        });
+
+        it("揭示前所有代币返回占位 URI", async function () {
+          expect(await collection.tokenURI(1)).to.equal(PLACEHOLDER_URI);
+          expect(await collection.tokenURI(4)).to.equal(PLACEHOLDER_URI);
+          await expect(collection.tokenURI(5)).to.be.revertedWithCustomError(collection, "ERC721NonexistentToken");
+        });
+
+        it("请求揭示承诺下一个区块，出块后任何人都可以完成揭示", async function () {
+          const requestBlock = await ethers.provider.getBlockNumber() + 1;
+          await expect(collection.reveal())
+            .to.emit(collection, "RevealRequested")
+            .withArgs(requestBlock + 1);
+          expect((await collection.revealConfig()).revealed).to.be.false;
+
+          await mine(1);
+          const { hash } = await ethers.provider.getBlock(requestBlock + 1);
+          const expected = BigInt(ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [hash, provenanceHash])
+          )) % BigInt(COLLECTION_SIZE);
+
+          await expect(collection.connect(alice).finalizeReveal())
+            .to.emit(collection, "Revealed")
+            .withArgs(expected)
+            .and.to.emit(collection, "BatchMetadataUpdate")
+            .withArgs(1, COLLECTION_SIZE);
+
+          const { startingIndex, revealed } = await collection.revealConfig();
+          expect(revealed).to.be.true;
+          expect(startingIndex).to.be.lessThan(COLLECTION_SIZE);
+
+          for (let tokenId = 1; tokenId <= 4; tokenId++) {
+            expect(await collection.tokenURI(tokenId))
+              .to.equal(`${REVEALED_BASE_URI}${metadataIdFor(tokenId, startingIndex, COLLECTION_SIZE)}`);
+          }
+
+          // 揭示后铸造的代币同样按偏移量映射
+          await collection.reservedMint(alice.address, "5.json");
+          expect(await collection.tokenURI(5)).to.equal(`${REVEALED_BASE_URI}${metadataIdFor(5, startingIndex, COLLECTION_SIZE)}`);
+        });
+
+        it("承诺区块出块前不能完成揭示，未过期的请求不能覆盖", async function () {
+          await expect(collection.finalizeReveal()).to.be.revertedWith("Reveal not requested");
+
+          await collection.reveal();
+          await expect(collection.finalizeReveal()).to.be.revertedWith("Reveal block not mined");
+          await expect(collection.reveal()).to.be.revertedWith("Reveal already requested");
+        });
+
+        it("承诺区块过期后需要重新请求", async function () {
+          await collection.reveal();
+          await mine(257);
+
+          await expect(collection.finalizeReveal()).to.be.revertedWith("Reveal block expired");
+
+          await expect(collection.reveal()).to.emit(collection, "RevealRequested");
+          await mine(1);
+          await expect(collection.finalizeReveal()).to.emit(collection, "Revealed");
+        });
+
+        it("只能揭示一次，揭示后不能修改来源证明", async function () {
+          await reveal(collection);
+
+          await expect(collection.reveal()).to.be.revertedWith("Already revealed");
+          await expect(collection.finalizeReveal()).to.be.revertedWith("Already revealed");
+          await expect(collection.setMaxSupply(COLLECTION_SIZE + 1)).to.be.revertedWith("Provenance already committed");
+        });
+
+        it("揭示结果与元数据文件夹一致", async function () {
+          const before = await verifyReveal(collection, dir);
+          expect(before.onchainHash).to.equal(before.localHash);
+          expect(before.revealed).to.be.false;
+          expect(before.checked).to.equal(0);
+
+          await reveal(collection);
+
+          const after = await verifyReveal(collection, dir);
+          expect(after.collectionSize).to.equal(after.fileCount);
+          expect(after.checked).to.equal(4);
+          expect(after.mismatches).to.deep.equal([]);
+        });
+
+        it("元数据文件被修改时来源证明不一致", async function () {
+          fs.writeFileSync(path.join(dir, "3.json"), JSON.stringify({ name: "Rare" }));
+
+          const result = await verifyReveal(collection, dir);
+          expect(result.onchainHash).to.equal(provenanceHash);
+          expect(result.localHash).to.not.equal(provenanceHash);
+        });
+
+        it("未提交来源证明时不能揭示", async function () {
+          const fresh = await variant.deployCollection();
+
+          await expect(fresh.reveal()).to.be.revertedWith("Provenance not set");
+        });
+
+        it("只有所有者可以揭示和冻结", async function () {
+          await variant.expectUnauthorized(collection, collection.connect(alice).reveal());
+          await variant.expectUnauthorized(collection, collection.connect(alice).freezeMetadata());
+        });
+      });
+
+      describe("冻结元数据", function () {
+        beforeEach(async function () {
+          await collection.setProvenanceHash(provenanceHash);
+          await collection.reservedMint(alice.address, "1.json");
+        });
+
+        it("揭示前不能冻结", async function () {
+          await expect(collection.freezeMetadata()).to.be.revertedWith("Not revealed");
+        });
+
+        it("冻结后不能修改基础 URI 和占位 URI", async function () {
+          await reveal(collection);
+          await expect(collection.freezeMetadata()).to.emit(collection, "MetadataFrozen");
+
+          expect((await collection.revealConfig()).frozen).to.be.true;
+          await expect(collection.setBaseTokenURI("ipfs://changed/")).to.be.revertedWith("Metadata is frozen");
+          await expect(collection.setPlaceholderURI("ipfs://changed.json")).to.be.revertedWith("Metadata is frozen");
+          await expect(collection.freezeMetadata()).to.be.revertedWith("Metadata is frozen");
+        });
+      });
+    });
+  }
+
+  describe("NFTCollection 单个代币 URI", function () {
+    it("冻结后代币持有者也不能修改 URI", async function () {
+      const [, alice] = await ethers.getSigners();
+      const collection = await variants[0].deployCollection();
+      await collection.setMaxSupply(COLLECTION_SIZE);
+      await collection.setProvenanceHash(ethers.id("provenance"));
+      await collection.reservedMint(alice.address, "1.json");
+      await reveal(collection);
+      await collection.freezeMetadata();
+
+      await expect(collection.connect(alice).setTokenURI(1, "2.json")).to.be.revertedWith("Metadata is frozen");
+    });
+  });
+
+  describe("NFTCollection 管理模块", function () {
+    it("部署时创建管理模块，直接调用管理模块会失败", async function () {
+      const [, alice] = await ethers.getSigners();
+      const collection = await deploy("NFTCollection", "Reveal NFT", "RVL", REVEALED_BASE_URI, ethers.ZeroAddress);
+      const adminModule = await collection.adminModule();
+
+      expect(await ethers.provider.getCode(adminModule)).to.not.equal("0x");
+
+      // 管理模块自己的存储中没有所有者和角色成员
+      const admin = await ethers.getContractAt("NFTCollectionAdmin", adminModule);
+      expect(await admin.owner()).to.equal(ethers.ZeroAddress);
+      await expect(admin.setProvenanceHash(ethers.id("provenance"))).to.be.revertedWithCustomError(admin, "AccessControlUnauthorizedAccount");
+      await expect(admin.connect(alice).withdraw()).to.be.revertedWithCustomError(admin, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("NFTCollectionV2 管理模块", function () {
+    it("实现合约部署时创建管理模块，直接调用管理模块会失败", async function () {
+      const [, alice] = await ethers.getSigners();
+      const implementation = await deploy("NFTCollectionV2");
+      const adminModule = await implementation.adminModule();
+
+      expect(await ethers.provider.getCode(adminModule)).to.not.equal("0x");
+
+      // 管理模块自己的存储中没有角色成员
+      const admin = await ethers.getContractAt("NFTCollectionV2Admin", adminModule);
+      await expect(admin.setProvenanceHash(ethers.id("provenance"))).to.be.revertedWith("Caller is missing role");
+      await expect(admin.connect(alice).withdraw()).to.be.revertedWith("Caller is missing role");
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadDeployConfig,
+  validateDeployConfig,
+  loadManifest,
+  runDeployment,
+} = require("../scripts/utils/deployment");
+
+describe("部署流水线", function () {
+  const { ethers } = hre;
+  const config = {
+    collection: { name: "Deploy NFT", symbol: "DNFT", baseTokenURI: "ipfs://deploy/" },
+  };
+
+  let dir;
+  let manifestPath;
+  let deployer;
+
+  const silent = () => {};
+
+  function deploy(options = {}) {
+    return runDeployment(hre, { config, manifestPath, log: silent, ...options });
+  }
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    manifestPath = path.join(dir, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("配置", function () {
+    it("应该读取网络对应的配置文件", function () {
+      fs.writeFileSync(path.join(dir, "localhost.json"), JSON.stringify(config));
+
+      expect(loadDeployConfig(dir, "localhost")).to.deep.equal(config);
+      expect(() => loadDeployConfig(dir, "mainnet")).to.throw("缺少网络 mainnet 的部署配置");
+    });
+
+    it("应该校验必填字段和地址", function () {
+      expect(() => validateDeployConfig({})).to.throw("部署配置缺少 collection.name");
+      expect(() => validateDeployConfig({ collection: { ...config.collection, symbol: "" } }))
+        .to.throw("部署配置缺少 collection.symbol");
+      expect(() => validateDeployConfig({ ...config, upgradeManager: "0x1234" }))
+        .to.throw("部署配置中的 upgradeManager 不是有效地址");
+      expect(() => validateDeployConfig({ ...config, salt: "0x1234" }))
+        .to.throw("部署配置中的 salt 不是 32 字节十六进制");
+    });
+
+    it("仓库中的本地网络配置有效", function () {
+      const configDir = path.join(__dirname, "..", "deploy-config");
+
+      for (const network of ["hardhat", "localhost"]) {
+        expect(() => loadDeployConfig(configDir, network)).to.not.throw();
+      }
+    });
+  });
+
+  describe("部署", function () {
+    it("应该通过工厂部署、初始化并注册代理，清单记录地址、交易和构造参数", async function () {
+      const manifest = await deploy();
+
+      const { implementation, upgradeManager, collectionFactory, proxy } = manifest.contracts;
+      expect(implementation.contract).to.equal("NFTCollectionV2");
+      expect(implementation.args).to.deep.equal([]);
+      expect(collectionFactory.args).to.deep.equal([implementation.address, upgradeManager.address]);
+      expect(proxy.args).to.deep.equal([implementation.address]);
+      expect(proxy.factory).to.equal(collectionFactory.address);
+      expect(proxy.salt).to.equal(ethers.ZeroHash);
+      expect(manifest.collection).to.equal(proxy.address);
+      expect(manifest.upgradeManager).to.equal(upgradeManager.address);
+
+      // 部署和初始化在同一笔交易中完成
+      const factory = await ethers.getContractAt("CollectionFactory", collectionFactory.address);
+      const receipt = await ethers.provider.getTransactionReceipt(proxy.txHash);
+      expect(receipt.to).to.equal(collectionFactory.address);
+      expect(await factory.predictCollectionAddress(deployer.address, ethers.ZeroHash, "Deploy NFT", "DNFT", "ipfs://deploy/"))
+        .to.equal(proxy.address);
+      expect(Object.keys(manifest.steps)).to.deep.equal(["setProxyRegistrar", "acceptOwnership"]);
+
+      // 链上状态
+      const collection = await ethers.getContractAt("NFTCollectionV2", proxy.address);
+      expect(await collection.name()).to.equal("Deploy NFT");
+      expect(await collection.owner()).to.equal(deployer.address);
+      expect(await collection.hasRole(await collection.DEFAULT_ADMIN_ROLE(), deployer.address)).to.be.true;
+      expect(await collection.hasRole(await collection.MINTER_ROLE(), deployer.address)).to.be.true;
+
+      const proxyContract = await ethers.getContractAt("Proxy", proxy.address);
+      expect(await proxyContract.getAdmin()).to.equal(upgradeManager.address);
+
+      const manager = await ethers.getContractAt("UpgradeManager", upgradeManager.address);
+      expect(await manager.proxyAdmins(proxy.address)).to.equal(deployer.address);
+
+      // 清单已写入文件
+      expect(JSON.parse(fs.readFileSync(manifestPath, "utf8"))).to.deep.equal(manifest);
+    });
+
+    it("重复运行时跳过已完成的步骤，不发送交易", async function () {
+      const first = await deploy();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      const logs = [];
+      const second = await deploy({ log: (line) => logs.push(line) });
+
+      expect(second).to.deep.equal(first);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+      expect(logs.filter((line) => line.startsWith("⏭️"))).to.have.length(6);
+    });
+
+    it("中途失败后从未完成的步骤继续", async function () {
+      const first = await deploy();
+
+      // 模拟部署 UpgradeManager 之后中断：清单中只保留前两个合约
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      delete manifest.contracts.collectionFactory;
+      delete manifest.contracts.proxy;
+      manifest.steps = {};
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const resumed = await deploy();
+
+      // 部署工厂 + 授权工厂 + 工厂部署集合 + 接受所有权，共 4 笔交易
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 4);
+      expect(resumed.contracts.implementation).to.deep.equal(first.contracts.implementation);
+      expect(resumed.contracts.upgradeManager).to.deep.equal(first.contracts.upgradeManager);
+      expect(resumed.contracts.proxy.address).to.not.equal(first.contracts.proxy.address);
+      expect(Object.keys(resumed.steps)).to.deep.equal(["setProxyRegistrar", "acceptOwnership"]);
+    });
+
+    it("配置了其他代理管理员时重新注册代理", async function () {
+      const [, admin] = await ethers.getSigners();
+      const manifest = await deploy({ config: { ...config, proxyAdmin: admin.address } });
+
+      const manager = await ethers.getContractAt("UpgradeManager", manifest.upgradeManager);
+      expect(await manager.proxyAdmins(manifest.collection)).to.equal(admin.address);
+      expect(await manager.getUpgradeHistoryLength(manifest.collection)).to.equal(1);
+      expect(manifest.steps.registerProxy.args).to.deep.equal([manifest.collection, admin.address]);
+    });
+
+    it("使用配置中已有的 UpgradeManager", async function () {
+      const Manager = await ethers.getContractFactory("UpgradeManager");
+      const existing = await Manager.deploy();
+      await existing.waitForDeployment();
+
+      const manifest = await deploy({ config: { ...config, upgradeManager: await existing.getAddress() } });
+
+      expect(manifest.contracts.upgradeManager).to.be.undefined;
+      expect(manifest.upgradeManager).to.equal(await existing.getAddress());
+      expect(await existing.isRegisteredProxy(manifest.collection)).to.be.true;
+    });
+
+    it("fresh 模式忽略已有清单重新部署", async function () {
+      const first = await deploy();
+      const second = await deploy({ fresh: true });
+
+      expect(second.collection).to.not.equal(first.collection);
+    });
+  });
+
+  describe("清单校验", function () {
+    it("清单属于其他链时失败", async function () {
+      fs.writeFileSync(manifestPath, JSON.stringify({ chainId: 1, contracts: {}, steps: {} }));
+
+      expect(() => loadManifest(manifestPath, "hardhat", 31337n)).to.throw("属于链 1，当前链为 31337");
+      await expect(deploy()).to.be.rejectedWith("属于链 1");
+    });
+
+    it("清单中的合约在链上不存在时失败", async function () {
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        chainId: 31337,
+        contracts: { proxy: { contract: "Proxy", address: ethers.Wallet.createRandom().address } },
+        steps: {},
+      }));
+
+      await expect(deploy()).to.be.rejectedWith("在链上没有代码");
+    });
+  });
+});
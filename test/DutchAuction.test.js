@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("NFTCollectionV2 荷兰拍", function () {
+  let collection;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let start;
+
+  const STEP = 600; // 每 10 分钟降价一次
+  const START_PRICE = ethers.parseEther("1");
+  const FLOOR_PRICE = ethers.parseEther("0.2");
+  const PRICE_DROP = ethers.parseEther("0.1");
+  const SUPPLY = 5;
+
+  const uris = (count) => Array.from({ length: count }, (_, i) => `${i + 1}.json`);
+
+  // 移动到第 step 次降价之后的区间中间，避免交易所在区块跨过降价时间点
+  async function goToStep(step) {
+    await time.increaseTo(start + step * STEP + STEP / 2);
+  }
+
+  function auctionMint(signer, count, value) {
+    return collection.connect(signer).auctionMint(signer.address, uris(count), { value });
+  }
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const implementation = await deploy("NFTCollectionV2");
+    const proxy = await deploy("Proxy", await implementation.getAddress());
+    collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+    await collection.initialize("Auction NFT", "AUC", "ipfs://base/");
+
+    start = (await time.latest()) + 1000;
+    await expect(collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, STEP, SUPPLY))
+      .to.emit(collection, "DutchAuctionConfigured")
+      .withArgs(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, STEP, SUPPLY);
+  });
+
+  describe("配置", function () {
+    it("应该校验配置", async function () {
+      await expect(collection.setDutchAuction(start, FLOOR_PRICE, START_PRICE, PRICE_DROP, STEP, SUPPLY))
+        .to.be.revertedWith("Invalid auction config");
+      await expect(collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, 0, STEP, SUPPLY))
+        .to.be.revertedWith("Invalid auction config");
+      await expect(collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, 0, SUPPLY))
+        .to.be.revertedWith("Invalid auction config");
+      await expect(collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, STEP, 0))
+        .to.be.revertedWith("Invalid auction config");
+    });
+
+    it("只有所有者可以配置和提前结束", async function () {
+      await expect(collection.connect(alice).setDutchAuction(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, STEP, SUPPLY))
+        .to.be.revertedWith("Caller is missing role");
+      await expect(collection.connect(alice).finalizeAuction())
+        .to.be.revertedWith("Caller is missing role");
+    });
+
+    it("有成交后不能修改配置", async function () {
+      await goToStep(0);
+      await auctionMint(alice, 1, START_PRICE);
+
+      await expect(collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, PRICE_DROP, STEP, SUPPLY))
+        .to.be.revertedWith("Auction already has sales");
+    });
+  });
+
+  describe("价格", function () {
+    it("开始前为起拍价，不能铸造", async function () {
+      const now = await time.latest();
+
+      expect(await collection.getAuctionPrice()).to.equal(START_PRICE);
+      expect(await collection.getAuctionTimeToNextStep()).to.equal(start - now + STEP);
+      await expect(auctionMint(alice, 1, START_PRICE)).to.be.revertedWith("Auction is not active");
+      await expect(collection.finalizeAuction()).to.be.revertedWith("Auction is not active");
+    });
+
+    it("每个间隔下降一次", async function () {
+      await goToStep(0);
+      expect(await collection.getAuctionPrice()).to.equal(START_PRICE);
+      expect(await collection.getAuctionTimeToNextStep()).to.equal(STEP / 2);
+
+      await goToStep(3);
+      expect(await collection.getAuctionPrice()).to.equal(ethers.parseEther("0.7"));
+      expect(await collection.getAuctionTimeToNextStep()).to.equal(STEP / 2);
+
+      await time.increaseTo(start + 4 * STEP);
+      expect(await collection.getAuctionPrice()).to.equal(ethers.parseEther("0.6"));
+      expect(await collection.getAuctionTimeToNextStep()).to.equal(STEP);
+    });
+
+    it("降到底价后不再下降", async function () {
+      await goToStep(8);
+      expect(await collection.getAuctionPrice()).to.equal(FLOOR_PRICE);
+      expect(await collection.getAuctionTimeToNextStep()).to.equal(0);
+
+      await goToStep(100);
+      expect(await collection.getAuctionPrice()).to.equal(FLOOR_PRICE);
+    });
+
+    it("降价幅度不能整除时停在底价", async function () {
+      await collection.setDutchAuction(start, START_PRICE, FLOOR_PRICE, ethers.parseEther("0.3"), STEP, SUPPLY);
+
+      await goToStep(2);
+      expect(await collection.getAuctionPrice()).to.equal(ethers.parseEther("0.4"));
+      await goToStep(3);
+      expect(await collection.getAuctionPrice()).to.equal(FLOOR_PRICE);
+    });
+  });
+
+  describe("铸造", function () {
+    beforeEach(async function () {
+      await goToStep(2); // 0.8 ETH
+    });
+
+    it("按当前价格铸造并记录出价", async function () {
+      await expect(auctionMint(alice, 2, ethers.parseEther("1.7")))
+        .to.emit(collection, "AuctionMinted")
+        .withArgs(alice.address, 2, ethers.parseEther("0.8"));
+
+      const bid = await collection.auctionBids(alice.address);
+      expect(bid.paid).to.equal(ethers.parseEther("1.7"));
+      expect(bid.quantity).to.equal(2);
+      expect(await collection.balanceOf(alice.address)).to.equal(2);
+      expect((await collection.dutchAuction()).sold).to.equal(2);
+    });
+
+    it("支付不足或超过拍卖数量时失败", async function () {
+      await expect(auctionMint(alice, 2, ethers.parseEther("1.6") - 1n)).to.be.revertedWith("Insufficient payment");
+      await expect(auctionMint(alice, SUPPLY + 1, ethers.parseEther("10"))).to.be.revertedWith("Exceeds auction supply");
+      await expect(auctionMint(alice, 0, 0)).to.be.revertedWith("Must mint at least one NFT");
+    });
+
+    it("结束前不能领取退款，可以查询估算的退款", async function () {
+      await auctionMint(alice, 1, ethers.parseEther("0.8"));
+      await goToStep(5);
+      await auctionMint(bob, 1, ethers.parseEther("0.5"));
+
+      expect(await collection.auctionRefundDue(alice.address)).to.equal(ethers.parseEther("0.3"));
+      await expect(collection.connect(alice).claimAuctionRefund()).to.be.revertedWith("Auction not finalized");
+    });
+  });
+
+  describe("完整拍卖", function () {
+    it("拍完自动结束，按成交价退款，所有者只能提取成交收入", async function () {
+      // alice 在 1.0 ETH 时买 2 个
+      await goToStep(0);
+      await auctionMint(alice, 2, ethers.parseEther("2"));
+
+      // bob 在 0.7 ETH 时买 1 个，多付 0.1 ETH
+      await goToStep(3);
+      await auctionMint(bob, 1, ethers.parseEther("0.8"));
+
+      // carol 在 0.5 ETH 时买完剩下的 2 个
+      await goToStep(5);
+      await expect(auctionMint(carol, 2, ethers.parseEther("1")))
+        .to.emit(collection, "AuctionFinalized")
+        .withArgs(ethers.parseEther("0.5"), SUPPLY);
+
+      const auction = await collection.dutchAuction();
+      expect(auction.finalized).to.be.true;
+      expect(auction.clearingPrice).to.equal(ethers.parseEther("0.5"));
+      await expect(auctionMint(carol, 1, ethers.parseEther("1"))).to.be.revertedWith("Auction finalized");
+
+      // 所有者只能提取 5 * 0.5 = 2.5 ETH
+      await expect(collection.withdraw())
+        .to.changeEtherBalances([owner, collection], [ethers.parseEther("2.5"), -ethers.parseEther("2.5")]);
+
+      // 退款：alice 2 - 2 * 0.5 = 1，bob 0.8 - 0.5 = 0.3，carol 没有退款
+      const refund = collection.connect(alice).claimAuctionRefund();
+      await expect(refund).to.emit(collection, "AuctionRefunded").withArgs(alice.address, ethers.parseEther("1"));
+      await expect(refund).to.changeEtherBalances([alice, collection], [ethers.parseEther("1"), -ethers.parseEther("1")]);
+      await expect(collection.connect(bob).claimAuctionRefund())
+        .to.changeEtherBalances([bob, collection], [ethers.parseEther("0.3"), -ethers.parseEther("0.3")]);
+      await expect(collection.connect(carol).claimAuctionRefund()).to.be.revertedWith("No refund due");
+
+      // 不能重复领取
+      await expect(collection.connect(alice).claimAuctionRefund()).to.be.revertedWith("No refund due");
+      expect(await collection.auctionRefundDue(alice.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(await collection.getAddress())).to.equal(0);
+    });
+
+    it("所有者提前结束时以最后一笔成交价结算", async function () {
+      await goToStep(1);
+      await auctionMint(alice, 1, ethers.parseEther("0.9"));
+      await goToStep(4);
+      await auctionMint(bob, 1, ethers.parseEther("0.6"));
+
+      await expect(collection.finalizeAuction())
+        .to.emit(collection, "AuctionFinalized")
+        .withArgs(ethers.parseEther("0.6"), 2);
+      await expect(collection.finalizeAuction()).to.be.revertedWith("Auction finalized");
+
+      // 结束前收入全部锁定，结束后只保留未领取的退款
+      await expect(collection.withdraw())
+        .to.changeEtherBalance(owner, ethers.parseEther("1.2"));
+      await expect(collection.connect(alice).claimAuctionRefund())
+        .to.changeEtherBalance(alice, ethers.parseEther("0.3"));
+    });
+
+    it("结束前所有者不能提取拍卖收入", async function () {
+      await goToStep(0);
+      await auctionMint(alice, 1, START_PRICE);
+
+      await expect(collection.withdraw()).to.changeEtherBalance(owner, 0);
+    });
+  });
+});
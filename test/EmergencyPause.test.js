@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createVoucher, signVoucher } = require("../scripts/utils/vouchers");
+
+describe("紧急暂停与守护者", function () {
+  const PAUSE_MINT = 1;
+  const PAUSE_TRANSFER = 2;
+  const PAUSE_METADATA = 4;
+  const PRICE = ethers.parseEther("0.05");
+
+  let owner;
+  let guardian;
+  let buyer;
+  let other;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, guardian, buyer, other] = await ethers.getSigners();
+  });
+
+  describe("NFTCollectionV2 (Proxy)", function () {
+    let collection;
+
+    beforeEach(async function () {
+      const implementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("Proxy", await implementation.getAddress());
+      collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+      await collection.initialize("Pause NFT", "PNFT", "ipfs://base/");
+      await collection.setSaleState(true, false);
+      await collection.setGuardian(guardian.address);
+    });
+
+    describe("守护者", function () {
+      it("只有 DEFAULT_ADMIN_ROLE 可以设置守护者", async function () {
+        await expect(collection.setGuardian(other.address))
+          .to.emit(collection, "GuardianUpdated")
+          .withArgs(guardian.address, other.address);
+        expect(await collection.guardian()).to.equal(other.address);
+
+        await expect(collection.connect(guardian).setGuardian(guardian.address)).to.be.revertedWith("Caller is missing role");
+      });
+
+      it("守护者可以暂停，但不能恢复或升级", async function () {
+        await expect(collection.connect(guardian).pause(PAUSE_MINT | PAUSE_TRANSFER))
+          .to.emit(collection, "Paused")
+          .withArgs(guardian.address, PAUSE_MINT | PAUSE_TRANSFER);
+        expect(await collection.pausedFlags()).to.equal(PAUSE_MINT | PAUSE_TRANSFER);
+
+        await expect(collection.connect(guardian).unpause(PAUSE_MINT)).to.be.revertedWith("Caller is missing role");
+        // 守护者不拥有任何角色，也不是代理管理员
+        expect(await collection.hasRole(await collection.UPGRADER_ROLE(), guardian.address)).to.be.false;
+        const newImplementation = await deploy("NFTCollectionV2");
+        await expect(collection.connect(guardian).upgradeToAndCall(await newImplementation.getAddress(), "0x"))
+          .to.be.revertedWith("Only admin can upgrade");
+      });
+
+      it("其他地址不能暂停，标志必须有效", async function () {
+        await expect(collection.connect(other).pause(PAUSE_MINT)).to.be.revertedWith("Caller cannot pause");
+        await expect(collection.pause(0)).to.be.revertedWith("Invalid pause flags");
+        await expect(collection.pause(8)).to.be.revertedWith("Invalid pause flags");
+      });
+
+      it("DEFAULT_ADMIN_ROLE 可以暂停和按标志恢复", async function () {
+        await collection.pause(PAUSE_MINT | PAUSE_METADATA);
+        await expect(collection.unpause(PAUSE_MINT))
+          .to.emit(collection, "Unpaused")
+          .withArgs(owner.address, PAUSE_MINT);
+
+        expect(await collection.pausedFlags()).to.equal(PAUSE_METADATA);
+      });
+    });
+
+    describe("铸造", function () {
+      it("暂停后所有铸造途径都被拦截", async function () {
+        await collection.grantRole(await collection.MINTER_ROLE(), guardian.address);
+        const voucher = createVoucher({ tokenURI: "v.json", expiry: (await time.latest()) + 3600 });
+        const { signature } = await signVoucher(guardian, collection, voucher);
+
+        await collection.connect(guardian).pause(PAUSE_MINT);
+
+        await expect(collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: PRICE }))
+          .to.be.revertedWith("Function is paused");
+        await expect(collection.reservedMint(buyer.address, "r.json")).to.be.revertedWith("Function is paused");
+        await expect(collection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Function is paused");
+
+        await collection.unpause(PAUSE_MINT);
+        await collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: PRICE });
+        await collection.connect(buyer).redeem(voucher, signature);
+        expect(await collection.balanceOf(buyer.address)).to.equal(2);
+      });
+
+      it("暂停铸造不影响转移", async function () {
+        await collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: PRICE });
+        await collection.pause(PAUSE_MINT);
+
+        await collection.connect(buyer).transferFrom(buyer.address, other.address, 1);
+        expect(await collection.ownerOf(1)).to.equal(other.address);
+      });
+    });
+
+    describe("转移", function () {
+      it("暂停后持有者和被授权者都不能转移，铸造不受影响", async function () {
+        await collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: PRICE });
+        await collection.connect(buyer).approve(other.address, 1);
+        await collection.connect(guardian).pause(PAUSE_TRANSFER);
+
+        await expect(collection.connect(buyer).transferFrom(buyer.address, other.address, 1))
+          .to.be.revertedWith("Function is paused");
+        await expect(collection.connect(other)["safeTransferFrom(address,address,uint256)"](buyer.address, other.address, 1))
+          .to.be.revertedWith("Function is paused");
+
+        await collection.connect(buyer).mintNFT(buyer.address, "2.json", { value: PRICE });
+        expect(await collection.balanceOf(buyer.address)).to.equal(2);
+
+        await collection.unpause(PAUSE_TRANSFER);
+        await collection.connect(other).transferFrom(buyer.address, other.address, 1);
+        expect(await collection.ownerOf(1)).to.equal(other.address);
+      });
+    });
+
+    describe("元数据", function () {
+      it("暂停后不能修改元数据，读取不受影响", async function () {
+        await collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: PRICE });
+        await collection.connect(guardian).pause(PAUSE_METADATA);
+
+        await expect(collection.setBaseTokenURI("ipfs://evil/")).to.be.revertedWith("Function is paused");
+        await expect(collection.setRenderer(other.address)).to.be.revertedWith("Function is paused");
+        await expect(collection.setTokenTraits(1, ["Eyes"], ["Laser"])).to.be.revertedWith("Function is paused");
+        await expect(collection.setPlaceholderURI("ipfs://placeholder")).to.be.revertedWith("Function is paused");
+        await expect(collection.freezeMetadata()).to.be.revertedWith("Function is paused");
+        expect(await collection.tokenURI(1)).to.equal("1.json");
+
+        await collection.unpause(PAUSE_METADATA);
+        await collection.setBaseTokenURI("ipfs://new/");
+      });
+    });
+  });
+
+  describe("UpgradeManager 冻结升级", function () {
+    let upgradeManager;
+    let logicV2;
+    let proxy;
+    let proxyAddress;
+
+    beforeEach(async function () {
+      upgradeManager = await deploy("UpgradeManager");
+      const logicV1 = await deploy("LogicContract");
+      logicV2 = await deploy("LogicContractV2");
+      proxy = await deploy("Proxy", await logicV1.getAddress());
+      proxyAddress = await proxy.getAddress();
+
+      await proxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(proxyAddress);
+      await upgradeManager.registerProxy(proxyAddress, owner.address);
+      await upgradeManager.setGuardian(guardian.address);
+    });
+
+    it("守护者可以冻结，冻结后所有升级途径都被拦截", async function () {
+      await expect(upgradeManager.connect(guardian).freezeUpgrades(proxyAddress))
+        .to.emit(upgradeManager, "UpgradesFrozen")
+        .withArgs(proxyAddress, guardian.address);
+      expect(await upgradeManager.upgradesFrozen(proxyAddress)).to.be.true;
+
+      const implementation = await logicV2.getAddress();
+      await expect(upgradeManager.upgradeProxy(proxyAddress, implementation)).to.be.revertedWith("Upgrades frozen");
+      await expect(upgradeManager.upgradeProxyAndCall(proxyAddress, implementation, "0x")).to.be.revertedWith("Upgrades frozen");
+      await expect(upgradeManager.rollbackProxy(proxyAddress, 1)).to.be.revertedWith("Upgrades frozen");
+      await expect(upgradeManager.scheduleUpgrade(proxyAddress, implementation, "0x", 0)).to.be.revertedWith("Upgrades frozen");
+      await expect(upgradeManager.transferProxyAdmin(proxyAddress, other.address)).to.be.revertedWith("Upgrades frozen");
+    });
+
+    it("冻结前的排期在冻结期间不能执行", async function () {
+      await upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 0);
+      await upgradeManager.connect(guardian).freezeUpgrades(proxyAddress);
+
+      await expect(upgradeManager.executeUpgrade(proxyAddress)).to.be.revertedWith("Upgrades frozen");
+    });
+
+    it("多签升级提案在冻结期间不能执行", async function () {
+      await upgradeManager.setupApprovers([owner.address, other.address], 2);
+      await upgradeManager.proposeUpgrade(proxyAddress, await logicV2.getAddress(), "0x");
+      await upgradeManager.connect(other).approveProposal(0);
+      await upgradeManager.connect(guardian).freezeUpgrades(proxyAddress);
+
+      await expect(upgradeManager.executeProposal(0)).to.be.revertedWith("Upgrades frozen");
+    });
+
+    it("守护者不能解冻或升级，只有所有者可以解冻", async function () {
+      await upgradeManager.connect(guardian).freezeUpgrades(proxyAddress);
+
+      await expect(upgradeManager.connect(guardian).unfreezeUpgrades(proxyAddress))
+        .to.be.revertedWith("Only owner can call this function");
+      await expect(upgradeManager.connect(guardian).upgradeProxy(proxyAddress, await logicV2.getAddress()))
+        .to.be.revertedWith("Not authorized");
+
+      await expect(upgradeManager.unfreezeUpgrades(proxyAddress))
+        .to.emit(upgradeManager, "UpgradesUnfrozen")
+        .withArgs(proxyAddress);
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress());
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+    });
+
+    it("冻结只作用于单个代理，其他地址不能冻结", async function () {
+      const otherProxy = await deploy("Proxy", await logicV2.getAddress());
+      await otherProxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await otherProxy.getAddress());
+      await upgradeManager.registerProxy(await otherProxy.getAddress(), owner.address);
+
+      await expect(upgradeManager.connect(other).freezeUpgrades(proxyAddress)).to.be.revertedWith("Not authorized");
+      await expect(upgradeManager.setGuardian(other.address)).to.emit(upgradeManager, "GuardianUpdated");
+      await expect(upgradeManager.connect(guardian).freezeUpgrades(proxyAddress)).to.be.revertedWith("Not authorized");
+
+      await upgradeManager.freezeUpgrades(proxyAddress);
+      expect(await upgradeManager.upgradesFrozen(await otherProxy.getAddress())).to.be.false;
+      await expect(upgradeManager.unfreezeUpgrades(await otherProxy.getAddress())).to.be.revertedWith("Upgrades not frozen");
+    });
+  });
+});
@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadStore, runIndexer, holdersAt, formatHoldersCsv, mintsByPhase } = require("../scripts/utils/indexer");
+const { buildAllowlist } = require("../scripts/utils/merkle-allowlist");
+
+describe("事件索引器", function () {
+  const { ethers } = hre;
+  const PRICE = ethers.parseEther("0.05"); // 多付的部分会退还
+
+  let dir;
+  let storePath;
+
+  const silent = () => {};
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // 部署由 UpgradeManager 管理的集合，依次经历保留铸造、预售、公开销售、转移、升级和分阶段销售
+  async function populatedCollectionFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const upgradeManager = await deploy("UpgradeManager");
+    const implementation = await deploy("NFTCollectionV2");
+    const proxy = await deploy("Proxy", await implementation.getAddress());
+    const startBlock = (await proxy.deploymentTransaction().wait()).blockNumber;
+    const proxyAddress = await proxy.getAddress();
+    const collection = await ethers.getContractAt("NFTCollectionV2", proxyAddress);
+
+    await collection.initialize("Indexed NFT", "INFT", "ipfs://indexed/");
+    await proxy.transferAdmin(await upgradeManager.getAddress());
+    await upgradeManager.acceptProxyAdmin(proxyAddress);
+    await upgradeManager.registerProxy(proxyAddress, owner.address);
+
+    await collection.reservedMint(carol.address, "r.json"); // #1，销售未开始
+
+    await collection.updateWhitelist([alice.address, bob.address], true);
+    await collection.setSaleState(false, true);
+    await collection.connect(alice).mintNFT(alice.address, "1.json", { value: PRICE }); // #2
+    const presaleBlock = await ethers.provider.getBlockNumber();
+
+    await collection.setSaleState(true, false);
+    await collection.connect(bob).mintNFTs(bob.address, 2, ["2.json", "3.json"], { value: PRICE * 2n }); // #3 #4
+    await collection.connect(alice).transferFrom(alice.address, carol.address, 2);
+    const transferBlock = await ethers.provider.getBlockNumber();
+
+    const implementationV2 = await deploy("NFTCollectionV2");
+    await upgradeManager.upgradeProxy(proxyAddress, await implementationV2.getAddress());
+
+    const start = (await time.latest()) + 100;
+    await collection.setSalePhases([
+      { startTime: start, endTime: start + 1000, price: 0, walletCap: 0, supplyCap: 0, allowlistRequired: false },
+    ]);
+    await time.increaseTo(start);
+    await collection.connect(bob).mintNFT(bob.address, "4.json"); // #5
+    await collection.connect(bob)["safeTransferFrom(address,address,uint256)"](bob.address, alice.address, 3);
+
+    return {
+      owner,
+      alice,
+      bob,
+      carol,
+      collection,
+      upgradeManager,
+      implementation,
+      implementationV2,
+      startBlock,
+      presaleBlock,
+      transferBlock,
+      endBlock: await ethers.provider.getBlockNumber(),
+    };
+  }
+
+  function indexOptions(fixture, options = {}) {
+    return {
+      storePath,
+      collection: fixture.collection.target,
+      upgradeManager: fixture.upgradeManager.target,
+      startBlock: fixture.startBlock,
+      log: silent,
+      ...options,
+    };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    storePath = path.join(dir, "store.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("索引", function () {
+    it("回放铸造和转移，计算当前持有者", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const { alice, bob, carol } = fixture;
+      const store = await runIndexer(hre, indexOptions(fixture));
+
+      expect(store.checkpoint).to.equal(fixture.endBlock);
+      expect(store.mints.map((mint) => mint.tokenId)).to.deep.equal(["1", "2", "3", "4", "5"]);
+      expect(store.transfers).to.have.length(7); // 5 次铸造和 2 次转移
+
+      expect(holdersAt(store, store.checkpoint)).to.deep.equal([
+        { address: carol.address, balance: 2, tokenIds: ["1", "2"] },
+        { address: bob.address, balance: 2, tokenIds: ["4", "5"] },
+        { address: alice.address, balance: 1, tokenIds: ["3"] },
+      ].sort((a, b) => b.balance - a.balance || a.address.localeCompare(b.address)));
+    });
+
+    it("按阶段统计铸造，并记录调用的函数", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const store = await runIndexer(hre, indexOptions(fixture));
+
+      expect(mintsByPhase(store)).to.deep.equal({ reserved: 1, presale: 1, public: 2, "phase:0": 1 });
+      expect(mintsByPhase(store, fixture.presaleBlock)).to.deep.equal({ reserved: 1, presale: 1 });
+      expect(store.mints.map((mint) => mint.method)).to.deep.equal(["reservedMint", "mintNFT", "mintNFTs", "mintNFTs", "mintNFT"]);
+      expect(store.salePhases).to.have.length(1);
+    });
+
+    it("公开销售和预售同时激活时按调用的函数区分阶段", async function () {
+      const [, alice, bob] = await ethers.getSigners();
+      const implementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("Proxy", await implementation.getAddress());
+      const startBlock = (await proxy.deploymentTransaction().wait()).blockNumber;
+      const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+      await collection.initialize("Indexed NFT", "INFT", "ipfs://indexed/");
+
+      const allowlist = buildAllowlist([{ address: alice.address, quota: 2 }]);
+      await collection.setMerkleRoot(allowlist.root);
+      await collection.setSaleState(true, true);
+      const { quota, proof } = allowlist.proofs[alice.address];
+      await collection.connect(alice).presaleMint(alice.address, quota, proof, ["1.json"], { value: PRICE });
+      await collection.connect(bob).mintNFT(bob.address, "2.json", { value: PRICE });
+
+      const store = await runIndexer(hre, { storePath, collection: collection.target, startBlock, log: silent });
+      expect(store.mints.map(({ method, phase }) => [method, phase])).to.deep.equal([
+        ["presaleMint", "presale"],
+        ["mintNFT", "public"],
+      ]);
+    });
+
+    it("从调用数据恢复白名单地址，记录销售状态变化", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const { alice, bob } = fixture;
+      const store = await runIndexer(hre, indexOptions(fixture));
+
+      expect(store.whitelist).to.deep.equal({ [alice.address]: true, [bob.address]: true });
+      expect(store.whitelistUpdates[0].addresses).to.deep.equal([alice.address, bob.address]);
+      expect(store.saleStateChanges.map(({ saleActive, presaleActive }) => [saleActive, presaleActive])).to.deep.equal([
+        [false, true],
+        [true, false],
+      ]);
+    });
+
+    it("记录代理和 UpgradeManager 的升级事件", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const { collection, upgradeManager, implementation, implementationV2 } = fixture;
+      const store = await runIndexer(hre, indexOptions(fixture));
+
+      // 同一笔交易中同一代理的升级只记录一次，events 列出报告它的事件
+      const upgrades = store.upgrades.filter((upgrade) => upgrade.newImplementation);
+      expect(upgrades.map(({ events, proxy, oldImplementation, newImplementation }) => [events, proxy, oldImplementation, newImplementation])).to.deep.equal([
+        [["Upgraded", "ImplementationUpdated"], collection.target, ethers.ZeroAddress, implementation.target],
+        [["Upgraded", "ImplementationUpdated", "ProxyUpgraded"], collection.target, implementation.target, implementationV2.target],
+      ]);
+      const adminChanges = store.upgrades.filter((upgrade) => upgrade.newAdmin === upgradeManager.target);
+      expect(adminChanges).to.have.length(1);
+      expect(adminChanges[0].events).to.have.members(["AdminUpdated", "AdminChanged"]);
+    });
+
+    it("记录 ERC1967Proxy 上的 UUPS 升级", async function () {
+      const implementation = await deploy("NFTCollectionV2");
+      const initData = implementation.interface.encodeFunctionData("initialize", ["UUPS NFT", "UNFT", "ipfs://uups/"]);
+      const proxy = await deploy("ERC1967Proxy", await implementation.getAddress(), initData);
+      const startBlock = (await proxy.deploymentTransaction().wait()).blockNumber;
+      const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+
+      const implementationV2 = await deploy("NFTCollectionV2");
+      await collection.upgradeToAndCall(await implementationV2.getAddress(), "0x");
+
+      const store = await runIndexer(hre, { storePath, collection: collection.target, startBlock, log: silent });
+      expect(store.upgrades.map(({ events, proxy, oldImplementation, newImplementation }) => [events, proxy, oldImplementation, newImplementation])).to.deep.equal([
+        [["Upgraded"], collection.target, null, implementation.target],
+        [["Upgraded"], collection.target, implementation.target, implementationV2.target],
+      ]);
+    });
+
+    it("集合是信标代理时记录信标的升级", async function () {
+      const implementation = await deploy("NFTCollectionV2");
+      const beacon = await deploy("UpgradeableBeacon", await implementation.getAddress());
+      const initData = implementation.interface.encodeFunctionData("initialize", ["Beacon NFT", "BNFT", "ipfs://beacon/"]);
+      const proxy = await deploy("BeaconProxy", await beacon.getAddress(), initData);
+      const startBlock = (await proxy.deploymentTransaction().wait()).blockNumber;
+
+      const implementationV2 = await deploy("NFTCollectionV2");
+      await beacon.upgradeTo(await implementationV2.getAddress());
+
+      const store = await runIndexer(hre, { storePath, collection: proxy.target, startBlock, log: silent });
+      expect(store.upgrades).to.have.length(2);
+      expect(store.upgrades[0]).to.deep.include({ events: ["BeaconUpgraded"], proxy: proxy.target, beacon: beacon.target });
+      expect(store.upgrades[1]).to.deep.include({ events: ["Upgraded"], beacon: beacon.target, newImplementation: implementationV2.target });
+    });
+  });
+
+  describe("检查点", function () {
+    it("分批索引并从检查点继续，结果与一次索引相同", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+
+      await runIndexer(hre, indexOptions(fixture, { toBlock: fixture.transferBlock, batchSize: 3 }));
+      expect(JSON.parse(fs.readFileSync(storePath, "utf8")).checkpoint).to.equal(fixture.transferBlock);
+
+      const resumed = await runIndexer(hre, indexOptions(fixture, { batchSize: 1 }));
+
+      const oneShotPath = path.join(dir, "one-shot.json");
+      const oneShot = await runIndexer(hre, indexOptions(fixture, { storePath: oneShotPath }));
+      expect(resumed).to.deep.equal(oneShot);
+    });
+
+    it("已索引到目标区块时不再查询", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      await runIndexer(hre, indexOptions(fixture));
+
+      const lines = [];
+      await runIndexer(hre, indexOptions(fixture, { log: (line) => lines.push(line) }));
+      expect(lines).to.deep.equal([`⏭️  已索引到区块 ${fixture.endBlock}，无需更新`]);
+    });
+
+    it("存储属于其他集合时报错", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      await runIndexer(hre, indexOptions(fixture, { toBlock: fixture.presaleBlock }));
+
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(() => loadStore(storePath, { chainId, collection: fixture.upgradeManager.target })).to.throw("属于其他集合");
+      expect(() => loadStore(storePath, { chainId: 1n, collection: fixture.collection.target })).to.throw("属于链 31337");
+    });
+  });
+
+  describe("持有者快照", function () {
+    it("导出历史区块的持有者 CSV", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const { alice, carol } = fixture;
+      const store = await runIndexer(hre, indexOptions(fixture));
+
+      const csv = formatHoldersCsv(holdersAt(store, fixture.presaleBlock));
+      const [first, second] = [`${alice.address},1,2`, `${carol.address},1,1`].sort((a, b) => a.localeCompare(b));
+      expect(csv).to.equal(`address,balance,tokenIds\n${first}\n${second}\n`);
+
+      expect(() => holdersAt(store, fixture.endBlock + 1)).to.throw("晚于检查点");
+    });
+
+    it("indexer:sync 和 indexer:snapshot 任务", async function () {
+      const fixture = await loadFixture(populatedCollectionFixture);
+      const out = path.join(dir, "holders.csv");
+
+      const originalLog = console.log;
+      console.log = silent;
+      try {
+        await hre.run("indexer:sync", {
+          collection: fixture.collection.target,
+          manager: fixture.upgradeManager.target,
+          store: storePath,
+          fromBlock: fixture.startBlock,
+        });
+        await hre.run("indexer:snapshot", { store: storePath, block: fixture.transferBlock, out });
+      } finally {
+        console.log = originalLog;
+      }
+
+      const rows = fs.readFileSync(out, "utf8").trim().split("\n");
+      expect(rows[0]).to.equal("address,balance,tokenIds");
+      expect(rows).to.include(`${fixture.bob.address},2,3 4`);
+      expect(rows).to.include(`${fixture.carol.address},2,1 2`);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  VOUCHER_TYPES,
+  createVoucher,
+  getVoucherDomain,
+  signVoucher,
+  recoverVoucherSigner,
+} = require("../scripts/utils/vouchers");
+
+describe("NFTCollectionV2 懒铸造凭证", function () {
+  let collection;
+  let owner;
+  let creator;
+  let buyer;
+  let other;
+  let expiry;
+  let MINTER_ROLE;
+
+  const PRICE = ethers.parseEther("0.1");
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  async function deployCollection(name) {
+    const implementation = await deploy("NFTCollectionV2");
+    const proxy = await deploy("Proxy", await implementation.getAddress());
+    const nft = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+    await nft.initialize(name, "LAZY", "ipfs://base/");
+    return nft;
+  }
+
+  beforeEach(async function () {
+    [owner, creator, buyer, other] = await ethers.getSigners();
+    collection = await deployCollection("Lazy NFT");
+    MINTER_ROLE = await collection.MINTER_ROLE();
+    await expect(collection.grantRole(MINTER_ROLE, creator.address))
+      .to.emit(collection, "RoleGranted")
+      .withArgs(MINTER_ROLE, creator.address, owner.address);
+
+    expiry = (await time.latest()) + 3600;
+  });
+
+  describe("SDK", function () {
+    it("应该规范化凭证字段并随机生成编号", function () {
+      const voucher = createVoucher({ tokenURI: "1.json", price: "100", recipient: buyer.address.toLowerCase(), expiry });
+
+      expect(voucher.price).to.equal(100n);
+      expect(voucher.recipient).to.equal(buyer.address);
+      expect(voucher.expiry).to.equal(BigInt(expiry));
+      expect(createVoucher({ tokenURI: "1.json", expiry }).nonce).to.not.equal(createVoucher({ tokenURI: "1.json", expiry }).nonce);
+      expect(createVoucher({ tokenURI: "1.json", expiry }).recipient).to.equal(ethers.ZeroAddress);
+    });
+
+    it("应该拒绝缺少字段的凭证", function () {
+      expect(() => createVoucher({ expiry })).to.throw("凭证缺少 tokenURI");
+      expect(() => createVoucher({ tokenURI: "1.json" })).to.throw("凭证缺少过期时间");
+      expect(() => createVoucher({ tokenURI: "1.json", price: -1, expiry })).to.throw("凭证价格不能为负数");
+    });
+
+    it("签名摘要与合约一致，本地可以恢复签名者", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", price: PRICE, expiry, nonce: 1 });
+      const { signature, domain } = await signVoucher(creator, collection, voucher);
+
+      expect(domain.name).to.equal("Lazy NFT");
+      expect(domain.verifyingContract).to.equal(await collection.getAddress());
+      expect(await collection.voucherDigest(voucher)).to.equal(ethers.TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher));
+      expect(recoverVoucherSigner(domain, voucher, signature)).to.equal(creator.address);
+    });
+  });
+
+  describe("兑换", function () {
+    it("授权签名者的凭证可以兑换，NFT 铸造给调用者", async function () {
+      const voucher = createVoucher({ tokenURI: "lazy/1.json", price: PRICE, expiry, nonce: 7 });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      const redeem = collection.connect(buyer).redeem(voucher, signature, { value: PRICE });
+      await expect(redeem)
+        .to.emit(collection, "VoucherRedeemed")
+        .withArgs(creator.address, buyer.address, 1, 7);
+      await expect(redeem).to.changeEtherBalances([buyer, collection], [-PRICE, PRICE]);
+
+      expect(await collection.ownerOf(1)).to.equal(buyer.address);
+      expect(await collection.tokenURI(1)).to.equal("lazy/1.json");
+      expect(await collection.voucherNonceUsed(creator.address, 7)).to.be.true;
+    });
+
+    it("不受销售状态限制，价格为 0 时免费兑换", async function () {
+      expect(await collection.saleActive()).to.be.false;
+
+      const voucher = createVoucher({ tokenURI: "free.json", expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await collection.connect(buyer).redeem(voucher, signature);
+      expect(await collection.balanceOf(buyer.address)).to.equal(1);
+    });
+
+    it("限定兑换地址时其他地址不能兑换", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", recipient: buyer.address, expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(collection.connect(other).redeem(voucher, signature)).to.be.revertedWith("Voucher not for caller");
+      await collection.connect(buyer).redeem(voucher, signature);
+    });
+
+    it("支付不足时失败", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", price: PRICE, expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(collection.connect(buyer).redeem(voucher, signature, { value: PRICE - 1n }))
+        .to.be.revertedWith("Insufficient payment");
+    });
+
+    it("多付的部分退还给调用者", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", price: PRICE, expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(collection.connect(buyer).redeem(voucher, signature, { value: PRICE * 3n }))
+        .to.changeEtherBalances([buyer, collection], [-PRICE, PRICE]);
+    });
+
+    it("不能超过可用供应量", async function () {
+      await collection.setMaxSupply(100); // 保留数量为 100，没有可用供应量
+
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(collection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Exceeds available supply");
+    });
+  });
+
+  describe("过期", function () {
+    it("过期时间之后不能兑换，过期时间当秒仍可兑换", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry, nonce: 1 });
+      const late = createVoucher({ tokenURI: "2.json", expiry, nonce: 2 });
+      const { signature } = await signVoucher(creator, collection, voucher);
+      const { signature: lateSignature } = await signVoucher(creator, collection, late);
+
+      await time.setNextBlockTimestamp(expiry);
+      await collection.connect(buyer).redeem(voucher, signature);
+
+      await expect(collection.connect(buyer).redeem(late, lateSignature)).to.be.revertedWith("Voucher expired");
+    });
+  });
+
+  describe("重放", function () {
+    it("同一凭证只能兑换一次", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+      await collection.connect(buyer).redeem(voucher, signature);
+
+      await expect(collection.connect(other).redeem(voucher, signature)).to.be.revertedWith("Voucher already used");
+    });
+
+    it("同一编号的其他凭证也不能再兑换", async function () {
+      const first = createVoucher({ tokenURI: "1.json", expiry, nonce: 5 });
+      const second = createVoucher({ tokenURI: "2.json", expiry, nonce: 5 });
+      await collection.connect(buyer).redeem(first, (await signVoucher(creator, collection, first)).signature);
+
+      await expect(collection.connect(buyer).redeem(second, (await signVoucher(creator, collection, second)).signature))
+        .to.be.revertedWith("Voucher already used");
+    });
+
+    it("签名者可以取消未兑换的凭证", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry, nonce: 9 });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(collection.connect(creator).cancelVoucher(9))
+        .to.emit(collection, "VoucherCancelled")
+        .withArgs(creator.address, 9);
+      await expect(collection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Voucher already used");
+      await expect(collection.connect(creator).cancelVoucher(9)).to.be.revertedWith("Voucher already used");
+    });
+
+    it("签名不能用于其他集合", async function () {
+      const otherCollection = await deployCollection("Lazy NFT");
+      await otherCollection.grantRole(MINTER_ROLE, creator.address);
+
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await expect(otherCollection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Invalid voucher signer");
+    });
+  });
+
+  describe("伪造", function () {
+    it("未授权地址签名的凭证不能兑换", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+      const { signature } = await signVoucher(other, collection, voucher);
+
+      await expect(collection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Invalid voucher signer");
+    });
+
+    it("签名后修改凭证内容不能兑换", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", price: PRICE, expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      const tampered = { ...voucher, price: 0n };
+      await expect(collection.connect(buyer).redeem(tampered, signature)).to.be.revertedWith("Invalid voucher signer");
+    });
+
+    it("格式错误的签名不能兑换", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+
+      await expect(collection.connect(buyer).redeem(voucher, "0x1234")).to.be.revertedWith("Invalid voucher signer");
+      await expect(collection.connect(buyer).redeem(voucher, "0x" + "00".repeat(65))).to.be.revertedWith("Invalid voucher signer");
+    });
+
+    it("取消授权后签名者之前的凭证失效", async function () {
+      const voucher = createVoucher({ tokenURI: "1.json", expiry });
+      const { signature } = await signVoucher(creator, collection, voucher);
+
+      await collection.revokeRole(MINTER_ROLE, creator.address);
+      await expect(collection.connect(buyer).redeem(voucher, signature)).to.be.revertedWith("Invalid voucher signer");
+    });
+  });
+
+  describe("签名者管理", function () {
+    it("只有 MINTER_ROLE 的管理角色可以授权签名者", async function () {
+      await expect(collection.connect(creator).grantRole(MINTER_ROLE, other.address)).to.be.revertedWith("Caller is missing role");
+      expect(await collection.hasRole(MINTER_ROLE, other.address)).to.be.false;
+    });
+  });
+});
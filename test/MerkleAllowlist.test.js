@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  parseAllowlistCsv,
+  hashLeaf,
+  buildAllowlist,
+  verifyAllowlistProof,
+} = require("../scripts/utils/merkle-allowlist");
+
+describe("Merkle 预售白名单", function () {
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // 生成确定性的填充地址，让默克尔树有多层
+  function fillerAddresses(count) {
+    return Array.from({ length: count }, (_, i) => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(i + 1), 20)));
+  }
+
+  describe("白名单工具", function () {
+    const csv = [
+      "address,quota",
+      "0x70997970C51812dc3A010C7d01b50e0d17dc79C8, 2",
+      "# 注释行",
+      "",
+      "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc,1",
+    ].join("\n");
+
+    it("应该解析 CSV 并规范化地址", function () {
+      expect(parseAllowlistCsv(csv)).to.deep.equal([
+        { address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", quota: 2 },
+        { address: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC", quota: 1 },
+      ]);
+    });
+
+    it("应该拒绝无效地址、无效配额和重复地址", function () {
+      expect(() => parseAllowlistCsv("0x1234,1")).to.throw("第 1 行: 无效的地址");
+      expect(() => parseAllowlistCsv("0x70997970C51812dc3A010C7d01b50e0d17dc79C8,0")).to.throw("无效的配额");
+      expect(() => parseAllowlistCsv("0x70997970C51812dc3A010C7d01b50e0d17dc79C8,abc")).to.throw("无效的配额");
+      expect(() => parseAllowlistCsv([
+        "0x70997970C51812dc3A010C7d01b50e0d17dc79C8,1",
+        "0x70997970c51812dc3a010c7d01b50e0d17dc79c8,2",
+      ].join("\n"))).to.throw("第 2 行: 重复的地址");
+    });
+
+    it("每个地址的证明都应该能在本地校验", function () {
+      const entries = fillerAddresses(13).map((address, i) => ({ address, quota: i + 1 }));
+      const { root, proofs } = buildAllowlist(entries);
+
+      for (const { address, quota } of entries) {
+        expect(proofs[address].quota).to.equal(quota);
+        expect(verifyAllowlistProof(root, address, quota, proofs[address].proof)).to.be.true;
+      }
+    });
+
+    it("配额、地址或根不匹配时校验失败", function () {
+      const entries = fillerAddresses(5).map((address) => ({ address, quota: 2 }));
+      const { root, proofs } = buildAllowlist(entries);
+      const [first, second] = entries.map((entry) => entry.address);
+
+      expect(verifyAllowlistProof(root, first, 3, proofs[first].proof)).to.be.false;
+      expect(verifyAllowlistProof(root, second, 2, proofs[first].proof)).to.be.false;
+      expect(verifyAllowlistProof(ethers.ZeroHash, first, 2, proofs[first].proof)).to.be.false;
+    });
+
+    it("只有一个地址时根就是叶子，证明为空", function () {
+      const [address] = fillerAddresses(1);
+      const { root, proofs } = buildAllowlist([{ address, quota: 1 }]);
+
+      expect(root).to.equal(hashLeaf(address, 1));
+      expect(proofs[address].proof).to.be.empty;
+    });
+
+    it("空白名单应该报错", function () {
+      expect(() => buildAllowlist([])).to.throw("白名单为空");
+    });
+  });
+
+  // NFTCollection 直接部署，NFTCollectionV2 通过 Proxy 部署
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Allowlist NFT", "ANFT", "ipfs://base/", await feed.getAddress());
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Allowlist NFT", "ANFT", "ipfs://base/");
+        return collection;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let allowlist;
+      let owner;
+      let alice;
+      let bob;
+      let outsider;
+
+      const uris = (count, prefix = "") => Array.from({ length: count }, (_, i) => `${prefix}${i + 1}.json`);
+
+      function presaleMint(signer, quota, proof, count, value) {
+        return collection.connect(signer).presaleMint(signer.address, quota, proof, uris(count), { value });
+      }
+
+      async function presalePrice(count) {
+        return (await collection.getPresaleMintPrice()) * BigInt(count);
+      }
+
+      beforeEach(async function () {
+        [owner, alice, bob, outsider] = await ethers.getSigners();
+
+        collection = await variant.deployCollection();
+        allowlist = buildAllowlist([
+          { address: alice.address, quota: 3 },
+          { address: bob.address, quota: 1 },
+          ...fillerAddresses(20).map((address) => ({ address, quota: 5 })),
+        ]);
+
+        await expect(collection.setMerkleRoot(allowlist.root))
+          .to.emit(collection, "MerkleRootUpdated")
+          .withArgs(ethers.ZeroHash, allowlist.root);
+        await collection.setSaleState(false, true);
+      });
+
+      it("链上校验结果应该与本地一致", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+
+        expect(await collection.merkleRoot()).to.equal(allowlist.root);
+        expect(await collection.isAllowlisted(alice.address, quota, proof)).to.be.true;
+        expect(await collection.isAllowlisted(alice.address, quota + 1, proof)).to.be.false;
+        expect(await collection.isAllowlisted(outsider.address, quota, proof)).to.be.false;
+      });
+
+      it("白名单地址可以在配额内分多次铸造", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+
+        await presaleMint(alice, quota, proof, 2, await presalePrice(2));
+        await presaleMint(alice, quota, proof, 1, await presalePrice(1));
+
+        expect(await collection.balanceOf(alice.address)).to.equal(3);
+        expect(await collection.presaleMinted(alice.address)).to.equal(3);
+      });
+
+      it("超过配额时应该失败", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+        await presaleMint(alice, quota, proof, 2, await presalePrice(2));
+
+        await expect(presaleMint(alice, quota, proof, 2, await presalePrice(2)))
+          .to.be.revertedWith("Exceeds allowlist quota");
+      });
+
+      it("不能冒用他人的证明或虚报配额", async function () {
+        const aliceEntry = allowlist.proofs[alice.address];
+        const bobEntry = allowlist.proofs[bob.address];
+
+        await expect(presaleMint(outsider, aliceEntry.quota, aliceEntry.proof, 1, await presalePrice(1)))
+          .to.be.revertedWith("Invalid merkle proof");
+        await expect(presaleMint(bob, 5, bobEntry.proof, 2, await presalePrice(2)))
+          .to.be.revertedWith("Invalid merkle proof");
+      });
+
+      it("可以铸造给其他地址，配额仍按调用者计算", async function () {
+        const { quota, proof } = allowlist.proofs[bob.address];
+
+        await collection.connect(bob).presaleMint(outsider.address, quota, proof, uris(1), { value: await presalePrice(1) });
+
+        expect(await collection.balanceOf(outsider.address)).to.equal(1);
+        expect(await collection.presaleMinted(bob.address)).to.equal(1);
+        expect(await collection.presaleMinted(outsider.address)).to.equal(0);
+      });
+
+      it("需要支付预售价格", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+        const price = await presalePrice(2);
+
+        await expect(presaleMint(alice, quota, proof, 2, price - 1n)).to.be.revertedWith("Insufficient payment");
+      });
+
+      it("多付的部分退还给调用者", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+        const price = await presalePrice(2);
+
+        await expect(presaleMint(alice, quota, proof, 2, price + ethers.parseEther("1")))
+          .to.changeEtherBalances([alice, collection], [-price, price]);
+      });
+
+      it("预售未激活或数量无效时应该失败", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+
+        await expect(presaleMint(alice, quota, proof, 0, 0)).to.be.revertedWith("Must mint at least one NFT");
+
+        await collection.setSaleState(true, false);
+        await expect(presaleMint(alice, quota, proof, 1, await presalePrice(1)))
+          .to.be.revertedWith("Presale is not active");
+      });
+
+      it("更换根后旧证明失效，已铸造数量保留", async function () {
+        const { quota, proof } = allowlist.proofs[alice.address];
+        await presaleMint(alice, quota, proof, 2, await presalePrice(2));
+
+        const next = buildAllowlist([{ address: alice.address, quota: 4 }, { address: outsider.address, quota: 1 }]);
+        await collection.setMerkleRoot(next.root);
+
+        await expect(presaleMint(alice, quota, proof, 1, await presalePrice(1)))
+          .to.be.revertedWith("Invalid merkle proof");
+
+        const entry = next.proofs[alice.address];
+        await presaleMint(alice, entry.quota, entry.proof, 2, await presalePrice(2));
+        await expect(presaleMint(alice, entry.quota, entry.proof, 1, await presalePrice(1)))
+          .to.be.revertedWith("Exceeds allowlist quota");
+      });
+
+      it("只有所有者可以设置根", async function () {
+        await variant.expectUnauthorized(collection, collection.connect(alice).setMerkleRoot(ethers.ZeroHash));
+      });
+    });
+  }
+});
@@ -3,6 +3,7 @@ const { ethers } = require("hardhat");
 
 describe("NFTCollection", function () {
   let nftCollection;
+  let priceFeed;
   let owner;
   let addr1;
   let addr2;
@@ -11,14 +12,27 @@ describe("NFTCollection", function () {
   const symbol = "TNFT";
   const baseTokenURI = "https://api.testnft.com/metadata/";
 
+  // 按当前价格支付并铸造
+  async function mint(to, tokenURI) {
+    return nftCollection.mintNFT(to, tokenURI, { value: await nftCollection.getMintPrice() });
+  }
+
   beforeEach(async function () {
     // 获取签名者
     [owner, addr1, addr2] = await ethers.getSigners();
 
+    // 部署模拟价格预言机（BNB/USD = 300，8 位精度）
+    const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+    priceFeed = await MockAggregatorV3.deploy(8, 300n * 10n ** 8n);
+    await priceFeed.waitForDeployment();
+
     // 部署 NFT 合约
     const NFTCollection = await ethers.getContractFactory("NFTCollection");
-    nftCollection = await NFTCollection.deploy(name, symbol, baseTokenURI);
+    nftCollection = await NFTCollection.deploy(name, symbol, baseTokenURI, await priceFeed.getAddress());
     await nftCollection.waitForDeployment();
+
+    // 激活公开销售
+    await nftCollection.setSaleState(true, false);
   });
 
   describe("部署", function () {
@@ -34,13 +48,17 @@ describe("NFTCollection", function () {
     it("初始总供应量应该为 0", async function () {
       expect(await nftCollection.totalSupply()).to.equal(0);
     });
+
+    it("应该正确设置价格预言机", async function () {
+      expect(await nftCollection.priceFeed()).to.equal(await priceFeed.getAddress());
+    });
   });
 
   describe("铸造 NFT", function () {
     const tokenURI = "1.json";
 
     it("应该成功铸造一个 NFT", async function () {
-      const tokenId = await nftCollection.mintNFT(addr1.address, tokenURI);
+      const tokenId = await mint(addr1.address, tokenURI);
       await tokenId.wait();
 
       expect(await nftCollection.totalSupply()).to.equal(1);
@@ -49,17 +67,17 @@ describe("NFTCollection", function () {
     });
 
     it("应该触发 NFTMinted 事件", async function () {
-      await expect(nftCollection.mintNFT(addr1.address, tokenURI))
+      await expect(mint(addr1.address, tokenURI))
         .to.emit(nftCollection, "NFTMinted")
         .withArgs(addr1.address, 1, tokenURI);
     });
 
     it("应该可以铸造多个 NFT", async function () {
       // 铸造第一个 NFT
-      await nftCollection.mintNFT(addr1.address, "1.json");
+      await mint(addr1.address, "1.json");
 
       // 铸造第二个 NFT
-      await nftCollection.mintNFT(addr1.address, "2.json");
+      await mint(addr1.address, "2.json");
 
       expect(await nftCollection.totalSupply()).to.equal(2);
       expect(await nftCollection.balanceOf(addr1.address)).to.equal(2);
@@ -69,7 +87,8 @@ describe("NFTCollection", function () {
       const count = 3;
       const tokenURIs = ["1.json", "2.json", "3.json"];
 
-      const tokenIds = await nftCollection.mintNFTs(addr1.address, count, tokenURIs);
+      const price = await nftCollection.getMintPrice();
+      const tokenIds = await nftCollection.mintNFTs(addr1.address, count, tokenURIs, { value: price * BigInt(count) });
       await tokenIds.wait();
 
       expect(await nftCollection.totalSupply()).to.equal(3);
@@ -82,7 +101,7 @@ describe("NFTCollection", function () {
 
     beforeEach(async function () {
       // 先铸造一个 NFT
-      await nftCollection.mintNFT(addr1.address, tokenURI);
+      await mint(addr1.address, tokenURI);
     });
 
     it("应该返回正确的 tokenURI", async function () {
@@ -96,9 +115,7 @@ describe("NFTCollection", function () {
     });
 
     it("NFT 持有者应该可以设置自己的 tokenURI", async function () {
-      // 转移所有权给 addr1
-      await nftCollection.connect(owner).transferFrom(owner.address, addr1.address, 1);
-
+      // NFT 已铸造给 addr1
       const newTokenURI = "holder.json";
       await nftCollection.connect(addr1).setTokenURI(1, newTokenURI);
       expect(await nftCollection.tokenURI(1)).to.equal(baseTokenURI + newTokenURI);
@@ -110,7 +127,7 @@ describe("NFTCollection", function () {
 
     beforeEach(async function () {
       // 先铸造一个 NFT
-      await nftCollection.mintNFT(owner.address, tokenURI);
+      await mint(owner.address, tokenURI);
     });
 
     it("只有所有者才能更新基础 URI", async function () {
@@ -122,13 +139,13 @@ describe("NFTCollection", function () {
     it("非所有者不能更新基础 URI", async function () {
       const newBaseURI = "https://api.newnft.com/metadata/";
       await expect(nftCollection.connect(addr1).setBaseTokenURI(newBaseURI))
-        .to.be.revertedWith("Ownable: caller is not the owner");
+        .to.be.revertedWithCustomError(nftCollection, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, await nftCollection.METADATA_EDITOR_ROLE());
     });
 
     it("只有所有者才能提取合约余额", async function () {
-      // 发送一些 ETH 到合约
-      await owner.sendTransaction({
-        to: await nftCollection.getAddress(),
+      // 合约没有 receive 函数，通过付费铸造积累余额
+      await nftCollection.connect(addr1).mintNFTs(addr1.address, 3, ["2.json", "3.json", "4.json"], {
         value: ethers.parseEther("1.0")
       });
 
@@ -145,11 +162,11 @@ describe("NFTCollection", function () {
       // 设置最大供应量为 1
       await nftCollection.connect(owner).setMaxSupply(1);
 
-      // 铸造一个 NFT
-      await nftCollection.mintNFT(addr1.address, "1.json");
+      // 铸造一个 NFT（最大供应量小于保留数量，只能通过保留铸造）
+      await nftCollection.reservedMint(addr1.address, "1.json");
 
       // 尝试再铸造一个应该失败
-      await expect(nftCollection.mintNFT(addr1.address, "2.json"))
+      await expect(nftCollection.reservedMint(addr1.address, "2.json"))
         .to.be.revertedWith("Maximum supply reached");
     });
   });
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("NFTCollection 预言机定价", function () {
+  let nftCollection;
+  let priceFeed;
+  let owner;
+  let addr1;
+
+  const USD = 10n ** 18n; // 合约中的美元金额使用 18 位小数
+
+  // 与合约一致的换算：原生代币数量 = 美元金额 * 10^decimals / 价格
+  function toNative(usdAmount, price, decimals) {
+    return (usdAmount * 10n ** BigInt(decimals)) / price;
+  }
+
+  async function deployWithFeed(decimals, price) {
+    const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+    priceFeed = await MockAggregatorV3.deploy(decimals, price);
+    await priceFeed.waitForDeployment();
+
+    const NFTCollection = await ethers.getContractFactory("NFTCollection");
+    nftCollection = await NFTCollection.deploy("Priced NFT", "PNFT", "ipfs://base/", await priceFeed.getAddress());
+    await nftCollection.waitForDeployment();
+  }
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+  });
+
+  describe("模拟预言机", function () {
+    beforeEach(async function () {
+      await deployWithFeed(8, 300n * 10n ** 8n);
+    });
+
+    it("应该返回设置的价格、精度和轮次", async function () {
+      const [roundId, answer, startedAt, updatedAt, answeredInRound] = await priceFeed.latestRoundData();
+
+      expect(await priceFeed.decimals()).to.equal(8);
+      expect(roundId).to.equal(1);
+      expect(answer).to.equal(300n * 10n ** 8n);
+      expect(updatedAt).to.equal(startedAt);
+      expect(answeredInRound).to.equal(1);
+    });
+
+    it("updateAnswer 应该开始新一轮", async function () {
+      await expect(priceFeed.updateAnswer(250n * 10n ** 8n))
+        .to.emit(priceFeed, "AnswerUpdated");
+
+      const [roundId, answer] = await priceFeed.latestRoundData();
+      expect(roundId).to.equal(2);
+      expect(answer).to.equal(250n * 10n ** 8n);
+
+      const [, previousAnswer] = await priceFeed.getRoundData(1);
+      expect(previousAnswer).to.equal(300n * 10n ** 8n);
+    });
+
+    it("updateRoundData 可以设置任意轮次和时间戳", async function () {
+      await priceFeed.updateRoundData(42, 123n * 10n ** 8n, 1000, 2000, 41);
+
+      const [roundId, answer, startedAt, updatedAt, answeredInRound] = await priceFeed.latestRoundData();
+      expect(roundId).to.equal(42);
+      expect(answer).to.equal(123n * 10n ** 8n);
+      expect(startedAt).to.equal(1000);
+      expect(updatedAt).to.equal(2000);
+      expect(answeredInRound).to.equal(41);
+    });
+
+    it("查询不存在的轮次应该回滚", async function () {
+      await expect(priceFeed.getRoundData(99)).to.be.revertedWith("No data present");
+    });
+  });
+
+  describe("美元到原生代币的换算", function () {
+    const cases = [
+      { decimals: 8, price: 300n * 10n ** 8n, label: "8 位精度，$300" },
+      { decimals: 8, price: 61234567890n, label: "8 位精度，$612.3456789" },
+      { decimals: 8, price: 1n * 10n ** 8n, label: "8 位精度，$1" },
+      { decimals: 18, price: 2500n * 10n ** 18n, label: "18 位精度，$2500" },
+      { decimals: 6, price: 3n * 10n ** 5n, label: "6 位精度，$0.3" },
+      { decimals: 0, price: 7n, label: "0 位精度，$7" },
+    ];
+
+    for (const { decimals, price, label } of cases) {
+      it(`${label}`, async function () {
+        await deployWithFeed(decimals, price);
+
+        // 默认价格（销售未激活）
+        expect(await nftCollection.getMintPrice()).to.equal(toNative(USD, price, decimals));
+
+        // 公开销售价格
+        await nftCollection.setSaleState(true, false);
+        const publicSalePrice = await nftCollection.publicSalePrice();
+        expect(await nftCollection.getMintPrice()).to.equal(toNative(publicSalePrice, price, decimals));
+
+        // 预售价格（白名单地址）
+        await nftCollection.setSaleState(false, true);
+        await nftCollection.setWhitelistEnabled(true);
+        await nftCollection.updateWhitelist([addr1.address], true);
+        const presalePrice = await nftCollection.presalePrice();
+        expect(await nftCollection.connect(addr1).getMintPrice()).to.equal(toNative(presalePrice, price, decimals));
+      });
+    }
+
+    it("预言机价格变化后铸造价格随之变化", async function () {
+      await deployWithFeed(8, 300n * 10n ** 8n);
+      await nftCollection.setMintPrices(0, 30n * USD); // 公开销售 $30
+      await nftCollection.setSaleState(true, false);
+
+      expect(await nftCollection.getMintPrice()).to.equal(ethers.parseEther("0.1"));
+
+      await priceFeed.updateAnswer(600n * 10n ** 8n);
+      expect(await nftCollection.getMintPrice()).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("精度变化后铸造价格随之变化", async function () {
+      await deployWithFeed(8, 300n * 10n ** 8n);
+      const before = await nftCollection.getMintPrice();
+
+      await priceFeed.setDecimals(18);
+      await priceFeed.updateAnswer(300n * 10n ** 18n);
+
+      expect(await nftCollection.getMintPrice()).to.equal(before);
+    });
+  });
+
+  describe("铸造支付", function () {
+    beforeEach(async function () {
+      await deployWithFeed(8, 61234567890n);
+      await nftCollection.setSaleState(true, false);
+    });
+
+    it("支付换算后的金额可以铸造", async function () {
+      const price = await nftCollection.getMintPrice();
+
+      await nftCollection.connect(addr1).mintNFT(addr1.address, "1.json", { value: price });
+      expect(await nftCollection.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("少付 1 wei 应该失败", async function () {
+      const price = await nftCollection.getMintPrice();
+
+      await expect(nftCollection.connect(addr1).mintNFT(addr1.address, "1.json", { value: price - 1n }))
+        .to.be.revertedWith("Insufficient payment");
+    });
+
+    it("批量铸造按数量支付", async function () {
+      const price = await nftCollection.getMintPrice();
+
+      await expect(nftCollection.connect(addr1).mintNFTs(addr1.address, 2, ["1.json", "2.json"], { value: price * 2n - 1n }))
+        .to.be.revertedWith("Insufficient payment");
+      await nftCollection.connect(addr1).mintNFTs(addr1.address, 2, ["1.json", "2.json"], { value: price * 2n });
+      expect(await nftCollection.balanceOf(addr1.address)).to.equal(2);
+    });
+  });
+
+  describe("预言机异常", function () {
+    beforeEach(async function () {
+      await deployWithFeed(8, 300n * 10n ** 8n);
+    });
+
+    it("价格为 0 或负数时应该回滚", async function () {
+      await priceFeed.updateAnswer(0);
+      await expect(nftCollection.getMintPrice()).to.be.revertedWithCustomError(nftCollection, "InvalidOraclePrice");
+
+      await priceFeed.updateAnswer(-1);
+      await expect(nftCollection.getMintPrice()).to.be.revertedWithCustomError(nftCollection, "InvalidOraclePrice");
+    });
+
+    it("所有者可以更换预言机", async function () {
+      const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
+      const newFeed = await MockAggregatorV3.deploy(8, 150n * 10n ** 8n);
+      await newFeed.waitForDeployment();
+
+      await nftCollection.setPriceFeed(await newFeed.getAddress());
+
+      expect(await nftCollection.getMintPrice()).to.equal(toNative(USD, 150n * 10n ** 8n, 8));
+      await expect(nftCollection.connect(addr1).setPriceFeed(await newFeed.getAddress()))
+        .to.be.revertedWithCustomError(nftCollection, "AccessControlUnauthorizedAccount");
+      await expect(nftCollection.setPriceFeed(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid price feed address");
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("链上元数据渲染", function () {
+  const BASE_URI = "ipfs://base/";
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // 解码 data:<mime>;base64,<内容>
+  function decodeDataURI(uri, mime) {
+    const prefix = `data:${mime};base64,`;
+    expect(uri.startsWith(prefix), `应该以 ${prefix} 开头`).to.be.true;
+    return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+  }
+
+  // 解码 tokenURI，返回 JSON 元数据和 SVG 图片
+  function decodeTokenURI(uri) {
+    const metadata = JSON.parse(decodeDataURI(uri, "application/json"));
+    const svg = decodeDataURI(metadata.image, "image/svg+xml");
+    return { metadata, svg };
+  }
+
+  describe("OnChainRenderer", function () {
+    let renderer;
+
+    beforeEach(async function () {
+      renderer = await deploy("OnChainRenderer", "Fully on-chain collection");
+    });
+
+    it("应该生成包含名称、描述、图片和属性的 JSON", async function () {
+      const traits = [
+        { traitType: "Background", value: "Blue" },
+        { traitType: "Eyes", value: "Laser" },
+      ];
+      const { metadata, svg } = decodeTokenURI(await renderer.tokenURI(7, "Chain NFT", traits));
+
+      expect(metadata.name).to.equal("Chain NFT #7");
+      expect(metadata.description).to.equal("Fully on-chain collection");
+      expect(metadata.attributes).to.deep.equal([
+        { trait_type: "Background", value: "Blue" },
+        { trait_type: "Eyes", value: "Laser" },
+      ]);
+
+      expect(svg).to.match(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" viewBox="0 0 350 350">/);
+      expect(svg).to.match(/<\/svg>$/);
+      expect(svg).to.include(">Chain NFT #7</text>");
+      expect(svg).to.include(">Background: Blue</text>");
+      expect(svg).to.include(">Eyes: Laser</text>");
+    });
+
+    it("没有属性时 attributes 为空数组", async function () {
+      const { metadata, svg } = decodeTokenURI(await renderer.tokenURI(1, "Chain NFT", []));
+
+      expect(metadata.attributes).to.deep.equal([]);
+      expect(svg.match(/<text /g)).to.have.length(1);
+    });
+
+    it("背景色由代币 ID 决定", async function () {
+      const background = (svg) => /fill="(hsl\(\d+,70%,40%\))"/.exec(svg)[1];
+      const svg1 = decodeTokenURI(await renderer.tokenURI(1, "Chain NFT", [])).svg;
+      const svg2 = decodeTokenURI(await renderer.tokenURI(2, "Chain NFT", [])).svg;
+
+      const hue = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1]))) % 360n;
+      expect(background(svg1)).to.equal(`hsl(${hue},70%,40%)`);
+      expect(background(svg2)).to.not.equal(background(svg1));
+    });
+
+    it("应该转义属性中的 JSON 和 XML 特殊字符", async function () {
+      const traits = [{ traitType: 'Quote "x"', value: "<b>&\\" }];
+      const { metadata, svg } = decodeTokenURI(await renderer.tokenURI(1, 'My "NFT"', traits));
+
+      expect(metadata.name).to.equal('My "NFT" #1');
+      expect(metadata.attributes).to.deep.equal([{ trait_type: 'Quote "x"', value: "<b>&\\" }]);
+      expect(svg).to.include(">My &quot;NFT&quot; #1</text>");
+      expect(svg).to.include(">Quote &quot;x&quot;: &lt;b&gt;&amp;\\</text>");
+      expect(svg).to.not.include("<b>");
+    });
+  });
+
+  // NFTCollection 直接部署，NFTCollectionV2 通过 Proxy 部署
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Chain NFT", "CHAIN", BASE_URI, await feed.getAddress());
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Chain NFT", "CHAIN", BASE_URI);
+        return collection;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let renderer;
+      let alice;
+
+      beforeEach(async function () {
+        [, alice] = await ethers.getSigners();
+        collection = await variant.deployCollection();
+        renderer = await deploy("OnChainRenderer", "Fully on-chain collection");
+
+        await collection.reservedMint(alice.address, "1.json");
+        await collection.setTokenTraits(1, ["Background", "Eyes"], ["Blue", "Laser"]);
+      });
+
+      it("未设置渲染器时 tokenURI 不变", async function () {
+        expect(await collection.renderer()).to.equal(ethers.ZeroAddress);
+        expect(await collection.tokenURI(1)).to.match(/1\.json$/);
+      });
+
+      it("设置渲染器后 tokenURI 由渲染器根据代币属性生成", async function () {
+        await expect(collection.setRenderer(await renderer.getAddress()))
+          .to.emit(collection, "RendererUpdated")
+          .withArgs(ethers.ZeroAddress, await renderer.getAddress())
+          .and.to.emit(collection, "BatchMetadataUpdate");
+
+        const { metadata, svg } = decodeTokenURI(await collection.tokenURI(1));
+        expect(metadata.name).to.equal("Chain NFT #1");
+        expect(metadata.attributes).to.deep.equal([
+          { trait_type: "Background", value: "Blue" },
+          { trait_type: "Eyes", value: "Laser" },
+        ]);
+        expect(svg).to.include(">Eyes: Laser</text>");
+
+        await expect(collection.tokenURI(2)).to.be.revertedWithCustomError(collection, "ERC721NonexistentToken");
+      });
+
+      it("更换渲染器后保留代币属性，设置为零地址时恢复原来的 URI", async function () {
+        const offChainURI = await collection.tokenURI(1);
+        const other = await deploy("OnChainRenderer", "Season 2");
+        await collection.setRenderer(await renderer.getAddress());
+        await collection.setRenderer(await other.getAddress());
+
+        const { metadata } = decodeTokenURI(await collection.tokenURI(1));
+        expect(metadata.description).to.equal("Season 2");
+        expect(metadata.attributes).to.have.length(2);
+
+        await collection.setRenderer(ethers.ZeroAddress);
+        expect(await collection.tokenURI(1)).to.equal(offChainURI);
+      });
+
+      it("设置代币属性会覆盖原有属性并触发 MetadataUpdate", async function () {
+        await expect(collection.setTokenTraits(1, ["Hat"], ["Crown"]))
+          .to.emit(collection, "MetadataUpdate")
+          .withArgs(1);
+
+        const traits = await collection.getTokenTraits(1);
+        expect(traits.map((trait) => [trait.traitType, trait.value])).to.deep.equal([["Hat", "Crown"]]);
+
+        await collection.setTokenTraits(1, [], []);
+        expect(await collection.getTokenTraits(1)).to.have.length(0);
+      });
+
+      it("应该校验属性数组长度和代币是否存在", async function () {
+        await expect(collection.setTokenTraits(1, ["Hat"], [])).to.be.revertedWith("Traits length mismatch");
+        await expect(collection.setTokenTraits(2, ["Hat"], ["Crown"]))
+          .to.be.revertedWithCustomError(collection, "ERC721NonexistentToken");
+      });
+
+      it("渲染器优先于延迟揭示的占位 URI", async function () {
+        const fresh = await variant.deployCollection();
+        await fresh.setProvenanceHash(ethers.id("provenance"));
+        await fresh.setPlaceholderURI("ipfs://placeholder.json");
+        await fresh.reservedMint(alice.address, "1.json");
+        expect(await fresh.tokenURI(1)).to.equal("ipfs://placeholder.json");
+
+        await fresh.setRenderer(await renderer.getAddress());
+        expect(decodeTokenURI(await fresh.tokenURI(1)).metadata.name).to.equal("Chain NFT #1");
+      });
+
+      it("冻结元数据后不能更换渲染器和修改属性", async function () {
+        await collection.setRenderer(await renderer.getAddress());
+        await collection.freezeMetadata();
+
+        await expect(collection.setRenderer(ethers.ZeroAddress)).to.be.revertedWith("Metadata is frozen");
+        await expect(collection.setTokenTraits(1, ["Hat"], ["Crown"])).to.be.revertedWith("Metadata is frozen");
+      });
+
+      it("只有所有者可以设置渲染器和代币属性", async function () {
+        await variant.expectUnauthorized(collection, collection.connect(alice).setRenderer(await renderer.getAddress()));
+        await variant.expectUnauthorized(collection, collection.connect(alice).setTokenTraits(1, ["Hat"], ["Crown"]));
+      });
+    });
+  }
+});
@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("预言机安全检查", function () {
+  const USD = 10n ** 18n; // 美元金额使用 18 位小数
+  const HOUR = 60 * 60;
+  const Source = { Primary: 0, Secondary: 1, Fallback: 2 };
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // NFTCollection 直接部署，NFTCollectionV2 通过 Proxy 部署，两者共用同一套预言机逻辑
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection(feed) {
+        return deploy("NFTCollection", "Oracle NFT", "ONFT", "ipfs://base/", await feed.getAddress());
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection(feed) {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Oracle NFT", "ONFT", "ipfs://base/");
+        await collection.setPriceFeed(await feed.getAddress());
+        return collection;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let primaryFeed;
+      let secondaryFeed;
+      let owner;
+      let addr1;
+
+      const publicSalePrice = 30n * USD; // 公开销售 $30
+
+      // 价格为 $300（8 位精度）时 $30 对应 0.1 个原生代币
+      async function expectMintPrice(value) {
+        expect(await collection.getMintPrice()).to.equal(value);
+      }
+
+      beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        primaryFeed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        secondaryFeed = await deploy("MockAggregatorV3", 18, 600n * 10n ** 18n);
+
+        collection = await variant.deployCollection(primaryFeed);
+        await collection.setMintPrices(5n * USD, publicSalePrice);
+        await collection.setSaleState(true, false);
+      });
+
+      describe("主预言机", function () {
+        it("价格有效时使用主预言机", async function () {
+          const [price, source] = await collection.getOraclePrice();
+
+          expect(price).to.equal(300n * USD);
+          expect(source).to.equal(Source.Primary);
+          await expectMintPrice(ethers.parseEther("0.1"));
+        });
+
+        it("价格不是正数时以 InvalidOraclePrice 回滚", async function () {
+          await primaryFeed.updateAnswer(0);
+
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "InvalidOraclePrice")
+            .withArgs(await primaryFeed.getAddress(), 0);
+        });
+
+        it("预言机不是合约或调用失败时以 OracleCallFailed 回滚", async function () {
+          await collection.setPriceFeed(addr1.address);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "OracleCallFailed")
+            .withArgs(addr1.address);
+
+          // 没有 latestRoundData 的合约
+          await collection.setPriceFeed(await collection.getAddress());
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "OracleCallFailed");
+        });
+      });
+
+      describe("心跳", function () {
+        beforeEach(async function () {
+          await collection.setOracleSafety(HOUR, false, 0, 0);
+        });
+
+        it("价格超过心跳未更新时以 StaleOraclePrice 回滚", async function () {
+          const [, , , updatedAt] = await primaryFeed.latestRoundData();
+          await time.increase(HOUR + 1);
+
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "StaleOraclePrice")
+            .withArgs(await primaryFeed.getAddress(), updatedAt, HOUR);
+        });
+
+        it("价格更新后恢复正常", async function () {
+          await time.increase(HOUR + 1);
+          await primaryFeed.updateAnswer(300n * 10n ** 8n);
+
+          await expectMintPrice(ethers.parseEther("0.1"));
+        });
+
+        it("心跳为 0 时不检查", async function () {
+          await collection.setOracleSafety(0, false, 0, 0);
+          await time.increase(30 * 24 * HOUR);
+
+          await expectMintPrice(ethers.parseEther("0.1"));
+        });
+      });
+
+      describe("轮次完整性", function () {
+        it("answeredInRound 小于 roundId 时以 IncompleteOracleRound 回滚", async function () {
+          const now = await time.latest();
+          await primaryFeed.updateRoundData(5, 300n * 10n ** 8n, now, now, 4);
+
+          await expectMintPrice(ethers.parseEther("0.1")); // 未启用检查
+
+          await collection.setOracleSafety(0, true, 0, 0);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "IncompleteOracleRound")
+            .withArgs(await primaryFeed.getAddress(), 5, 4);
+        });
+
+        it("updatedAt 为 0 的轮次视为不完整", async function () {
+          await primaryFeed.updateRoundData(5, 300n * 10n ** 8n, 0, 0, 5);
+          await collection.setOracleSafety(0, true, 0, 0);
+
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "IncompleteOracleRound");
+        });
+      });
+
+      describe("价格上下限", function () {
+        const minPrice = 100n * USD;
+        const maxPrice = 1000n * USD;
+
+        beforeEach(async function () {
+          await collection.setOracleSafety(0, false, minPrice, maxPrice);
+        });
+
+        it("价格在上下限之间时正常定价", async function () {
+          await expectMintPrice(ethers.parseEther("0.1"));
+        });
+
+        it("价格超出上下限时以 OraclePriceOutOfBounds 回滚", async function () {
+          await primaryFeed.updateAnswer(50n * 10n ** 8n);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "OraclePriceOutOfBounds")
+            .withArgs(await primaryFeed.getAddress(), 50n * USD, minPrice, maxPrice);
+
+          await primaryFeed.updateAnswer(2000n * 10n ** 8n);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "OraclePriceOutOfBounds");
+        });
+
+        it("下限不能高于上限", async function () {
+          await expect(collection.setOracleSafety(0, false, maxPrice, minPrice))
+            .to.be.revertedWithCustomError(collection, "InvalidPriceBounds")
+            .withArgs(maxPrice, minPrice);
+        });
+      });
+
+      describe("备用预言机和备用价格", function () {
+        beforeEach(async function () {
+          await collection.setOracleSafety(HOUR, true, 0, 0);
+          await collection.setSecondaryPriceFeed(await secondaryFeed.getAddress());
+        });
+
+        it("主预言机正常时不使用备用预言机", async function () {
+          const [, source] = await collection.getOraclePrice();
+
+          expect(source).to.equal(Source.Primary);
+        });
+
+        it("主预言机失败时使用备用预言机", async function () {
+          await primaryFeed.updateAnswer(-1);
+
+          const [price, source] = await collection.getOraclePrice();
+          expect(price).to.equal(600n * USD);
+          expect(source).to.equal(Source.Secondary);
+          await expectMintPrice(ethers.parseEther("0.05"));
+        });
+
+        it("备用预言机同样需要通过安全检查", async function () {
+          await time.increase(HOUR + 1);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "StaleOraclePrice")
+            .withArgs(await primaryFeed.getAddress(), (await primaryFeed.latestRoundData())[3], HOUR);
+
+          await secondaryFeed.updateAnswer(600n * 10n ** 18n);
+          await expectMintPrice(ethers.parseEther("0.05"));
+        });
+
+        it("主预言机精度过大时使用备用预言机，不会 Panic", async function () {
+          await primaryFeed.setDecimals(255);
+
+          const [price, source] = await collection.getOraclePrice();
+          expect(price).to.equal(600n * USD);
+          expect(source).to.equal(Source.Secondary);
+        });
+
+        it("主预言机价格放大后溢出时使用备用价格，不会 Panic", async function () {
+          await collection.setFallbackPrice(250n * USD);
+          await primaryFeed.setDecimals(17);
+          await primaryFeed.updateAnswer(ethers.MaxInt256);
+          await secondaryFeed.setDecimals(0);
+          await secondaryFeed.updateAnswer(ethers.MaxInt256);
+
+          const [price, source] = await collection.getOraclePrice();
+          expect(price).to.equal(250n * USD);
+          expect(source).to.equal(Source.Fallback);
+
+          await collection.setFallbackPrice(0);
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "InvalidOraclePrice")
+            .withArgs(await primaryFeed.getAddress(), ethers.MaxInt256);
+        });
+
+        it("两个预言机都失败时使用备用价格", async function () {
+          await expect(collection.setFallbackPrice(250n * USD))
+            .to.emit(collection, "FallbackPriceUpdated")
+            .withArgs(0, 250n * USD);
+          await time.increase(HOUR + 1);
+
+          const [price, source] = await collection.getOraclePrice();
+          expect(price).to.equal(250n * USD);
+          expect(source).to.equal(Source.Fallback);
+          await expectMintPrice(ethers.parseEther("0.12"));
+        });
+
+        it("使用备用价格铸造", async function () {
+          await collection.setFallbackPrice(250n * USD);
+          await primaryFeed.updateAnswer(0);
+          await secondaryFeed.updateAnswer(0);
+
+          await expect(collection.connect(addr1).mintNFT(addr1.address, "1.json", { value: ethers.parseEther("0.12") - 1n }))
+            .to.be.revertedWith("Insufficient payment");
+          await collection.connect(addr1).mintNFT(addr1.address, "1.json", { value: ethers.parseEther("0.12") });
+          expect(await collection.balanceOf(addr1.address)).to.equal(1);
+        });
+
+        it("移除备用价格后以主预言机的错误回滚", async function () {
+          await primaryFeed.updateAnswer(0);
+          await secondaryFeed.updateAnswer(0);
+
+          await expect(collection.getMintPrice())
+            .to.be.revertedWithCustomError(collection, "InvalidOraclePrice")
+            .withArgs(await primaryFeed.getAddress(), 0);
+        });
+      });
+
+      describe("权限", function () {
+        it("只有所有者可以修改预言机配置", async function () {
+          const address = await secondaryFeed.getAddress();
+
+          await variant.expectUnauthorized(collection, collection.connect(addr1).setPriceFeed(address));
+          await variant.expectUnauthorized(collection, collection.connect(addr1).setSecondaryPriceFeed(address));
+          await variant.expectUnauthorized(collection, collection.connect(addr1).setFallbackPrice(1));
+          await variant.expectUnauthorized(collection, collection.connect(addr1).setOracleSafety(HOUR, true, 0, 0));
+        });
+
+        it("修改配置时触发事件并更新配置", async function () {
+          await expect(collection.setOracleSafety(HOUR, true, 100n * USD, 1000n * USD))
+            .to.emit(collection, "OracleSafetyUpdated")
+            .withArgs(HOUR, true, 100n * USD, 1000n * USD);
+          await expect(collection.setSecondaryPriceFeed(await secondaryFeed.getAddress()))
+            .to.emit(collection, "SecondaryPriceFeedUpdated")
+            .withArgs(ethers.ZeroAddress, await secondaryFeed.getAddress());
+
+          const config = await collection.oracleConfig();
+          expect(config.primaryFeed).to.equal(await primaryFeed.getAddress());
+          expect(config.heartbeat).to.equal(HOUR);
+          expect(config.requireCompleteRound).to.be.true;
+          expect(config.secondaryFeed).to.equal(await secondaryFeed.getAddress());
+          expect(config.minPrice).to.equal(100n * USD);
+          expect(config.maxPrice).to.equal(1000n * USD);
+        });
+      });
+    });
+  }
+
+  describe("NFTCollectionV2 以原生代币计价", function () {
+    let collection;
+    let feed;
+
+    beforeEach(async function () {
+      feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+
+      const implementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("Proxy", await implementation.getAddress());
+      collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+      await collection.initialize("Native NFT", "NNFT", "ipfs://base/");
+      await collection.setSaleState(true, false);
+    });
+
+    it("未设置主预言机时价格直接以原生代币计价", async function () {
+      expect(await collection.getMintPrice()).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("设置主预言机后价格按美元换算，移除后恢复", async function () {
+      await expect(collection.setPriceFeed(await feed.getAddress()))
+        .to.emit(collection, "PriceFeedUpdated")
+        .withArgs(ethers.ZeroAddress, await feed.getAddress());
+      await collection.setMintPrices(5n * USD, 30n * USD);
+      expect(await collection.getMintPrice()).to.equal(ethers.parseEther("0.1"));
+
+      await collection.setPriceFeed(ethers.ZeroAddress);
+      await collection.setMintPrices(ethers.parseEther("0.01"), ethers.parseEther("0.05"));
+      expect(await collection.getMintPrice()).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("价格为 0 时不读取预言机", async function () {
+      await collection.setPriceFeed(await feed.getAddress());
+      await collection.setMintPrices(0, 0);
+      await feed.updateAnswer(0);
+
+      expect(await collection.getMintPrice()).to.equal(0);
+    });
+  });
+});
@@ -103,6 +103,10 @@ describe("Proxy and NFTCollectionV2 Delegatecall Tests", function () {
 
       const oldImplementation = await proxy.getImplementation();
 
+      // 升级管理器需要是代理的链上管理员
+      await proxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+
       await upgradeManager.connect(proxyAdmin).upgradeProxy(
         await proxy.getAddress(),
         await newNFTCollectionV2.getAddress()
@@ -128,10 +132,17 @@ describe("Proxy and NFTCollectionV2 Delegatecall Tests", function () {
 
     it("应该能够转移代理管理员权限", async function () {
       const newAdmin = addr2.address;
+      await proxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
       await upgradeManager.transferProxyAdmin(await proxy.getAddress(), newAdmin);
 
       const admin = await upgradeManager.proxyAdmins(await proxy.getAddress());
       expect(admin).to.equal(newAdmin);
+
+      // 新管理员接受后才成为代理的链上管理员
+      expect(await proxy.getPendingAdmin()).to.equal(newAdmin);
+      await proxy.connect(addr2).acceptAdmin();
+      expect(await proxy.getAdmin()).to.equal(newAdmin);
     });
   });
 
@@ -154,7 +165,7 @@ describe("Proxy and NFTCollectionV2 Delegatecall Tests", function () {
       await proxyAsNFT.connect(owner).setSaleState(true, false);
 
       const tokenURI = "1.json";
-      await proxyAsNFT.mintNFT(addr1.address, tokenURI);
+      await proxyAsNFT.mintNFT(addr1.address, tokenURI, { value: await proxyAsNFT.getMintPrice() });
 
       expect(await proxyAsNFT.totalSupply()).to.equal(1);
     });
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  getImplementationAddress,
+  getAdminAddress,
+  getPendingAdminAddress,
+  isEip1967Proxy,
+} = require("../scripts/utils/eip1967");
+
+describe("Proxy EIP-1967 存储槽位", function () {
+  let proxy;
+  let proxyAsNFT;
+  let implementation;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const name = "Test NFT Collection";
+  const symbol = "TNFT";
+  const baseTokenURI = "https://api.testnft.com/metadata/";
+
+  // 读取代理的两个 EIP-1967 槽位
+  async function readProxySlots() {
+    const address = await proxy.getAddress();
+    return {
+      implementation: await ethers.provider.getStorage(address, IMPLEMENTATION_SLOT),
+      admin: await ethers.provider.getStorage(address, ADMIN_SLOT),
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const NFTCollectionV2 = await ethers.getContractFactory("NFTCollectionV2");
+    implementation = await NFTCollectionV2.deploy();
+    await implementation.waitForDeployment();
+
+    const Proxy = await ethers.getContractFactory("Proxy");
+    proxy = await Proxy.deploy(await implementation.getAddress());
+    await proxy.waitForDeployment();
+
+    proxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+    await proxyAsNFT.initialize(name, symbol, baseTokenURI);
+  });
+
+  describe("槽位位置", function () {
+    it("槽位常量应该符合 EIP-1967 定义", async function () {
+      const slotFor = (label) => ethers.toBeHex(BigInt(ethers.id(label)) - 1n, 32);
+
+      expect(IMPLEMENTATION_SLOT).to.equal(slotFor("eip1967.proxy.implementation"));
+      expect(ADMIN_SLOT).to.equal(slotFor("eip1967.proxy.admin"));
+    });
+
+    it("实现地址和管理员地址应该保存在 EIP-1967 槽位中", async function () {
+      const proxyAddress = await proxy.getAddress();
+
+      expect(await getImplementationAddress(ethers.provider, proxyAddress)).to.equal(await implementation.getAddress());
+      expect(await getAdminAddress(ethers.provider, proxyAddress)).to.equal(owner.address);
+    });
+
+    it("槽位 0 和 1 应该属于实现合约的状态变量", async function () {
+      const proxyAddress = await proxy.getAddress();
+
+      // 代理自身不再使用普通槽位，初始化之后 name/symbol 也不会写入这两个槽位
+      expect(await ethers.provider.getStorage(proxyAddress, 0)).to.equal(ethers.ZeroHash);
+      expect(await ethers.provider.getStorage(proxyAddress, 1)).to.equal(ethers.ZeroHash);
+      expect(await proxyAsNFT.name()).to.equal(name);
+      expect(await proxyAsNFT.symbol()).to.equal(symbol);
+    });
+
+    it("应该能够识别 EIP-1967 代理", async function () {
+      expect(await isEip1967Proxy(ethers.provider, await proxy.getAddress())).to.be.true;
+      expect(await isEip1967Proxy(ethers.provider, await implementation.getAddress())).to.be.false;
+    });
+  });
+
+  describe("通过代理写入状态", function () {
+    it("NFT 操作不应该修改代理槽位", async function () {
+      const before = await readProxySlots();
+
+      await proxyAsNFT.setMaxSupply(1000);
+      await proxyAsNFT.setSaleState(true, true);
+      await proxyAsNFT.setWhitelistEnabled(true);
+      await proxyAsNFT.updateWhitelist([addr1.address, addr2.address], true);
+      await proxyAsNFT.setMintPrices(0, 0);
+      await proxyAsNFT.setBaseTokenURI("ipfs://collection/");
+      await proxyAsNFT.setRoyalty(addr1.address, 500);
+      await proxyAsNFT.reservedMint(addr1.address, "1.json");
+      await proxyAsNFT.mintNFT(addr2.address, "2.json");
+      await proxyAsNFT.connect(addr1).transferFrom(addr1.address, addr2.address, 1);
+      await proxyAsNFT.transferOwnership(addr1.address);
+      await proxyAsNFT.connect(addr1).acceptOwnership();
+
+      expect(await readProxySlots()).to.deep.equal(before);
+      expect(await proxyAsNFT.totalSupply()).to.equal(2);
+      expect(await proxyAsNFT.owner()).to.equal(addr1.address);
+    });
+
+    it("升级后实现槽位应该更新，而管理员槽位保持不变", async function () {
+      await proxyAsNFT.setMaxSupply(1000);
+
+      const NFTCollectionV2 = await ethers.getContractFactory("NFTCollectionV2");
+      const newImplementation = await NFTCollectionV2.deploy();
+      await newImplementation.waitForDeployment();
+      await proxy.upgradeImplementation(await newImplementation.getAddress());
+
+      const proxyAddress = await proxy.getAddress();
+      expect(await getImplementationAddress(ethers.provider, proxyAddress)).to.equal(await newImplementation.getAddress());
+      expect(await getAdminAddress(ethers.provider, proxyAddress)).to.equal(owner.address);
+      expect(await proxyAsNFT.maxSupply()).to.equal(1000);
+      expect(await proxyAsNFT.name()).to.equal(name);
+    });
+  });
+
+  describe("EIP-1967 事件", function () {
+    it("部署时应该触发 Upgraded 和 AdminChanged 事件", async function () {
+      const Proxy = await ethers.getContractFactory("Proxy");
+      const newProxy = await Proxy.deploy(await implementation.getAddress());
+      const deployTx = newProxy.deploymentTransaction();
+
+      await expect(deployTx).to.emit(newProxy, "Upgraded").withArgs(await implementation.getAddress());
+      await expect(deployTx).to.emit(newProxy, "AdminChanged").withArgs(ethers.ZeroAddress, owner.address);
+    });
+
+    it("升级时应该触发 Upgraded 事件", async function () {
+      const NFTCollectionV2 = await ethers.getContractFactory("NFTCollectionV2");
+      const newImplementation = await NFTCollectionV2.deploy();
+      await newImplementation.waitForDeployment();
+
+      await expect(proxy.upgradeImplementation(await newImplementation.getAddress()))
+        .to.emit(proxy, "Upgraded")
+        .withArgs(await newImplementation.getAddress());
+    });
+
+    it("新管理员接受转移时应该触发 AdminChanged 事件", async function () {
+      const proxyAddress = await proxy.getAddress();
+      await expect(proxy.transferAdmin(addr1.address))
+        .to.emit(proxy, "AdminTransferStarted")
+        .withArgs(owner.address, addr1.address)
+        .and.not.to.emit(proxy, "AdminChanged");
+
+      expect(await getAdminAddress(ethers.provider, proxyAddress)).to.equal(owner.address);
+      expect(await getPendingAdminAddress(ethers.provider, proxyAddress)).to.equal(addr1.address);
+
+      await expect(proxy.connect(addr1).acceptAdmin())
+        .to.emit(proxy, "AdminChanged")
+        .withArgs(owner.address, addr1.address);
+
+      expect(await getAdminAddress(ethers.provider, proxyAddress)).to.equal(addr1.address);
+      expect(await getPendingAdminAddress(ethers.provider, proxyAddress)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("不能升级到非合约地址", async function () {
+      await expect(proxy.upgradeImplementation(addr1.address))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+  });
+});
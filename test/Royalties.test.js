@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ERC-2981 版税与分账", function () {
+  const ERC2981_INTERFACE_ID = "0x2a55205a";
+  const ERC721_INTERFACE_ID = "0x80ac58cd";
+  const SALE_PRICE = ethers.parseEther("10");
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // NFTCollection 直接部署，NFTCollectionV2 通过 Proxy 部署
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Royalty NFT", "RNFT", "ipfs://base/", await feed.getAddress());
+      },
+      // 价格按美元计，预言机价格为 300 美元
+      toListPrice(nativeAmount) {
+        return nativeAmount * 300n;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Royalty NFT", "RNFT", "ipfs://base/");
+        return collection;
+      },
+      // 未设置预言机，价格以原生代币计价
+      toListPrice(nativeAmount) {
+        return nativeAmount;
+      },
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let owner;
+      let artist;
+      let partner;
+      let buyer;
+
+      beforeEach(async function () {
+        [owner, artist, partner, buyer] = await ethers.getSigners();
+        collection = await variant.deployCollection();
+      });
+
+      describe("接口", function () {
+        it("应该声明支持 ERC-2981 和 ERC-721", async function () {
+          expect(await collection.supportsInterface(ERC2981_INTERFACE_ID)).to.be.true;
+          expect(await collection.supportsInterface(ERC721_INTERFACE_ID)).to.be.true;
+          expect(await collection.supportsInterface("0xffffffff")).to.be.false;
+        });
+      });
+
+      describe("默认版税", function () {
+        beforeEach(async function () {
+          await collection.reservedMint(buyer.address, "1.json");
+        });
+
+        it("默认版税为 2.5%，接收者为部署者", async function () {
+          const [receiver, amount] = await collection.royaltyInfo(1, SALE_PRICE);
+
+          expect(receiver).to.equal(owner.address);
+          expect(amount).to.equal(ethers.parseEther("0.25"));
+        });
+
+        it("不存在的代币以 ERC721NonexistentToken 回滚", async function () {
+          await expect(collection.royaltyInfo(0, SALE_PRICE))
+            .to.be.revertedWithCustomError(collection, "ERC721NonexistentToken")
+            .withArgs(0);
+          await expect(collection.royaltyInfo(2, SALE_PRICE))
+            .to.be.revertedWithCustomError(collection, "ERC721NonexistentToken")
+            .withArgs(2);
+        });
+
+        it("默认版税不能超过上限", async function () {
+          expect(await collection.MAX_ROYALTY_BPS()).to.equal(1000);
+
+          await collection.setRoyalty(artist.address, 1000);
+          const [receiver, amount] = await collection.royaltyInfo(1, SALE_PRICE);
+          expect(receiver).to.equal(artist.address);
+          expect(amount).to.equal(ethers.parseEther("1"));
+
+          await expect(collection.setRoyalty(artist.address, 1001)).to.be.revertedWith("Royalty cannot exceed 10%");
+        });
+      });
+
+      describe("单个代币的版税", function () {
+        it("铸造时设置的版税覆盖默认版税", async function () {
+          await expect(collection.reservedMintWithRoyalty(buyer.address, "1.json", artist.address, 500))
+            .to.emit(collection, "TokenRoyaltySet")
+            .withArgs(1, artist.address, 500);
+          await collection.reservedMint(buyer.address, "2.json");
+
+          let [receiver, amount] = await collection.royaltyInfo(1, SALE_PRICE);
+          expect(receiver).to.equal(artist.address);
+          expect(amount).to.equal(ethers.parseEther("0.5"));
+
+          [receiver, amount] = await collection.royaltyInfo(2, SALE_PRICE);
+          expect(receiver).to.equal(owner.address);
+          expect(amount).to.equal(ethers.parseEther("0.25"));
+        });
+
+        it("修改默认版税不影响单独设置的代币", async function () {
+          await collection.reservedMintWithRoyalty(buyer.address, "1.json", artist.address, 500);
+          await collection.setRoyalty(partner.address, 100);
+
+          const [receiver, amount] = await collection.royaltyInfo(1, SALE_PRICE);
+          expect(receiver).to.equal(artist.address);
+          expect(amount).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("代币版税可以为 0", async function () {
+          await collection.reservedMintWithRoyalty(buyer.address, "1.json", artist.address, 0);
+
+          const [receiver, amount] = await collection.royaltyInfo(1, SALE_PRICE);
+          expect(receiver).to.equal(artist.address);
+          expect(amount).to.equal(0);
+        });
+
+        it("应该校验接收者和上限", async function () {
+          await expect(collection.reservedMintWithRoyalty(buyer.address, "1.json", ethers.ZeroAddress, 500))
+            .to.be.revertedWith("Invalid royalty receiver");
+          await expect(collection.reservedMintWithRoyalty(buyer.address, "1.json", artist.address, 1001))
+            .to.be.revertedWith("Royalty cannot exceed 10%");
+        });
+
+        it("只有所有者可以设置", async function () {
+          await variant.expectUnauthorized(
+            collection,
+            collection.connect(artist).reservedMintWithRoyalty(artist.address, "1.json", artist.address, 500)
+          );
+        });
+      });
+
+      describe("分账", function () {
+        let splitter;
+
+        beforeEach(async function () {
+          // 艺术家 3 份，合作方 1 份
+          splitter = await deploy("PaymentSplitter", [artist.address, partner.address], [3, 1]);
+          await collection.setRoyalty(await splitter.getAddress(), 500);
+          await expect(collection.setPayoutRecipient(await splitter.getAddress()))
+            .to.emit(collection, "PayoutRecipientUpdated")
+            .withArgs(ethers.ZeroAddress, await splitter.getAddress());
+        });
+
+        it("版税和提款都按份额分配", async function () {
+          await collection.reservedMint(buyer.address, "1.json");
+
+          // 市场按 royaltyInfo 支付版税
+          const [receiver, royalty] = await collection.royaltyInfo(1, SALE_PRICE);
+          await buyer.sendTransaction({ to: receiver, value: royalty });
+
+          // 铸造收入通过 withdraw 进入分账合约
+          await collection.setMintPrices(0, variant.toListPrice(ethers.parseEther("1.5")));
+          await collection.setSaleState(true, false);
+          await collection.connect(buyer).mintNFT(buyer.address, "2.json", { value: ethers.parseEther("1.5") });
+          await expect(collection.withdraw())
+            .to.changeEtherBalances([collection, splitter], [-ethers.parseEther("1.5"), ethers.parseEther("1.5")]);
+
+          // 共收到 0.5 + 1.5 = 2 ETH
+          expect(await splitter.releasable(artist.address)).to.equal(ethers.parseEther("1.5"));
+          expect(await splitter.releasable(partner.address)).to.equal(ethers.parseEther("0.5"));
+
+          await expect(splitter.release(artist.address))
+            .to.changeEtherBalance(artist, ethers.parseEther("1.5"));
+          await expect(splitter.connect(buyer).release(partner.address))
+            .to.changeEtherBalance(partner, ethers.parseEther("0.5"));
+        });
+
+        it("取消提款接收地址后提取给所有者", async function () {
+          await collection.setPayoutRecipient(ethers.ZeroAddress);
+          await collection.setMintPrices(0, variant.toListPrice(ethers.parseEther("1")));
+          await collection.setSaleState(true, false);
+          await collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: ethers.parseEther("1") });
+
+          await expect(collection.withdraw()).to.changeEtherBalance(owner, ethers.parseEther("1"));
+        });
+
+        it("只有所有者可以设置提款接收地址", async function () {
+          await variant.expectUnauthorized(collection, collection.connect(artist).setPayoutRecipient(artist.address));
+        });
+      });
+    });
+  }
+
+  describe("PaymentSplitter", function () {
+    let splitter;
+    let payee1;
+    let payee2;
+    let payee3;
+    let payer;
+
+    beforeEach(async function () {
+      [, payee1, payee2, payee3, payer] = await ethers.getSigners();
+      splitter = await deploy("PaymentSplitter", [payee1.address, payee2.address, payee3.address], [50, 30, 20]);
+    });
+
+    it("应该记录收款人和份额", async function () {
+      expect(await splitter.getPayees()).to.deep.equal([payee1.address, payee2.address, payee3.address]);
+      expect(await splitter.totalShares()).to.equal(100);
+      expect(await splitter.shares(payee2.address)).to.equal(30);
+    });
+
+    it("应该校验构造参数", async function () {
+      const PaymentSplitter = await ethers.getContractFactory("PaymentSplitter");
+
+      await expect(PaymentSplitter.deploy([payee1.address], [1, 2])).to.be.revertedWith("Payees and shares length mismatch");
+      await expect(PaymentSplitter.deploy([], [])).to.be.revertedWith("No payees");
+      await expect(PaymentSplitter.deploy([ethers.ZeroAddress], [1])).to.be.revertedWith("Account is the zero address");
+      await expect(PaymentSplitter.deploy([payee1.address], [0])).to.be.revertedWith("Shares are 0");
+      await expect(PaymentSplitter.deploy([payee1.address, payee1.address], [1, 1])).to.be.revertedWith("Account already has shares");
+    });
+
+    it("多次收款后按份额累计领取", async function () {
+      await expect(payer.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("1") }))
+        .to.emit(splitter, "PaymentReceived")
+        .withArgs(payer.address, ethers.parseEther("1"));
+      await splitter.release(payee1.address);
+
+      await payer.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("3") });
+
+      expect(await splitter.releasable(payee1.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await splitter.releasable(payee2.address)).to.equal(ethers.parseEther("1.2"));
+      await expect(splitter.release(payee3.address))
+        .to.emit(splitter, "PaymentReleased")
+        .withArgs(payee3.address, ethers.parseEther("0.8"));
+      expect(await splitter.released(payee1.address)).to.equal(ethers.parseEther("0.5"));
+      expect(await splitter.totalReleased()).to.equal(ethers.parseEther("1.3"));
+    });
+
+    it("没有份额或没有可领取金额时失败", async function () {
+      await expect(splitter.release(payer.address)).to.be.revertedWith("Account has no shares");
+      await expect(splitter.release(payee1.address)).to.be.revertedWith("Account is not due payment");
+    });
+  });
+});
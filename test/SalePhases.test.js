@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist } = require("../scripts/utils/merkle-allowlist");
+
+describe("分阶段销售", function () {
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // NFTCollection 直接部署（价格按美元计，预言机 $300），NFTCollectionV2 通过 Proxy 部署（价格按原生代币计）
+  // phasePrice(n) 返回铸造价格为 n * 0.1 ETH 时阶段配置中的价格
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection() {
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        return deploy("NFTCollection", "Phased NFT", "PHNFT", "ipfs://base/", await feed.getAddress());
+      },
+      phasePrice: (n) => BigInt(n) * 30n * 10n ** 18n,
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection() {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Phased NFT", "PHNFT", "ipfs://base/");
+        return collection;
+      },
+      phasePrice: (n) => BigInt(n) * ethers.parseEther("0.1"),
+      async expectUnauthorized(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let owner;
+      let alice;
+      let bob;
+      let carol;
+      let start;
+      let phases;
+
+      const PHASE_LENGTH = 1000;
+      const price = (n) => BigInt(n) * ethers.parseEther("0.1");
+      const uris = (count) => Array.from({ length: count }, (_, i) => `${i + 1}.json`);
+
+      function mint(signer, count) {
+        if (count === 1) {
+          return collection.connect(signer).mintNFT(signer.address, "1.json", { value: price(1) });
+        }
+        return collection.connect(signer).mintNFTs(signer.address, count, uris(count), { value: price(count) });
+      }
+
+      beforeEach(async function () {
+        [owner, alice, bob, carol] = await ethers.getSigners();
+
+        collection = await variant.deployCollection();
+        await collection.updateWhitelist([alice.address, bob.address], true);
+
+        start = (await time.latest()) + 100;
+        phases = [
+          { // 白名单阶段：0.1 ETH，每个钱包 2 个，共 3 个
+            startTime: start,
+            endTime: start + PHASE_LENGTH,
+            price: variant.phasePrice(1),
+            walletCap: 2,
+            supplyCap: 3,
+            allowlistRequired: true,
+          },
+          { // 公开阶段：0.2 ETH，每个钱包 3 个，不限阶段供应
+            startTime: start + PHASE_LENGTH,
+            endTime: start + 2 * PHASE_LENGTH,
+            price: variant.phasePrice(2),
+            walletCap: 3,
+            supplyCap: 0,
+            allowlistRequired: false,
+          },
+        ];
+
+        await expect(collection.setSalePhases(phases))
+          .to.emit(collection, "SalePhasesUpdated")
+          .withArgs(2);
+      });
+
+      describe("阶段配置", function () {
+        it("应该保存全部阶段", async function () {
+          const stored = await collection.getSalePhases();
+
+          expect(stored).to.have.lengthOf(2);
+          expect(stored[0].startTime).to.equal(start);
+          expect(stored[0].walletCap).to.equal(2);
+          expect(stored[1].allowlistRequired).to.be.false;
+        });
+
+        it("阶段时间必须有效且不重叠", async function () {
+          await expect(collection.setSalePhases([{ ...phases[0], endTime: phases[0].startTime }]))
+            .to.be.revertedWith("Invalid phase time range");
+          await expect(collection.setSalePhases([phases[0], { ...phases[1], startTime: phases[0].endTime - 1 }]))
+            .to.be.revertedWith("Phases overlap");
+          await expect(collection.setSalePhases([phases[1], phases[0]]))
+            .to.be.revertedWith("Phases overlap");
+        });
+
+        it("只有所有者可以设置阶段", async function () {
+          await variant.expectUnauthorized(collection, collection.connect(alice).setSalePhases(phases));
+        });
+      });
+
+      describe("当前阶段", function () {
+        it("第一个阶段开始前没有激活的阶段，销售开关不再生效", async function () {
+          await collection.setSaleState(true, true);
+
+          const [active] = await collection.currentSalePhase();
+          expect(active).to.be.false;
+          await expect(mint(alice, 1)).to.be.revertedWith("No active sale phase");
+        });
+
+        it("应该按时间返回当前阶段和价格", async function () {
+          await time.increaseTo(start);
+          let [active, phaseId, phase] = await collection.currentSalePhase();
+          expect(active).to.be.true;
+          expect(phaseId).to.equal(0);
+          expect(phase.allowlistRequired).to.be.true;
+          expect(await collection.getMintPrice()).to.equal(price(1));
+
+          await time.increaseTo(start + PHASE_LENGTH);
+          [active, phaseId] = await collection.currentSalePhase();
+          expect(active).to.be.true;
+          expect(phaseId).to.equal(1);
+          expect(await collection.getMintPrice()).to.equal(price(2));
+
+          await time.increaseTo(start + 2 * PHASE_LENGTH);
+          [active] = await collection.currentSalePhase();
+          expect(active).to.be.false;
+          await expect(mint(alice, 1)).to.be.revertedWith("No active sale phase");
+        });
+
+        it("阶段之间的空档没有激活的阶段", async function () {
+          await collection.setSalePhases([phases[0], { ...phases[1], startTime: start + PHASE_LENGTH + 500 }]);
+          await time.increaseTo(start + PHASE_LENGTH + 100);
+
+          const [active] = await collection.currentSalePhase();
+          expect(active).to.be.false;
+        });
+      });
+
+      describe("白名单阶段", function () {
+        beforeEach(async function () {
+          await time.increaseTo(start);
+        });
+
+        it("只允许白名单地址铸造", async function () {
+          await expect(mint(carol, 1)).to.be.revertedWith("Not on allowlist");
+
+          await mint(alice, 1);
+          expect(await collection.balanceOf(alice.address)).to.equal(1);
+        });
+
+        it("每个钱包的上限跨交易累计", async function () {
+          await mint(alice, 1);
+          await mint(alice, 1);
+
+          await expect(mint(alice, 1)).to.be.revertedWith("Exceeds wallet limit for phase");
+          expect(await collection.phaseMintedBy(0, alice.address)).to.equal(2);
+        });
+
+        it("阶段供应上限跨钱包累计", async function () {
+          await mint(alice, 2);
+
+          await expect(mint(bob, 2)).to.be.revertedWith("Exceeds phase supply");
+          await mint(bob, 1);
+          expect(await collection.phaseMinted(0)).to.equal(3);
+        });
+
+        it("替换阶段后已铸造数量重新计数", async function () {
+          await mint(alice, 2);
+          await mint(bob, 1);
+
+          await collection.setSalePhases(phases);
+          expect(await collection.phaseMinted(0)).to.equal(0);
+          expect(await collection.phaseMintedBy(0, alice.address)).to.equal(0);
+
+          await mint(alice, 2);
+          await mint(bob, 1);
+          expect(await collection.phaseMinted(0)).to.equal(3);
+        });
+
+        it("需要支付阶段价格", async function () {
+          await expect(collection.connect(alice).mintNFT(alice.address, "1.json", { value: price(1) - 1n }))
+            .to.be.revertedWith("Insufficient payment");
+        });
+
+        it("Merkle 白名单铸造计入阶段上限", async function () {
+          const allowlist = buildAllowlist([{ address: carol.address, quota: 5 }, { address: alice.address, quota: 5 }]);
+          await collection.setMerkleRoot(allowlist.root);
+          const { quota, proof } = allowlist.proofs[carol.address];
+
+          expect(await collection.getPresaleMintPrice()).to.equal(price(1));
+          await collection.connect(carol).presaleMint(carol.address, quota, proof, uris(2), { value: price(2) });
+
+          await expect(collection.connect(carol).presaleMint(carol.address, quota, proof, uris(1), { value: price(1) }))
+            .to.be.revertedWith("Exceeds wallet limit for phase");
+          expect(await collection.phaseMinted(0)).to.equal(2);
+        });
+      });
+
+      describe("公开阶段", function () {
+        beforeEach(async function () {
+          await time.increaseTo(start + PHASE_LENGTH);
+        });
+
+        it("任何地址都可以按阶段价格铸造，上限按阶段重新计算", async function () {
+          await collection.connect(carol).mintNFTs(carol.address, 3, uris(3), { value: price(2) * 3n });
+
+          await expect(collection.connect(carol).mintNFT(carol.address, "4.json", { value: price(2) }))
+            .to.be.revertedWith("Exceeds wallet limit for phase");
+          expect(await collection.phaseMintedBy(1, carol.address)).to.equal(3);
+        });
+
+        it("不能在非白名单阶段使用 Merkle 证明铸造", async function () {
+          const allowlist = buildAllowlist([{ address: carol.address, quota: 5 }]);
+          await collection.setMerkleRoot(allowlist.root);
+          const { quota, proof } = allowlist.proofs[carol.address];
+
+          await expect(collection.connect(carol).presaleMint(carol.address, quota, proof, uris(1), { value: price(2) }))
+            .to.be.revertedWith("Phase does not use allowlist");
+        });
+      });
+
+      it("清空阶段后恢复使用销售开关", async function () {
+        await collection.setSalePhases([]);
+        await collection.setSaleState(true, false);
+
+        expect(await collection.getSalePhases()).to.be.empty;
+        await collection.connect(carol).mintNFT(carol.address, "1.json", { value: await collection.getMintPrice() });
+        expect(await collection.balanceOf(carol.address)).to.equal(1);
+      });
+    });
+  }
+});
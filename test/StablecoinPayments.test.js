@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("稳定币支付", function () {
+  const USD = 10n ** 18n; // 合约中的美元金额使用 18 位小数
+  const PRICE_USD = 10n * USD + 1n; // 6 位小数的代币不能整除，需要向上取整
+  const NO_PERMIT = { value: 0, deadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  // 签名 EIP-2612 授权
+  async function signPermit(token, owner, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline };
+    const { v, r, s } = ethers.Signature.from(await owner.signTypedData(domain, types, message));
+    return { value, deadline, v, r, s };
+  }
+
+  // 两种集合的价格都按美元计（300 美元 / ETH），NFTCollectionV2 需要设置主预言机
+  const variants = [
+    {
+      label: "NFTCollection",
+      async deployCollection(feed) {
+        return deploy("NFTCollection", "Stable NFT", "SNFT", "ipfs://base/", await feed.getAddress());
+      },
+      async expectMissingRole(collection, promise) {
+        await expect(promise).to.be.revertedWithCustomError(collection, "AccessControlUnauthorizedAccount");
+      },
+    },
+    {
+      label: "NFTCollectionV2 (Proxy)",
+      async deployCollection(feed) {
+        const implementation = await deploy("NFTCollectionV2");
+        const proxy = await deploy("Proxy", await implementation.getAddress());
+        const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+        await collection.initialize("Stable NFT", "SNFT", "ipfs://base/");
+        await collection.setPriceFeed(await feed.getAddress());
+        return collection;
+      },
+      async expectMissingRole(collection, promise) {
+        await expect(promise).to.be.revertedWith("Caller is missing role");
+      },
+    },
+  ];
+
+  for (const variant of variants) {
+    describe(variant.label, function () {
+      let collection;
+      let usdc;
+      let usdt;
+      let owner;
+      let buyer;
+      let treasury;
+      let other;
+
+      beforeEach(async function () {
+        [owner, buyer, treasury, other] = await ethers.getSigners();
+        const feed = await deploy("MockAggregatorV3", 8, 300n * 10n ** 8n);
+        collection = await variant.deployCollection(feed);
+        await collection.setMintPrices(0, PRICE_USD);
+        await collection.setSaleState(true, false);
+
+        usdc = await deploy("MockERC20", "USD Coin", "USDC", 6);
+        usdt = await deploy("MockERC20", "Tether USD", "USDT", 18);
+        await usdc.mint(buyer.address, 1000n * 10n ** 6n);
+        await usdt.mint(buyer.address, 1000n * USD);
+      });
+
+      describe("支付代币配置", function () {
+        it("只有 TREASURER_ROLE 可以接受或停用支付代币", async function () {
+          await expect(collection.setPaymentToken(await usdc.getAddress(), true))
+            .to.emit(collection, "PaymentTokenUpdated")
+            .withArgs(await usdc.getAddress(), true, 6);
+          expect(await collection.getPaymentTokens()).to.deep.equal([await usdc.getAddress()]);
+
+          await variant.expectMissingRole(collection, collection.connect(other).setPaymentToken(await usdt.getAddress(), true));
+          await expect(collection.setPaymentToken(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid payment token");
+          const wide = await deploy("MockERC20", "Wide", "WIDE", 19);
+          await expect(collection.setPaymentToken(await wide.getAddress(), true)).to.be.revertedWith("Too many decimals");
+        });
+
+        it("小数位数从代币读取，不能由调用者指定", async function () {
+          await expect(collection.setPaymentToken(await usdt.getAddress(), true))
+            .to.emit(collection, "PaymentTokenUpdated")
+            .withArgs(await usdt.getAddress(), true, 18);
+          await expect(collection.setPaymentToken(other.address, true)).to.be.reverted; // 不是代币合约
+        });
+
+        it("按代币小数位数报价，不能整除时向上取整", async function () {
+          await collection.setPaymentToken(await usdc.getAddress(), true);
+          await collection.setPaymentToken(await usdt.getAddress(), true);
+
+          expect(await collection.getMintPriceInToken(await usdc.getAddress())).to.equal(10n * 10n ** 6n + 1n);
+          expect(await collection.getMintPriceInToken(await usdt.getAddress())).to.equal(PRICE_USD);
+        });
+
+        it("停用后不再接受，但仍保留在列表中", async function () {
+          await collection.setPaymentToken(await usdc.getAddress(), true);
+          await collection.setPaymentToken(await usdc.getAddress(), false);
+
+          expect(await collection.getPaymentTokens()).to.deep.equal([await usdc.getAddress()]);
+          await expect(collection.getMintPriceInToken(await usdc.getAddress())).to.be.revertedWith("Payment token not accepted");
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdc.getAddress(), NO_PERMIT)
+          ).to.be.revertedWith("Payment token not accepted");
+        });
+      });
+
+      describe("代币铸造", function () {
+        beforeEach(async function () {
+          await collection.setPaymentToken(await usdc.getAddress(), true);
+          await collection.setPaymentToken(await usdt.getAddress(), true);
+        });
+
+        it("事先授权后用代币批量铸造", async function () {
+          const amount = 20n * 10n ** 6n + 1n; // 按总价取整，只多收 1 个最小单位
+          await usdc.connect(buyer).approve(await collection.getAddress(), amount);
+
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 2, ["1.json", "2.json"], await usdc.getAddress(), NO_PERMIT)
+          ).to.changeTokenBalances(usdc, [buyer, collection], [-amount, amount]);
+          expect(await collection.balanceOf(buyer.address)).to.equal(2);
+        });
+
+        it("单个铸造时 count 传 1，按单个 NFT 的代币价格收款", async function () {
+          const price = await collection.getMintPriceInToken(await usdc.getAddress());
+          await usdc.connect(buyer).approve(await collection.getAddress(), price);
+
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdc.getAddress(), NO_PERMIT)
+          ).to.changeTokenBalances(usdc, [buyer, collection], [-price, price]);
+          expect(await collection.ownerOf(1)).to.equal(buyer.address);
+        });
+
+        it("使用 permit 签名授权，无需单独的授权交易", async function () {
+          const deadline = (await time.latest()) + 3600;
+          const permit = await signPermit(usdt, buyer, await collection.getAddress(), PRICE_USD, deadline);
+
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdt.getAddress(), permit)
+          ).to.changeTokenBalances(usdt, [buyer, collection], [-PRICE_USD, PRICE_USD]);
+          expect(await usdt.nonces(buyer.address)).to.equal(1);
+        });
+
+        it("permit 被抢先提交时仍可使用已有授权", async function () {
+          const deadline = (await time.latest()) + 3600;
+          const permit = await signPermit(usdt, buyer, await collection.getAddress(), PRICE_USD, deadline);
+          await usdt.permit(buyer.address, await collection.getAddress(), permit.value, deadline, permit.v, permit.r, permit.s);
+
+          await collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdt.getAddress(), permit);
+          expect(await collection.ownerOf(1)).to.equal(buyer.address);
+        });
+
+        it("授权不足时回滚", async function () {
+          await usdc.connect(buyer).approve(await collection.getAddress(), 10n * 10n ** 6n); // 少 1 个最小单位
+
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdc.getAddress(), NO_PERMIT)
+          ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+        });
+
+        it("代币铸造同样检查销售状态", async function () {
+          await collection.setSaleState(false, false);
+          await usdt.connect(buyer).approve(await collection.getAddress(), PRICE_USD);
+
+          await expect(
+            collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdt.getAddress(), NO_PERMIT)
+          ).to.be.revertedWith("Sale is not active");
+        });
+      });
+
+      describe("原生代币退款", function () {
+        it("mintNFT 和 mintNFTs 退还多付的部分", async function () {
+          const price = await collection.getMintPrice();
+
+          await expect(
+            collection.connect(buyer).mintNFT(buyer.address, "1.json", { value: price + ethers.parseEther("1") })
+          ).to.changeEtherBalances([buyer, collection], [-price, price]);
+          await expect(
+            collection.connect(buyer).mintNFTs(buyer.address, 2, ["2.json", "3.json"], { value: 3n * price })
+          ).to.changeEtherBalances([buyer, collection], [-2n * price, 2n * price]);
+        });
+      });
+
+      describe("提款", function () {
+        beforeEach(async function () {
+          await collection.setPaymentToken(await usdc.getAddress(), true);
+          await collection.setPaymentToken(await usdt.getAddress(), true);
+          await collection.setPayoutRecipient(treasury.address);
+
+          await usdc.connect(buyer).approve(await collection.getAddress(), 10n * 10n ** 6n + 1n);
+          await usdt.connect(buyer).approve(await collection.getAddress(), PRICE_USD);
+          await collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["1.json"], await usdc.getAddress(), NO_PERMIT);
+          await collection.connect(buyer).mintNFTsWithToken(buyer.address, 1, ["2.json"], await usdt.getAddress(), NO_PERMIT);
+        });
+
+        it("withdraw 只转出原生代币，withdrawToken 按代币转出（包括已停用的）", async function () {
+          const price = await collection.getMintPrice();
+          await collection.connect(buyer).mintNFT(buyer.address, "3.json", { value: price });
+          await collection.setPaymentToken(await usdc.getAddress(), false);
+
+          await expect(collection.withdraw()).to.changeEtherBalances([collection, treasury], [-price, price]);
+          expect(await usdc.balanceOf(await collection.getAddress())).to.equal(10n * 10n ** 6n + 1n);
+
+          await expect(collection.withdrawToken(await usdc.getAddress()))
+            .to.emit(collection, "PaymentTokenWithdrawn")
+            .withArgs(await usdc.getAddress(), treasury.address, 10n * 10n ** 6n + 1n);
+          await collection.withdrawToken(await usdt.getAddress());
+          expect(await usdc.balanceOf(treasury.address)).to.equal(10n * 10n ** 6n + 1n);
+          expect(await usdt.balanceOf(treasury.address)).to.equal(PRICE_USD);
+          expect(await usdc.balanceOf(await collection.getAddress())).to.equal(0);
+        });
+
+        it("某个支付代币转账失败不影响原生代币和其他代币的提取", async function () {
+          const price = await collection.getMintPrice();
+          await collection.connect(buyer).mintNFT(buyer.address, "3.json", { value: price });
+          await usdc.setTransfersBlocked(true);
+
+          await expect(collection.withdrawToken(await usdc.getAddress())).to.be.revertedWith("Transfers blocked");
+          await expect(collection.withdraw()).to.changeEtherBalances([collection, treasury], [-price, price]);
+          await expect(collection.withdrawToken(await usdt.getAddress()))
+            .to.changeTokenBalances(usdt, [collection, treasury], [-PRICE_USD, PRICE_USD]);
+        });
+
+        it("只有 TREASURER_ROLE 可以提取，只能提取配置过的代币", async function () {
+          await variant.expectMissingRole(collection, collection.connect(other).withdrawToken(await usdc.getAddress()));
+
+          const other20 = await deploy("MockERC20", "Other", "OTH", 18);
+          await expect(collection.withdrawToken(await other20.getAddress())).to.be.revertedWith("Payment token not listed");
+        });
+      });
+    });
+  }
+
+  describe("NFTCollectionV2 未设置预言机", function () {
+    it("价格以原生代币计价时不能用稳定币支付", async function () {
+      const implementation = await deploy("NFTCollectionV2");
+      const proxy = await deploy("Proxy", await implementation.getAddress());
+      const collection = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+      await collection.initialize("Stable NFT", "SNFT", "ipfs://base/");
+      await collection.setSaleState(true, false);
+      const usdc = await deploy("MockERC20", "USD Coin", "USDC", 6);
+      await collection.setPaymentToken(await usdc.getAddress(), true);
+
+      await expect(collection.getMintPriceInToken(await usdc.getAddress())).to.be.revertedWith("Prices not in USD");
+      await expect(
+        collection.mintNFTsWithToken((await ethers.getSigners())[0].address, 1, ["1.json"], await usdc.getAddress(), NO_PERMIT)
+      ).to.be.revertedWith("Prices not in USD");
+    });
+  });
+});
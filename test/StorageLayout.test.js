@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  STATUS,
+  getStorageLayout,
+  compareStorageLayouts,
+  formatLayoutReport,
+  assertStorageUpgradeSafe,
+} = require("../scripts/utils/storage-layout");
+
+describe("存储布局兼容性检查", function () {
+  // 构造一个最小的存储布局，用于测试比较规则
+  const types = {
+    t_uint256: { encoding: "inplace", label: "uint256", numberOfBytes: "32" },
+    t_address: { encoding: "inplace", label: "address", numberOfBytes: "20" },
+    "t_array(t_uint256)10_storage": {
+      base: "t_uint256",
+      encoding: "inplace",
+      label: "uint256[10]",
+      numberOfBytes: "320",
+    },
+    "t_array(t_uint256)8_storage": {
+      base: "t_uint256",
+      encoding: "inplace",
+      label: "uint256[8]",
+      numberOfBytes: "256",
+    },
+  };
+  const variable = (label, slot, type) => ({ label, slot: String(slot), offset: 0, type });
+  const layout = (name, storage) => ({ name, storage, types });
+
+  describe("实际合约", function () {
+    it("LogicContract → LogicContractV2 只追加了 multiplier，应该兼容", async function () {
+      const result = await assertStorageUpgradeSafe(hre, "LogicContract", "LogicContractV2", { quiet: true });
+
+      expect(result.compatible).to.be.true;
+      const added = result.diffs.filter((diff) => diff.status === STATUS.ADDED);
+      expect(added.map((diff) => diff.label)).to.deep.equal(["multiplier"]);
+    });
+
+    it("LogicContractV2 → LogicContract 删除了 multiplier，应该拒绝", async function () {
+      await expect(
+        assertStorageUpgradeSafe(hre, "LogicContractV2", "LogicContract", { quiet: true })
+      ).to.be.rejectedWith("存储布局不兼容");
+    });
+
+    it("NFTCollection → NFTCollectionV2 的布局不兼容", async function () {
+      const result = compareStorageLayouts(
+        await getStorageLayout(hre, "NFTCollection"),
+        await getStorageLayout(hre, "NFTCollectionV2")
+      );
+
+      expect(result.compatible).to.be.false;
+      const removed = result.diffs.filter((diff) => diff.status === STATUS.REMOVED).map((diff) => diff.label);
+      expect(removed).to.include("mintPriceUSD");
+    });
+  });
+
+  describe("比较规则", function () {
+    const original = layout("V1", [
+      variable("counter", 0, "t_uint256"),
+      variable("owner", 1, "t_address"),
+      variable("__gap", 2, "t_array(t_uint256)10_storage"),
+    ]);
+
+    it("应该检测到变量重排", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("owner", 0, "t_address"),
+        variable("counter", 1, "t_uint256"),
+        variable("__gap", 2, "t_array(t_uint256)10_storage"),
+      ]));
+
+      expect(result.compatible).to.be.false;
+      expect(result.diffs.filter((diff) => diff.status === STATUS.MOVED)).to.have.lengthOf(2);
+    });
+
+    it("应该检测到类型变化", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("counter", 0, "t_uint256"),
+        variable("owner", 1, "t_uint256"),
+        variable("__gap", 2, "t_array(t_uint256)10_storage"),
+      ]));
+
+      expect(result.compatible).to.be.false;
+      expect(result.diffs.find((diff) => diff.status === STATUS.RETYPED).label).to.equal("owner");
+    });
+
+    it("缩小 __gap 并在释放的槽位中添加变量应该兼容", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("counter", 0, "t_uint256"),
+        variable("owner", 1, "t_address"),
+        variable("multiplier", 2, "t_uint256"),
+        variable("limit", 3, "t_uint256"),
+        variable("__gap", 4, "t_array(t_uint256)8_storage"),
+      ]));
+
+      expect(result.compatible).to.be.true;
+      expect(result.diffs.map((diff) => diff.status)).to.deep.equal([
+        STATUS.OK, STATUS.OK, STATUS.ADDED, STATUS.ADDED, STATUS.GAP,
+      ]);
+    });
+
+    it("在原有变量之间插入新变量应该拒绝", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("counter", 0, "t_uint256"),
+        variable("multiplier", 1, "t_uint256"),
+        variable("owner", 2, "t_address"),
+        variable("__gap", 3, "t_array(t_uint256)10_storage"),
+      ]));
+
+      expect(result.compatible).to.be.false;
+    });
+
+    it("改名只作为警告，不影响兼容性", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("count", 0, "t_uint256"),
+        variable("owner", 1, "t_address"),
+        variable("__gap", 2, "t_array(t_uint256)10_storage"),
+      ]));
+
+      expect(result.compatible).to.be.true;
+      expect(result.diffs[0].status).to.equal(STATUS.RENAMED);
+    });
+
+    it("报告应该以表格形式列出每个槽位的差异", function () {
+      const result = compareStorageLayouts(original, layout("V2", [
+        variable("counter", 0, "t_uint256"),
+      ]));
+      const report = formatLayoutReport(result);
+
+      expect(report).to.contain("V1 → V2");
+      expect(report).to.match(/REMOVED\s+\| 1\s+\| 0\s+\| owner/);
+      expect(report).to.contain("拒绝升级");
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getImplementationAddress } = require("../scripts/utils/eip1967");
+const { findSelectorClashes, checkSelectorClashes } = require("../scripts/utils/selector-clash");
+
+describe("TransparentProxy 透明代理", function () {
+  let proxy;
+  let proxyAsAdmin;
+  let proxyAsNFT;
+  let implementation;
+  let upgradeManager;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const name = "Test NFT Collection";
+  const symbol = "TNFT";
+  const baseTokenURI = "https://api.testnft.com/metadata/";
+
+  async function deployImplementation() {
+    const NFTCollectionV2 = await ethers.getContractFactory("NFTCollectionV2");
+    const contract = await NFTCollectionV2.deploy();
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    implementation = await deployImplementation();
+
+    const UpgradeManager = await ethers.getContractFactory("UpgradeManager");
+    upgradeManager = await UpgradeManager.deploy();
+    await upgradeManager.waitForDeployment();
+
+    // 管理员是单独的账户 addr1，部署者 owner 作为普通用户使用 NFT
+    const TransparentProxy = await ethers.getContractFactory("TransparentProxy");
+    proxy = await TransparentProxy.deploy(await implementation.getAddress(), addr1.address);
+    await proxy.waitForDeployment();
+
+    proxyAsAdmin = await ethers.getContractAt("ITransparentProxy", await proxy.getAddress(), addr1);
+    proxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+    await proxyAsNFT.initialize(name, symbol, baseTokenURI);
+  });
+
+  describe("管理员调用", function () {
+    it("管理员可以读取实现地址和管理员地址", async function () {
+      expect(await proxyAsAdmin.getImplementation()).to.equal(await implementation.getAddress());
+      expect(await proxyAsAdmin.getAdmin()).to.equal(addr1.address);
+    });
+
+    it("管理员可以升级实现合约", async function () {
+      const newImplementation = await deployImplementation();
+
+      await expect(proxyAsAdmin.upgradeImplementation(await newImplementation.getAddress()))
+        .to.emit(proxy, "Upgraded")
+        .withArgs(await newImplementation.getAddress());
+
+      expect(await getImplementationAddress(ethers.provider, await proxy.getAddress()))
+        .to.equal(await newImplementation.getAddress());
+      expect(await proxyAsNFT.name()).to.equal(name);
+    });
+
+    it("管理员可以转移管理员权限，新管理员接受后生效", async function () {
+      await expect(proxyAsAdmin.transferAdmin(owner.address))
+        .to.emit(proxy, "AdminTransferStarted")
+        .withArgs(addr1.address, owner.address);
+      expect(await proxyAsAdmin.getPendingAdmin()).to.equal(owner.address);
+
+      // 待接受的管理员只有 acceptAdmin 由代理处理，其他调用仍然转发到实现合约
+      const proxyAsNewAdmin = proxyAsAdmin.connect(owner);
+      expect(await proxyAsNFT.connect(owner).name()).to.equal(name);
+      await expect(proxyAsNewAdmin.acceptAdmin())
+        .to.emit(proxy, "AdminChanged")
+        .withArgs(addr1.address, owner.address);
+
+      expect(await proxyAsNewAdmin.getAdmin()).to.equal(owner.address);
+      await expect(proxyAsAdmin.getAdmin()).to.be.reverted; // 旧管理员的调用转发到实现合约
+    });
+
+    it("只有待接受的管理员可以接受转移", async function () {
+      await proxyAsAdmin.transferAdmin(owner.address);
+
+      // 其他地址的 acceptAdmin 转发到实现合约，由实现合约拒绝
+      await expect(proxyAsAdmin.connect(addr2).acceptAdmin()).to.be.revertedWithoutReason();
+      expect(await proxyAsAdmin.getAdmin()).to.equal(addr1.address);
+    });
+
+    it("管理员不能调用实现合约的函数", async function () {
+      await expect(proxyAsNFT.connect(addr1).name())
+        .to.be.revertedWith("Admin cannot fallback to proxy target");
+    });
+
+    it("管理调用不能附带以太币", async function () {
+      await expect(
+        addr1.sendTransaction({
+          to: await proxy.getAddress(),
+          data: proxyAsAdmin.interface.encodeFunctionData("getAdmin"),
+          value: 1,
+        })
+      ).to.be.revertedWith("Admin calls cannot send value");
+    });
+
+    it("管理函数应该校验参数", async function () {
+      await expect(proxyAsAdmin.upgradeImplementation(ethers.ZeroAddress))
+        .to.be.revertedWith("Implementation cannot be zero address");
+      await expect(proxyAsAdmin.upgradeImplementation(await implementation.getAddress()))
+        .to.be.revertedWith("Same implementation address");
+      await expect(proxyAsAdmin.transferAdmin(ethers.ZeroAddress))
+        .to.be.revertedWith("Admin cannot be zero address");
+    });
+  });
+
+  describe("用户调用", function () {
+    it("用户的调用应该转发到实现合约", async function () {
+      expect(await proxyAsNFT.name()).to.equal(name);
+      expect(await proxyAsNFT.owner()).to.equal(owner.address);
+
+      await proxyAsNFT.setMaxSupply(1000);
+      await proxyAsNFT.reservedMint(owner.address, "1.json");
+      expect(await proxyAsNFT.totalSupply()).to.equal(1);
+    });
+
+    it("用户调用管理函数选择器时应该转发到实现合约", async function () {
+      // NFTCollectionV2 没有 upgradeImplementation，转发后由实现合约拒绝，代理不会处理
+      await expect(
+        proxyAsAdmin.connect(owner).upgradeImplementation(await implementation.getAddress())
+      ).to.be.revertedWithoutReason();
+      await expect(proxyAsAdmin.connect(owner).getAdmin()).to.be.reverted;
+    });
+  });
+
+  describe("与 UpgradeManager 配合", function () {
+    it("UpgradeManager 作为管理员时可以升级透明代理", async function () {
+      await proxyAsAdmin.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+      await upgradeManager.registerProxy(await proxy.getAddress(), owner.address);
+
+      const newImplementation = await deployImplementation();
+      await upgradeManager.upgradeProxy(await proxy.getAddress(), await newImplementation.getAddress());
+
+      expect(await getImplementationAddress(ethers.provider, await proxy.getAddress()))
+        .to.equal(await newImplementation.getAddress());
+    });
+
+    it("UPGRADER_ROLE 不能通过 UUPS 入口绕过冻结、延迟和管理器", async function () {
+      await proxyAsAdmin.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+      await upgradeManager.registerProxy(await proxy.getAddress(), owner.address);
+      await upgradeManager.setUpgradeDelay(await proxy.getAddress(), 7 * 24 * 60 * 60);
+      await upgradeManager.freezeUpgrades(await proxy.getAddress());
+
+      expect(await proxyAsNFT.hasRole(await proxyAsNFT.UPGRADER_ROLE(), owner.address)).to.be.true;
+      const newImplementation = await deployImplementation();
+      await expect(proxyAsNFT.upgradeToAndCall(await newImplementation.getAddress(), "0x"))
+        .to.be.revertedWith("Upgrades managed by proxy admin");
+
+      expect(await getImplementationAddress(ethers.provider, await proxy.getAddress()))
+        .to.equal(await implementation.getAddress());
+      expect(await upgradeManager.getUpgradeHistoryLength(await proxy.getAddress())).to.equal(1);
+    });
+  });
+
+  describe("选择器冲突检测", function () {
+    const proxyAbi = [
+      "function getAdmin() view returns (address)",
+      "function burn(uint256)",
+    ];
+
+    it("应该检测到签名相同的函数", function () {
+      const clashes = findSelectorClashes(proxyAbi, ["function getAdmin() view returns (address)"]);
+
+      expect(clashes).to.have.lengthOf(1);
+      expect(clashes[0].kind).to.equal("shadowed");
+    });
+
+    it("应该检测到签名不同但选择器相同的函数", function () {
+      // collate_propagate_storage(bytes16) 与 burn(uint256) 的选择器都是 0x42966c68
+      const clashes = findSelectorClashes(proxyAbi, ["function collate_propagate_storage(bytes16)"]);
+
+      expect(clashes).to.have.lengthOf(1);
+      expect(clashes[0]).to.include({
+        selector: "0x42966c68",
+        kind: "clash",
+        proxyFunction: "burn(uint256)",
+      });
+    });
+
+    it("NFTCollectionV2 与 Proxy 之间只有升级入口重叠", async function () {
+      const result = await checkSelectorClashes(hre, "Proxy", "NFTCollectionV2");
+
+      expect(result.safe).to.be.true;
+      expect(result.clashes).to.have.lengthOf(1);
+      expect(result.clashes[0]).to.include({
+        proxyFunction: "upgradeToAndCall(address,bytes)",
+        kind: "shadowed",
+        expected: true,
+      });
+    });
+
+    it("透明代理的冲突只作为警告", async function () {
+      const result = await checkSelectorClashes(hre, "TransparentProxy", "Proxy");
+
+      expect(result.transparent).to.be.true;
+      expect(result.clashes).to.have.lengthOf(7);
+      expect(result.safe).to.be.true;
+    });
+
+    it("普通代理的冲突应该判定为不安全", async function () {
+      const result = await checkSelectorClashes(hre, "Proxy", "Proxy");
+
+      expect(result.safe).to.be.false;
+      expect(result.report).to.contain("无法通过代理调用");
+    });
+  });
+});
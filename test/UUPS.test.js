@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getImplementationAddress, IMPLEMENTATION_SLOT } = require("../scripts/utils/eip1967");
+
+describe("ERC1967Proxy and NFTCollectionV2 UUPS Tests", function () {
+  let proxy;
+  let nftCollectionV2;
+  let proxyAsNFT;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const name = "Test NFT Collection";
+  const symbol = "TNFT";
+  const baseTokenURI = "https://api.testnft.com/metadata/";
+
+  async function deployImplementation(contractName = "NFTCollectionV2") {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy();
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    // 获取签名者
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    // 部署 NFTCollectionV2 逻辑合约
+    nftCollectionV2 = await deployImplementation();
+
+    // 部署 ERC1967Proxy，并在同一笔交易中初始化
+    const initData = nftCollectionV2.interface.encodeFunctionData("initialize", [name, symbol, baseTokenURI]);
+    const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+    proxy = await ERC1967Proxy.deploy(await nftCollectionV2.getAddress(), initData);
+    await proxy.waitForDeployment();
+
+    proxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+  });
+
+  describe("代理合约基本功能", function () {
+    it("应该正确设置初始实现合约地址", async function () {
+      const implementation = await getImplementationAddress(ethers.provider, await proxy.getAddress());
+      expect(implementation).to.equal(await nftCollectionV2.getAddress());
+    });
+
+    it("部署时应该完成初始化", async function () {
+      expect(await proxyAsNFT.owner()).to.equal(owner.address);
+    });
+
+    it("代理应该正确转发调用到实现合约", async function () {
+      expect(await proxyAsNFT.name()).to.equal(name);
+      expect(await proxyAsNFT.symbol()).to.equal(symbol);
+      expect(await proxyAsNFT.owner()).to.equal(owner.address);
+    });
+
+    it("所有者应该能够通过 upgradeToAndCall 升级", async function () {
+      const newNFTCollectionV2 = await deployImplementation();
+
+      await expect(proxyAsNFT.upgradeToAndCall(await newNFTCollectionV2.getAddress(), "0x"))
+        .to.emit(proxyAsNFT, "Upgraded")
+        .withArgs(await newNFTCollectionV2.getAddress());
+
+      const implementation = await getImplementationAddress(ethers.provider, await proxy.getAddress());
+      expect(implementation).to.equal(await newNFTCollectionV2.getAddress());
+    });
+
+    it("没有 UPGRADER_ROLE 的地址不能升级实现合约", async function () {
+      const newNFTCollectionV2 = await deployImplementation();
+
+      await expect(
+        proxyAsNFT.connect(addr1).upgradeToAndCall(await newNFTCollectionV2.getAddress(), "0x")
+      ).to.be.revertedWith("Caller is missing role");
+    });
+
+    it("授予 UPGRADER_ROLE 后可以升级", async function () {
+      await proxyAsNFT.grantRole(await proxyAsNFT.UPGRADER_ROLE(), addr2.address);
+      const newNFTCollectionV2 = await deployImplementation();
+
+      await proxyAsNFT.connect(addr2).upgradeToAndCall(await newNFTCollectionV2.getAddress(), "0x");
+
+      const implementation = await getImplementationAddress(ethers.provider, await proxy.getAddress());
+      expect(implementation).to.equal(await newNFTCollectionV2.getAddress());
+    });
+  });
+
+  describe("通过代理进行 NFT 操作", function () {
+    it("应该能够通过代理激活销售", async function () {
+      await proxyAsNFT.connect(owner).setSaleState(true, false);
+
+      expect(await proxyAsNFT.saleActive()).to.be.true;
+      expect(await proxyAsNFT.presaleActive()).to.be.false;
+    });
+
+    it("应该能够通过代理铸造 NFT", async function () {
+      await proxyAsNFT.connect(owner).setMaxSupply(1000);
+      await proxyAsNFT.connect(owner).setMintPrices(0, 0);
+      await proxyAsNFT.connect(owner).setSaleState(true, false);
+
+      await proxyAsNFT.mintNFT(addr1.address, "1.json");
+
+      expect(await proxyAsNFT.totalSupply()).to.equal(1);
+      expect(await proxyAsNFT.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("应该能够通过代理设置白名单", async function () {
+      const addresses = [addr1.address, addr2.address];
+
+      await proxyAsNFT.connect(owner).setWhitelistEnabled(true);
+      await proxyAsNFT.connect(owner).updateWhitelist(addresses, true);
+
+      expect(await proxyAsNFT.whitelisted(addr1.address)).to.be.true;
+      expect(await proxyAsNFT.whitelisted(addr2.address)).to.be.true;
+    });
+  });
+
+  describe("升级后的功能保持", function () {
+    it("升级后状态应该保持", async function () {
+      await proxyAsNFT.connect(owner).setMaxSupply(5000);
+      await proxyAsNFT.connect(owner).setSaleState(true, false);
+
+      const newNFTCollectionV2 = await deployImplementation();
+      await proxyAsNFT.upgradeToAndCall(await newNFTCollectionV2.getAddress(), "0x");
+
+      expect(await proxyAsNFT.maxSupply()).to.equal(5000);
+      expect(await proxyAsNFT.saleActive()).to.be.true;
+      expect(await proxyAsNFT.name()).to.equal(name);
+    });
+
+    it("升级时可以在同一笔交易中调用新实现", async function () {
+      const newNFTCollectionV2 = await deployImplementation();
+      const data = newNFTCollectionV2.interface.encodeFunctionData("setMaxSupply", [2500]);
+
+      await proxyAsNFT.upgradeToAndCall(await newNFTCollectionV2.getAddress(), data);
+
+      expect(await proxyAsNFT.maxSupply()).to.equal(2500);
+      expect(await proxyAsNFT.getVersion()).to.equal("2.0.0");
+    });
+  });
+
+  describe("错误处理", function () {
+    it("不能升级到不兼容 UUPS 的实现", async function () {
+      const logic = await deployImplementation("LogicContract");
+
+      await expect(proxyAsNFT.upgradeToAndCall(await logic.getAddress(), "0x"))
+        .to.be.revertedWith("New implementation is not UUPS");
+    });
+
+    it("不能升级到非合约地址", async function () {
+      await expect(proxyAsNFT.upgradeToAndCall(addr1.address, "0x"))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+
+    it("升级调用失败时应该回滚整个升级", async function () {
+      const newNFTCollectionV2 = await deployImplementation();
+      const data = newNFTCollectionV2.interface.encodeFunctionData("setMaxSupply", [0]);
+
+      await proxyAsNFT.setMaxSupply(1000);
+      await proxyAsNFT.reservedMint(addr1.address, "1.json");
+
+      await expect(proxyAsNFT.upgradeToAndCall(await newNFTCollectionV2.getAddress(), data))
+        .to.be.revertedWith("Cannot set below current supply");
+
+      const implementation = await getImplementationAddress(ethers.provider, await proxy.getAddress());
+      expect(implementation).to.equal(await nftCollectionV2.getAddress());
+    });
+
+    it("不能直接在实现合约上调用 upgradeToAndCall", async function () {
+      const newNFTCollectionV2 = await deployImplementation();
+
+      await expect(nftCollectionV2.upgradeToAndCall(await newNFTCollectionV2.getAddress(), "0x"))
+        .to.be.revertedWith("Function must be called through delegatecall");
+    });
+
+    it("proxiableUUID 只能在实现合约上调用", async function () {
+      expect(await nftCollectionV2.proxiableUUID()).to.equal(IMPLEMENTATION_SLOT);
+
+      await expect(proxyAsNFT.proxiableUUID())
+        .to.be.revertedWith("Function must not be called through delegatecall");
+    });
+
+    it("已初始化的合约不能再次初始化", async function () {
+      await expect(
+        proxyAsNFT.initialize(name, symbol, baseTokenURI)
+      ).to.be.revertedWith("Already initialized");
+    });
+
+    it("实现合约本身不能被初始化", async function () {
+      await expect(
+        nftCollectionV2.connect(addr1).initialize(name, symbol, baseTokenURI)
+      ).to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("Gas 对比", function () {
+    it("比较 Proxy 与 ERC1967Proxy (UUPS) 的部署、升级和调用开销", async function () {
+      const gasUsed = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+      const initData = nftCollectionV2.interface.encodeFunctionData("initialize", [name, symbol, baseTokenURI]);
+
+      // Proxy：部署和初始化是两笔交易
+      const Proxy = await ethers.getContractFactory("Proxy");
+      const adminProxy = await Proxy.deploy(await nftCollectionV2.getAddress());
+      const adminProxyDeploy = (await adminProxy.deploymentTransaction().wait()).gasUsed;
+      const adminProxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await adminProxy.getAddress());
+      const adminProxyInit = await gasUsed(adminProxyAsNFT.initialize(name, symbol, baseTokenURI));
+
+      // ERC1967Proxy：部署时完成初始化
+      const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+      const uupsProxy = await ERC1967Proxy.deploy(await nftCollectionV2.getAddress(), initData);
+      const uupsProxyDeploy = (await uupsProxy.deploymentTransaction().wait()).gasUsed;
+      const uupsProxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await uupsProxy.getAddress());
+
+      // 升级
+      const newNFTCollectionV2 = await deployImplementation();
+      const newImplementation = await newNFTCollectionV2.getAddress();
+      const adminProxyUpgrade = await gasUsed(adminProxy.upgradeImplementation(newImplementation));
+      const uupsProxyUpgrade = await gasUsed(uupsProxyAsNFT.upgradeToAndCall(newImplementation, "0x"));
+
+      // 通过代理调用
+      const adminProxyCall = await gasUsed(adminProxyAsNFT.setMaxSupply(1000));
+      const uupsProxyCall = await gasUsed(uupsProxyAsNFT.setMaxSupply(1000));
+
+      // UUPS 代理没有管理函数，部署更便宜；升级需要额外检查 proxiableUUID，开销略高
+      expect(uupsProxyDeploy).to.be.below(adminProxyDeploy + adminProxyInit);
+      expect(uupsProxyUpgrade).to.be.above(adminProxyUpgrade);
+      // Proxy 转发前要读取管理员槽位判断调用者，ERC1967Proxy 直接转发
+      expect(uupsProxyCall).to.be.below(adminProxyCall);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getImplementationAddress } = require("../scripts/utils/eip1967");
+
+describe("upgradeToAndCall 原子升级与迁移初始化器", function () {
+  let owner;
+  let addr1;
+  let addr2;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+  });
+
+  describe("Proxy", function () {
+    let logicV1;
+    let logicV2;
+    let proxy;
+    let proxyAsV2;
+
+    beforeEach(async function () {
+      logicV1 = await deploy("LogicContract");
+      logicV2 = await deploy("LogicContractV2");
+      proxy = await deploy("Proxy", await logicV1.getAddress());
+      proxyAsV2 = await ethers.getContractAt("LogicContractV2", await proxy.getAddress());
+
+      const proxyAsV1 = await ethers.getContractAt("LogicContract", await proxy.getAddress());
+      await proxyAsV1.setCounter(7);
+    });
+
+    it("升级和迁移应该在同一笔交易中完成", async function () {
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [3]);
+
+      await expect(proxy.upgradeToAndCall(await logicV2.getAddress(), data))
+        .to.emit(proxy, "Upgraded")
+        .withArgs(await logicV2.getAddress())
+        .and.to.emit(proxyAsV2, "Initialized")
+        .withArgs(2);
+
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(3);
+      expect(await proxyAsV2.counter()).to.equal(7);
+    });
+
+    it("迁移初始化器只能执行一次", async function () {
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [3]);
+      await proxy.upgradeToAndCall(await logicV2.getAddress(), data);
+
+      await expect(proxyAsV2.connect(addr1).initializeV2(100))
+        .to.be.revertedWith("Already initialized");
+      expect(await proxyAsV2.multiplier()).to.equal(3);
+    });
+
+    it("迁移调用失败时应该回滚整个升级", async function () {
+      await proxy.upgradeToAndCall(await logicV2.getAddress(), logicV2.interface.encodeFunctionData("initializeV2", [3]));
+      const logicV2Next = await deploy("LogicContractV2");
+
+      // 第 2 版迁移已经执行过，再次调用会失败
+      await expect(
+        proxy.upgradeToAndCall(await logicV2Next.getAddress(), logicV2.interface.encodeFunctionData("initializeV2", [5]))
+      ).to.be.revertedWith("Already initialized");
+
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(3);
+    });
+
+    it("只有管理员可以调用 upgradeToAndCall", async function () {
+      await expect(proxy.connect(addr1).upgradeToAndCall(await logicV2.getAddress(), "0x"))
+        .to.be.revertedWith("Only admin can upgrade");
+    });
+
+    it("没有调用数据时不能附带以太币", async function () {
+      await expect(proxy.upgradeToAndCall(await logicV2.getAddress(), "0x", { value: 1 }))
+        .to.be.revertedWith("Upgrade does not accept value");
+    });
+  });
+
+  describe("TransparentProxy", function () {
+    it("管理员可以原子升级并执行迁移", async function () {
+      const logicV1 = await deploy("LogicContract");
+      const logicV2 = await deploy("LogicContractV2");
+      const proxy = await deploy("TransparentProxy", await logicV1.getAddress(), addr1.address);
+      const proxyAsAdmin = await ethers.getContractAt("ITransparentProxy", await proxy.getAddress(), addr1);
+      const proxyAsV2 = await ethers.getContractAt("LogicContractV2", await proxy.getAddress());
+
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [4]);
+      await expect(proxyAsAdmin.upgradeToAndCall(await logicV2.getAddress(), data))
+        .to.emit(proxy, "Upgraded")
+        .withArgs(await logicV2.getAddress());
+
+      expect(await getImplementationAddress(ethers.provider, await proxy.getAddress()))
+        .to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(4);
+    });
+  });
+
+  describe("UpgradeManager", function () {
+    let upgradeManager;
+    let implementation;
+    let proxy;
+    let proxyAsNFT;
+
+    beforeEach(async function () {
+      upgradeManager = await deploy("UpgradeManager");
+      implementation = await deploy("NFTCollectionV2");
+      proxy = await deploy("Proxy", await implementation.getAddress());
+      proxyAsNFT = await ethers.getContractAt("NFTCollectionV2", await proxy.getAddress());
+
+      await proxyAsNFT.initialize("Test NFT Collection", "TNFT", "https://api.testnft.com/metadata/");
+      await proxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+      await upgradeManager.registerProxy(await proxy.getAddress(), addr1.address);
+    });
+
+    it("代理管理员可以通过 upgradeProxyAndCall 原子升级", async function () {
+      const logicV1 = await deploy("LogicContract");
+      const logicV2 = await deploy("LogicContractV2");
+      const logicProxy = await deploy("Proxy", await logicV1.getAddress());
+      await logicProxy.transferAdmin(await upgradeManager.getAddress());
+      await upgradeManager.acceptProxyAdmin(await logicProxy.getAddress());
+      await upgradeManager.registerProxy(await logicProxy.getAddress(), addr1.address);
+
+      // 迁移调用在代理的上下文中执行，msg.sender 是 UpgradeManager
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [6]);
+      await expect(
+        upgradeManager.connect(addr1).upgradeProxyAndCall(await logicProxy.getAddress(), await logicV2.getAddress(), data)
+      )
+        .to.emit(upgradeManager, "ProxyUpgraded")
+        .withArgs(await logicProxy.getAddress(), await logicV1.getAddress(), await logicV2.getAddress());
+
+      const proxyAsV2 = await ethers.getContractAt("LogicContractV2", await logicProxy.getAddress());
+      expect(await logicProxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(6);
+    });
+
+    it("非授权用户不能调用 upgradeProxyAndCall", async function () {
+      const newImplementation = await deploy("NFTCollectionV2");
+
+      await expect(
+        upgradeManager.connect(addr2).upgradeProxyAndCall(await proxy.getAddress(), await newImplementation.getAddress(), "0x")
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("新部署的代理直接初始化到最新版本，不会再执行旧迁移", async function () {
+      expect(await proxyAsNFT.maxSupply()).to.equal(10000);
+      expect(await proxyAsNFT.publicSalePrice()).to.equal(ethers.parseEther("0.05"));
+
+      const newImplementation = await deploy("NFTCollectionV2");
+      const data = newImplementation.interface.encodeFunctionData("initializeV2", [5000, 5, 50, 0, 0, 500]);
+
+      await expect(
+        upgradeManager.upgradeProxyAndCall(await proxy.getAddress(), await newImplementation.getAddress(), data)
+      ).to.be.revertedWith("Already initialized");
+      expect(await proxyAsNFT.maxSupply()).to.equal(10000);
+    });
+
+    it("迁移初始化器不能在实现合约上执行", async function () {
+      await expect(implementation.initializeV2(5000, 5, 50, 0, 0, 500))
+        .to.be.revertedWith("Already initialized");
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { fetchUpgradeHistory, formatUpgradeTimeline } = require("../scripts/utils/upgrade-history");
+
+describe("UpgradeManager 实现历史与回滚", function () {
+  let upgradeManager;
+  let logicV1;
+  let logicV2;
+  let proxy;
+  let proxyAddress;
+  let owner;
+  let proxyAdmin;
+  let addr1;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, proxyAdmin, addr1] = await ethers.getSigners();
+
+    upgradeManager = await deploy("UpgradeManager");
+    logicV1 = await deploy("LogicContract");
+    logicV2 = await deploy("LogicContractV2");
+    proxy = await deploy("Proxy", await logicV1.getAddress());
+    proxyAddress = await proxy.getAddress();
+
+    await proxy.transferAdmin(await upgradeManager.getAddress());
+    await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+    await upgradeManager.registerProxy(proxyAddress, proxyAdmin.address);
+  });
+
+  describe("历史记录", function () {
+    it("注册时应该记录当前实现", async function () {
+      const [record] = await upgradeManager.getUpgradeHistory(proxyAddress, 0, 10);
+
+      expect(await upgradeManager.getUpgradeHistoryLength(proxyAddress)).to.equal(1);
+      expect(record.implementation).to.equal(await logicV1.getAddress());
+      expect(record.version).to.equal(""); // LogicContract 没有版本函数
+      expect(record.upgrader).to.equal(owner.address);
+    });
+
+    it("升级时应该记录实现、版本、区块和升级者", async function () {
+      const tx = await upgradeManager.connect(proxyAdmin).upgradeProxy(proxyAddress, await logicV2.getAddress());
+      const receipt = await tx.wait();
+
+      const [, record] = await upgradeManager.getUpgradeHistory(proxyAddress, 0, 10);
+      expect(record.implementation).to.equal(await logicV2.getAddress());
+      expect(record.version).to.equal("v2.0.0");
+      expect(record.blockNumber).to.equal(receipt.blockNumber);
+      expect(record.upgrader).to.equal(proxyAdmin.address);
+    });
+
+    it("应该读取 NFTCollectionV2 的 getVersion()", async function () {
+      const nftImplementation = await deploy("NFTCollectionV2");
+      await upgradeManager.upgradeProxyAndCall(proxyAddress, await nftImplementation.getAddress(), "0x");
+
+      const [, record] = await upgradeManager.getUpgradeHistory(proxyAddress, 0, 10);
+      expect(record.version).to.equal("2.0.0");
+    });
+
+    it("历史视图应该支持分页", async function () {
+      const logicV2b = await deploy("LogicContractV2");
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress());
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2b.getAddress());
+
+      const firstPage = await upgradeManager.getUpgradeHistory(proxyAddress, 0, 2);
+      const secondPage = await upgradeManager.getUpgradeHistory(proxyAddress, 2, 2);
+      const emptyPage = await upgradeManager.getUpgradeHistory(proxyAddress, 3, 2);
+
+      expect(firstPage.map((record) => record.implementation))
+        .to.deep.equal([await logicV1.getAddress(), await logicV2.getAddress()]);
+      expect(secondPage.map((record) => record.implementation)).to.deep.equal([await logicV2b.getAddress()]);
+      expect(emptyPage).to.be.empty;
+
+      const records = await fetchUpgradeHistory(upgradeManager, proxyAddress, 2);
+      expect(records).to.have.lengthOf(3);
+      expect(records[2].implementation).to.equal(await logicV2b.getAddress());
+    });
+
+    it("时间线应该标记当前实现", async function () {
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress());
+
+      const records = await fetchUpgradeHistory(upgradeManager, proxyAddress);
+      const timeline = formatUpgradeTimeline(proxyAddress, records);
+
+      expect(timeline).to.contain("#0");
+      expect(timeline).to.contain("未知版本");
+      expect(timeline).to.contain(`➡️ #1`);
+      expect(timeline).to.contain("v2.0.0");
+      expect(timeline).to.contain("共 2 条记录");
+    });
+
+    it("注销代理时应该清除历史", async function () {
+      await upgradeManager.unregisterProxy(proxyAddress);
+
+      expect(await upgradeManager.getUpgradeHistoryLength(proxyAddress)).to.equal(0);
+    });
+  });
+
+  describe("回滚", function () {
+    let logicV2b;
+
+    beforeEach(async function () {
+      logicV2b = await deploy("LogicContractV2");
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress());
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2b.getAddress());
+    });
+
+    it("应该回滚到上一个实现并追加记录", async function () {
+      await expect(upgradeManager.connect(proxyAdmin).rollbackProxy(proxyAddress, 1))
+        .to.emit(upgradeManager, "ProxyRolledBack")
+        .withArgs(proxyAddress, await logicV2b.getAddress(), await logicV2.getAddress(), 1);
+
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await upgradeManager.getUpgradeHistoryLength(proxyAddress)).to.equal(4);
+    });
+
+    it("应该回滚多步，状态保持不变", async function () {
+      const proxyAsV2 = await ethers.getContractAt("LogicContractV2", proxyAddress);
+      await proxyAsV2.setCounter(42);
+
+      await upgradeManager.rollbackProxy(proxyAddress, 2);
+
+      const proxyAsV1 = await ethers.getContractAt("LogicContract", proxyAddress);
+      expect(await proxy.getImplementation()).to.equal(await logicV1.getAddress());
+      expect(await proxyAsV1.getCounter()).to.equal(42);
+    });
+
+    it("回滚步数必须在历史范围内", async function () {
+      await expect(upgradeManager.rollbackProxy(proxyAddress, 0)).to.be.revertedWith("Invalid rollback steps");
+      await expect(upgradeManager.rollbackProxy(proxyAddress, 3)).to.be.revertedWith("Invalid rollback steps");
+    });
+
+    it("非授权用户不能回滚", async function () {
+      await expect(upgradeManager.connect(addr1).rollbackProxy(proxyAddress, 1))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("设置了升级延迟的代理不能直接回滚", async function () {
+      await upgradeManager.setUpgradeDelay(proxyAddress, 60);
+
+      await expect(upgradeManager.rollbackProxy(proxyAddress, 1))
+        .to.be.revertedWith("Upgrade must be scheduled");
+    });
+  });
+});
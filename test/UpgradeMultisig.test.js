@@ -0,0 +1,326 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("UpgradeManager 多签审批", function () {
+  let upgradeManager;
+  let logicV1;
+  let logicV2;
+  let proxy;
+  let proxyAddress;
+  let owner;
+  let approver1;
+  let approver2;
+  let approver3;
+  let outsider;
+
+  const Action = { Upgrade: 0, AddApprover: 1, RemoveApprover: 2, ChangeThreshold: 3, UpgradeBeacon: 4, CancelUpgrade: 5 };
+  const DAY = 24 * 60 * 60;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, approver1, approver2, approver3, outsider] = await ethers.getSigners();
+
+    upgradeManager = await deploy("UpgradeManager");
+    logicV1 = await deploy("LogicContract");
+    logicV2 = await deploy("LogicContractV2");
+    proxy = await deploy("Proxy", await logicV1.getAddress());
+    proxyAddress = await proxy.getAddress();
+
+    await proxy.transferAdmin(await upgradeManager.getAddress());
+    await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+    await upgradeManager.registerProxy(proxyAddress, owner.address);
+    await upgradeManager.setupApprovers([approver1.address, approver2.address, approver3.address], 2);
+  });
+
+  describe("启用多签", function () {
+    it("应该记录审批人和阈值", async function () {
+      expect(await upgradeManager.getApprovers()).to.deep.equal([approver1.address, approver2.address, approver3.address]);
+      expect(await upgradeManager.approvalThreshold()).to.equal(2);
+      expect(await upgradeManager.isApprover(approver1.address)).to.be.true;
+      expect(await upgradeManager.isApprover(outsider.address)).to.be.false;
+    });
+
+    it("只能启用一次", async function () {
+      await expect(upgradeManager.setupApprovers([outsider.address], 1))
+        .to.be.revertedWith("Approvers already set up");
+    });
+
+    it("应该校验阈值和审批人", async function () {
+      const fresh = await deploy("UpgradeManager");
+
+      await expect(fresh.setupApprovers([approver1.address], 2)).to.be.revertedWith("Invalid threshold");
+      await expect(fresh.setupApprovers([approver1.address], 0)).to.be.revertedWith("Invalid threshold");
+      await expect(fresh.setupApprovers([approver1.address, approver1.address], 1)).to.be.revertedWith("Duplicate approver");
+      await expect(fresh.setupApprovers([ethers.ZeroAddress], 1)).to.be.revertedWith("Invalid approver");
+      await expect(fresh.connect(outsider).setupApprovers([approver1.address], 1))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("启用后所有者不能直接升级", async function () {
+      await expect(upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress()))
+        .to.be.revertedWith("Multisig approval required");
+      await expect(upgradeManager.upgradeProxyAndCall(proxyAddress, await logicV2.getAddress(), "0x"))
+        .to.be.revertedWith("Multisig approval required");
+      await expect(upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 0))
+        .to.be.revertedWith("Multisig approval required");
+      await expect(upgradeManager.transferProxyAdmin(proxyAddress, owner.address))
+        .to.be.revertedWith("Multisig approval required");
+    });
+  });
+
+  describe("升级提案", function () {
+    let data;
+
+    beforeEach(async function () {
+      data = logicV2.interface.encodeFunctionData("initializeV2", [3]);
+    });
+
+    it("创建提案时提案人自动审批", async function () {
+      await expect(upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data))
+        .to.emit(upgradeManager, "ProposalCreated")
+        .withArgs(0, approver1.address, Action.Upgrade, proxyAddress, await logicV2.getAddress())
+        .and.to.emit(upgradeManager, "ProposalApproved")
+        .withArgs(0, approver1.address);
+
+      const proposal = await upgradeManager.getProposal(0);
+      expect(proposal.action).to.equal(Action.Upgrade);
+      expect(proposal.proxy).to.equal(proxyAddress);
+      expect(proposal.target).to.equal(await logicV2.getAddress());
+      expect(proposal.data).to.equal(data);
+      expect(proposal.proposer).to.equal(approver1.address);
+      expect(await upgradeManager.getProposalCount()).to.equal(1);
+      expect(await upgradeManager.getProposalApprovers(0)).to.deep.equal([approver1.address]);
+      expect(await upgradeManager.getApprovalCount(0)).to.equal(1);
+    });
+
+    it("未达到阈值时不能执行", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+
+      await expect(upgradeManager.connect(approver1).executeProposal(0))
+        .to.be.revertedWith("Not enough approvals");
+    });
+
+    it("达到阈值后执行升级和迁移", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+      await upgradeManager.connect(approver2).approveProposal(0);
+
+      await expect(upgradeManager.connect(approver3).executeProposal(0))
+        .to.emit(upgradeManager, "ProposalExecuted")
+        .withArgs(0)
+        .and.to.emit(upgradeManager, "ProxyUpgraded")
+        .withArgs(proxyAddress, await logicV1.getAddress(), await logicV2.getAddress());
+
+      const proxyAsV2 = await ethers.getContractAt("LogicContractV2", proxyAddress);
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(3);
+      expect((await upgradeManager.getProposal(0)).executed).to.be.true;
+
+      await expect(upgradeManager.connect(approver1).executeProposal(0))
+        .to.be.revertedWith("Proposal already executed");
+    });
+
+    it("不能重复审批，撤销后审批数减少", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+
+      await expect(upgradeManager.connect(approver1).approveProposal(0))
+        .to.be.revertedWith("Already approved");
+
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await expect(upgradeManager.connect(approver2).revokeApproval(0))
+        .to.emit(upgradeManager, "ApprovalRevoked")
+        .withArgs(0, approver2.address);
+
+      expect(await upgradeManager.getApprovalCount(0)).to.equal(1);
+      expect(await upgradeManager.hasApproved(0, approver2.address)).to.be.false;
+      await expect(upgradeManager.connect(approver1).executeProposal(0))
+        .to.be.revertedWith("Not enough approvals");
+    });
+
+    it("非审批人不能提案、审批或执行", async function () {
+      await expect(upgradeManager.connect(outsider).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data))
+        .to.be.revertedWith("Not an approver");
+
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+      await expect(upgradeManager.connect(outsider).approveProposal(0)).to.be.revertedWith("Not an approver");
+      await expect(upgradeManager.connect(outsider).executeProposal(0)).to.be.revertedWith("Not an approver");
+    });
+
+    it("只能为已注册代理和合约实现提案", async function () {
+      await expect(upgradeManager.connect(approver1).proposeUpgrade(outsider.address, await logicV2.getAddress(), "0x"))
+        .to.be.revertedWith("Proxy not registered");
+      await expect(upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, outsider.address, "0x"))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+
+    it("提案人可以取消提案", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+
+      await expect(upgradeManager.connect(approver2).cancelProposal(0))
+        .to.be.revertedWith("Only proposer can cancel");
+      await expect(upgradeManager.connect(approver1).cancelProposal(0))
+        .to.emit(upgradeManager, "ProposalCancelled")
+        .withArgs(0);
+
+      await expect(upgradeManager.connect(approver2).approveProposal(0))
+        .to.be.revertedWith("Proposal cancelled");
+    });
+
+    it("设置了升级延迟的代理执行提案时只排期", async function () {
+      await upgradeManager.setUpgradeDelay(proxyAddress, DAY);
+
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), data);
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await expect(upgradeManager.connect(approver2).executeProposal(0))
+        .to.emit(upgradeManager, "UpgradeScheduled");
+
+      expect(await proxy.getImplementation()).to.equal(await logicV1.getAddress());
+      expect((await upgradeManager.pendingUpgrade(proxyAddress)).newImplementation).to.equal(await logicV2.getAddress());
+
+      await time.increase(DAY);
+      await upgradeManager.executeUpgrade(proxyAddress);
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+    });
+  });
+
+  describe("多签下的排期", function () {
+    beforeEach(async function () {
+      await upgradeManager.setUpgradeDelay(proxyAddress, DAY);
+    });
+
+    it("启用多签前的排期不能直接执行，需要通过提案取消", async function () {
+      const fresh = await deploy("UpgradeManager");
+      const freshProxy = await deploy("Proxy", await logicV1.getAddress());
+      const freshProxyAddress = await freshProxy.getAddress();
+      await freshProxy.transferAdmin(await fresh.getAddress());
+      await fresh.acceptProxyAdmin(freshProxyAddress);
+      await fresh.registerProxy(freshProxyAddress, owner.address);
+      await fresh.setUpgradeDelay(freshProxyAddress, DAY);
+
+      await fresh.scheduleUpgrade(freshProxyAddress, await logicV2.getAddress(), "0x", DAY);
+      await fresh.setupApprovers([approver1.address, approver2.address], 2);
+      expect((await fresh.pendingUpgrade(freshProxyAddress)).approved).to.be.false;
+
+      await time.increase(DAY);
+      await expect(fresh.executeUpgrade(freshProxyAddress)).to.be.revertedWith("Multisig approval required");
+      await expect(fresh.cancelUpgrade(freshProxyAddress)).to.be.revertedWith("Multisig approval required");
+
+      await expect(fresh.connect(approver1).proposeCancelUpgrade(freshProxyAddress))
+        .to.emit(fresh, "ProposalCreated")
+        .withArgs(0, approver1.address, Action.CancelUpgrade, freshProxyAddress, await logicV2.getAddress());
+      await fresh.connect(approver2).approveProposal(0);
+      await expect(fresh.connect(approver2).executeProposal(0))
+        .to.emit(fresh, "UpgradeCancelled")
+        .withArgs(freshProxyAddress, await logicV2.getAddress());
+
+      expect((await fresh.pendingUpgrade(freshProxyAddress)).newImplementation).to.equal(ethers.ZeroAddress);
+      expect(await freshProxy.getImplementation()).to.equal(await logicV1.getAddress());
+    });
+
+    it("升级者不能单独取消审批通过的排期", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), "0x");
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await upgradeManager.connect(approver2).executeProposal(0);
+      expect((await upgradeManager.pendingUpgrade(proxyAddress)).approved).to.be.true;
+
+      await expect(upgradeManager.cancelUpgrade(proxyAddress)).to.be.revertedWith("Multisig approval required");
+
+      await upgradeManager.connect(approver1).proposeCancelUpgrade(proxyAddress);
+      await upgradeManager.connect(approver3).approveProposal(1);
+      await upgradeManager.connect(approver3).executeProposal(1);
+      expect((await upgradeManager.pendingUpgrade(proxyAddress)).newImplementation).to.equal(ethers.ZeroAddress);
+    });
+
+    it("只排期或不升级的提案不能附带 ETH", async function () {
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), "0x");
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await expect(upgradeManager.connect(approver2).executeProposal(0, { value: 1 })).to.be.revertedWith("Unexpected value");
+
+      await upgradeManager.connect(approver1).proposeThreshold(3);
+      await upgradeManager.connect(approver2).approveProposal(1);
+      await expect(upgradeManager.connect(approver2).executeProposal(1, { value: 1 })).to.be.revertedWith("Unexpected value");
+
+      await upgradeManager.connect(approver2).executeProposal(0);
+      await upgradeManager.connect(approver2).executeProposal(1);
+      expect(await ethers.provider.getBalance(await upgradeManager.getAddress())).to.equal(0);
+    });
+
+    it("取消提案只对提案时的排期有效", async function () {
+      await expect(upgradeManager.connect(approver1).proposeCancelUpgrade(proxyAddress)).to.be.revertedWith("No upgrade scheduled");
+
+      await upgradeManager.connect(approver1).proposeUpgrade(proxyAddress, await logicV2.getAddress(), "0x");
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await upgradeManager.connect(approver2).executeProposal(0);
+
+      await upgradeManager.connect(approver1).proposeCancelUpgrade(proxyAddress);
+      await upgradeManager.connect(approver2).approveProposal(1);
+
+      await time.increase(DAY);
+      await upgradeManager.executeUpgrade(proxyAddress); // 排期已执行
+      await expect(upgradeManager.connect(approver2).executeProposal(1)).to.be.revertedWith("Schedule changed");
+    });
+  });
+
+  describe("审批人管理", function () {
+    it("通过提案添加审批人并修改阈值", async function () {
+      await upgradeManager.connect(approver1).proposeAddApprover(outsider.address, 3);
+      await upgradeManager.connect(approver2).approveProposal(0);
+
+      await expect(upgradeManager.connect(approver1).executeProposal(0))
+        .to.emit(upgradeManager, "ApproverAdded")
+        .withArgs(outsider.address)
+        .and.to.emit(upgradeManager, "ApprovalThresholdChanged")
+        .withArgs(2, 3);
+
+      expect(await upgradeManager.isApprover(outsider.address)).to.be.true;
+      expect(await upgradeManager.getApprovers()).to.have.lengthOf(4);
+      expect(await upgradeManager.approvalThreshold()).to.equal(3);
+    });
+
+    it("通过提案移除审批人，被移除的审批不再计数", async function () {
+      await upgradeManager.connect(approver3).proposeUpgrade(proxyAddress, await logicV2.getAddress(), "0x");
+
+      await upgradeManager.connect(approver1).proposeRemoveApprover(approver3.address, 2);
+      await upgradeManager.connect(approver2).approveProposal(1);
+      await expect(upgradeManager.connect(approver1).executeProposal(1))
+        .to.emit(upgradeManager, "ApproverRemoved")
+        .withArgs(approver3.address);
+
+      expect(await upgradeManager.isApprover(approver3.address)).to.be.false;
+      expect([...(await upgradeManager.getApprovers())]).to.have.members([approver1.address, approver2.address]);
+
+      // approver3 的审批仍在列表中，但不再计入有效审批数
+      expect(await upgradeManager.getProposalApprovers(0)).to.deep.equal([approver3.address]);
+      expect(await upgradeManager.getApprovalCount(0)).to.equal(0);
+    });
+
+    it("阈值不能超过审批人数量", async function () {
+      await upgradeManager.connect(approver1).proposeRemoveApprover(approver3.address, 3);
+      await upgradeManager.connect(approver2).approveProposal(0);
+
+      await expect(upgradeManager.connect(approver1).executeProposal(0))
+        .to.be.revertedWith("Invalid threshold");
+    });
+
+    it("通过提案修改阈值", async function () {
+      await upgradeManager.connect(approver1).proposeThreshold(3);
+      await upgradeManager.connect(approver2).approveProposal(0);
+      await upgradeManager.connect(approver2).executeProposal(0);
+
+      expect(await upgradeManager.approvalThreshold()).to.equal(3);
+    });
+
+    it("不能重复添加或移除不存在的审批人", async function () {
+      await expect(upgradeManager.connect(approver1).proposeAddApprover(approver2.address, 2))
+        .to.be.revertedWith("Duplicate approver");
+      await expect(upgradeManager.connect(approver1).proposeRemoveApprover(outsider.address, 2))
+        .to.be.revertedWith("Not an approver");
+    });
+  });
+});
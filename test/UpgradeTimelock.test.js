@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("UpgradeManager 延迟升级", function () {
+  let upgradeManager;
+  let logicV1;
+  let logicV2;
+  let proxy;
+  let proxyAddress;
+  let owner;
+  let proxyAdmin;
+  let addr1;
+
+  const DAY = 24 * 60 * 60;
+  const GRACE_PERIOD = 14 * DAY;
+
+  async function deploy(contractName, ...args) {
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, proxyAdmin, addr1] = await ethers.getSigners();
+
+    upgradeManager = await deploy("UpgradeManager");
+    logicV1 = await deploy("LogicContract");
+    logicV2 = await deploy("LogicContractV2");
+    proxy = await deploy("Proxy", await logicV1.getAddress());
+    proxyAddress = await proxy.getAddress();
+
+    await proxy.transferAdmin(await upgradeManager.getAddress());
+    await upgradeManager.acceptProxyAdmin(await proxy.getAddress());
+    await upgradeManager.registerProxy(proxyAddress, proxyAdmin.address);
+    await upgradeManager.setUpgradeDelay(proxyAddress, 2 * DAY);
+  });
+
+  describe("升级延迟配置", function () {
+    it("所有者可以设置每个代理的最短延迟", async function () {
+      await expect(upgradeManager.setUpgradeDelay(proxyAddress, 3 * DAY))
+        .to.emit(upgradeManager, "UpgradeDelayUpdated")
+        .withArgs(proxyAddress, 2 * DAY, 3 * DAY);
+
+      expect(await upgradeManager.upgradeDelays(proxyAddress)).to.equal(3 * DAY);
+    });
+
+    it("降低延迟需要等待当前延迟结束，不能立即升级", async function () {
+      const tx = await upgradeManager.setUpgradeDelay(proxyAddress, 0);
+      const readyAt = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp + 2 * DAY;
+      await expect(tx)
+        .to.emit(upgradeManager, "UpgradeDelayChangeScheduled")
+        .withArgs(proxyAddress, 0, readyAt);
+      await expect(tx).to.not.emit(upgradeManager, "UpgradeDelayUpdated");
+
+      expect(await upgradeManager.upgradeDelays(proxyAddress)).to.equal(2 * DAY);
+      await expect(upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress()))
+        .to.be.revertedWith("Upgrade must be scheduled");
+      await expect(upgradeManager.connect(addr1).applyUpgradeDelay(proxyAddress))
+        .to.be.revertedWith("Delay change not ready");
+
+      await time.increaseTo(readyAt);
+      await expect(upgradeManager.connect(addr1).applyUpgradeDelay(proxyAddress))
+        .to.emit(upgradeManager, "UpgradeDelayUpdated")
+        .withArgs(proxyAddress, 2 * DAY, 0);
+      expect(await upgradeManager.upgradeDelays(proxyAddress)).to.equal(0);
+      expect((await upgradeManager.pendingUpgradeDelays(proxyAddress)).readyAt).to.equal(0);
+      await upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress());
+    });
+
+    it("提高延迟会覆盖排期的降低", async function () {
+      await upgradeManager.setUpgradeDelay(proxyAddress, DAY);
+      await upgradeManager.setUpgradeDelay(proxyAddress, 3 * DAY);
+
+      expect(await upgradeManager.upgradeDelays(proxyAddress)).to.equal(3 * DAY);
+      await time.increase(3 * DAY);
+      await expect(upgradeManager.applyUpgradeDelay(proxyAddress))
+        .to.be.revertedWith("No delay change scheduled");
+    });
+
+    it("只有所有者可以设置延迟", async function () {
+      await expect(upgradeManager.connect(proxyAdmin).setUpgradeDelay(proxyAddress, 0))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("延迟不能超过上限", async function () {
+      await expect(upgradeManager.setUpgradeDelay(proxyAddress, 31 * DAY))
+        .to.be.revertedWith("Delay too long");
+    });
+
+    it("设置了延迟的代理不能立即升级", async function () {
+      await expect(upgradeManager.upgradeProxy(proxyAddress, await logicV2.getAddress()))
+        .to.be.revertedWith("Upgrade must be scheduled");
+      await expect(upgradeManager.upgradeProxyAndCall(proxyAddress, await logicV2.getAddress(), "0x"))
+        .to.be.revertedWith("Upgrade must be scheduled");
+    });
+  });
+
+  describe("排期", function () {
+    it("应该记录排期并触发事件", async function () {
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [3]);
+      const tx = await upgradeManager.connect(proxyAdmin).scheduleUpgrade(proxyAddress, await logicV2.getAddress(), data, 2 * DAY);
+      const readyAt = (await time.latest()) + 2 * DAY;
+
+      await expect(tx)
+        .to.emit(upgradeManager, "UpgradeScheduled")
+        .withArgs(proxyAddress, await logicV2.getAddress(), data, readyAt, readyAt + GRACE_PERIOD);
+
+      const pending = await upgradeManager.pendingUpgrade(proxyAddress);
+      expect(pending.newImplementation).to.equal(await logicV2.getAddress());
+      expect(pending.data).to.equal(data);
+      expect(pending.readyAt).to.equal(readyAt);
+      expect(pending.expiresAt).to.equal(readyAt + GRACE_PERIOD);
+    });
+
+    it("延迟不能短于代理的最短延迟", async function () {
+      await expect(upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", DAY))
+        .to.be.revertedWith("Delay below minimum");
+    });
+
+    it("同一代理不能同时存在两个排期", async function () {
+      await upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 2 * DAY);
+
+      await expect(upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 2 * DAY))
+        .to.be.revertedWith("Upgrade already scheduled");
+    });
+
+    it("新实现必须是合约", async function () {
+      await expect(upgradeManager.scheduleUpgrade(proxyAddress, addr1.address, "0x", 2 * DAY))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+
+    it("非授权用户不能排期", async function () {
+      await expect(upgradeManager.connect(addr1).scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 2 * DAY))
+        .to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("执行", function () {
+    beforeEach(async function () {
+      const data = logicV2.interface.encodeFunctionData("initializeV2", [3]);
+      await upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), data, 2 * DAY);
+    });
+
+    it("延迟结束前不能执行", async function () {
+      await time.increase(2 * DAY - 10);
+
+      await expect(upgradeManager.executeUpgrade(proxyAddress))
+        .to.be.revertedWith("Upgrade not ready");
+      expect(await proxy.getImplementation()).to.equal(await logicV1.getAddress());
+    });
+
+    it("延迟结束后可以执行，并在同一笔交易中完成迁移", async function () {
+      await time.increase(2 * DAY);
+
+      await expect(upgradeManager.connect(proxyAdmin).executeUpgrade(proxyAddress))
+        .to.emit(upgradeManager, "ProxyUpgraded")
+        .withArgs(proxyAddress, await logicV1.getAddress(), await logicV2.getAddress());
+
+      const proxyAsV2 = await ethers.getContractAt("LogicContractV2", proxyAddress);
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+      expect(await proxyAsV2.multiplier()).to.equal(3);
+
+      const pending = await upgradeManager.pendingUpgrade(proxyAddress);
+      expect(pending.newImplementation).to.equal(ethers.ZeroAddress);
+    });
+
+    it("排期只能执行一次", async function () {
+      await time.increase(2 * DAY);
+      await upgradeManager.executeUpgrade(proxyAddress);
+
+      await expect(upgradeManager.executeUpgrade(proxyAddress))
+        .to.be.revertedWith("No upgrade scheduled");
+    });
+
+    it("过期后不能执行，取消后可以重新排期", async function () {
+      await time.increase(2 * DAY + GRACE_PERIOD + 1);
+
+      await expect(upgradeManager.executeUpgrade(proxyAddress))
+        .to.be.revertedWith("Upgrade expired");
+
+      await upgradeManager.cancelUpgrade(proxyAddress);
+      await upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 2 * DAY);
+      await time.increase(2 * DAY);
+      await upgradeManager.executeUpgrade(proxyAddress);
+
+      expect(await proxy.getImplementation()).to.equal(await logicV2.getAddress());
+    });
+
+    it("非授权用户不能执行", async function () {
+      await time.increase(2 * DAY);
+
+      await expect(upgradeManager.connect(addr1).executeUpgrade(proxyAddress))
+        .to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("取消", function () {
+    beforeEach(async function () {
+      await upgradeManager.scheduleUpgrade(proxyAddress, await logicV2.getAddress(), "0x", 2 * DAY);
+    });
+
+    it("代理管理员可以取消排期", async function () {
+      await expect(upgradeManager.connect(proxyAdmin).cancelUpgrade(proxyAddress))
+        .to.emit(upgradeManager, "UpgradeCancelled")
+        .withArgs(proxyAddress, await logicV2.getAddress());
+
+      await time.increase(2 * DAY);
+      await expect(upgradeManager.executeUpgrade(proxyAddress))
+        .to.be.revertedWith("No upgrade scheduled");
+      expect(await proxy.getImplementation()).to.equal(await logicV1.getAddress());
+    });
+
+    it("没有排期时不能取消", async function () {
+      await upgradeManager.cancelUpgrade(proxyAddress);
+
+      await expect(upgradeManager.cancelUpgrade(proxyAddress))
+        .to.be.revertedWith("No upgrade scheduled");
+    });
+
+    it("非授权用户不能取消", async function () {
+      await expect(upgradeManager.connect(addr1).cancelUpgrade(proxyAddress))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("注销代理时应该清除排期", async function () {
+      await upgradeManager.unregisterProxy(proxyAddress);
+
+      const pending = await upgradeManager.pendingUpgrade(proxyAddress);
+      expect(pending.newImplementation).to.equal(ethers.ZeroAddress);
+      expect(await upgradeManager.upgradeDelays(proxyAddress)).to.equal(0);
+    });
+  });
+});